@@ -9,6 +9,9 @@ const errorMiddleware = require("./middlewares/errorMiddleware"); // import it
 app.use(cors({ credentials: true, origin: true }));
 app.use(cookieParser());
 app.use(logger("tiny"));
+// Razorpay webhook signature is computed over the raw body, so keep it as a Buffer
+app.use("/api/v1/payments/webhook", express.raw({ type: "application/json" }));
+app.use("/api/v1/payouts/webhook", express.raw({ type: "application/json" }));
 // Increase body size limit for file uploads (50MB)
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
@@ -20,10 +23,16 @@ app.get("/", (req, res) => {
 app.use("/api/v1/users", require("./routes/user.routes"));
 app.use("/api/v1/uploads", require("./routes/upload.routes"));
 app.use("/api/v1/gifts", require("./routes/gift.routes"));
+app.use("/api/v1/gift-schedules", require("./routes/giftSchedule.routes"));
+app.use("/api/v1/gift-pools", require("./routes/giftPool.routes"));
 app.use("/api/v1/events", require("./routes/event.routes"));
 app.use("/api/v1/withdrawals", require("./routes/withdrawal.routes"));
+app.use("/api/v1/redemptions", require("./routes/redemption.routes"));
 app.use("/api/v1/kyc", require("./routes/kyc.routes"));
 app.use("/api/v1/admin", require("./routes/admin.routes"));
+app.use("/api/v1/payments", require("./routes/payment.routes"));
+app.use("/api/v1/reconciliation", require("./routes/reconciliation.routes"));
+app.use("/api/v1/payouts", require("./routes/payout.routes"));
 
 // Error handler middleware (MUST be last)
 app.use(errorMiddleware);
@@ -1,11 +1,32 @@
 const mongoose = require("mongoose");
+const AutoAllocationTask = require("../models/AutoAllocationTask");
+
+// Drop indexes that older versions of a schema created. AutoAllocationTask
+// used to be unique per giftId - it is now unique per giftId and userId, and
+// the old index would reject the second co-host's task of a split gift
+const migrateIndexes = async () => {
+  try {
+    const dropped = await AutoAllocationTask.syncIndexes();
+    if (dropped.length) {
+      console.log(
+        `AutoAllocationTask: dropped old indexes ${dropped.join(", ")}`
+      );
+    }
+  } catch (err) {
+    console.error(
+      "error while migrating AutoAllocationTask indexes:",
+      err?.message || err
+    );
+  }
+};
 
 const connectDatabase = () => {
   mongoose
     .connect(process.env.DB_URI)
-    .then((data) =>
-      console.log(`database is connected at server:${data.connection.host}`)
-    )
+    .then((data) => {
+      console.log(`database is connected at server:${data.connection.host}`);
+      return migrateIndexes();
+    })
     .catch((err) => console.log("error while connecting to database"));
 };
 
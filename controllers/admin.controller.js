@@ -223,6 +223,7 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
   const UserHistory = require("../models/UserHistory");
   const WithdrawalRequest = require("../models/WithdrawalRequest");
   const Event = require("../models/Event");
+  const SellOrder = require("../models/SellOrder");
 
   // Check if the requester is an onboarding agent
   const isOnboardingAgent =
@@ -258,7 +259,11 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
   // Get gifts for each event to calculate stats
   const eventsWithStats = await Promise.all(
     events.map(async (event) => {
-      const eventGifts = await Gift.find({ eventId: event._id });
+      const eventGifts = await Gift.find({
+        eventId: event._id,
+        // Unpaid and refunded gifts were never credited to the host
+        status: { $nin: ["payment_pending", "cancelled"] },
+      });
       const totalGifts = eventGifts.length;
       const totalAmount = eventGifts.reduce(
         (sum, gift) => sum + (gift.valueInINR || 0),
@@ -339,7 +344,9 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
   // Format allocation transactions
   const allocationTransactions = userHistory
     ? userHistory.allocationHistory.map((allocation) => ({
-        type: "allocation",
+        // "allocation", or "switch_out"/"switch_in" for gold <-> stock switches
+        type: allocation.kind || "allocation",
+        switchId: allocation.switchId,
         amount: allocation.amount,
         allocationType: allocation.allocationType,
         quantity: allocation.quantity,
@@ -357,6 +364,25 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
     .populate("rejectedBy", "fullName")
     .sort({ createdAt: -1 });
 
+  // Get all redemptions (sell orders of allotted gold/stock)
+  const sellOrders = await SellOrder.find({ userId })
+    .populate("approvedBy", "name username")
+    .populate("rejectedBy", "name username")
+    .sort({ createdAt: -1 });
+
+  const redemptionTransactions = sellOrders.map((order) => ({
+    type: "redemption",
+    sellOrderId: order._id,
+    amount: order.amount,
+    assetType: order.assetType,
+    quantity: order.units,
+    pricePerUnit: order.pricePerUnit,
+    costBasis: order.costBasis,
+    realisedGain: order.realisedGain,
+    status: order.status,
+    createdAt: order.createdAt,
+  }));
+
   // Format transactions
   const transactions = [
     // Gifts sent
@@ -418,6 +444,8 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
     })),
     // Allocations
     ...allocationTransactions,
+    // Redemptions
+    ...redemptionTransactions,
   ].sort((a, b) => {
     const dateA = a.allocatedAt || a.createdAt;
     const dateB = b.allocatedAt || b.createdAt;
@@ -436,16 +464,24 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
     (sum, gift) => sum + (gift.valueInINR || 0),
     0
   );
-  const totalAllocated = allocationTransactions.reduce(
-    (sum, alloc) => sum + (alloc.amount || 0),
-    0
-  );
+  const totalAllocated = allocationTransactions
+    .filter((alloc) => alloc.type === "allocation")
+    .reduce((sum, alloc) => sum + (alloc.amount || 0), 0);
   const totalWithdrawn = withdrawals
     .filter((w) => w.status === "approved")
     .reduce((sum, w) => sum + (w.amount || 0), 0);
   const totalPendingWithdrawals = withdrawals
     .filter((w) => w.status === "pending")
     .reduce((sum, w) => sum + (w.amount || 0), 0);
+  const approvedSellOrders = sellOrders.filter((o) => o.status === "approved");
+  const totalRedeemed = approvedSellOrders.reduce(
+    (sum, order) => sum + (order.amount || 0),
+    0
+  );
+  const totalRealisedGains = approvedSellOrders.reduce(
+    (sum, order) => sum + (order.realisedGain || 0),
+    0
+  );
 
   // Calculate event totals
   const totalEventsCreated = eventsWithStats.length;
@@ -474,6 +510,9 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
         totalWithdrawn,
         totalPendingWithdrawals,
         totalUnallocatedMoney,
+        totalRedeemed,
+        totalRealisedGains,
+        withdrawableMoney: userHistory?.withdrawableMoney || 0,
         totalEventsCreated,
         totalEventGiftsAmount,
         totalEventWithdrawals,
@@ -481,7 +520,13 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
       transactions: {
         giftsSent: giftsSent.length,
         giftsReceived: giftsReceived.length,
-        allocations: allocationTransactions.length,
+        allocations: allocationTransactions.filter(
+          (alloc) => alloc.type === "allocation"
+        ).length,
+        switches: allocationTransactions.filter(
+          (alloc) => alloc.type === "switch_out"
+        ).length,
+        redemptions: redemptionTransactions.length,
         total: transactions.length,
         list: transactions,
       },
@@ -492,6 +537,13 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
         rejected: withdrawals.filter((w) => w.status === "rejected").length,
         list: withdrawals,
       },
+      redemptions: {
+        total: sellOrders.length,
+        approved: approvedSellOrders.length,
+        pending: sellOrders.filter((o) => o.status === "pending").length,
+        rejected: sellOrders.filter((o) => o.status === "rejected").length,
+        list: sellOrders,
+      },
       events: {
         total: eventsWithStats.length,
         active: eventsWithStats.filter((e) => e.status === "active").length,
@@ -504,6 +556,257 @@ exports.getUserTransactions = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Get Razorpay webhook events (paginated) - Accessible by admin and reconciliation agents
+// GET /api/v1/admin/payment-events?status=failed&event=payment.captured&giftId=...
+exports.getPaymentEvents = asyncHandler(async (req, res, next) => {
+  const PaymentEvent = require("../models/PaymentEvent");
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+  const { status, event, giftId, paymentId } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+  if (giftId) filter.giftId = giftId;
+  if (paymentId) filter.paymentId = paymentId;
+
+  const total = await PaymentEvent.countDocuments(filter);
+
+  const events = await PaymentEvent.find(filter)
+    .select("-payload")
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+    events,
+  });
+});
+
+// Get a single Razorpay webhook event with its raw payload
+// GET /api/v1/admin/payment-events/:id
+exports.getPaymentEventById = asyncHandler(async (req, res, next) => {
+  const PaymentEvent = require("../models/PaymentEvent");
+
+  const paymentEvent = await PaymentEvent.findById(req.params.id);
+  if (!paymentEvent) {
+    return res.status(404).json({
+      success: false,
+      message: "Payment event not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    event: paymentEvent,
+  });
+});
+
+// Force-cancel and refund a gift (disputes) - Admin only
+// POST /api/v1/admin/gifts/:giftId/refund
+// Body: { reason: string, allowUnreversed?: boolean }
+exports.forceRefundGift = asyncHandler(async (req, res, next) => {
+  const { cancelGift } = require("../services/giftCancellation.service");
+  const { giftId } = req.params;
+  const { reason, allowUnreversed } = req.body || {};
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide a reason for the refund",
+    });
+  }
+
+  try {
+    const result = await cancelGift({
+      giftId,
+      cancelledBy: { type: "admin", id: req.user.id },
+      reason,
+      allowUnreversed: allowUnreversed === true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        result.refund.status === "failed"
+          ? "Gift cancelled but the refund request failed"
+          : "Gift cancelled and refund initiated",
+      ...result,
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Get a user's wallet ledger with the balances it projects (paginated)
+// Accessible by admin and reconciliation agents
+// GET /api/v1/admin/users/:userId/ledger?type=allocation&giftId=...
+exports.getUserLedger = asyncHandler(async (req, res, next) => {
+  const mongoose = require("mongoose");
+  const LedgerEntry = require("../models/LedgerEntry");
+  const UserHistory = require("../models/UserHistory");
+  const { getLedgerBalances } = require("../services/ledger.service");
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid user ID",
+    });
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const startIndex = (page - 1) * limit;
+  const { type, giftId, withdrawalRequestId } = req.query;
+
+  const filter = { "postings.userId": userId };
+  if (type) filter.type = type;
+  if (giftId) filter.giftId = giftId;
+  if (withdrawalRequestId) filter.withdrawalRequestId = withdrawalRequestId;
+
+  const [total, entries, ledgerBalances, userHistory] = await Promise.all([
+    LedgerEntry.countDocuments(filter),
+    LedgerEntry.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit),
+    getLedgerBalances(userId),
+    UserHistory.findOne({ userId }).select(
+      "unallottedMoney holdingMoney allottedMoney allottedUnits"
+    ),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+    balances: {
+      ledger: ledgerBalances,
+      userHistory,
+    },
+    entries,
+  });
+});
+
+// Rebuild a user's UserHistory totals from the ledger - Admin only
+// POST /api/v1/admin/users/:userId/ledger/rebuild
+// Body: { apply?: boolean } (defaults to a dry run)
+exports.rebuildUserBalances = asyncHandler(async (req, res, next) => {
+  const {
+    rebuildUserHistoryFromLedger,
+  } = require("../services/ledger.service");
+  const { userId } = req.params;
+  const { apply } = req.body || {};
+
+  const result = await rebuildUserHistoryFromLedger({
+    userId,
+    apply: apply === true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: result.applied
+      ? "User balances rebuilt from ledger"
+      : Object.keys(result.differences).length > 0
+      ? "Balances differ from ledger (dry run, nothing changed)"
+      : "Balances match the ledger",
+    ...result,
+  });
+});
+
+// Post opening ledger balances for wallets created before the ledger - Admin only
+// POST /api/v1/admin/ledger/backfill
+exports.backfillLedgerOpeningBalances = asyncHandler(async (req, res, next) => {
+  const { backfillOpeningBalances } = require("../services/ledger.service");
+
+  const result = await backfillOpeningBalances();
+
+  res.status(200).json({
+    success: true,
+    message: "Opening balances backfilled",
+    ...result,
+  });
+});
+
+// Get event cancellation reports (paginated) - Accessible by admin and reconciliation agents
+// GET /api/v1/admin/event-cancellations?status=processing&policy=refund&hasFailures=true
+exports.getEventCancellations = asyncHandler(async (req, res, next) => {
+  const EventCancellation = require("../models/EventCancellation");
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+  const { status, policy, hasFailures } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (policy) filter.policy = policy;
+  if (hasFailures === "true") filter.failedCount = { $gt: 0 };
+
+  const total = await EventCancellation.countDocuments(filter);
+
+  const cancellations = await EventCancellation.find(filter)
+    .select("-gifts")
+    .populate("eventId", "title eventLink eventStartDate eventEndDate")
+    .populate("cancelledBy", "fullName number")
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: cancellations.length,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+    cancellations,
+  });
+});
+
+// Get an event cancellation report with the outcome of every gift
+// GET /api/v1/admin/event-cancellations/:id
+exports.getEventCancellationById = asyncHandler(async (req, res, next) => {
+  const EventCancellation = require("../models/EventCancellation");
+
+  const cancellation = await EventCancellation.findById(req.params.id)
+    .populate("eventId", "title eventLink eventStartDate eventEndDate")
+    .populate("cancelledBy", "fullName number")
+    .populate("gifts.senderId", "fullName number");
+  if (!cancellation) {
+    return res.status(404).json({
+      success: false,
+      message: "Event cancellation not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    cancellation,
+  });
+});
+
 // Helper to send token
 const sendToken = (user, statusCode, res) => {
   const token = user.getJwtToken();
@@ -319,7 +319,12 @@ exports.getMessagesForConversation = async (req, res, next) => {
     const limit = 25;
     const skip = (page - 1) * limit;
 
-    const messages = await Message.find({ conversationId })
+    // Messages of gifts scheduled for later delivery are only visible to
+    // their sender until the gift is delivered
+    const messages = await Message.find({
+      conversationId,
+      $or: [{ isScheduled: { $ne: true } }, { senderId: userId }],
+    })
       .populate("giftId")
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -515,7 +520,11 @@ exports.getMessagesByUserId = async (req, res, next) => {
     const skip = (page - 1) * limit;
 
     // Get last 25 messages for that conversation with gift data
-    const messages = await Message.find({ conversationId: conversation._id })
+    // Messages of undelivered scheduled gifts are only visible to their sender
+    const messages = await Message.find({
+      conversationId: conversation._id,
+      $or: [{ isScheduled: { $ne: true } }, { senderId: userId }],
+    })
       .populate("giftId")
       .sort({ createdAt: -1 })
       .skip(skip)
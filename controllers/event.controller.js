@@ -1,11 +1,40 @@
 const Event = require("../models/Event");
 const Gift = require("../models/Gift");
 const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  getHostRole,
+  canEditEvent,
+  hostedEventsQuery,
+  getCreditedShare,
+  findViewableEvent,
+  listHosts,
+  addHost,
+  updateHost,
+  removeHost,
+} = require("../services/eventHosts.service");
+const {
+  getEventAnalytics,
+  streamGiftRegisterCsv,
+  streamGiftRegisterPdf,
+} = require("../services/eventAnalytics.service");
+const {
+  recordLinkOpen,
+  endEvent,
+} = require("../services/eventLifecycle.service");
+const {
+  CANCELLATION_POLICIES,
+  cancelEvent,
+  getEventCancellation,
+} = require("../services/eventCancellation.service");
+const {
+  getEventGiftBreakdown,
+} = require("../services/withdrawalPolicy.service");
 
 /**
  * Create a new event
  * POST /api/v1/events
- * Body: { title, description, image, video, eventStartDate, eventEndDate, withdrawalPercentage }
+ * Body: { title, description, image, video, eventStartDate, eventEndDate, withdrawalPercentage, cancellationPolicy }
+ * cancellationPolicy: "refund" (default) or "keep" - what happens to the gifts if the event is cancelled
  */
 exports.createEvent = asyncHandler(async (req, res, next) => {
   const {
@@ -16,6 +45,7 @@ exports.createEvent = asyncHandler(async (req, res, next) => {
     eventStartDate,
     eventEndDate,
     // withdrawalPercentage,
+    cancellationPolicy,
   } = req.body;
   const userId = req.user.id;
 
@@ -44,6 +74,17 @@ exports.createEvent = asyncHandler(async (req, res, next) => {
     return next(err);
   }
 
+  if (
+    cancellationPolicy !== undefined &&
+    !CANCELLATION_POLICIES.includes(cancellationPolicy)
+  ) {
+    const err = new Error(
+      "cancellationPolicy must be either 'refund' or 'keep'"
+    );
+    err.statusCode = 400;
+    return next(err);
+  }
+
   // Validate withdrawal percentage
   // const percentage = withdrawalPercentage || 30;
   // if (percentage < 0 || percentage > 100) {
@@ -62,6 +103,7 @@ exports.createEvent = asyncHandler(async (req, res, next) => {
     eventStartDate: startDate,
     eventEndDate: endDate,
     // withdrawalPercentage: percentage,
+    cancellationPolicy,
   });
 
   res.status(201).json({
@@ -75,7 +117,7 @@ exports.createEvent = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Get all events created by the current user (or all events for superAdmin/reconciliation)
+ * Get all events the current user owns or co-hosts (or all events for superAdmin/reconciliation)
  * GET /api/v1/events
  */
 exports.getMyEvents = asyncHandler(async (req, res, next) => {
@@ -83,13 +125,13 @@ exports.getMyEvents = asyncHandler(async (req, res, next) => {
   const userId = req.user._id || req.user.id;
   const userRole = req.user.role;
 
-  // SuperAdmin, admin, and reconciliation can view all events, others can only view their own
+  // SuperAdmin, admin, and reconciliation can view all events, others can only view the ones they host
   const query =
     userRole === "superAdmin" ||
     userRole === "admin" ||
     userRole === "reconciliation"
       ? {}
-      : { creatorId: userId };
+      : hostedEventsQuery(userId);
 
   // Debug logging
   console.log("🔍 [getMyEvents] Query:", JSON.stringify(query));
@@ -163,8 +205,21 @@ exports.getEventByLink = asyncHandler(async (req, res, next) => {
     return next(err);
   }
 
+  // Signed-in visitors are reminded before the event starts
+  if (req.user) {
+    try {
+      await recordLinkOpen(event, req.user._id);
+    } catch (error) {
+      console.error("❌ Failed to record event link open:", error.message);
+    }
+  }
+
   // Get total gifts for this event
-  const gifts = await Gift.find({ eventId: event._id });
+  const gifts = await Gift.find({
+    eventId: event._id,
+    // Unpaid and refunded gifts were never credited to the host
+    status: { $nin: ["payment_pending", "cancelled"] },
+  });
   const totalGifts = gifts.length;
   const totalAmount = gifts.reduce(
     (sum, gift) => sum + (gift.valueInINR || 0),
@@ -191,7 +246,7 @@ exports.getEventByLink = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Get a specific event by ID (creator, superAdmin, or reconciliation can access)
+ * Get a specific event by ID (hosts, superAdmin, or reconciliation can access)
  * GET /api/v1/events/:eventId
  */
 exports.getEventById = asyncHandler(async (req, res, next) => {
@@ -199,13 +254,13 @@ exports.getEventById = asyncHandler(async (req, res, next) => {
   const userId = req.user.id;
   const userRole = req.user.role;
 
-  // SuperAdmin, admin, and reconciliation can view any event, others can only view their own
+  // SuperAdmin, admin, and reconciliation can view any event, others can only view the ones they host
   const query =
     userRole === "superAdmin" ||
     userRole === "admin" ||
     userRole === "reconciliation"
       ? { _id: eventId }
-      : { _id: eventId, creatorId: userId };
+      : { _id: eventId, ...hostedEventsQuery(userId) };
 
   const event = await Event.findOne(query).populate(
     "creatorId",
@@ -220,8 +275,21 @@ exports.getEventById = asyncHandler(async (req, res, next) => {
     return next(err);
   }
 
+  // Signed-in visitors are reminded before the event starts
+  if (req.user) {
+    try {
+      await recordLinkOpen(event, req.user._id);
+    } catch (error) {
+      console.error("❌ Failed to record event link open:", error.message);
+    }
+  }
+
   // Get total gifts for this event
-  const gifts = await Gift.find({ eventId: event._id })
+  const gifts = await Gift.find({
+    eventId: event._id,
+    // Unpaid and refunded gifts were never credited to the host
+    status: { $nin: ["payment_pending", "cancelled"] },
+  })
     .populate("senderId", "fullName image number")
     .populate("receiverId", "fullName image number")
     .sort({ createdAt: -1 });
@@ -262,9 +330,68 @@ exports.getEventById = asyncHandler(async (req, res, next) => {
     0
   );
   const maxWithdrawable = (totalAmount * event.withdrawalPercentage) / 100;
-  const availableForWithdrawal = Math.max(
-    0,
-    maxWithdrawable - totalPendingAmount - totalWithdrawnAmount
+
+  // Per-beneficiary limits - each host can withdraw from their own share
+  const beneficiaryIds = new Set([String(event.creatorId._id)]);
+  event.hosts
+    .filter((host) => host.role === "beneficiary")
+    .forEach((host) => beneficiaryIds.add(String(host.userId)));
+  gifts.forEach((gift) =>
+    (gift.beneficiaryShares || []).forEach((share) =>
+      beneficiaryIds.add(String(share.userId))
+    )
+  );
+  // Each gift is withdrawn up to withdrawalPercentage % of it, from the part
+  // that wasn't allocated - see services/withdrawalPolicy.service.js
+  const beneficiaries = [];
+  for (const beneficiaryId of beneficiaryIds) {
+    const received = gifts.reduce(
+      (sum, gift) => sum + getCreditedShare(gift, beneficiaryId),
+      0
+    );
+    const giftBreakdown = await getEventGiftBreakdown({
+      userId: beneficiaryId,
+      event,
+      gifts,
+    });
+    const ownRequests = allWithdrawals.filter(
+      (withdrawal) => String(withdrawal.userId?._id) === beneficiaryId
+    );
+    const pending = ownRequests
+      .filter((withdrawal) => withdrawal.status === "pending")
+      .reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
+    const withdrawn = ownRequests
+      .filter((withdrawal) => withdrawal.status === "approved")
+      .reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
+    // Requests from before per-gift tracking aren't in the breakdown
+    const untracked = ownRequests
+      .filter(
+        (withdrawal) =>
+          ["pending", "approved"].includes(withdrawal.status) &&
+          withdrawal.moneyState !== "alloting" &&
+          !withdrawal.giftDrawdowns?.length
+      )
+      .reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
+    const eligible = giftBreakdown.reduce(
+      (sum, gift) => sum + gift.eligible,
+      0
+    );
+    const maxForBeneficiary = (received * event.withdrawalPercentage) / 100;
+    beneficiaries.push({
+      userId: beneficiaryId,
+      role: getHostRole(event, beneficiaryId),
+      totalReceived: received,
+      maxWithdrawable: maxForBeneficiary,
+      totalPendingWithdrawals: pending,
+      totalWithdrawn: withdrawn,
+      availableForWithdrawal: Math.max(0, eligible - untracked),
+      gifts: giftBreakdown,
+    });
+  }
+
+  const availableForWithdrawal = beneficiaries.reduce(
+    (sum, beneficiary) => sum + beneficiary.availableForWithdrawal,
+    0
   );
 
   // Format gifts for response
@@ -296,6 +423,7 @@ exports.getEventById = asyncHandler(async (req, res, next) => {
       : null,
     createdAt: gift.createdAt,
     isSelfGift: gift.isSelfGift,
+    beneficiaryShares: gift.beneficiaryShares,
   }));
 
   // Format withdrawals for response
@@ -344,6 +472,8 @@ exports.getEventById = asyncHandler(async (req, res, next) => {
         totalWithdrawn: totalWithdrawnAmount,
         availableForWithdrawal: availableForWithdrawal,
       },
+      myRole: getHostRole(event, userId),
+      beneficiaries: beneficiaries,
       // Include gifts and withdrawals for admin users
       gifts: formattedGifts,
       withdrawals: {
@@ -373,17 +503,15 @@ exports.updateEvent = asyncHandler(async (req, res, next) => {
     eventStartDate,
     eventEndDate,
     withdrawalPercentage,
+    cancellationPolicy,
   } = req.body;
 
-  // SuperAdmin, admin, and reconciliation can update any event, others can only update their own
-  const query =
-    userRole === "admin" || userRole === "reconciliation"
-      ? { _id: eventId }
-      : { _id: eventId, creatorId: userId };
+  // Admin and reconciliation can update any event, others need to be its owner or an editor
+  const isAdminUser = userRole === "admin" || userRole === "reconciliation";
 
-  const event = await Event.findOne(query);
+  const event = await Event.findById(eventId);
 
-  if (!event) {
+  if (!event || (!isAdminUser && !canEditEvent(event, userId))) {
     const err = new Error(
       "Event not found or you don't have permission to update it"
     );
@@ -412,6 +540,30 @@ exports.updateEvent = asyncHandler(async (req, res, next) => {
     event.withdrawalPercentage = withdrawalPercentage;
   }
 
+  // The owner decides what happens to the gifts, until the event is cancelled
+  if (cancellationPolicy !== undefined) {
+    if (!isAdminUser && getHostRole(event, userId) !== "owner") {
+      const err = new Error(
+        "Only the event owner can change the cancellation policy"
+      );
+      err.statusCode = 403;
+      return next(err);
+    }
+    if (event.status === "cancelled") {
+      const err = new Error("The event has already been cancelled");
+      err.statusCode = 409;
+      return next(err);
+    }
+    if (!CANCELLATION_POLICIES.includes(cancellationPolicy)) {
+      const err = new Error(
+        "cancellationPolicy must be either 'refund' or 'keep'"
+      );
+      err.statusCode = 400;
+      return next(err);
+    }
+    event.cancellationPolicy = cancellationPolicy;
+  }
+
   // Update fields
   if (title) event.title = title;
   if (description !== undefined) event.description = description;
@@ -443,6 +595,12 @@ exports.updateEvent = asyncHandler(async (req, res, next) => {
     return next(err);
   }
 
+  // Extending an ended event reopens it for gifts
+  if (event.status === "ended" && event.eventEndDate > new Date()) {
+    event.status = "active";
+    event.endedAt = null;
+  }
+
   await event.save();
 
   res.status(200).json({
@@ -512,11 +670,267 @@ exports.endEventNow = asyncHandler(async (req, res, next) => {
   event.eventEndDate = new Date();
   await event.save();
 
+  // Mark it ended and tell the hosts withdrawals are open
+  const endedEvent = await endEvent(event);
+
   res.status(200).json({
     success: true,
     message: "Event ended successfully",
     data: {
-      event: event,
+      event: endedEvent || event,
     },
   });
 });
+
+/**
+ * Cancel an event (owner only)
+ * Pending withdrawals are blocked and the gifts refunded or kept with the hosts
+ * in the background - see GET /api/v1/events/:eventId/cancellation
+ * POST /api/v1/events/:eventId/cancel
+ * Body: { policy?: "refund" | "keep" (default the event's cancellationPolicy), reason? }
+ */
+exports.cancelEvent = asyncHandler(async (req, res, next) => {
+  const { policy, reason } = req.body || {};
+
+  try {
+    const cancellation = await cancelEvent({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      policy,
+      reason,
+    });
+
+    res.status(202).json({
+      success: true,
+      message:
+        cancellation.policy === "refund"
+          ? "Event cancelled, the gifts are being refunded"
+          : "Event cancelled, the gifts stay with the hosts",
+      data: {
+        cancellation,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get the outcome of an event's cancellation (owner only)
+ * GET /api/v1/events/:eventId/cancellation
+ */
+exports.getEventCancellation = asyncHandler(async (req, res, next) => {
+  try {
+    const cancellation = await getEventCancellation({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cancellation,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get the hosts of an event - owner, editors and beneficiaries with their share
+ * GET /api/v1/events/:eventId/hosts
+ */
+exports.getEventHosts = asyncHandler(async (req, res, next) => {
+  try {
+    const hosts = await listHosts({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      userRole: req.user.role,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hosts,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Add a co-host to an event (owner only)
+ * A beneficiary's share is taken from the owner's, for gifts received from now on
+ * POST /api/v1/events/:eventId/hosts
+ * Body: { userId | number, role: "editor" | "beneficiary", sharePercentage }
+ */
+exports.addEventHost = asyncHandler(async (req, res, next) => {
+  const { userId: hostUserId, number, role, sharePercentage } = req.body;
+
+  try {
+    const event = await addHost({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      hostUserId,
+      number,
+      role,
+      sharePercentage,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Host added successfully",
+      data: {
+        event,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Change a co-host's role or share (owner only)
+ * PATCH /api/v1/events/:eventId/hosts/:hostUserId
+ * Body: { role?, sharePercentage? }
+ */
+exports.updateEventHost = asyncHandler(async (req, res, next) => {
+  const { role, sharePercentage } = req.body;
+
+  try {
+    const event = await updateHost({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      hostUserId: req.params.hostUserId,
+      role,
+      sharePercentage,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Host updated successfully",
+      data: {
+        event,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Remove a co-host from an event (owner only)
+ * DELETE /api/v1/events/:eventId/hosts/:hostUserId
+ */
+exports.removeEventHost = asyncHandler(async (req, res, next) => {
+  try {
+    const event = await removeHost({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      hostUserId: req.params.hostUserId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Host removed successfully",
+      data: {
+        event,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get gift analytics of an event (hosts, superAdmin, or reconciliation)
+ * GET /api/v1/events/:eventId/analytics?interval=day|hour
+ */
+exports.getEventAnalytics = asyncHandler(async (req, res, next) => {
+  try {
+    const event = await findViewableEvent({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      userRole: req.user.role,
+    });
+    const analytics = await getEventAnalytics({
+      event,
+      interval: req.query.interval || "day",
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        ...analytics,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Download the gift register of an event - sender, phone, amount, type,
+ * message and time of every gift (hosts, superAdmin, or reconciliation)
+ * GET /api/v1/events/:eventId/register?format=csv|pdf
+ */
+exports.exportGiftRegister = asyncHandler(async (req, res, next) => {
+  const format = req.query.format || "csv";
+
+  if (!["csv", "pdf"].includes(format)) {
+    const err = new Error("format must be either 'csv' or 'pdf'");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  try {
+    const event = await findViewableEvent({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      userRole: req.user.role,
+    });
+
+    const fileName = `gift-register-${event.eventLink}.${format}`;
+    res.status(200);
+    res.setHeader(
+      "Content-Type",
+      format === "csv" ? "text/csv; charset=utf-8" : "application/pdf"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    if (format === "csv") {
+      await streamGiftRegisterCsv(event, res);
+    } else {
+      await streamGiftRegisterPdf(event, res);
+    }
+  } catch (error) {
+    // The download has started - the client gets a truncated file
+    if (res.headersSent) {
+      console.error(
+        `❌ Gift register export failed for event ${req.params.eventId}:`,
+        error.message
+      );
+      return res.destroy(error);
+    }
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
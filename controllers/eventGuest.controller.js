@@ -0,0 +1,156 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  findEventByLink,
+  requestGuestOtp,
+  verifyGuestOtp,
+  createGuestGift,
+  getGuestGift,
+} = require("../services/eventGuest.service");
+const { getEventWall } = require("../services/eventWall.service");
+
+/**
+ * Send an OTP to a guest gifting through the event link (public)
+ * POST /api/v1/events/link/:eventLink/guest/otp
+ * Body: { number, fullName? }
+ */
+exports.requestGuestOtp = asyncHandler(async (req, res, next) => {
+  const { number, fullName } = req.body;
+
+  try {
+    await requestGuestOtp({
+      eventLink: req.params.eventLink,
+      number,
+      fullName,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "OTP sent successfully. Please verify to continue.",
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Verify a guest's OTP and get a guest token for gifting (public)
+ * POST /api/v1/events/link/:eventLink/guest/verify
+ * Body: { number, otp }
+ */
+exports.verifyGuestOtp = asyncHandler(async (req, res, next) => {
+  const { number, otp } = req.body;
+
+  try {
+    const { token, guest } = await verifyGuestOtp({
+      eventLink: req.params.eventLink,
+      number,
+      otp,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Phone number verified",
+      data: {
+        token,
+        guest,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Create a guest gift to the event host - returns a Razorpay order to pay it
+ * POST /api/v1/events/link/:eventLink/guest/gifts
+ * Headers: Authorization: Bearer <guest token>
+ * Body: { type: "gold" | "stock", amount, name?, message? }
+ */
+exports.createGuestGift = asyncHandler(async (req, res, next) => {
+  const { type, amount, name, message } = req.body;
+
+  try {
+    const { gift, order } = await createGuestGift({
+      eventLink: req.params.eventLink,
+      guest: req.guest,
+      type,
+      amount,
+      name,
+      message,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Gift created, complete the payment to send it",
+      data: {
+        gift,
+        order,
+        keyId: process.env.RAZORPAY_KEY_ID,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to create gift");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get the status of a guest's gift
+ * GET /api/v1/events/link/:eventLink/guest/gifts/:giftId
+ * Headers: Authorization: Bearer <guest token>
+ */
+exports.getGuestGift = asyncHandler(async (req, res, next) => {
+  try {
+    const gift = await getGuestGift({
+      giftId: req.params.giftId,
+      guest: req.guest,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gift,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get the guest wall of an event (public)
+ * Live updates are sent to the "event:<eventId>" socket room (joinEventWall)
+ * GET /api/v1/events/link/:eventLink/wall?page=1&limit=20
+ */
+exports.getGuestWall = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+
+  try {
+    const event = await findEventByLink(req.params.eventLink);
+    const { entries, pagination } = await getEventWall({
+      eventId: event._id,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        entries,
+        pagination,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
@@ -0,0 +1,109 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  createThankYouBatch,
+  listThankYouBatches,
+  getThankYouBatch,
+} = require("../services/thankYou.service");
+
+// recipientIds can be an array (JSON body), or a JSON array or comma separated
+// list (multipart form field)
+const parseRecipientIds = (recipientIds) => {
+  if (recipientIds === undefined || recipientIds === "") return undefined;
+  if (Array.isArray(recipientIds)) return recipientIds;
+  try {
+    const parsed = JSON.parse(recipientIds);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // Not JSON - a comma separated list
+  }
+  return String(recipientIds)
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Send a thank-you note to all or selected gifters of an event
+ * Notes are sent as chat messages from the host in the background; progress is
+ * pushed over socket ("thankYouProgress", "thankYouCompleted")
+ * POST /api/v1/events/:eventId/thank-you
+ * Body (JSON or multipart/form-data): { template, recipientIds?, mediaUrl?, media? (photo) }
+ * template supports the {name} and {amount} placeholders
+ */
+exports.sendThankYou = asyncHandler(async (req, res, next) => {
+  const { template, recipientIds, mediaUrl } = req.body || {};
+
+  try {
+    const batch = await createThankYouBatch({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      template,
+      recipientIds: parseRecipientIds(recipientIds),
+      file: req.file,
+      mediaUrl,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Thank-you notes are being sent to ${batch.totalCount} gifters`,
+      data: {
+        batch,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to send thank-you notes");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Thank-you batches sent for an event
+ * GET /api/v1/events/:eventId/thank-you
+ */
+exports.getThankYouBatches = asyncHandler(async (req, res, next) => {
+  try {
+    const batches = await listThankYouBatches({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Thank-you batches retrieved successfully",
+      data: {
+        batches,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to get thank-you batches");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * A thank-you batch with the status of every recipient
+ * GET /api/v1/events/:eventId/thank-you/:batchId
+ */
+exports.getThankYouBatch = asyncHandler(async (req, res, next) => {
+  try {
+    const batch = await getThankYouBatch({
+      eventId: req.params.eventId,
+      batchId: req.params.batchId,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Thank-you batch retrieved successfully",
+      data: {
+        batch,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to get thank-you batch");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
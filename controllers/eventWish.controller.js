@@ -0,0 +1,247 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const { findEventByLink } = require("../services/eventGuest.service");
+const {
+  createWish,
+  listWishes,
+  setWishHidden,
+} = require("../services/eventWish.service");
+const {
+  findModeratedEvent,
+  getEventWall,
+  setGiftHiddenOnWall,
+} = require("../services/eventWall.service");
+
+/**
+ * Post a wish on an event's guest wall as an app user
+ * Live updates are sent to the "event:<eventId>" socket room (joinEventWall)
+ * POST /api/v1/events/link/:eventLink/wishes
+ * Body (multipart/form-data): { name?, message?, media? (photo or video) }
+ */
+exports.postWish = asyncHandler(async (req, res, next) => {
+  const { name, message } = req.body || {};
+
+  try {
+    const event = await findEventByLink(req.params.eventLink);
+    const wish = await createWish({
+      event,
+      authorId: req.user.id,
+      isGuest: false,
+      name,
+      message,
+      file: req.file,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Wish posted successfully",
+      data: {
+        wish,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to post wish");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Post a wish on an event's guest wall as a phone-verified guest
+ * POST /api/v1/events/link/:eventLink/guest/wishes
+ * Headers: Authorization: Bearer <guest token>
+ * Body (multipart/form-data): { name?, message?, media? (photo or video) }
+ */
+exports.postGuestWish = asyncHandler(async (req, res, next) => {
+  const { name, message } = req.body || {};
+
+  try {
+    const event = await findEventByLink(req.params.eventLink);
+    if (String(event._id) !== String(req.guest.eventId)) {
+      const err = new Error("Guest token is not valid for this event");
+      err.statusCode = 403;
+      return next(err);
+    }
+
+    const wish = await createWish({
+      event,
+      authorId: req.guest.id,
+      isGuest: true,
+      name,
+      message,
+      file: req.file,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Wish posted successfully",
+      data: {
+        wish,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to post wish");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get the wishes on an event's guest wall (public)
+ * GET /api/v1/events/link/:eventLink/wishes?page=1&limit=20
+ */
+exports.getWishes = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+
+  try {
+    const event = await findEventByLink(req.params.eventLink);
+    const { wishes, pagination } = await listWishes({
+      eventId: event._id,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        wishes,
+        pagination,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get all wishes of an event, including hidden ones (host)
+ * GET /api/v1/events/:eventId/wishes?page=1&limit=20
+ */
+exports.getEventWishesForHost = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+
+  try {
+    const event = await findModeratedEvent({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      userRole: req.user.role,
+    });
+    const { wishes, pagination } = await listWishes({
+      eventId: event._id,
+      page,
+      limit,
+      includeHidden: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        wishes,
+        pagination,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get all gift entries of an event's guest wall, including hidden ones (host)
+ * GET /api/v1/events/:eventId/wall?page=1&limit=20
+ */
+exports.getEventWallForHost = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+
+  try {
+    const event = await findModeratedEvent({
+      eventId: req.params.eventId,
+      userId: req.user.id,
+      userRole: req.user.role,
+    });
+    const { entries, pagination } = await getEventWall({
+      eventId: event._id,
+      page,
+      limit,
+      includeHidden: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Hide a wish from the guest wall, or show it again (host)
+ * PATCH /api/v1/events/:eventId/wishes/:wishId/visibility
+ * Body: { hidden: true | false }
+ */
+exports.setWishVisibility = asyncHandler(async (req, res, next) => {
+  const { hidden } = req.body;
+
+  try {
+    const wish = await setWishHidden({
+      eventId: req.params.eventId,
+      wishId: req.params.wishId,
+      hidden,
+      userId: req.user.id,
+      userRole: req.user.role,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: hidden ? "Wish hidden from the wall" : "Wish shown on the wall",
+      data: {
+        wish,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Hide a gift from the guest wall, or show it again (host)
+ * The gift and its amount are not affected
+ * PATCH /api/v1/events/:eventId/wall/gifts/:giftId/visibility
+ * Body: { hidden: true | false }
+ */
+exports.setWallGiftVisibility = asyncHandler(async (req, res, next) => {
+  const { hidden } = req.body;
+
+  try {
+    const entry = await setGiftHiddenOnWall({
+      eventId: req.params.eventId,
+      giftId: req.params.giftId,
+      hidden,
+      userId: req.user.id,
+      userRole: req.user.role,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: hidden ? "Gift hidden from the wall" : "Gift shown on the wall",
+      data: {
+        entry,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
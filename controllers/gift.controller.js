@@ -1,13 +1,28 @@
 const mongoose = require("mongoose");
 const Gift = require("../models/Gift");
 const User = require("../models/user.model");
+const UserHistory = require("../models/UserHistory");
 const asyncHandler = require("../middlewares/asyncHandler");
 const { getIO } = require("../server");
 const {
   allocateGift,
   getUserAllocationSummary,
 } = require("../services/giftAllocation.service");
+const { getLatestPrices } = require("../services/priceFeed.service");
+const {
+  getPortfolioValuation,
+} = require("../services/portfolioValuation.service");
 const { sendAllocationNotification } = require("../services/fcm.service");
+const { cancelGift } = require("../services/giftCancellation.service");
+const {
+  switchHolding,
+  getSwitchHistory,
+} = require("../services/holdingSwitch.service");
+const {
+  HIDDEN_FROM_RECEIVER,
+  listScheduledGifts,
+  updateScheduledGift,
+} = require("../services/giftDelivery.service");
 
 /**
  * Allocate money from user's unallotted money to gold or stock
@@ -166,18 +181,22 @@ exports.getAllocationSummary = asyncHandler(async (req, res, next) => {
 
 /**
  * Get user's portfolio summary for home screen
- * Returns: Overall, Gold, and Stock totals (excluding withdrawn gifts)
+ * Returns: Overall, Gold, and Stock current values (marked to market) with
+ * change vs previous day's close, plus day/week/month/since-inception returns
+ * and the history of gold <-> stock switches
  * GET /api/v1/gifts/portfolio-summary
  */
 exports.getPortfolioSummary = asyncHandler(async (req, res, next) => {
   const userId = req.user.id;
 
   try {
-    const UserHistory = require("../models/UserHistory");
     const WithdrawalRequest = require("../models/WithdrawalRequest");
+    const UserHistory = require("../models/UserHistory");
 
-    // Get user history
-    const userHistory = await UserHistory.getOrCreate(userId);
+    const valuation = await getPortfolioValuation(userId);
+    const userHistory = await UserHistory.findOne({ userId }).select(
+      "allocationHistory"
+    );
 
     // Get total withdrawn amount (approved withdrawals only)
     const approvedWithdrawals = await WithdrawalRequest.find({
@@ -189,40 +208,78 @@ exports.getPortfolioSummary = asyncHandler(async (req, res, next) => {
       0
     );
 
-    // Get allocated amounts (these are the current holdings)
-    const goldAmount = userHistory.allottedMoney?.gold || 0;
-    const stockAmount = userHistory.allottedMoney?.stock || 0;
-    const overallAmount = goldAmount + stockAmount;
+    res.status(200).json({
+      success: true,
+      data: {
+        overall: valuation.overall,
+        gold: valuation.gold,
+        stock: valuation.stock,
+        returns: valuation.returns,
+        pricesAsOf: valuation.pricesAsOf,
+        totalWithdrawn: totalWithdrawn,
+        switchHistory: userHistory ? getSwitchHistory(userHistory) : [],
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to get portfolio summary");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Switch holdings between gold and stock at current prices
+ * POST /api/v1/gifts/switch
+ * Body: { fromType: "gold" | "stock", units?: number, amount?: number, switchAll?: boolean }
+ */
+exports.switchHolding = asyncHandler(async (req, res, next) => {
+  const { fromType, units, amount, switchAll } = req.body;
+  const userId = req.user.id;
+
+  if (!fromType || !["gold", "stock"].includes(fromType)) {
+    const err = new Error("fromType must be either 'gold' or 'stock'");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  if (!switchAll && !units && !amount) {
+    const err = new Error("Provide units, amount or switchAll");
+    err.statusCode = 400;
+    return next(err);
+  }
 
-    // Calculate percentage change (placeholder - you can enhance this with actual market data)
-    // For now, returning 0% change
-    const goldChange = "+0.00%";
-    const stockChange = "+0.00%";
-    const overallChange = "+0.00%";
+  try {
+    const result = await switchHolding({
+      userId,
+      fromType,
+      units,
+      amount,
+      switchAll: Boolean(switchAll),
+    });
 
     res.status(200).json({
       success: true,
+      message: `Switched ₹${result.value} of ${result.fromType} to ${result.toType}`,
       data: {
-        overall: {
-          amount: overallAmount,
-          change: overallChange,
-          changeAmount: 0, // You can calculate this based on previous day's value
+        switch: {
+          switchId: result.switchId,
+          fromType: result.fromType,
+          toType: result.toType,
+          fromUnits: result.fromUnits,
+          toUnits: result.toUnits,
+          value: result.value,
+          costBasis: result.costBasis,
+          fromPrice: result.fromPrice,
+          toPrice: result.toPrice,
+          conversionRate: result.conversionRate,
+          switchedAt: result.switchedAt,
         },
-        gold: {
-          amount: goldAmount,
-          change: goldChange,
-          changeAmount: 0,
-        },
-        stock: {
-          amount: stockAmount,
-          change: stockChange,
-          changeAmount: 0,
-        },
-        totalWithdrawn: totalWithdrawn,
+        allottedMoney: result.userHistory.allottedMoney,
+        allottedUnits: result.userHistory.allottedUnits,
       },
     });
   } catch (error) {
-    const err = new Error(error.message || "Failed to get portfolio summary");
+    const err = new Error(error.message || "Failed to switch holdings");
     err.statusCode = error.statusCode || 500;
     return next(err);
   }
@@ -230,19 +287,51 @@ exports.getPortfolioSummary = asyncHandler(async (req, res, next) => {
 
 /**
  * Helper function to calculate current value of a gift based on current market prices
- * This can be used to update gift values when prices change
+ * Each allocation of the gift is valued with its own holding type and
+ * quantity - a gift sent as gold may have been allocated to stock
+ * @param {Object} gift - Gift document
+ * @param {Object} latestPrices - Result of getLatestPrices() ({ gold, stock })
+ * @param {Array} allocations - The receiver's allocations of this gift
+ *   (UserHistory.allocationHistory entries)
  */
-const calculateCurrentGiftValue = (gift) => {
-  if (!gift.isAllotted || !gift.currentPricePerUnit) {
-    // For unallotted gifts, use original value
-    return gift.valueInINR;
+const calculateCurrentGiftValue = (gift, latestPrices, allocations = []) => {
+  if (!allocations.length) {
+    const latestPrice = latestPrices?.[gift.type]?.price;
+    if (!gift.isAllotted || !latestPrice) {
+      // For unallotted gifts (or when no price is known), use original value
+      return gift.valueInINR;
+    }
+    // Allotted without recorded allocations: quantity × current market price
+    return gift.quantity * latestPrice;
+  }
+
+  let allocatedAmount = 0;
+  let allocatedValue = 0;
+  for (const allocation of allocations) {
+    const latestPrice = latestPrices?.[allocation.allocationType]?.price;
+    allocatedAmount += allocation.amount;
+    allocatedValue += latestPrice
+      ? allocation.quantity * latestPrice
+      : allocation.amount;
   }
 
-  // For allotted gifts, calculate: quantity × current market price
-  // Note: currentPricePerUnit should be updated periodically with market prices
-  return gift.quantity * gift.currentPricePerUnit;
+  // The part not allocated yet keeps its original value
+  return allocatedValue + Math.max(0, gift.valueInINR - allocatedAmount);
 };
 
+/**
+ * Get latest gold and stock prices
+ * GET /api/v1/gifts/prices
+ */
+exports.getCurrentPrices = asyncHandler(async (req, res, next) => {
+  const prices = await getLatestPrices();
+
+  res.status(200).json({
+    success: true,
+    data: prices,
+  });
+});
+
 /**
  * Get all gifts received by the current user
  * GET /api/v1/gifts/received
@@ -250,16 +339,34 @@ const calculateCurrentGiftValue = (gift) => {
 exports.getReceivedGifts = asyncHandler(async (req, res, next) => {
   const userId = req.user.id;
 
+  // Gifts scheduled for later delivery stay hidden until they are delivered
   const gifts = await Gift.find({
     receiverId: userId,
+    $nor: [HIDDEN_FROM_RECEIVER],
   })
     .populate("senderId", "fullName image number")
     .sort({ createdAt: -1 });
 
   // Calculate current value for each gift
+  const latestPrices = await getLatestPrices();
+  const userHistory = await UserHistory.findOne({ userId }).select(
+    "allocationHistory"
+  );
+  const allocationsByGift = {};
+  for (const allocation of userHistory?.allocationHistory || []) {
+    if (!allocation.giftId) continue;
+    const key = String(allocation.giftId);
+    (allocationsByGift[key] = allocationsByGift[key] || []).push(allocation);
+  }
+
   const giftsWithCurrentValue = gifts.map((gift) => {
     const giftObj = gift.toObject();
-    giftObj.currentValueInINR = calculateCurrentGiftValue(gift);
+    giftObj.currentPricePerUnit = latestPrices[gift.type]?.price ?? null;
+    giftObj.currentValueInINR = calculateCurrentGiftValue(
+      gift,
+      latestPrices,
+      allocationsByGift[String(gift._id)]
+    );
     return giftObj;
   });
 
@@ -300,7 +407,11 @@ exports.getGiftById = asyncHandler(async (req, res, next) => {
 
   const gift = await Gift.findOne({
     _id: giftId,
-    $or: [{ senderId: userId }, { receiverId: userId }],
+    $or: [
+      { senderId: userId },
+      // Receivers can't see scheduled gifts before delivery
+      { receiverId: userId, $nor: [HIDDEN_FROM_RECEIVER] },
+    ],
   })
     .populate("senderId", "fullName image number")
     .populate("receiverId", "fullName image number");
@@ -319,6 +430,99 @@ exports.getGiftById = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Cancel a sent gift that the receiver has not accepted or allocated yet
+ * Reverses the receiver's credit and refunds the payment
+ * PATCH /api/v1/gifts/:giftId/cancel
+ * Body: { reason?: string }
+ */
+exports.cancelGift = asyncHandler(async (req, res, next) => {
+  const { giftId } = req.params;
+  const { reason } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(giftId)) {
+    const err = new Error("Invalid gift ID");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  try {
+    const { gift, refund } = await cancelGift({
+      giftId,
+      cancelledBy: { type: "sender", id: req.user.id },
+      reason: reason || null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        refund.status === "failed"
+          ? "Gift cancelled. The refund could not be started and will be retried by support."
+          : "Gift cancelled successfully",
+      data: {
+        gift,
+        refund,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get gifts the current user scheduled that have not been delivered yet
+ * GET /api/v1/gifts/scheduled
+ */
+exports.getScheduledGifts = asyncHandler(async (req, res, next) => {
+  const gifts = await listScheduledGifts(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: gifts.length,
+    gifts: gifts,
+  });
+});
+
+/**
+ * Change a scheduled gift before it is delivered
+ * PATCH /api/v1/gifts/:giftId/schedule
+ * Body: { deliverAt?: Date, note?: string, message?: string }
+ */
+exports.updateScheduledGift = asyncHandler(async (req, res, next) => {
+  const { giftId } = req.params;
+  const { deliverAt, note, message } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(giftId)) {
+    const err = new Error("Invalid gift ID");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  try {
+    const gift = await updateScheduledGift({
+      giftId,
+      senderId: req.user.id,
+      deliverAt,
+      note,
+      message,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled gift updated successfully",
+      data: {
+        gift,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
 /**
  * Accept a gift (mark as accepted before allocation)
  * PATCH /api/v1/gifts/:giftId/accept
@@ -0,0 +1,225 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  createPool,
+  listPools,
+  getPoolByLink,
+  getPoolById,
+  contributeToPool,
+  closePool,
+  cancelPool,
+} = require("../services/giftPool.service");
+
+/**
+ * Create a group gift pool
+ * POST /api/v1/gift-pools
+ * Body: { receiverId?, receiverNumber?, title, description?, type: "gold" | "stock",
+ *         name?, icon?, note?, targetAmount, deadline }
+ */
+exports.createPool = asyncHandler(async (req, res, next) => {
+  const {
+    receiverId,
+    receiverNumber,
+    title,
+    description,
+    type,
+    name,
+    icon,
+    note,
+    targetAmount,
+    deadline,
+  } = req.body;
+
+  try {
+    const pool = await createPool({
+      organiserId: req.user.id,
+      receiverId,
+      receiverNumber,
+      title,
+      description,
+      type,
+      name,
+      icon,
+      note,
+      targetAmount,
+      deadline,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Gift pool created successfully",
+      data: {
+        pool,
+        poolLink: pool.poolLink,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to create gift pool");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get gift pools the current user organised or contributed to
+ * GET /api/v1/gift-pools?role=organised|contributed&status=open&page=1&limit=20
+ */
+exports.getMyPools = asyncHandler(async (req, res, next) => {
+  const { role, status, page, limit } = req.query;
+
+  const { pools, pagination } = await listPools({
+    userId: req.user.id,
+    role,
+    status,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      pools,
+      pagination,
+    },
+  });
+});
+
+/**
+ * Get gift pool by shareable link (public)
+ * GET /api/v1/gift-pools/link/:poolLink
+ */
+exports.getPoolByLink = asyncHandler(async (req, res, next) => {
+  try {
+    const { pool, contributors } = await getPoolByLink(req.params.poolLink);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pool,
+        contributors,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get gift pool by ID (organiser sees all contributions, contributors their own)
+ * GET /api/v1/gift-pools/:poolId
+ */
+exports.getPoolById = asyncHandler(async (req, res, next) => {
+  try {
+    const { pool, contributions } = await getPoolById({
+      poolId: req.params.poolId,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pool,
+        contributions,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Contribute to a gift pool - returns a Razorpay order to complete checkout
+ * POST /api/v1/gift-pools/link/:poolLink/contributions
+ * Body: { amount, message? }
+ */
+exports.contributeToPool = asyncHandler(async (req, res, next) => {
+  const { amount, message } = req.body;
+
+  try {
+    const { order, contribution } = await contributeToPool({
+      poolLink: req.params.poolLink,
+      contributorId: req.user.id,
+      amount,
+      message,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Contribution created, complete the payment to add it",
+      data: {
+        contribution,
+        order,
+        keyId: process.env.RAZORPAY_KEY_ID,
+      },
+    });
+  } catch (error) {
+    const err = new Error(
+      error.message || "Failed to create gift pool contribution"
+    );
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Close a gift pool now and send the collected amount as one gift
+ * PATCH /api/v1/gift-pools/:poolId/close
+ */
+exports.closePool = asyncHandler(async (req, res, next) => {
+  try {
+    const { pool, gift } = await closePool({
+      poolId: req.params.poolId,
+      organiserId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Gift pool closed and gift sent",
+      data: {
+        pool,
+        gift,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to close gift pool");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Cancel a gift pool and refund all contributions
+ * PATCH /api/v1/gift-pools/:poolId/cancel
+ * Body: { reason?: string }
+ */
+exports.cancelPool = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body || {};
+
+  try {
+    const { pool, refundsInitiated, refundsFailed } = await cancelPool({
+      poolId: req.params.poolId,
+      organiserId: req.user.id,
+      reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        refundsFailed > 0
+          ? "Gift pool cancelled. Some refunds could not be started and will be retried."
+          : "Gift pool cancelled, contributions are being refunded",
+      data: {
+        pool,
+        refundsInitiated,
+        refundsFailed,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to cancel gift pool");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
@@ -0,0 +1,218 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  createSchedule,
+  listSchedules,
+  getScheduleWithRuns,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule,
+  createScheduleMandate,
+} = require("../services/giftSchedule.service");
+
+/**
+ * Create a recurring gift schedule
+ * POST /api/v1/gift-schedules
+ * Body: { receiverId?, receiverNumber?, frequency: "weekly" | "monthly" | "yearly",
+ *         amount, type: "gold" | "stock", name?, icon?, noteTemplate?, startDate?, endDate? }
+ */
+exports.createSchedule = asyncHandler(async (req, res, next) => {
+  const {
+    receiverId,
+    receiverNumber,
+    frequency,
+    amount,
+    type,
+    name,
+    icon,
+    noteTemplate,
+    startDate,
+    endDate,
+  } = req.body;
+
+  try {
+    const schedule = await createSchedule({
+      senderId: req.user.id,
+      receiverId,
+      receiverNumber,
+      frequency,
+      amount,
+      type,
+      name,
+      icon,
+      noteTemplate,
+      startDate,
+      endDate,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Gift schedule created successfully",
+      data: {
+        schedule,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to create gift schedule");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get gift schedules of the current user
+ * GET /api/v1/gift-schedules?status=active&page=1&limit=20
+ */
+exports.getMySchedules = asyncHandler(async (req, res, next) => {
+  const { status, page, limit } = req.query;
+
+  const { schedules, pagination } = await listSchedules({
+    senderId: req.user.id,
+    status,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      schedules,
+      pagination,
+    },
+  });
+});
+
+/**
+ * Get a gift schedule with its run history
+ * GET /api/v1/gift-schedules/:scheduleId?page=1&limit=20
+ */
+exports.getScheduleById = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+
+  try {
+    const { schedule, runs, pagination } = await getScheduleWithRuns({
+      scheduleId: req.params.scheduleId,
+      senderId: req.user.id,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schedule,
+        runs,
+        pagination,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to get gift schedule");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Pause a gift schedule
+ * PATCH /api/v1/gift-schedules/:scheduleId/pause
+ */
+exports.pauseSchedule = asyncHandler(async (req, res, next) => {
+  try {
+    const schedule = await pauseSchedule({
+      scheduleId: req.params.scheduleId,
+      senderId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Gift schedule paused",
+      data: {
+        schedule,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to pause gift schedule");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Resume a paused gift schedule
+ * PATCH /api/v1/gift-schedules/:scheduleId/resume
+ */
+exports.resumeSchedule = asyncHandler(async (req, res, next) => {
+  try {
+    const schedule = await resumeSchedule({
+      scheduleId: req.params.scheduleId,
+      senderId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        schedule.status === "completed"
+          ? "Gift schedule has no occurrences left and is completed"
+          : "Gift schedule resumed",
+      data: {
+        schedule,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to resume gift schedule");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Cancel a gift schedule
+ * PATCH /api/v1/gift-schedules/:scheduleId/cancel
+ */
+exports.cancelSchedule = asyncHandler(async (req, res, next) => {
+  try {
+    const schedule = await cancelSchedule({
+      scheduleId: req.params.scheduleId,
+      senderId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Gift schedule cancelled",
+      data: {
+        schedule,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to cancel gift schedule");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Create a Razorpay mandate order so future occurrences are charged automatically
+ * Open it in checkout with recurring: 1 and the returned customerId
+ * POST /api/v1/gift-schedules/:scheduleId/mandate
+ */
+exports.createScheduleMandate = asyncHandler(async (req, res, next) => {
+  try {
+    const { order, customerId } = await createScheduleMandate({
+      scheduleId: req.params.scheduleId,
+      senderId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Mandate order created successfully",
+      data: {
+        order,
+        customerId,
+        keyId: process.env.RAZORPAY_KEY_ID,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to create mandate order");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
@@ -5,11 +5,12 @@ const {
   sendKycApprovalNotification,
   sendKycRejectionNotification,
 } = require("../services/fcm.service");
+const { refreshNameMatches } = require("../services/payoutBeneficiary.service");
 const uploader = new Uploader();
 
 exports.submitKyc = async (req, res, next) => {
   try {
-    const { idType, frontPic, backPic, selfie } = req.body;
+    const { idType, fullName, frontPic, backPic, selfie } = req.body;
     const userId = req.user.id;
 
     if (!frontPic || !backPic || !selfie) {
@@ -32,6 +33,7 @@ exports.submitKyc = async (req, res, next) => {
     if (kyc) {
       // Update existing rejected KYC
       kyc.idType = idType;
+      kyc.fullName = fullName || "";
       kyc.frontPic = frontPic;
       kyc.backPic = backPic;
       kyc.selfie = selfie;
@@ -43,6 +45,7 @@ exports.submitKyc = async (req, res, next) => {
       kyc = await Kyc.create({
         user: userId,
         idType,
+        fullName,
         frontPic,
         backPic,
         selfie,
@@ -98,7 +101,7 @@ exports.getAllKycs = async (req, res, next) => {
 
 exports.reviewKyc = async (req, res, next) => {
   try {
-    const { kycId, status, rejectionReason } = req.body;
+    const { kycId, status, rejectionReason, fullName } = req.body;
 
     if (!["approved", "rejected"].includes(status)) {
       return res.status(400).json({
@@ -124,6 +127,10 @@ exports.reviewKyc = async (req, res, next) => {
     }
 
     kyc.status = status;
+    // The reviewer can correct the name to match the ID
+    if (fullName !== undefined) {
+      kyc.fullName = fullName;
+    }
     if (status === "rejected") {
       kyc.rejectionReason = rejectionReason;
     } else {
@@ -132,6 +139,18 @@ exports.reviewKyc = async (req, res, next) => {
 
     await kyc.save();
 
+    // Payout accounts added before the approval can now be name-matched
+    if (status === "approved") {
+      try {
+        await refreshNameMatches({ userId: kyc.user });
+      } catch (matchError) {
+        console.error(
+          "❌ Error matching payout beneficiaries to KYC:",
+          matchError.message
+        );
+      }
+    }
+
     // Send notification to user about KYC status change (outside transaction)
     try {
       const user = await User.findById(kyc.user).select("fcmToken");
@@ -0,0 +1,37 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  createPaymentOrderForGift,
+} = require("../services/giftPayment.service");
+
+/**
+ * Create a Razorpay order for a gift awaiting payment
+ * POST /api/v1/payments/orders
+ * Body: { giftId }
+ */
+exports.createPaymentOrder = asyncHandler(async (req, res, next) => {
+  const { giftId } = req.body;
+  const userId = req.user.id;
+
+  if (!giftId) {
+    const err = new Error("giftId is required");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  const { order, gift } = await createPaymentOrderForGift({ giftId, userId });
+
+  res.status(201).json({
+    success: true,
+    message: "Payment order created successfully",
+    data: {
+      order: order,
+      keyId: process.env.RAZORPAY_KEY_ID,
+      gift: {
+        id: gift._id,
+        amount: gift.valueInINR,
+        status: gift.status,
+        paymentStatus: gift.paymentStatus,
+      },
+    },
+  });
+});
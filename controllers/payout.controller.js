@@ -0,0 +1,79 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  processPayoutWebhook,
+  listPayouts,
+} = require("../services/payout.service");
+
+/**
+ * Get the current user's payouts
+ * GET /api/v1/payouts?status=&page=&limit=
+ */
+exports.getMyPayouts = asyncHandler(async (req, res, next) => {
+  const { status, page, limit } = req.query;
+
+  const { payouts, pagination } = await listPayouts({
+    userId: req.user.id,
+    status,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    pagination,
+    data: {
+      payouts,
+    },
+  });
+});
+
+/**
+ * Get all payouts (admin and reconciliation only)
+ * GET /api/v1/payouts/all?status=&userId=&page=&limit=
+ */
+exports.getAllPayouts = asyncHandler(async (req, res, next) => {
+  const { status, userId, page, limit } = req.query;
+
+  const { payouts, pagination } = await listPayouts({
+    userId,
+    status,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    pagination,
+    data: {
+      payouts,
+    },
+  });
+});
+
+// Payout provider webhook: POST /api/v1/payouts/webhook
+// Mounted behind express.raw() so req.body is the exact Buffer the provider signed
+exports.payoutWebhook = async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+  if (!rawBody) {
+    return res.status(400).json({ message: "Invalid webhook request" });
+  }
+
+  try {
+    const result = await processPayoutWebhook({
+      headers: req.headers,
+      rawBody,
+    });
+    console.log(`✅ Payout webhook ${result.status}: ${result.message}`);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error.statusCode === 400 || error instanceof SyntaxError) {
+      console.warn("❌ Invalid payout webhook:", error.message);
+      return res.status(400).json({ message: error.message });
+    }
+    // Non-2xx makes the provider retry the delivery
+    console.error("❌ Payout webhook processing failed:", error.message);
+    return res.status(500).json({ message: "Webhook processing failed" });
+  }
+};
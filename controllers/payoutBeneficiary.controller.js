@@ -0,0 +1,134 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  addBeneficiary,
+  listBeneficiaries,
+  verifyBeneficiary,
+  setDefaultBeneficiary,
+  removeBeneficiary,
+} = require("../services/payoutBeneficiary.service");
+
+/**
+ * Add a bank account or UPI ID to receive withdrawals (verified by penny-drop
+ * and matched against the KYC name)
+ * POST /api/v1/payouts/beneficiaries
+ * Body: { type: "bank_account", name, accountNumber, ifsc } or { type: "vpa", name, vpa }
+ */
+exports.addBeneficiary = asyncHandler(async (req, res, next) => {
+  const { type, name, accountNumber, ifsc, vpa } = req.body;
+
+  try {
+    const beneficiary = await addBeneficiary({
+      userId: req.user.id,
+      type,
+      name,
+      accountNumber,
+      ifsc,
+      vpa,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        beneficiary.status === "failed"
+          ? "Account could not be verified"
+          : "Beneficiary added successfully",
+      data: {
+        beneficiary,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to add beneficiary");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get the current user's payout beneficiaries (account numbers masked)
+ * GET /api/v1/payouts/beneficiaries
+ */
+exports.getMyBeneficiaries = asyncHandler(async (req, res, next) => {
+  const beneficiaries = await listBeneficiaries({ userId: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    count: beneficiaries.length,
+    data: {
+      beneficiaries,
+    },
+  });
+});
+
+/**
+ * Retry the penny-drop and KYC name match of a beneficiary
+ * POST /api/v1/payouts/beneficiaries/:beneficiaryId/verify
+ */
+exports.verifyBeneficiary = asyncHandler(async (req, res, next) => {
+  try {
+    const beneficiary = await verifyBeneficiary({
+      userId: req.user.id,
+      beneficiaryId: req.params.beneficiaryId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Beneficiary is ${beneficiary.status}`,
+      data: {
+        beneficiary,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to verify beneficiary");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Pay withdrawals to this beneficiary
+ * PATCH /api/v1/payouts/beneficiaries/:beneficiaryId/default
+ */
+exports.setDefaultBeneficiary = asyncHandler(async (req, res, next) => {
+  try {
+    const beneficiary = await setDefaultBeneficiary({
+      userId: req.user.id,
+      beneficiaryId: req.params.beneficiaryId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Default beneficiary updated successfully",
+      data: {
+        beneficiary,
+      },
+    });
+  } catch (error) {
+    const err = new Error(
+      error.message || "Failed to set the default beneficiary"
+    );
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Remove a beneficiary
+ * DELETE /api/v1/payouts/beneficiaries/:beneficiaryId
+ */
+exports.removeBeneficiary = asyncHandler(async (req, res, next) => {
+  try {
+    await removeBeneficiary({
+      userId: req.user.id,
+      beneficiaryId: req.params.beneficiaryId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Beneficiary removed successfully",
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to remove beneficiary");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
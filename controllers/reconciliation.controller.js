@@ -0,0 +1,207 @@
+const mongoose = require("mongoose");
+const ReconciliationIssue = require("../models/ReconciliationIssue");
+const UserHistory = require("../models/UserHistory");
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  computeExpectedBalances,
+  reconcileUser,
+  runReconciliation,
+  resolveIssue,
+  dismissIssue,
+} = require("../services/reconciliation.service");
+
+/**
+ * List reconciliation issues (paginated)
+ * GET /api/v1/reconciliation/issues?status=open&userId=...&field=unallottedMoney
+ */
+exports.getIssues = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+  const { status, userId, field } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (userId) filter.userId = userId;
+  if (field) filter.field = field;
+
+  const total = await ReconciliationIssue.countDocuments(filter);
+  const issues = await ReconciliationIssue.find(filter)
+    .populate("userId", "fullName number")
+    .populate("resolvedBy", "name username role")
+    .sort({ lastDetectedAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: issues.length,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+    data: {
+      issues,
+    },
+  });
+});
+
+/**
+ * Get a reconciliation issue with the user's current balances
+ * GET /api/v1/reconciliation/issues/:issueId
+ */
+exports.getIssueById = asyncHandler(async (req, res, next) => {
+  const { issueId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(issueId)) {
+    const err = new Error("Invalid issue ID");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  const issue = await ReconciliationIssue.findById(issueId)
+    .populate("userId", "fullName number")
+    .populate("resolvedBy", "name username role");
+  if (!issue) {
+    const err = new Error("Reconciliation issue not found");
+    err.statusCode = 404;
+    return next(err);
+  }
+
+  // Recompute so the reviewer sees the current state, not the last run's
+  const userHistory = await UserHistory.findOne({
+    userId: issue.userId._id || issue.userId,
+  });
+  const current = userHistory
+    ? await computeExpectedBalances(userHistory)
+    : null;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      issue,
+      current: current && {
+        expected: current.expected,
+        breakdown: current.breakdown,
+        actual: {
+          unallottedMoney: userHistory.unallottedMoney,
+          holdingMoney: userHistory.holdingMoney,
+          withdrawableMoney: userHistory.withdrawableMoney,
+          allottedMoney: userHistory.allottedMoney,
+        },
+      },
+    },
+  });
+});
+
+/**
+ * Resolve an issue, optionally recording an adjusting entry
+ * PATCH /api/v1/reconciliation/issues/:issueId/resolve
+ * Body: { note: string, adjust?: boolean, amount?: number }
+ * amount is signed; defaults to the amount that restores the expected balance
+ */
+exports.resolveIssue = asyncHandler(async (req, res, next) => {
+  const { issueId } = req.params;
+  const { note, adjust, amount } = req.body || {};
+
+  if (!note || !String(note).trim()) {
+    const err = new Error("Please provide a resolution note");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  try {
+    const issue = await resolveIssue({
+      issueId,
+      adminId: req.user.id,
+      note: String(note).trim(),
+      adjust: adjust === true,
+      amount,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: issue.adjustment?.ledgerEntryId
+        ? "Issue resolved and adjusting entry recorded"
+        : "Issue resolved",
+      data: {
+        issue,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to resolve issue");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Dismiss an issue without changing balances
+ * PATCH /api/v1/reconciliation/issues/:issueId/dismiss
+ * Body: { note: string }
+ */
+exports.dismissIssue = asyncHandler(async (req, res, next) => {
+  const { issueId } = req.params;
+  const { note } = req.body || {};
+
+  if (!note || !String(note).trim()) {
+    const err = new Error("Please provide a reason for dismissing the issue");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  try {
+    const issue = await dismissIssue({
+      issueId,
+      adminId: req.user.id,
+      note: String(note).trim(),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Issue dismissed",
+      data: {
+        issue,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to dismiss issue");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Re-check balances now - for one user, or everyone when no userId is given
+ * POST /api/v1/reconciliation/run
+ * Body: { userId?: string }
+ */
+exports.runReconciliation = asyncHandler(async (req, res, next) => {
+  const { userId } = req.body || {};
+
+  if (userId) {
+    const userHistory = await UserHistory.findOne({ userId });
+    if (!userHistory) {
+      const err = new Error("User history not found");
+      err.statusCode = 404;
+      return next(err);
+    }
+
+    const result = await reconcileUser(userHistory);
+    return res.status(200).json({
+      success: true,
+      message: "Reconciliation completed",
+      data: { usersChecked: 1, ...result },
+    });
+  }
+
+  const result = await runReconciliation();
+
+  res.status(200).json({
+    success: true,
+    message: "Reconciliation completed",
+    data: result,
+  });
+});
@@ -0,0 +1,131 @@
+const SellOrder = require("../models/SellOrder");
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  createRedemption,
+  approveRedemption,
+  rejectRedemption,
+} = require("../services/redemption.service");
+
+/**
+ * Redeem (sell) part or all of a gold/stock holding at the current price
+ * POST /api/v1/redemptions
+ * Body: { assetType: "gold" | "stock", units?: number, amount?: number, sellAll?: boolean }
+ */
+exports.createRedemption = asyncHandler(async (req, res, next) => {
+  const { assetType, units, amount, sellAll } = req.body;
+
+  try {
+    const sellOrder = await createRedemption({
+      userId: req.user.id,
+      assetType,
+      units,
+      amount,
+      sellAll: sellAll === true,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Redemption requested successfully",
+      data: {
+        sellOrder,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to create redemption");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Get redemptions of the current user
+ * GET /api/v1/redemptions
+ */
+exports.getMyRedemptions = asyncHandler(async (req, res, next) => {
+  const sellOrders = await SellOrder.find({ userId: req.user.id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: sellOrders.length,
+    data: {
+      sellOrders,
+    },
+  });
+});
+
+/**
+ * Get all redemptions (admin and reconciliation only)
+ * GET /api/v1/redemptions/all?status=pending
+ */
+exports.getAllRedemptions = asyncHandler(async (req, res, next) => {
+  const { status } = req.query;
+  const query = status ? { status } : {};
+
+  const sellOrders = await SellOrder.find(query)
+    .populate("userId", "fullName image number")
+    .populate("approvedBy", "name username")
+    .populate("rejectedBy", "name username")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sellOrders.length,
+    data: {
+      sellOrders,
+    },
+  });
+});
+
+/**
+ * Approve a redemption (admin and reconciliation only)
+ * PATCH /api/v1/redemptions/:sellOrderId/approve
+ */
+exports.approveRedemption = asyncHandler(async (req, res, next) => {
+  try {
+    const sellOrder = await approveRedemption({
+      sellOrderId: req.params.sellOrderId,
+      adminId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Redemption approved successfully",
+      data: {
+        sellOrder,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to approve redemption");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
+
+/**
+ * Reject a redemption (admin and reconciliation only)
+ * PATCH /api/v1/redemptions/:sellOrderId/reject
+ * Body: { rejectionReason } (optional)
+ */
+exports.rejectRedemption = asyncHandler(async (req, res, next) => {
+  try {
+    const sellOrder = await rejectRedemption({
+      sellOrderId: req.params.sellOrderId,
+      adminId: req.user.id,
+      rejectionReason: req.body?.rejectionReason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Redemption rejected successfully",
+      data: {
+        sellOrder,
+      },
+    });
+  } catch (error) {
+    const err = new Error(error.message || "Failed to reject redemption");
+    err.statusCode = error.statusCode || 500;
+    return next(err);
+  }
+});
@@ -3,100 +3,19 @@ const User = require("../models/user.model");
 const Kyc = require("../models/Kyc");
 const asyncHandler = require("../middlewares/asyncHandler");
 const sendJwtToken = require("../utils/sendJwtToken");
-const crypto = require("crypto");
-const bcrypt = require("bcryptjs");
-const sendOtp = require("../libs/sms/sms");
 const Gift = require("../models/Gift");
-const QRCode = require("qrcode");
-const { Uploader } = require("../libs/s3/s3");
+const { HIDDEN_FROM_RECEIVER } = require("../services/giftDelivery.service");
 
-const generateOtp = () => {
-  return crypto.randomInt(1000, 9999).toString();
-};
-
-const hashOtp = async (otp) => {
-  const salt = await bcrypt.genSalt(10);
-  return await bcrypt.hash(otp, salt);
-};
-
-// Ensure QR exists for a user (custom scheme id-based URL) and upload to S3 once
 const {
   processPendingGiftsForUser,
 } = require("../services/pendingGifts.service");
-
-const ensureUserQr = async (user) => {
-  if (!user || user.qrCodeUrl) return user;
-  // Use HTTPS link for Universal Links / App Links support
-  // Updated to /usergifting path as requested
-  const url = `https://bahumati.in/usergifting?user=${user._id}`;
-  const pngBuffer = await QRCode.toBuffer(url, { type: "png", width: 512 });
-  const uploader = new Uploader();
-  const keyName = `qr_${user._id}.png`;
-  const publicUrl = await uploader.uploadPublicFile(
-    keyName,
-    pngBuffer,
-    "image/png"
-  );
-  user.qrCodeUrl = publicUrl;
-  await user.save({ validateBeforeSave: false });
-  return user;
-};
-
-const normalizePhoneNumber = (rawNumber) => {
-  if (rawNumber === null || rawNumber === undefined) return null;
-  const digits = String(rawNumber).replace(/\D/g, "");
-  if (digits.length < 10) return null;
-  return digits.slice(-10);
-};
-
-const startOtpFlowForNumber = async ({ number, fullName }) => {
-  const normalizedNumber = normalizePhoneNumber(number);
-  if (!normalizedNumber) {
-    const err = new Error("A valid 10-digit phone number is required");
-    err.statusCode = 400;
-    throw err;
-  }
-
-  let user = await User.findOne({ number: normalizedNumber });
-
-  const otp = generateOtp();
-  const hashedOtp = await hashOtp(otp);
-  const otpExpires = Date.now() + 10 * 60 * 1000;
-
-  if (!user) {
-    const fallbackName = "";
-    user = await User.create({
-      fullName: fallbackName,
-      number: normalizedNumber,
-      otp: hashedOtp,
-      otpExpires,
-      active: false,
-    });
-  } else {
-    if (fullName && !user.fullName) {
-      user.fullName = fullName.trim();
-    }
-    user.otp = hashedOtp;
-    user.otpExpires = otpExpires;
-  }
-
-  await user.save({ validateBeforeSave: false });
-
-  try {
-    await ensureUserQr(user);
-  } catch (e) {
-    console.error("QR generation failed (OTP flow):", e.message);
-  }
-
-  try {
-    await sendOtp(normalizedNumber, otp);
-  } catch (smsError) {
-    console.error("Failed to send OTP:", smsError.message);
-  }
-
-  console.log(`OTP for ${normalizedNumber}: ${otp}`);
-  return normalizedNumber;
-};
+// OTP login and user QR codes are shared with event guest gifting
+const {
+  normalizePhoneNumber,
+  uploadUserQr,
+  ensureUserQr,
+  startOtpFlowForNumber,
+} = require("../services/otp.service");
 
 // ========== LOGIN (Number based) ==========
 exports.login = asyncHandler(async (req, res, next) => {
@@ -881,8 +800,17 @@ exports.getSuggestionsFromGifts = asyncHandler(async (req, res, next) => {
 
   // 1) Suggestions: users who SENT gifts to current user (receiverId === userId)
   // These are people who gifted you, so they should be suggested for gifting back
+  // Gifts still hidden from the receiver (scheduled for later delivery),
+  // unpaid or cancelled ones are left out
   const suggestionsAgg = Gift.aggregate([
-    { $match: { receiverId: userIdObj, isSelfGift: false } },
+    {
+      $match: {
+        receiverId: userIdObj,
+        isSelfGift: false,
+        status: { $nin: ["payment_pending", "cancelled"] },
+        $nor: [HIDDEN_FROM_RECEIVER],
+      },
+    },
     { $sort: { createdAt: -1 } },
     {
       $group: {
@@ -998,23 +926,9 @@ exports.generateUserQr = asyncHandler(async (req, res, next) => {
       return next(err);
     }
 
-    // Use HTTPS link for Universal Links / App Links support
-    // Updated to /usergifting path as requested
-    const url = `https://bahumati.in/usergifting?user=${user._id}`;
-    const pngBuffer = await QRCode.toBuffer(url, { type: "png", width: 512 });
-
-    const uploader = new Uploader();
-    const keyName = `qr_${user._id}.png`;
-    const publicUrl = await uploader.uploadPublicFile(
-      keyName,
-      pngBuffer,
-      "image/png"
-    );
-
-    user.qrCodeUrl = publicUrl;
-    await user.save({ validateBeforeSave: false });
+    await uploadUserQr(user);
 
-    res.status(200).json({ success: true, url: publicUrl });
+    res.status(200).json({ success: true, url: user.qrCodeUrl });
   } catch (e) {
     return next(e);
   }
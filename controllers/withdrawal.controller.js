@@ -1,7 +1,6 @@
 const WithdrawalRequest = require("../models/WithdrawalRequest");
 const Kyc = require("../models/Kyc");
 const Event = require("../models/Event");
-const Gift = require("../models/Gift");
 const UserHistory = require("../models/UserHistory");
 const User = require("../models/user.model");
 const asyncHandler = require("../middlewares/asyncHandler");
@@ -9,16 +8,54 @@ const mongoose = require("mongoose");
 const {
   sendWithdrawalRejectionNotification,
 } = require("../services/fcm.service");
+const {
+  recordWithdrawalHold,
+  recordWithdrawalRelease,
+} = require("../services/ledger.service");
+const {
+  checkWithdrawalLimits,
+  applyApprovalPolicy,
+  approveWithdrawal,
+} = require("../services/withdrawalApproval.service");
+const { hostedEventsQuery } = require("../services/eventHosts.service");
+const {
+  getEventWithdrawalAllowance,
+  getBalanceWithdrawalAllowance,
+  drawDownBalanceGifts,
+  drawDownEventGifts,
+  releaseGiftDrawdowns,
+} = require("../services/withdrawalPolicy.service");
+
+// Apply the approval policy to a new request - small amounts are approved
+// right away. A failure leaves the request pending for a manual approval
+const applyPolicy = async (withdrawalRequest) => {
+  try {
+    return await applyApprovalPolicy(withdrawalRequest);
+  } catch (error) {
+    console.error(
+      `❌ Error applying the approval policy to withdrawal ${withdrawalRequest._id}:`,
+      error.message
+    );
+    return { request: withdrawalRequest, payout: null };
+  }
+};
 
 /**
  * Create a withdrawal request
  * POST /api/v1/withdrawals
- * Body: { eventId, amount }
+ * Body: { eventId, amount }, { source: "balance", amount } or { source: "redemption", amount }
  */
 exports.createWithdrawalRequest = asyncHandler(async (req, res, next) => {
-  const { eventId, amount } = req.body;
+  const { eventId, amount, source } = req.body;
   const userId = req.user.id;
 
+  if (source === "redemption") {
+    return createRedemptionWithdrawal(req, res, next);
+  }
+  if (source === "balance") {
+    return createBalanceWithdrawal(req, res, next);
+  }
+
   // Validate required fields
   if (!eventId || !amount) {
     const err = new Error("Event ID and amount are required");
@@ -32,8 +69,12 @@ exports.createWithdrawalRequest = asyncHandler(async (req, res, next) => {
     return next(err);
   }
 
-  // Verify event exists and belongs to user
-  const event = await Event.findOne({ _id: eventId, creatorId: userId });
+  // Verify event exists and the user hosts it
+  // Each host withdraws from their own share of the gifts
+  const event = await Event.findOne({
+    _id: eventId,
+    ...hostedEventsQuery(userId),
+  });
   if (!event) {
     const err = new Error(
       "Event not found or you don't have permission to withdraw from it"
@@ -52,69 +93,25 @@ exports.createWithdrawalRequest = asyncHandler(async (req, res, next) => {
     return next(err);
   }
 
-  // 2. Check Event Status (Must be ended)
-  const now = new Date();
-  if (now <= event.eventEndDate) {
-    const err = new Error(
-      "Withdrawals are only allowed after the event has ended"
-    );
-    err.statusCode = 400;
-    return next(err);
-  }
-
-  // 3. Check Gift Status (Must be unallotted)
-  // We check if ANY gift in this event has been allotted.
-  // If even one gift is allotted, we block withdrawal (based on "gifts are in unallotted state" requirement)
-  const allottedGiftsCount = await Gift.countDocuments({
-    eventId: event._id,
-    status: "allotted",
-  });
-
-  if (allottedGiftsCount > 0) {
-    const err = new Error(
-      "Cannot withdraw: Some gifts have already been allotted. Withdrawals are only allowed when gifts are in unallotted state."
-    );
-    err.statusCode = 400;
-    return next(err);
+  // 2. Event policy: the event has ended, and each of the user's gifts is
+  // withdrawn up to withdrawalPercentage % of it, from its unallocated part
+  let allowance;
+  try {
+    allowance = await getEventWithdrawalAllowance({ userId, event });
+  } catch (error) {
+    return next(error);
   }
+  const totalAmount = allowance.totalGiftsAmount;
 
-  // Get total gifts for this event
-  const gifts = await Gift.find({ eventId: event._id });
-  const totalAmount = gifts.reduce(
-    (sum, gift) => sum + (gift.valueInINR || 0),
-    0
-  );
-
-  // Calculate maximum withdrawable amount (30% of total gifts)
-  const maxWithdrawable = (totalAmount * event.withdrawalPercentage) / 100;
-
-  // Get existing pending AND approved requests for this event to calculate total withdrawn/requested
-  // Note: We need to subtract ALL previous requests (pending + approved) to enforce the cumulative limit
-  const allRequests = await WithdrawalRequest.find({
-    eventId: event._id,
-    status: { $in: ["pending", "approved"] },
-  });
-
-  const totalWithdrawnOrRequested = allRequests.reduce(
-    (sum, req) => sum + req.amount,
-    0
-  );
-
-  // Calculate available amount
-  const availableForWithdrawal = Math.max(
-    0,
-    maxWithdrawable - totalWithdrawnOrRequested
-  );
-
-  if (amount > availableForWithdrawal) {
+  if (amount > allowance.available) {
     const err = new Error(
-      `Insufficient funds. Maximum withdrawable: ₹${maxWithdrawable.toFixed(
+      `Insufficient funds. Maximum withdrawable: ₹${allowance.maxWithdrawable.toFixed(
         2
       )}, ` +
-        `Already withdrawn/requested: ₹${totalWithdrawnOrRequested.toFixed(
+        `Already withdrawn/requested: ₹${allowance.alreadyRequested.toFixed(
           2
         )}, ` +
-        `Available: ₹${availableForWithdrawal.toFixed(2)}`
+        `Available: ₹${allowance.available.toFixed(2)}`
     );
     err.statusCode = 400;
     return next(err);
@@ -137,10 +134,31 @@ exports.createWithdrawalRequest = asyncHandler(async (req, res, next) => {
   session.startTransaction();
 
   try {
-    // Move money from unallotted to holding
-    userHistory.unallottedMoney -= amount;
-    userHistory.holdingMoney = (userHistory.holdingMoney || 0) + amount;
-    await userHistory.save({ session });
+    // Move money from unallotted to holding (atomic balance check - the
+    // money may have been allocated or withdrawn since it was read)
+    const heldHistory = await UserHistory.findOneAndUpdate(
+      { userId, unallottedMoney: { $gte: amount } },
+      { $inc: { unallottedMoney: -amount, holdingMoney: amount } },
+      { new: true, session }
+    );
+    if (!heldHistory) {
+      await session.abortTransaction();
+      const err = new Error("Insufficient unallotted money");
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    await checkWithdrawalLimits({ userId, amount, session });
+
+    // Draw the amount from the eligible gifts, oldest first. The allowance is
+    // checked again now that this transaction holds the write on the user's
+    // UserHistory
+    const giftDrawdowns = await drawDownEventGifts({
+      userId,
+      event,
+      amount,
+      session,
+    });
 
     // Create withdrawal request
     const withdrawalRequest = await WithdrawalRequest.create(
@@ -151,6 +169,7 @@ exports.createWithdrawalRequest = asyncHandler(async (req, res, next) => {
           amount: amount,
           percentage: event.withdrawalPercentage,
           totalGiftsAmount: totalAmount,
+          giftDrawdowns,
           status: "pending",
           moneyState: "holding",
         },
@@ -158,13 +177,26 @@ exports.createWithdrawalRequest = asyncHandler(async (req, res, next) => {
       { session }
     );
 
+    await recordWithdrawalHold({
+      userId,
+      withdrawalRequestId: withdrawalRequest[0]._id,
+      amount,
+      session,
+    });
+
     await session.commitTransaction();
 
+    const { request, payout } = await applyPolicy(withdrawalRequest[0]);
+
     res.status(201).json({
       success: true,
-      message: "Withdrawal request created successfully",
+      message:
+        request.status === "approved"
+          ? "Withdrawal request approved automatically"
+          : "Withdrawal request created successfully",
       data: {
-        withdrawalRequest: withdrawalRequest[0],
+        withdrawalRequest: request,
+        payout,
       },
     });
   } catch (error) {
@@ -175,6 +207,230 @@ exports.createWithdrawalRequest = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Withdraw redemption proceeds (withdrawable money)
+ * Event withdrawal rules don't apply - the money came from the user's own
+ * holdings - but KYC and admin approval still do
+ */
+const createRedemptionWithdrawal = async (req, res, next) => {
+  const { amount } = req.body;
+  const userId = req.user.id;
+
+  if (!amount || amount <= 0) {
+    const err = new Error("Amount must be greater than 0");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  const kyc = await Kyc.findOne({ user: userId });
+  if (!kyc || kyc.status !== "approved") {
+    const err = new Error(
+      "You must have an approved KYC to request a withdrawal"
+    );
+    err.statusCode = 403;
+    return next(err);
+  }
+
+  // Start transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Move money from withdrawable to holding (atomic balance check)
+    const userHistory = await UserHistory.findOneAndUpdate(
+      { userId, withdrawableMoney: { $gte: amount } },
+      { $inc: { withdrawableMoney: -amount, holdingMoney: amount } },
+      { new: true, session }
+    );
+    if (!userHistory) {
+      await session.abortTransaction();
+      const err = new Error("Insufficient withdrawable money");
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    await checkWithdrawalLimits({ userId, amount, session });
+
+    const withdrawalRequest = await WithdrawalRequest.create(
+      [
+        {
+          source: "redemption",
+          userId: userId,
+          amount: amount,
+          status: "pending",
+          moneyState: "holding",
+        },
+      ],
+      { session }
+    );
+
+    await recordWithdrawalHold({
+      userId,
+      withdrawalRequestId: withdrawalRequest[0]._id,
+      amount,
+      source: "redemption",
+      session,
+    });
+
+    await session.commitTransaction();
+
+    const { request, payout } = await applyPolicy(withdrawalRequest[0]);
+
+    res.status(201).json({
+      success: true,
+      message:
+        request.status === "approved"
+          ? "Withdrawal request approved automatically"
+          : "Withdrawal request created successfully",
+      data: {
+        withdrawalRequest: request,
+        payout,
+      },
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Withdraw from the general unallotted balance - gifts received outside
+ * events, under the balance withdrawal policies
+ */
+const createBalanceWithdrawal = async (req, res, next) => {
+  const { amount } = req.body;
+  const userId = req.user.id;
+
+  if (!amount || amount <= 0) {
+    const err = new Error("Amount must be greater than 0");
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  const kyc = await Kyc.findOne({ user: userId });
+  if (!kyc || kyc.status !== "approved") {
+    const err = new Error(
+      "You must have an approved KYC to request a withdrawal"
+    );
+    err.statusCode = 403;
+    return next(err);
+  }
+
+  const allowance = await getBalanceWithdrawalAllowance({ userId });
+  if (amount > allowance.available) {
+    const err = new Error(
+      `Insufficient funds. Maximum withdrawable: ₹${allowance.maxWithdrawable.toFixed(
+        2
+      )}, ` +
+        `Already withdrawn/requested: ₹${allowance.alreadyRequested.toFixed(
+          2
+        )}, ` +
+        `Available: ₹${allowance.available.toFixed(2)}` +
+        (allowance.availableFrom
+          ? `. More becomes available on ${allowance.availableFrom.toISOString()}`
+          : "")
+    );
+    err.statusCode = 400;
+    return next(err);
+  }
+
+  // Start transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Move money from unallotted to holding (atomic balance check)
+    const userHistory = await UserHistory.findOneAndUpdate(
+      { userId, unallottedMoney: { $gte: amount } },
+      { $inc: { unallottedMoney: -amount, holdingMoney: amount } },
+      { new: true, session }
+    );
+    if (!userHistory) {
+      await session.abortTransaction();
+      const err = new Error("Insufficient unallotted money");
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    await checkWithdrawalLimits({ userId, amount, session });
+
+    // Draw the amount from the eligible gifts, oldest first. The allowance is
+    // checked again now that this transaction holds the write on the user's
+    // UserHistory, so concurrent requests can't together go over the policies
+    const giftDrawdowns = await drawDownBalanceGifts({
+      userId,
+      amount,
+      session,
+    });
+
+    const withdrawalRequest = await WithdrawalRequest.create(
+      [
+        {
+          source: "balance",
+          userId: userId,
+          amount: amount,
+          giftDrawdowns,
+          status: "pending",
+          moneyState: "holding",
+        },
+      ],
+      { session }
+    );
+
+    await recordWithdrawalHold({
+      userId,
+      withdrawalRequestId: withdrawalRequest[0]._id,
+      amount,
+      source: "balance",
+      session,
+    });
+
+    await session.commitTransaction();
+
+    const { request, payout } = await applyPolicy(withdrawalRequest[0]);
+
+    res.status(201).json({
+      success: true,
+      message:
+        request.status === "approved"
+          ? "Withdrawal request approved automatically"
+          : "Withdrawal request created successfully",
+      data: {
+        withdrawalRequest: request,
+        payout,
+      },
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * How much the current user can withdraw from their general balance, per policy
+ * GET /api/v1/withdrawals/balance
+ */
+exports.getBalanceWithdrawalAllowance = asyncHandler(async (req, res, next) => {
+  const allowance = await getBalanceWithdrawalAllowance({
+    userId: req.user.id,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      allowance,
+    },
+  });
+});
+
 /**
  * Get withdrawal requests for the current user
  * GET /api/v1/withdrawals
@@ -186,6 +442,7 @@ exports.getMyWithdrawalRequests = asyncHandler(async (req, res, next) => {
     .populate("eventId", "title eventStartDate eventEndDate")
     .populate("approvedBy", "fullName")
     .populate("rejectedBy", "fullName")
+    .populate("approvalSteps.actorId", "username agentId role")
     .sort({ createdAt: -1 });
 
   res.status(200).json({
@@ -216,6 +473,7 @@ exports.getEventWithdrawalRequests = asyncHandler(async (req, res, next) => {
     .populate("userId", "fullName image")
     .populate("approvedBy", "fullName")
     .populate("rejectedBy", "fullName")
+    .populate("approvalSteps.actorId", "username agentId role")
     .sort({ createdAt: -1 });
 
   res.status(200).json({
@@ -242,6 +500,7 @@ exports.getAllWithdrawalRequests = asyncHandler(async (req, res, next) => {
     .populate("userId", "fullName image")
     .populate("approvedBy", "fullName")
     .populate("rejectedBy", "fullName")
+    .populate("approvalSteps.actorId", "username agentId role")
     .sort({ createdAt: -1 });
 
   res.status(200).json({
@@ -254,76 +513,45 @@ exports.getAllWithdrawalRequests = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Approve a withdrawal request (superAdmin and reconciliation only)
+ * Approve a withdrawal request (admin and reconciliation only)
+ * Records the approval; the request is approved once every role its approval
+ * tier needs has approved, and its payout queued
  * PATCH /api/v1/withdrawals/:requestId/approve
+ * Body: { comment } (optional)
  */
 exports.approveWithdrawalRequest = asyncHandler(async (req, res, next) => {
   const { requestId } = req.params;
-  const adminId = req.user.id;
+  const { comment } = req.body;
 
   // Role check is handled by middleware
 
-  // Start transaction
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
   try {
-    const request = await WithdrawalRequest.findById(requestId).session(
-      session
-    );
-
-    if (!request) {
-      const err = new Error("Withdrawal request not found");
-      err.statusCode = 404;
-      await session.abortTransaction();
-      return next(err);
-    }
-
-    if (request.status !== "pending") {
-      const err = new Error(`Withdrawal request is already ${request.status}`);
-      err.statusCode = 400;
-      await session.abortTransaction();
-      return next(err);
-    }
-
-    // Get user history
-    const userHistory = await UserHistory.getOrCreate(request.userId);
-
-    // Verify holding money is sufficient
-    if (userHistory.holdingMoney < request.amount) {
-      const err = new Error(
-        "Insufficient holding money. This should not happen."
-      );
-      err.statusCode = 500;
-      await session.abortTransaction();
-      return next(err);
-    }
-
-    // Move money from holding to withdrawn (remove from holding, don't add to allotted)
-    userHistory.holdingMoney -= request.amount;
-    await userHistory.save({ session });
-
-    // Update withdrawal request
-    request.status = "approved";
-    request.moneyState = "withdrawn";
-    request.approvedBy = adminId;
-    request.approvedAt = new Date();
-    await request.save({ session });
-
-    await session.commitTransaction();
+    const { request, payout, missingApprovals } = await approveWithdrawal({
+      requestId,
+      actor: req.user,
+      comment,
+    });
 
     res.status(200).json({
       success: true,
-      message: "Withdrawal request approved successfully",
+      message:
+        request.status === "approved"
+          ? "Withdrawal request approved successfully"
+          : `Approval recorded. Waiting for approval from: ${
+              missingApprovals.length
+                ? missingApprovals.join(", ")
+                : "any approver"
+            }`,
       data: {
         withdrawalRequest: request,
+        payout,
+        missingApprovals,
       },
     });
   } catch (error) {
-    await session.abortTransaction();
-    throw error;
-  } finally {
-    await session.endSession();
+    const err = new Error(error.message);
+    err.statusCode = error.statusCode || 500;
+    return next(err);
   }
 });
 
@@ -375,17 +603,37 @@ exports.rejectWithdrawalRequest = asyncHandler(async (req, res, next) => {
       return next(err);
     }
 
-    // Move money from holding back to unallotted (alloting state)
+    // Move money from holding back to where it came from (alloting state)
     userHistory.holdingMoney -= request.amount;
-    userHistory.unallottedMoney += request.amount;
+    if (request.source === "redemption") {
+      userHistory.withdrawableMoney =
+        (userHistory.withdrawableMoney || 0) + request.amount;
+    } else {
+      userHistory.unallottedMoney += request.amount;
+    }
     await userHistory.save({ session });
 
+    await recordWithdrawalRelease({
+      userId: request.userId,
+      withdrawalRequestId: request._id,
+      amount: request.amount,
+      source: request.source,
+      session,
+    });
+    await releaseGiftDrawdowns({ request, session });
+
     // Update withdrawal request
     request.status = "rejected";
     request.moneyState = "alloting";
     request.rejectedBy = adminId;
     request.rejectedAt = new Date();
     request.rejectionReason = rejectionReason || "Rejected by admin";
+    request.approvalSteps.push({
+      action: "rejected",
+      actorId: adminId,
+      actorRole: req.user.role,
+      comment: request.rejectionReason,
+    });
     await request.save({ session });
 
     await session.commitTransaction();
@@ -393,7 +641,12 @@ exports.rejectWithdrawalRequest = asyncHandler(async (req, res, next) => {
     // Send notification to user about rejection (outside transaction)
     try {
       const user = await User.findById(request.userId).select("fcmToken");
-      const event = await Event.findById(request.eventId).select("title");
+      const event =
+        request.source === "redemption"
+          ? { title: "Redemption proceeds" }
+          : request.source === "balance"
+          ? { title: "Gift balance" }
+          : await Event.findById(request.eventId).select("title");
 
       if (user && user.fcmToken && event) {
         await sendWithdrawalRejectionNotification(
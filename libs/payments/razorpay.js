@@ -37,7 +37,16 @@ const validateSignature = ({ webhook_signature, webhook_secret, payload }) => {
   const hmac = crypto.createHmac("sha256", webhook_secret);
   hmac.update(payload);
   const generated_signature = hmac.digest("hex");
-  return webhook_signature === generated_signature;
+  if (
+    !webhook_signature ||
+    webhook_signature.length !== generated_signature.length
+  ) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(webhook_signature),
+    Buffer.from(generated_signature)
+  );
 };
 const refundPayment = async ({ payment_id, amount }) => {
   const refundData = amount
@@ -48,8 +57,71 @@ const refundPayment = async ({ payment_id, amount }) => {
   return refund;
 };
 
+// Recurring payments: a customer authorises a token once (mandate order),
+// later charges are made against the token without checkout
+const createCustomer = async ({ name, contact, notes = {} }) => {
+  const customer = await razorpayInstance.customers.create({
+    name,
+    contact,
+    fail_existing: "0", // Return the existing customer for this contact
+    notes,
+  });
+  return customer;
+};
+
+const createMandateOrder = async ({
+  customer_id,
+  amount,
+  max_amount,
+  frequency,
+  notes = {},
+}) => {
+  const order = await razorpayInstance.orders.create({
+    amount: Math.round(amount * 100),
+    currency: "INR",
+    customer_id,
+    receipt: "MANDATE #" + Date.now(),
+    token: {
+      max_amount: Math.round(max_amount * 100),
+      frequency: frequency === "weekly" ? "weekly" : "as_presented",
+    },
+    notes: {
+      ...notes,
+    },
+  });
+  return order;
+};
+
+const createRecurringPayment = async ({
+  customer_id,
+  token,
+  order_id,
+  amount,
+  contact,
+  email,
+  notes = {},
+}) => {
+  const payment = await razorpayInstance.payments.createRecurringPayment({
+    email,
+    contact,
+    amount: Math.round(amount * 100),
+    currency: "INR",
+    order_id,
+    customer_id,
+    token,
+    recurring: "1",
+    notes: {
+      ...notes,
+    },
+  });
+  return payment;
+};
+
 module.exports = {
   createOrder,
+  createCustomer,
+  createMandateOrder,
+  createRecurringPayment,
   razorpayInstance,
   capturePayment,
   orderStatus,
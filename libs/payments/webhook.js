@@ -1,21 +1,22 @@
-const { io } = require("../../server");
-const Gift = require("../../models/Gift");
-const Message = require("../../models/Message");
-const Conversation = require("../../models/Conversation");
-const User = require("../../models/user.model");
 const { validateSignature } = require("./razorpay");
-const { sendGiftNotification } = require("../../services/fcm.service");
 const {
-  allocateGift,
-  addGiftToUserHistory,
-} = require("../../services/giftAllocation.service");
+  getWebhookEventId,
+  processWebhookEvent,
+} = require("../../services/paymentWebhook.service");
 
+// Razorpay webhook: POST /api/v1/payments/webhook
+// Mounted behind express.raw() so req.body is the exact Buffer Razorpay signed
 const captureHook = async (req, res) => {
   try {
     const signature = req.headers["x-razorpay-signature"];
-    const rawPayload = JSON.stringify(req.body);
+    const rawPayload = Buffer.isBuffer(req.body) ? req.body : null;
 
-    // ✅ Validate Razorpay webhook signature
+    if (!signature || !rawPayload) {
+      console.warn("❌ Razorpay webhook missing signature or raw body");
+      return res.status(400).json({ message: "Invalid webhook request" });
+    }
+
+    // ✅ Validate Razorpay webhook signature against the raw body
     const is_valid = validateSignature({
       webhook_signature: signature,
       webhook_secret: process.env.RAZORPAY_HOOK_SECRET,
@@ -27,183 +28,41 @@ const captureHook = async (req, res) => {
       return res.status(400).json({ message: "Invalid webhook signature" });
     }
 
-    const event = req.body.event;
-    const paymentEntity = req.body.payload?.payment?.entity;
-
-    if (!paymentEntity) {
+    let body;
+    try {
+      body = JSON.parse(rawPayload.toString("utf8"));
+    } catch (parseError) {
       return res.status(400).json({ message: "Invalid webhook payload" });
     }
 
-    // Extract notes passed during order creation
-    const { receiver_id, sender_id, conversation_id, gift_id } =
-      paymentEntity.notes || {};
+    const eventId = getWebhookEventId(
+      req.headers["x-razorpay-event-id"],
+      rawPayload
+    );
 
     console.log("🎯 Razorpay Webhook Received:", {
-      event,
-      paymentId: paymentEntity.id,
-      receiver_id,
-      sender_id,
-      gift_id,
-    });
-
-    // ✅ Only process successful payments
-    if (event !== "payment.captured") {
-      return res.status(200).json({ message: "Ignored non-captured event" });
-    }
-
-    // ✅ Find the gift
-    const gift = await Gift.findById(gift_id);
-    if (!gift) {
-      return res.status(404).json({ message: "Gift not found" });
-    }
-
-    // ✅ Update payment status
-    gift.isPaid = true;
-    gift.paymentId = paymentEntity.id;
-    gift.paymentStatus = "captured";
-    await gift.save();
-
-    // ✅ Handle gift money allocation (for registered users only)
-    try {
-      const UserWithNoAccount = require("../../models/UserWithNoAccount");
-      const isUserWithNoAccount = await UserWithNoAccount.findById(receiver_id);
-
-      if (!isUserWithNoAccount) {
-        // Check if this is a self-gift
-        const isSelfGift =
-          gift.isSelfGift && String(sender_id) === String(receiver_id);
-
-        if (isSelfGift && !gift.isAllotted) {
-          // For self-gifts: directly allocate to chosen type, skip unallotted money
-          try {
-            const allocationType = gift.type; // Allocate as the same type (gold or stock)
-
-            // First, add to UserHistory (but we'll allocate immediately, so it won't stay unallotted)
-            await addGiftToUserHistory({
-              giftId: gift._id,
-              userId: receiver_id,
-              amount: gift.valueInINR,
-              senderId: sender_id,
-            });
-
-            // Immediately allocate the full amount to the chosen type
-            await allocateGift({
-              giftId: String(gift._id), // Convert ObjectId to string
-              userId: String(receiver_id),
-              allocationType: allocationType,
-              amount: gift.valueInINR, // Allocate full amount
-            });
-            console.log(
-              `✅ Directly allocated self gift ₹${gift.valueInINR} as ${allocationType} after payment (skipped unallotted)`
-            );
-
-            // Reload gift to get updated allocation details
-            const updatedGift = await Gift.findById(gift._id)
-              .populate("senderId", "fullName image")
-              .populate("receiverId", "fullName image");
-            if (updatedGift) {
-              gift = updatedGift;
-            }
-          } catch (allocationError) {
-            console.error(
-              `❌ Error auto-allotting self gift after payment: ${allocationError.message}`
-            );
-            // Don't fail the webhook if auto-allocation fails
-          }
-        } else {
-          // For regular gifts: add to unallotted money
-          await addGiftToUserHistory({
-            giftId: gift._id,
-            userId: receiver_id,
-            amount: gift.valueInINR,
-            senderId: sender_id,
-          });
-          console.log(
-            `✅ Added ₹${gift.valueInINR} to user ${receiver_id}'s unallotted money`
-          );
-        }
-      }
-    } catch (historyError) {
-      console.error("Error adding gift to user history:", historyError.message);
-      // Don't fail the webhook if history update fails
-    }
-
-    // ✅ Ensure conversation exists
-    let conversation = await Conversation.findById(conversation_id);
-    if (!conversation) {
-      conversation = await Conversation.create({
-        participants: [sender_id, receiver_id],
-        lastMessage: null,
-        lastMessageType: null,
-        unreadCounts: new Map(),
-      });
-    }
-
-    // ✅ Create message for this gift
-    const messageData = {
-      conversation_id,
-      sender_id,
-      receiver_id,
-      type: "gift",
-      content:
-        gift.type === "gold"
-          ? `💰 Sent ${gift.units} units of Gold`
-          : `📈 Sent ${gift.units} units of ${gift.stock_name}`,
-      metadata: {
-        giftType: gift.type, // gold | stock
-        units: gift.units,
-        stockName: gift.stock_name || null,
-        amount: gift.amount,
-        rate: gift.rate || null,
-      },
-    };
-
-    const newMessage = await Message.create(messageData);
-
-    // ✅ Update conversation last message
-    conversation.lastMessage = {
-      text: messageData.content,
-      sender: sender_id,
-    };
-    conversation.lastMessageType = "gift";
-
-    // Update unread count for receiver
-    const currentUnread = conversation.unreadCounts?.get(receiver_id) || 0;
-    conversation.unreadCounts?.set(receiver_id, currentUnread + 1);
-    await conversation.save();
-
-    // ✅ Emit message to receiver via socket
-    io.to(receiver_id).emit("receiveMessage", {
-      message: newMessage,
-      conversation,
+      eventId,
+      event: body.event,
+      paymentId: body.payload?.payment?.entity?.id,
+      refundId: body.payload?.refund?.entity?.id,
+      giftId: body.payload?.payment?.entity?.notes?.gift_id,
     });
 
-    // ✅ Send push notification for gift payment
-    // Always send push notification (even if user is online)
-    // This ensures users get notified even if they're not on the chat screen
-    try {
-      const [receiver, sender] = await Promise.all([
-        User.findById(receiver_id).select("fcmToken"),
-        User.findById(sender_id).select("fullName image"),
-      ]);
+    const result = await processWebhookEvent({ eventId, body });
 
-      if (receiver?.fcmToken) {
-        await sendGiftNotification(receiver.fcmToken, gift, sender);
-        console.log(
-          `📱 Push notification sent for gift payment to ${receiver_id}`
-        );
-      }
-    } catch (notifError) {
-      console.error(
-        "Error sending push notification for gift payment:",
-        notifError.message
+    if (result.duplicate) {
+      console.log(`ℹ️ Razorpay event ${eventId} already received, skipping`);
+    } else {
+      console.log(
+        `✅ Razorpay ${body.event} ${result.status}: ${result.message}`
       );
-      // Don't fail the webhook if notification fails
     }
-
-    console.log("✅ Gift processed successfully:", gift_id);
-    return res.status(200).json({ success: true });
+    return res.status(200).json({ success: true, ...result });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    // Non-2xx makes Razorpay retry the delivery
     console.error("⚠️ Webhook error:", error);
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,67 @@
+// libs/payouts/mock.js
+// Offline payout provider for tests and local development. Nothing leaves the
+// server: accounts ending in "0000" (or VPAs starting with "fail") fail the
+// penny-drop, every other account verifies immediately with the entered name,
+// and payouts stay "processing" until a webhook is posted, e.g.
+// POST /api/v1/payouts/webhook { "event": "payout.processed", "payoutId": "mock_pout_...", "utr": "..." }
+// (events: payout.processed, payout.failed, payout.reversed)
+const crypto = require("crypto");
+
+const PAYOUT_EVENT_STATUSES = {
+  "payout.processing": "processing",
+  "payout.processed": "paid",
+  "payout.failed": "failed",
+  "payout.reversed": "reversed",
+};
+
+const randomId = (prefix) =>
+  `${prefix}_${crypto.randomBytes(7).toString("hex")}`;
+
+const verifyAccount = async ({ beneficiary, accountNumber }) => {
+  const isInvalid =
+    beneficiary.type === "vpa"
+      ? String(beneficiary.vpa).startsWith("fail")
+      : String(accountNumber).endsWith("0000");
+
+  return {
+    providerAccountId: randomId("mock_fa"),
+    referenceId: randomId("mock_fav"),
+    status: isInvalid ? "failed" : "verified",
+    registeredName: isInvalid ? null : beneficiary.name,
+    failureReason: isInvalid ? "Account does not exist" : null,
+  };
+};
+
+const createPayout = async () => ({
+  providerPayoutId: randomId("mock_pout"),
+  status: "processing",
+  utr: null,
+  failureReason: null,
+});
+
+// Mock submissions never fail, so there is nothing to look up
+const findPayout = async () => null;
+
+const parseWebhook = ({ rawBody }) => {
+  const body = JSON.parse(rawBody.toString("utf8"));
+  const status = PAYOUT_EVENT_STATUSES[body.event];
+  if (!status) return null;
+
+  return {
+    eventId: body.id || randomId("mock_evt"),
+    kind: "payout",
+    providerPayoutId: body.payoutId,
+    referenceId: body.referenceId || null,
+    status,
+    utr: body.utr || null,
+    failureReason: body.failureReason || null,
+  };
+};
+
+module.exports = {
+  name: "mock",
+  verifyAccount,
+  createPayout,
+  findPayout,
+  parseWebhook,
+};
@@ -0,0 +1,38 @@
+// libs/payouts/provider.js
+// Selects the payout provider adapter via PAYOUT_PROVIDER ("razorpayx" | "mock").
+// Every adapter exposes:
+// {
+//   name,
+//   // Register the account with the provider and start a penny-drop
+//   // (accountNumber is the decrypted beneficiary.accountNumber)
+//   verifyAccount: async ({ beneficiary, accountNumber, user }) =>
+//     ({ providerAccountId, referenceId, status: "pending" | "verified" | "failed", registeredName, failureReason }),
+//   // Send money to a verified account
+//   createPayout: async ({ payout, beneficiary }) =>
+//     ({ providerPayoutId, status: "queued" | "processing" | "paid" | "failed" | "reversed", utr, failureReason }),
+//   // Look up a payout by our reference (the Payout ID), null if the provider has none
+//   findPayout: async ({ payout }) =>
+//     ({ providerPayoutId, status, utr, failureReason }) or null,
+//   // Verify and normalise a webhook delivery, null for events we don't handle
+//   parseWebhook: ({ headers, rawBody }) =>
+//     ({ eventId, kind: "payout", providerPayoutId, referenceId (our Payout ID), status, utr, failureReason }) or
+//     ({ eventId, kind: "validation", referenceId, status, registeredName, failureReason })
+// }
+const razorpayxProvider = require("./razorpayx");
+const mockProvider = require("./mock");
+
+const providers = {
+  razorpayx: razorpayxProvider,
+  mock: mockProvider,
+};
+
+const getPayoutProvider = () => {
+  const providerName = process.env.PAYOUT_PROVIDER || "razorpayx";
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`Unknown PAYOUT_PROVIDER "${providerName}"`);
+  }
+  return provider;
+};
+
+module.exports = { getPayoutProvider };
@@ -0,0 +1,214 @@
+// libs/payouts/razorpayx.js
+// RazorpayX payouts. Accounts are registered as a contact + fund account and
+// verified with a fund account validation (penny-drop of ₹1); payouts are sent
+// from RAZORPAYX_ACCOUNT_NUMBER. Both report their final state by webhook,
+// signed with RAZORPAYX_WEBHOOK_SECRET.
+const axios = require("axios");
+const crypto = require("crypto");
+const { validateSignature } = require("../payments/razorpay");
+
+const API_URL = "https://api.razorpay.com/v1";
+const REQUEST_TIMEOUT_MS = 15000;
+
+// RazorpayX payout status -> Payout.status
+const PAYOUT_STATUSES = {
+  queued: "queued",
+  pending: "queued",
+  scheduled: "queued",
+  processing: "processing",
+  processed: "paid",
+  failed: "failed",
+  rejected: "failed",
+  cancelled: "failed",
+  reversed: "reversed",
+};
+
+const client = () =>
+  axios.create({
+    baseURL: API_URL,
+    timeout: REQUEST_TIMEOUT_MS,
+    auth: {
+      username: process.env.RAZORPAY_KEY_ID,
+      password: process.env.RAZORPAY_KEY_SECRET,
+    },
+  });
+
+const sourceAccountNumber = () => {
+  const accountNumber = process.env.RAZORPAYX_ACCOUNT_NUMBER;
+  if (!accountNumber) {
+    throw new Error(
+      "RAZORPAYX_ACCOUNT_NUMBER is not set in environment variables."
+    );
+  }
+  return accountNumber;
+};
+
+// Normalise an API error to its description
+const request = async (method, url, data, headers = {}) => {
+  try {
+    const response = await client().request({ method, url, data, headers });
+    return response.data;
+  } catch (error) {
+    const description = error.response?.data?.error?.description;
+    throw new Error(description || error.message);
+  }
+};
+
+// Result of a fund account validation entity
+const toValidationResult = (validation) => {
+  if (validation.status !== "completed") {
+    return {
+      status: validation.status === "failed" ? "failed" : "pending",
+      registeredName: null,
+      failureReason:
+        validation.status === "failed"
+          ? validation.status_details?.description || "Validation failed"
+          : null,
+    };
+  }
+
+  const isActive = validation.results?.account_status === "active";
+  return {
+    status: isActive ? "verified" : "failed",
+    registeredName: validation.results?.registered_name || null,
+    failureReason: isActive ? null : "Account is not active",
+  };
+};
+
+const verifyAccount = async ({ beneficiary, accountNumber, user }) => {
+  const contact = await request("post", "/contacts", {
+    name: beneficiary.name,
+    contact: user?.number || undefined,
+    type: "customer",
+    reference_id: String(beneficiary.userId),
+  });
+
+  const fundAccount = await request(
+    "post",
+    "/fund_accounts",
+    beneficiary.type === "vpa"
+      ? {
+          contact_id: contact.id,
+          account_type: "vpa",
+          vpa: { address: beneficiary.vpa },
+        }
+      : {
+          contact_id: contact.id,
+          account_type: "bank_account",
+          bank_account: {
+            name: beneficiary.name,
+            ifsc: beneficiary.ifsc,
+            account_number: accountNumber,
+          },
+        }
+  );
+
+  const validation = await request("post", "/fund_accounts/validations", {
+    account_number: sourceAccountNumber(),
+    fund_account: { id: fundAccount.id },
+    amount: 100,
+    currency: "INR",
+    notes: { beneficiary_id: String(beneficiary._id) },
+  });
+
+  return {
+    providerAccountId: fundAccount.id,
+    referenceId: validation.id,
+    ...toValidationResult(validation),
+  };
+};
+
+// Result of a payout entity
+const toPayoutResult = (payout) => ({
+  providerPayoutId: payout.id,
+  status: PAYOUT_STATUSES[payout.status] || "processing",
+  utr: payout.utr || null,
+  failureReason: payout.failure_reason || null,
+});
+
+const createPayout = async ({ payout, beneficiary }) => {
+  const result = await request(
+    "post",
+    "/payouts",
+    {
+      account_number: sourceAccountNumber(),
+      fund_account_id: beneficiary.providerAccountId,
+      amount: Math.round(payout.amount * 100),
+      currency: "INR",
+      mode: beneficiary.type === "vpa" ? "UPI" : "IMPS",
+      purpose: "payout",
+      queue_if_low_balance: true,
+      reference_id: String(payout._id),
+      narration: "Bahumati withdrawal",
+      notes: { withdrawal_request_id: String(payout.withdrawalRequestId) },
+    },
+    // Retrying with the same key never pays twice
+    { "X-Payout-Idempotency": String(payout._id) }
+  );
+
+  return toPayoutResult(result);
+};
+
+const findPayout = async ({ payout }) => {
+  const query = new URLSearchParams({
+    account_number: sourceAccountNumber(),
+    reference_id: String(payout._id),
+  });
+  const result = await request("get", `/payouts?${query}`);
+  const [found] = result.items || [];
+  return found ? toPayoutResult(found) : null;
+};
+
+const parseWebhook = ({ headers, rawBody }) => {
+  const isValid = validateSignature({
+    webhook_signature: headers["x-razorpay-signature"],
+    webhook_secret: process.env.RAZORPAYX_WEBHOOK_SECRET,
+    payload: rawBody,
+  });
+  if (!isValid) {
+    const error = new Error("Invalid webhook signature");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const body = JSON.parse(rawBody.toString("utf8"));
+  const eventId =
+    headers["x-razorpay-event-id"] ||
+    crypto.createHash("sha256").update(rawBody).digest("hex");
+
+  if (body.event?.startsWith("payout.")) {
+    const payout = body.payload?.payout?.entity;
+    if (!payout) return null;
+    return {
+      eventId,
+      kind: "payout",
+      providerPayoutId: payout.id,
+      referenceId: payout.reference_id || null,
+      status: PAYOUT_STATUSES[payout.status] || null,
+      utr: payout.utr || null,
+      failureReason:
+        payout.failure_reason || payout.status_details?.description || null,
+    };
+  }
+
+  if (body.event?.startsWith("fund_account.validation.")) {
+    const validation = body.payload?.fund_account?.entity;
+    if (!validation) return null;
+    return {
+      eventId,
+      kind: "validation",
+      referenceId: validation.id,
+      ...toValidationResult(validation),
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  name: "razorpayx",
+  verifyAccount,
+  createPayout,
+  findPayout,
+  parseWebhook,
+};
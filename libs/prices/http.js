@@ -0,0 +1,62 @@
+// libs/prices/http.js
+// Live price provider.
+// Gold: GET GOLD_PRICE_API_URL, price per gram read from the GOLD_PRICE_FIELD path (default "price").
+// Stock: latest NAV of the Top 50 fund from mfapi.in using TOP50_SCHEME_CODE.
+const axios = require("axios");
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Read a dotted path like "data.rates.gold" from an object
+const readPath = (obj, path) =>
+  path.split(".").reduce((value, key) => (value ? value[key] : undefined), obj);
+
+const fetchGoldPrice = async () => {
+  const url = process.env.GOLD_PRICE_API_URL;
+  if (!url) {
+    throw new Error("GOLD_PRICE_API_URL is not set in environment variables.");
+  }
+
+  const headers = {};
+  if (process.env.GOLD_PRICE_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.GOLD_PRICE_API_KEY}`;
+  }
+
+  const response = await axios.get(url, {
+    headers,
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  const price = Number(
+    readPath(response.data, process.env.GOLD_PRICE_FIELD || "price")
+  );
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error("Gold price API returned an invalid price");
+  }
+  return price;
+};
+
+const fetchStockNav = async () => {
+  const schemeCode = process.env.TOP50_SCHEME_CODE;
+  if (!schemeCode) {
+    throw new Error("TOP50_SCHEME_CODE is not set in environment variables.");
+  }
+
+  const response = await axios.get(
+    `https://api.mfapi.in/mf/${schemeCode}/latest`,
+    { timeout: REQUEST_TIMEOUT_MS }
+  );
+  const nav = Number(response.data?.data?.[0]?.nav);
+  if (!Number.isFinite(nav) || nav <= 0) {
+    throw new Error("Mutual fund API returned an invalid NAV");
+  }
+  return nav;
+};
+
+const fetchPrices = async () => {
+  const [gold, stock] = await Promise.all([fetchGoldPrice(), fetchStockNav()]);
+  return { gold, stock };
+};
+
+module.exports = {
+  name: "http",
+  fetchPrices,
+};
@@ -0,0 +1,32 @@
+// libs/prices/mock.js
+// Offline price provider. Reads prices from PRICE_MOCK_FILE (JSON: { "gold": 11203, "stock": 159.62 })
+// if set, otherwise serves in-memory prices that can be changed with setMockPrices().
+const fs = require("fs");
+
+let mockPrices = {
+  gold: 11203.0, // ₹ per gram
+  stock: 159.62, // ₹ per unit
+};
+
+const setMockPrices = (prices = {}) => {
+  mockPrices = { ...mockPrices, ...prices };
+};
+
+const fetchPrices = async () => {
+  const filePath = process.env.PRICE_MOCK_FILE;
+  if (filePath) {
+    const fileContent = await fs.promises.readFile(filePath, "utf8");
+    const filePrices = JSON.parse(fileContent);
+    return {
+      gold: Number(filePrices.gold),
+      stock: Number(filePrices.stock),
+    };
+  }
+  return { ...mockPrices };
+};
+
+module.exports = {
+  name: "mock",
+  fetchPrices,
+  setMockPrices,
+};
@@ -0,0 +1,21 @@
+// libs/prices/provider.js
+// Selects the price provider adapter via PRICE_PROVIDER ("http" | "mock").
+// Every adapter exposes: { name, fetchPrices: async () => ({ gold, stock }) }
+const httpProvider = require("./http");
+const mockProvider = require("./mock");
+
+const providers = {
+  http: httpProvider,
+  mock: mockProvider,
+};
+
+const getPriceProvider = () => {
+  const providerName = process.env.PRICE_PROVIDER || "http";
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`Unknown PRICE_PROVIDER "${providerName}"`);
+  }
+  return provider;
+};
+
+module.exports = { getPriceProvider };
@@ -14,4 +14,23 @@ const sendOtp = async (phone, otp) => {
   }
 };
 
+// Plain text SMS (reminders, alerts)
+const sendSms = async (phone, message) => {
+  try {
+    const API = process.env.SMS_API_KEY;
+    const BASE_URL =
+      process.env.SMS_MESSAGE_API_URL || "https://sms.renflair.in/V1.php";
+    const URL = `${BASE_URL}?API=${API}&PHONE=${phone}&MESSAGE=${encodeURIComponent(
+      message
+    )}`;
+
+    const response = await axios.get(URL);
+    return response.data;
+  } catch (error) {
+    console.error("Error sending SMS:", error.message);
+    throw new Error("Failed to send SMS");
+  }
+};
+
 module.exports = sendOtp;
+module.exports.sendSms = sendSms;
@@ -18,6 +18,13 @@ exports.isAuthorized = asyncHandler(async (req, res, next) => {
 
   const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+  // Event guest tokens only work for guest gifting (see isEventGuest)
+  if (decoded.type === "eventGuest") {
+    const err = new Error("Not authorized, please log in to the app");
+    err.statusCode = 401;
+    return next(err);
+  }
+
   // Check user type and fetch from appropriate model
   if (decoded.type === "admin") {
     req.user = await Admin.findById(decoded.id);
@@ -43,6 +50,25 @@ exports.isAuthorized = asyncHandler(async (req, res, next) => {
   next();
 });
 
+// Public routes that behave differently for signed-in app users: sets req.user
+// when a valid user token is sent, and carries on without it otherwise
+exports.identifyUser = asyncHandler(async (req, res, next) => {
+  const token = req.cookies.token || req.headers.authorization?.split(" ")[1];
+  if (!token) return next();
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next();
+  }
+
+  if (decoded.type !== "eventGuest" && decoded.type !== "admin") {
+    req.user = await User.findById(decoded.id);
+  }
+  next();
+});
+
 exports.roleAuthorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user || !req.user.role) {
@@ -65,3 +91,35 @@ exports.roleAuthorize = (...roles) => {
     next();
   };
 };
+
+// Guest who verified their phone on an event's public gifting page
+// (services/eventGuest.service.js). Sets req.guest = { id, eventId }
+exports.isEventGuest = (req, res, next) => {
+  const token = req.headers.authorization?.startsWith("Bearer")
+    ? req.headers.authorization.split(" ")[1]
+    : null;
+
+  if (!token) {
+    const err = new Error("Not authorized, guest token missing");
+    err.statusCode = 401;
+    return next(err);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    const err = new Error("Guest session has expired, please verify again");
+    err.statusCode = 401;
+    return next(err);
+  }
+
+  if (decoded.type !== "eventGuest" || !decoded.eventId) {
+    const err = new Error("Not authorized, guest token required");
+    err.statusCode = 401;
+    return next(err);
+  }
+
+  req.guest = { id: decoded.id, eventId: decoded.eventId };
+  next();
+};
@@ -6,7 +6,6 @@ const autoAllocationTaskSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Gift",
       required: true,
-      unique: true,
     },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -36,4 +35,9 @@ const autoAllocationTaskSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// One task per gift and receiving user - event gifts split between co-hosts
+// have a task for every beneficiary. The old unique giftId_1 index is dropped
+// on startup (config/database.js)
+autoAllocationTaskSchema.index({ giftId: 1, userId: 1 }, { unique: true });
+
 module.exports = mongoose.model("AutoAllocationTask", autoAllocationTaskSchema);
@@ -48,6 +48,34 @@ const eventSchema = new mongoose.Schema(
       enum: ["active", "ended", "cancelled"],
       default: "active",
     },
+    // When the event was moved to "ended" - by endEventNow or the lifecycle
+    // cron at eventEndDate - and its hosts were told withdrawals are open
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // What happens to the gifts if the host cancels the event: "refund" every
+    // gifter or "keep" the gifts with the hosts (services/eventCancellation.service.js)
+    cancellationPolicy: {
+      type: String,
+      enum: ["refund", "keep"],
+      default: "refund",
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancellationReason: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: 500,
+    },
+    // End of the window covered by the hosts' last daily gift digest
+    lastDigestAt: {
+      type: Date,
+      default: null,
+    },
     totalGiftsReceived: {
       type: Number,
       default: 0,
@@ -64,6 +92,34 @@ const eventSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // Co-hosts besides the owner (creatorId). Editors can update the event
+    // details; beneficiaries receive sharePercentage of every gift and the
+    // owner keeps the rest - see services/eventHosts.service.js
+    hosts: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["editor", "beneficiary"],
+          required: true,
+        },
+        sharePercentage: {
+          type: Number,
+          default: 0,
+          min: 0,
+          max: 100,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -71,5 +127,7 @@ const eventSchema = new mongoose.Schema(
 // Index for efficient queries
 eventSchema.index({ creatorId: 1, status: 1 });
 eventSchema.index({ eventStartDate: 1, eventEndDate: 1 });
+eventSchema.index({ "hosts.userId": 1 });
+eventSchema.index({ status: 1, eventEndDate: 1 });
 
 module.exports = mongoose.model("Event", eventSchema);
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+
+// Outcome report of an event cancellation - the event's gifts are refunded or
+// kept with the hosts in batches by services/eventCancellation.service.js
+const eventCancellationSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+      unique: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    policy: {
+      type: String,
+      enum: ["refund", "keep"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+      index: true,
+    },
+
+    // Gifts are processed in _id order - the last one done, to resume from
+    lastGiftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    gifts: [
+      {
+        _id: false,
+        giftId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Gift",
+          required: true,
+        },
+        senderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        amount: { type: Number, default: 0 },
+        // refunded - cancelled and the payment refunded, kept - stays with
+        // the hosts, voided - unpaid gift cancelled, failed - needs an admin
+        outcome: {
+          type: String,
+          enum: ["refunded", "kept", "voided", "failed"],
+          required: true,
+        },
+        refundStatus: { type: String, default: null },
+        error: { type: String, default: null },
+      },
+    ],
+    totalGifts: { type: Number, default: 0 },
+    refundedCount: { type: Number, default: 0 },
+    refundedAmount: { type: Number, default: 0 },
+    keptCount: { type: Number, default: 0 },
+    keptAmount: { type: Number, default: 0 },
+    voidedCount: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+    // Pending withdrawal requests rejected, and approved ones whose payout was
+    // stopped before it was sent - released back to the hosts
+    blockedWithdrawals: [
+      {
+        _id: false,
+        withdrawalRequestId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WithdrawalRequest",
+        },
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        amount: { type: Number, default: 0 },
+      },
+    ],
+
+    // Set while a worker is processing so runs don't overlap
+    lockedUntil: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+eventCancellationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("EventCancellation", eventCancellationSchema);
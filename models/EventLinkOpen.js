@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// A signed-in user or phone-verified guest who opened an event's link, so they
+// can be reminded before the event starts (services/eventLifecycle.service.js)
+const eventLinkOpenSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    firstOpenedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastOpenedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set once the pre-start reminder was sent
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+eventLinkOpenSchema.index({ eventId: 1, userId: 1 }, { unique: true });
+eventLinkOpenSchema.index({ eventId: 1, reminderSentAt: 1 });
+
+module.exports = mongoose.model("EventLinkOpen", eventLinkOpenSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// A guest's wish on an event's guest wall, optionally with a photo or video
+const eventWishSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    // App user or phone-verified event guest who posted the wish
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Name shown on the wall
+    name: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: 100,
+    },
+    message: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: 1000,
+    },
+    // Public S3 URL of the uploaded photo or video
+    mediaUrl: {
+      type: String,
+      default: null,
+    },
+    mediaType: {
+      type: String,
+      enum: ["image", "video", null],
+      default: null,
+    },
+    isGuest: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Host moderation - hidden wishes are left off the public wall
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenBy: {
+      type: { type: String, enum: ["host", "admin", null], default: null },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null }, // User or Admin ID
+    },
+  },
+  { timestamps: true }
+);
+
+eventWishSchema.index({ eventId: 1, isHidden: 1, createdAt: -1 });
+eventWishSchema.index({ authorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("EventWish", eventWishSchema);
@@ -31,10 +31,63 @@ const giftSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["pending", "accepted", "allotted", "expired", "cancelled"],
+      enum: [
+        "payment_pending", // Created, waiting for Razorpay payment capture
+        "scheduled", // Paid, waiting for deliverAt before the receiver is credited
+        "pending",
+        "accepted",
+        "allotted",
+        "expired",
+        "cancelled",
+      ],
       default: "pending",
     },
 
+    // Payment collection (Razorpay)
+    isPaid: { type: Boolean, default: false },
+    paymentOrderId: { type: String, default: null, index: true }, // Latest Razorpay order ID
+    paymentId: { type: String, default: null }, // Captured Razorpay payment ID
+    paymentStatus: {
+      type: String,
+      enum: [
+        "created",
+        "captured",
+        "failed",
+        "partially_refunded", // Part of the payment refunded (e.g. from the Razorpay dashboard) - needs manual handling
+        "refund_initiated", // Refund requested from Razorpay, awaiting webhook
+        "refunded",
+        null,
+      ],
+      default: null,
+    },
+    paidAt: { type: Date, default: null },
+    paymentFailureReason: { type: String, default: null },
+    refundId: { type: String, default: null },
+    refundedAmount: { type: Number, default: null }, // Total refunded so far
+    refundedAt: { type: Date, default: null },
+    refundError: { type: String, default: null }, // Last failed refund attempt
+
+    // Cancellation (by sender, or forced by an admin for disputes)
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: {
+      // "event" - cancelled with its event (see eventCancellation.service)
+      type: {
+        type: String,
+        enum: ["sender", "admin", "event", null],
+        default: null,
+      },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null }, // User, Admin or Event ID
+    },
+    cancellationReason: { type: String, default: null },
+
+    // Expiry of gifts never claimed by an unregistered receiver
+    expiredAt: { type: Date, default: null },
+    expiryResolution: {
+      type: String,
+      enum: ["refunded", "returned_to_sender", null],
+      default: null,
+    },
+
     isAllotted: { type: Boolean, default: false },
     allottedAt: { type: Date, default: null },
     convertedTo: { type: String, enum: ["gold", "stock", null], default: null },
@@ -99,6 +152,55 @@ const giftSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    // Event gifts split between co-hosts - what each beneficiary was credited.
+    // Empty when the whole gift went to receiverId
+    beneficiaryShares: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        amount: { type: Number, required: true, min: 0 },
+        isAllotted: { type: Boolean, default: false },
+        // Part of the share drawn by the beneficiary's withdrawals
+        withdrawnAmount: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    // Part of the gift drawn by the receiver's withdrawals (held or paid out) -
+    // split gifts track it per share instead. What is neither withdrawn nor
+    // allocated is free (services/withdrawalPolicy.service.js)
+    withdrawnAmount: { type: Number, default: 0, min: 0 },
+    // Hidden from the event's public guest wall by the host
+    hiddenOnWall: { type: Boolean, default: false },
+
+    // Future-dated delivery - the gift (and its chat message) stay hidden from
+    // the receiver until deliverAt; deliveredAt is set once it is released
+    deliverAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+
+    // Recurring gifts - schedule and run that created this gift
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GiftSchedule",
+      default: null,
+      index: true,
+    },
+    scheduleRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GiftScheduleRun",
+      default: null,
+    },
+
+    // Group gifts - pool the gift was created from
+    poolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GiftPool",
+      default: null,
+    },
+    // Extra details, e.g. the contributors of a group gift
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
 
     note: { type: String },
     isViewedByReceiver: { type: Boolean, default: false },
@@ -106,4 +208,7 @@ const giftSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Index for efficient queries
+giftSchema.index({ status: 1, deliverAt: 1 });
+
 module.exports = mongoose.model("Gift", giftSchema);
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Group gift - friends chip in through a shareable link and the pool becomes a
+// single Gift to the receiver when it closes
+const giftPoolSchema = new mongoose.Schema(
+  {
+    organiserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Registered receiver, or null when gifting to a phone number
+    receiverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    receiverNumber: {
+      type: String,
+      default: null,
+    },
+
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: ["gold", "stock"],
+      required: true,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    icon: {
+      type: String,
+      default: null,
+    },
+    // Note on the final gift
+    note: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+
+    targetAmount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Pool closes automatically at the deadline
+    deadline: {
+      type: Date,
+      required: true,
+    },
+    poolLink: {
+      type: String,
+      unique: true,
+      index: true,
+      default: function () {
+        return `pool-${crypto.randomBytes(8).toString("hex")}`;
+      },
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "open", // Accepting contributions
+        "closed", // Turned into a gift
+        "cancelled", // Contributions refunded
+      ],
+      default: "open",
+    },
+
+    // Paid contributions
+    collectedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    contributionsCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Gift created when the pool closed
+    giftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gift",
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancellationReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient queries
+giftPoolSchema.index({ status: 1, deadline: 1 });
+
+module.exports = mongoose.model("GiftPool", giftPoolSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// One contributor's share of a GiftPool and its payment
+const giftPoolContributionSchema = new mongoose.Schema(
+  {
+    poolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GiftPool",
+      required: true,
+    },
+    contributorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Shown to the receiver with the combined gift message
+    message: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "payment_pending", // Waiting for Razorpay payment capture
+        "paid",
+        "refund_initiated",
+        "refunded",
+      ],
+      default: "payment_pending",
+    },
+    paymentOrderId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    paymentId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    paymentFailureReason: {
+      type: String,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    refundId: {
+      type: String,
+      default: null,
+    },
+    refundedAt: {
+      type: Date,
+      default: null,
+    },
+    refundError: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient queries
+giftPoolContributionSchema.index({ poolId: 1, status: 1 });
+giftPoolContributionSchema.index({ contributorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model(
+  "GiftPoolContribution",
+  giftPoolContributionSchema
+);
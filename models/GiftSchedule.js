@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+// Recurring (SIP-style) gift - e.g. monthly gold for a niece, or a yearly
+// birthday gift. Each due occurrence creates a regular Gift through a
+// GiftScheduleRun
+const giftScheduleSchema = new mongoose.Schema(
+  {
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Registered receiver, or null when gifting to a phone number
+    receiverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    receiverNumber: {
+      type: String,
+      default: null,
+    },
+
+    frequency: {
+      type: String,
+      enum: ["weekly", "monthly", "yearly"],
+      required: true,
+    },
+    // Amount in INR for every occurrence
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    type: {
+      type: String,
+      enum: ["gold", "stock"],
+      required: true,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    icon: {
+      type: String,
+      default: null,
+    },
+    // Note for each gift - supports {count}, {date} and {amount} placeholders
+    noteTemplate: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+
+    // First occurrence; later occurrences keep its day/time
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    // No occurrences after this date (null = until cancelled)
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    // Number of occurrences started so far
+    occurrenceCount: {
+      type: Number,
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "paused", "cancelled", "completed"],
+      default: "active",
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the schedule was paused automatically after repeated failures
+    pauseReason: {
+      type: String,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Run outcomes
+    successfulRuns: {
+      type: Number,
+      default: 0,
+    },
+    failedRuns: {
+      type: Number,
+      default: 0,
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunStatus: {
+      type: String,
+      default: null,
+    },
+
+    // Razorpay recurring payment mandate - without an active mandate each
+    // occurrence waits for the sender to complete checkout
+    payment: {
+      customerId: {
+        type: String,
+        default: null,
+      },
+      tokenId: {
+        type: String,
+        default: null,
+      },
+      mandateOrderId: {
+        type: String,
+        default: null,
+      },
+      mandateStatus: {
+        type: String,
+        enum: ["none", "pending", "active"],
+        default: "none",
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient queries
+giftScheduleSchema.index({ status: 1, nextRunAt: 1 });
+giftScheduleSchema.index({ senderId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("GiftSchedule", giftScheduleSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// One occurrence of a GiftSchedule and its outcome
+const giftScheduleRunSchema = new mongoose.Schema(
+  {
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GiftSchedule",
+      required: true,
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // 1-based occurrence number within the schedule
+    occurrence: {
+      type: Number,
+      required: true,
+    },
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    giftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gift",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: [
+        "processing", // Gift created, recurring charge submitted to Razorpay
+        "awaiting_payment", // Gift created, waiting for the sender to pay
+        "retrying", // Last attempt failed, will be retried at nextRetryAt
+        "succeeded", // Payment captured, gift delivered
+        "failed", // Out of retries
+        "cancelled", // Schedule cancelled before the run completed
+      ],
+      default: "processing",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // When the current attempt times out (awaiting payment) or is retried
+    nextRetryAt: {
+      type: Date,
+      default: null,
+    },
+    paymentOrderId: {
+      type: String,
+      default: null,
+    },
+    paymentId: {
+      type: String,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient queries
+giftScheduleRunSchema.index({ scheduleId: 1, occurrence: 1 }, { unique: true });
+giftScheduleRunSchema.index({ status: 1, nextRetryAt: 1 });
+
+module.exports = mongoose.model("GiftScheduleRun", giftScheduleRunSchema);
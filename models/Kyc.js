@@ -7,6 +7,12 @@ const kycSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Name as printed on the ID - payout beneficiaries must match it
+  fullName: {
+    type: String,
+    trim: true,
+    default: "",
+  },
   idType: {
     type: String,
     required: true,
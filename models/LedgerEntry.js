@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+
+// Wallet accounts a posting can move money between
+// User accounts mirror the UserHistory balances; system accounts are the
+// outside world (payment gateway, payouts, opening balances)
+const LEDGER_ACCOUNTS = [
+  "user_unallotted",
+  "user_holding",
+  "user_allotted_gold",
+  "user_allotted_stock",
+  "user_redeeming", // Cost basis of units in pending sell orders
+  "user_withdrawable",
+  "system_payment_gateway", // Money collected through / refunded via Razorpay
+  "system_payouts", // Money paid out to users (approved withdrawals)
+  "system_market", // Counterparty of redemptions (units sold at market price)
+  "system_opening_balance", // Balances that existed before the ledger
+  "system_adjustment", // Manual corrections
+];
+
+const postingSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true,
+    },
+    // Owner of a user_* account (null for system accounts)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Units moved (grams of gold, fund units for stock) on allotted accounts
+    units: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Append-only journal entry - every money movement is one entry with balanced
+// debit and credit postings. Never update or delete entries; post a reversing
+// entry instead
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "opening_balance",
+        "gift_received",
+        "gift_reversed",
+        "gift_returned",
+        "allocation",
+        "withdrawal_hold",
+        "withdrawal_release",
+        "withdrawal",
+        "withdrawal_reversed",
+        "refund",
+        "redemption_hold",
+        "redemption_release",
+        "redemption",
+        "redemption_proceeds",
+        "switch",
+        "adjustment",
+      ],
+      required: true,
+    },
+    // User whose wallet the entry belongs to
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    postings: {
+      type: [postingSchema],
+      validate: {
+        validator: (postings) => postings.length >= 2,
+        message: "A ledger entry needs at least two postings",
+      },
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Source records, for auditing a balance back to what caused it
+    giftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gift",
+      default: null,
+    },
+    withdrawalRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WithdrawalRequest",
+      default: null,
+    },
+    sellOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellOrder",
+      default: null,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    // Optional key that makes posting the same movement twice a no-op
+    idempotencyKey: {
+      type: String,
+      default: undefined,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient queries
+ledgerEntrySchema.index({ userId: 1, createdAt: 1 });
+ledgerEntrySchema.index({ "postings.userId": 1, "postings.account": 1 });
+ledgerEntrySchema.index({ giftId: 1 });
+ledgerEntrySchema.index({ withdrawalRequestId: 1 });
+ledgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+const rejectMutation = function (next) {
+  next(new Error("Ledger entries are append-only"));
+};
+ledgerEntrySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectMutation
+);
+
+ledgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+ledgerEntrySchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -18,6 +18,9 @@ const messageSchema = new mongoose.Schema(
     mediaUrl: { type: String },
     giftId: { type: mongoose.Schema.Types.ObjectId, ref: "Gift" },
     isRead: { type: Boolean, default: false },
+    // Message of a gift scheduled for later delivery - hidden from the receiver
+    // until the gift is delivered
+    isScheduled: { type: Boolean, default: false },
     metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
   },
   { timestamps: true }
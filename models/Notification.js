@@ -16,12 +16,33 @@ const notificationSchema = new mongoose.Schema(
         "giftWithMessage",
         "selfGift",
         "selfGiftWithMessage",
+        "giftCancelled",
+        "unclaimedGiftReminder",
+        "giftExpired",
         "transaction",
         "system",
         "withdrawalRejected",
         "withdrawalApproved",
+        "redemptionApproved",
+        "redemptionRejected",
+        "giftSchedulePaymentDue",
+        "giftScheduleSent",
+        "giftScheduleFailed",
+        "giftPoolContribution",
+        "giftPoolClosed",
+        "giftPoolCancelled",
         "kycApproved",
         "kycRejected",
+        "eventEnded",
+        "eventReminder",
+        "eventDailyDigest",
+        "eventCancelled",
+        "payoutPaid",
+        "payoutFailed",
+        "payoutReversed",
+        "beneficiaryAdded",
+        "beneficiaryDefaultChanged",
+        "beneficiaryRemoved",
       ],
       required: true,
     },
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// One document per Razorpay webhook event - used to apply each event exactly once
+const paymentEventSchema = new mongoose.Schema(
+  {
+    // Razorpay event id (x-razorpay-event-id header), or a hash of the raw body
+    eventId: {
+      type: String,
+      required: true,
+    },
+    // Event type, e.g. "payment.captured", "refund.processed"
+    event: {
+      type: String,
+      required: true,
+    },
+    paymentId: {
+      type: String,
+      default: null,
+    },
+    orderId: {
+      type: String,
+      default: null,
+    },
+    refundId: {
+      type: String,
+      default: null,
+    },
+    giftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gift",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    // Outcome returned by the handler
+    message: {
+      type: String,
+      default: null,
+    },
+    // Last error when processing failed (Razorpay will retry the delivery)
+    error: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient queries
+paymentEventSchema.index({ eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ event: 1, createdAt: -1 });
+paymentEventSchema.index({ giftId: 1 });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+// Money sent to a user's bank account or UPI VPA for an approved withdrawal.
+// Status moves queued -> processing -> paid, and paid payouts can still be
+// reversed by the bank; see PAYOUT_TRANSITIONS in services/payout.service.js
+const payoutSchema = new mongoose.Schema(
+  {
+    withdrawalRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WithdrawalRequest",
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    beneficiaryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayoutBeneficiary",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "paid", "failed", "reversed"],
+      default: "queued",
+      index: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerPayoutId: {
+      type: String,
+      default: null,
+    },
+    // Bank reference of a paid payout
+    utr: {
+      type: String,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    // Submissions to the provider - retried by the payout cron while queued
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    // Held until the beneficiary's cooling-off period is over
+    notBefore: {
+      type: Date,
+      default: null,
+    },
+    history: [
+      {
+        _id: false,
+        status: { type: String, required: true },
+        at: { type: Date, default: Date.now },
+        // "api" (provider response), "webhook" or "system"
+        source: { type: String, default: null },
+        // Provider webhook event, to skip redeliveries
+        eventId: { type: String, default: null },
+        note: { type: String, default: null },
+      },
+    ],
+    paidAt: { type: Date, default: null },
+    failedAt: { type: Date, default: null },
+    reversedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ providerPayoutId: 1 }, { sparse: true });
+payoutSchema.index({ status: 1, lastAttemptAt: 1 });
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -0,0 +1,150 @@
+const mongoose = require("mongoose");
+
+// Bank account or UPI VPA a user's withdrawals are paid out to. It is verified
+// with a penny-drop through the payout provider and its name matched against
+// the user's KYC before it can be paid (services/payoutBeneficiary.service.js).
+// The account number is stored encrypted and only ever returned masked
+const payoutBeneficiarySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["bank_account", "vpa"],
+      required: true,
+    },
+    // Account holder name as entered by the user
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // encrypt(accountNumber) - use the masked value in responses
+    accountNumber: {
+      type: String,
+      default: null,
+    },
+    accountNumberLast4: {
+      type: String,
+      default: null,
+    },
+    // Keyed hash of the account (IFSC + number or VPA) to spot duplicates
+    fingerprint: {
+      type: String,
+      default: null,
+    },
+    ifsc: {
+      type: String,
+      default: null,
+      uppercase: true,
+      trim: true,
+    },
+    vpa: {
+      type: String,
+      default: null,
+      lowercase: true,
+      trim: true,
+    },
+
+    // Penny-drop verification
+    status: {
+      type: String,
+      enum: ["pending", "verified", "failed"],
+      default: "pending",
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    // Provider's ID of the account (RazorpayX fund account)
+    providerAccountId: {
+      type: String,
+      default: null,
+    },
+    // Provider's ID of the penny-drop, to match its webhook
+    verificationReferenceId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Name the bank has on the account
+    registeredName: {
+      type: String,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Beneficiary name (or the bank's registered name) against the KYC name
+    nameMatch: {
+      status: {
+        type: String,
+        enum: ["pending", "matched", "mismatch"],
+        default: "pending",
+      },
+      kycName: {
+        type: String,
+        default: null,
+      },
+      reason: {
+        type: String,
+        default: null,
+      },
+      checkedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    // Withdrawals are paid to the default beneficiary
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // No payouts to a new or newly made default beneficiary before this
+    coolingOffUntil: {
+      type: Date,
+      default: null,
+    },
+    // Removed beneficiaries are kept for the payouts that reference them
+    removedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+payoutBeneficiarySchema.index({ userId: 1, removedAt: 1, createdAt: -1 });
+payoutBeneficiarySchema.index({ userId: 1, fingerprint: 1 });
+
+// Never send the encrypted account number or the fingerprint to clients
+payoutBeneficiarySchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.accountNumber = ret.accountNumberLast4
+      ? `XXXXXX${ret.accountNumberLast4}`
+      : null;
+    if (ret.vpa) {
+      const [handle, bank] = ret.vpa.split("@");
+      ret.vpa = `${handle.slice(0, 2)}${"*".repeat(
+        Math.max(handle.length - 2, 2)
+      )}@${bank}`;
+    }
+    delete ret.accountNumberLast4;
+    delete ret.fingerprint;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("PayoutBeneficiary", payoutBeneficiarySchema);
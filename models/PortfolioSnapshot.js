@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const holdingSnapshotSchema = new mongoose.Schema(
+  {
+    units: { type: Number, default: 0, min: 0 },
+    pricePerUnit: { type: Number, default: null },
+    value: { type: Number, default: 0 }, // units × pricePerUnit (INR)
+    invested: { type: Number, default: 0 }, // allottedMoney at snapshot time (INR)
+  },
+  { _id: false }
+);
+
+const portfolioSnapshotSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Start of the day this snapshot closes
+    date: {
+      type: Date,
+      required: true,
+    },
+    gold: { type: holdingSnapshotSchema, default: () => ({}) },
+    stock: { type: holdingSnapshotSchema, default: () => ({}) },
+    totalValue: { type: Number, default: 0 },
+    totalInvested: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+// One snapshot per user per day (makes the nightly job safe to re-run)
+portfolioSnapshotSchema.index({ userId: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model("PortfolioSnapshot", portfolioSnapshotSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const priceTickSchema = new mongoose.Schema(
+  {
+    assetType: {
+      type: String,
+      enum: ["gold", "stock"],
+      required: true,
+    },
+    // Price per unit in INR (per gram for gold, NAV per unit for stock)
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Provider that produced this price (e.g. "http", "mock")
+    source: {
+      type: String,
+      required: true,
+    },
+    fetchedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for latest-price and history lookups
+priceTickSchema.index({ assetType: 1, fetchedAt: -1 });
+
+module.exports = mongoose.model("PriceTick", priceTickSchema);
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+// A balance that disagrees with what its source records add up to
+const reconciliationIssueSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // UserHistory balance that is off
+    field: {
+      type: String,
+      enum: [
+        "unallottedMoney",
+        "holdingMoney",
+        "withdrawableMoney",
+        "allottedMoney.gold",
+        "allottedMoney.stock",
+      ],
+      required: true,
+    },
+    // Balance recomputed from gifts, allocations and withdrawals
+    expected: {
+      type: Number,
+      required: true,
+    },
+    // Balance stored in UserHistory
+    actual: {
+      type: Number,
+      required: true,
+    },
+    // actual - expected (positive = user has more than expected)
+    difference: {
+      type: Number,
+      required: true,
+    },
+    // Source totals the expected balance was computed from
+    breakdown: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    firstDetectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastDetectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Number of reconciliation runs that found this issue
+    occurrences: {
+      type: Number,
+      default: 1,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolutionNote: {
+      type: String,
+      default: null,
+    },
+    // Adjusting entry recorded when the issue was resolved
+    adjustment: {
+      amount: { type: Number, default: null },
+      ledgerEntryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LedgerEntry",
+        default: null,
+      },
+      appliedAt: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient queries
+reconciliationIssueSchema.index({ status: 1, lastDetectedAt: -1 });
+reconciliationIssueSchema.index({ userId: 1, status: 1 });
+// At most one open issue per user balance
+reconciliationIssueSchema.index(
+  { userId: 1, field: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+module.exports = mongoose.model(
+  "ReconciliationIssue",
+  reconciliationIssueSchema
+);
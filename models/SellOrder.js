@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// Redemption of allotted gold/stock units back into money
+const sellOrderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    assetType: {
+      type: String,
+      enum: ["gold", "stock"],
+      required: true,
+    },
+    // Units sold (grams of gold, fund units for stock)
+    units: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Market price per unit when the order was placed
+    pricePerUnit: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Sale proceeds in INR (units * pricePerUnit)
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Invested amount the units were bought with (average cost)
+    costBasis: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // amount - costBasis (negative for a loss)
+    realisedGain: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    rejectedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient queries
+sellOrderSchema.index({ userId: 1, createdAt: -1 });
+sellOrderSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SellOrder", sellOrderSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Bulk thank-you note from an event host to the people who gifted at the
+// event, sent as chat messages by services/thankYou.service.js
+const thankYouBatchSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Message with {name} and {amount} placeholders
+    template: {
+      type: String,
+      required: true,
+      maxlength: 1000,
+    },
+    // Optional photo sent with every note
+    mediaUrl: {
+      type: String,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed"],
+      default: "queued",
+    },
+    recipients: [
+      {
+        // Gift sender being thanked
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        name: { type: String, default: null },
+        number: { type: String, default: null },
+        // Total they gifted at the event (INR)
+        amount: { type: Number, default: 0 },
+        status: {
+          type: String,
+          enum: ["pending", "sent", "failed"],
+          default: "pending",
+        },
+        messageId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Message",
+          default: null,
+        },
+        error: { type: String, default: null },
+        sentAt: { type: Date, default: null },
+      },
+    ],
+    totalCount: { type: Number, default: 0 },
+    sentCount: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+
+    // Set while a worker is sending this batch so runs don't overlap
+    lockedUntil: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+thankYouBatchSchema.index({ eventId: 1, createdAt: -1 });
+thankYouBatchSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("ThankYouBatch", thankYouBatchSchema);
@@ -24,6 +24,25 @@ const userHistorySchema = new mongoose.Schema(
       min: 0,
     },
 
+    // Withdrawable money (in INR) - proceeds of approved redemptions
+    withdrawableMoney: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Realised gain/loss on redeemed holdings (in INR)
+    realisedGains: {
+      gold: {
+        type: Number,
+        default: 0,
+      },
+      stock: {
+        type: Number,
+        default: 0,
+      },
+    },
+
     // Allotted money breakdown
     allottedMoney: {
       gold: {
@@ -38,9 +57,34 @@ const userHistorySchema = new mongoose.Schema(
       },
     },
 
+    // Allotted holdings in units (grams of gold, fund units for stock)
+    // No defaults on purpose: missing values are backfilled from allocationHistory
+    allottedUnits: {
+      gold: {
+        type: Number,
+        min: 0,
+      },
+      stock: {
+        type: Number,
+        min: 0,
+      },
+    },
+
     // Allocation history - tracks all allocations made by user
     allocationHistory: [
       {
+        // "allocation" moves money into a holding; a switch between holdings
+        // is recorded as a "switch_out" leg and a "switch_in" leg
+        kind: {
+          type: String,
+          enum: ["allocation", "switch_out", "switch_in"],
+          default: "allocation",
+        },
+        // Pairs the two legs of a switch
+        switchId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
         giftId: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "Gift",
@@ -85,6 +129,18 @@ const userHistorySchema = new mongoose.Schema(
           convertedQuantity: {
             type: Number,
           },
+          fromPrice: {
+            type: Number,
+          },
+          toPrice: {
+            type: Number,
+          },
+          fromValue: {
+            type: Number,
+          },
+          toValue: {
+            type: Number,
+          },
         },
       },
     ],
@@ -162,6 +218,8 @@ userHistorySchema.methods.allocateMoney = async function (
 
   // Add to allotted
   this.allottedMoney[allocationType] += amount;
+  this.ensureAllottedUnits();
+  this.allottedUnits[allocationType] += quantity;
 
   // Add to allocation history
   this.allocationHistory.push({
@@ -194,6 +252,25 @@ userHistorySchema.methods.allocateMoney = async function (
   return this.save();
 };
 
+// Method to backfill allottedUnits for records created before units were tracked
+// Returns true if the document was modified (caller is responsible for saving)
+userHistorySchema.methods.ensureAllottedUnits = function () {
+  if (
+    this.allottedUnits?.gold !== undefined &&
+    this.allottedUnits?.stock !== undefined
+  ) {
+    return false;
+  }
+
+  const units = { gold: 0, stock: 0 };
+  for (const allocation of this.allocationHistory) {
+    const sign = allocation.kind === "switch_out" ? -1 : 1;
+    units[allocation.allocationType] += sign * (allocation.quantity || 0);
+  }
+  this.allottedUnits = units;
+  return true;
+};
+
 // Static method to get or create user history
 userHistorySchema.statics.getOrCreate = async function (userId) {
   let userHistory = await this.findOne({ userId });
@@ -203,13 +280,18 @@ userHistorySchema.statics.getOrCreate = async function (userId) {
       unallottedMoney: 0,
       holdingMoney: 0,
       allottedMoney: { gold: 0, stock: 0 },
+      allottedUnits: { gold: 0, stock: 0 },
       allocationHistory: [],
       giftHistory: [],
     });
   }
-  // Ensure holdingMoney exists for existing records
+  // Ensure holdingMoney and allottedUnits exist for existing records
+  let needsSave = userHistory.ensureAllottedUnits();
   if (userHistory.holdingMoney === undefined) {
     userHistory.holdingMoney = 0;
+    needsSave = true;
+  }
+  if (needsSave) {
     await userHistory.save();
   }
   return userHistory;
@@ -23,6 +23,15 @@ const userWithNoAccountSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // Claim reminders sent to the phone number (see unclaimedGifts.service)
+        reminderCount: {
+          type: Number,
+          default: 0,
+        },
+        lastReminderAt: {
+          type: Date,
+          default: null,
+        },
       },
     ],
     messages: [
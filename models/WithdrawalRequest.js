@@ -2,10 +2,20 @@ const mongoose = require("mongoose");
 
 const withdrawalRequestSchema = new mongoose.Schema(
   {
+    // Where the money comes from: event gifts or other received gifts
+    // ("balance") - both unallotted money - or redemption proceeds
+    // (withdrawable money)
+    source: {
+      type: String,
+      enum: ["event", "balance", "redemption"],
+      default: "event",
+    },
     eventId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Event",
-      required: true,
+      required: function () {
+        return this.source === "event";
+      },
       index: true,
     },
     userId: {
@@ -21,13 +31,17 @@ const withdrawalRequestSchema = new mongoose.Schema(
     },
     percentage: {
       type: Number,
-      required: true,
+      required: function () {
+        return this.source === "event";
+      },
       min: 0,
       max: 100,
     },
     totalGiftsAmount: {
       type: Number,
-      required: true,
+      required: function () {
+        return this.source === "event";
+      },
       min: 0,
     },
     status: {
@@ -41,6 +55,31 @@ const withdrawalRequestSchema = new mongoose.Schema(
       enum: ["holding", "withdrawn", "alloting"],
       default: "holding",
     },
+    // Gifts the amount was drawn from, oldest first. Released again when the
+    // money goes back to the user
+    giftDrawdowns: [
+      {
+        _id: false,
+        giftId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Gift",
+          required: true,
+        },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Payout of an approved request (services/payout.service.js) - the money
+    // stays on hold until it is paid, and goes back to the user if it fails
+    payoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payout",
+      default: null,
+    },
+    payoutStatus: {
+      type: String,
+      enum: ["queued", "processing", "paid", "failed", "reversed", null],
+      default: null,
+    },
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -63,6 +102,46 @@ const withdrawalRequestSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+
+    // Approval policy tier the amount fell in, and the roles that still have
+    // to approve (services/withdrawalApproval.service.js)
+    approvalTier: {
+      type: String,
+      default: null,
+    },
+    requiredApprovals: {
+      type: [String],
+      default: [],
+    },
+    // Every approval step, including automatic ones
+    approvalSteps: [
+      {
+        action: {
+          type: String,
+          enum: ["approved", "rejected", "auto_approved", "auto_skipped"],
+          required: true,
+        },
+        // null for automatic steps
+        actorId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+          default: null,
+        },
+        actorRole: {
+          type: String,
+          default: "system",
+        },
+        comment: {
+          type: String,
+          default: null,
+          maxlength: 500,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -70,5 +149,6 @@ const withdrawalRequestSchema = new mongoose.Schema(
 // Index for efficient queries
 withdrawalRequestSchema.index({ userId: 1, status: 1 });
 withdrawalRequestSchema.index({ eventId: 1, status: 1 });
+withdrawalRequestSchema.index({ userId: 1, createdAt: -1 });
 
 module.exports = mongoose.model("WithdrawalRequest", withdrawalRequestSchema);
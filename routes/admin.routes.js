@@ -7,6 +7,14 @@ const {
   login,
   changePassword,
   getUserTransactions,
+  getPaymentEvents,
+  getPaymentEventById,
+  forceRefundGift,
+  getUserLedger,
+  rebuildUserBalances,
+  backfillLedgerOpeningBalances,
+  getEventCancellations,
+  getEventCancellationById,
 } = require("../controllers/admin.controller");
 const { isAuthorized, roleAuthorize } = require("../middlewares/auth");
 
@@ -61,18 +69,51 @@ router
     getUserTransactions
   );
 
+// Wallet ledger - Accessible by admin and reconciliation agents
+router
+  .route("/users/:userId/ledger")
+  .get(roleAuthorize("admin", "reconciliation_agent"), getUserLedger);
+
 // Edit user details - Accessible by admin and onboarding agents
 // NOTE: This must come AFTER /users/find to avoid matching "find" as a userId
 router
   .route("/users/:userId")
   .put(roleAuthorize("admin", "onboarding_agent"), userController.editUser);
 
+// Razorpay webhook ledger - Accessible by admin and reconciliation agents
+router
+  .route("/payment-events")
+  .get(roleAuthorize("admin", "reconciliation_agent"), getPaymentEvents);
+
+router
+  .route("/payment-events/:id")
+  .get(roleAuthorize("admin", "reconciliation_agent"), getPaymentEventById);
+
+// Event cancellation reports - Accessible by admin and reconciliation agents
+router
+  .route("/event-cancellations")
+  .get(roleAuthorize("admin", "reconciliation_agent"), getEventCancellations);
+
+router
+  .route("/event-cancellations/:id")
+  .get(
+    roleAuthorize("admin", "reconciliation_agent"),
+    getEventCancellationById
+  );
+
 // Routes requiring 'admin' role
 router.use(roleAuthorize("admin"));
 
 router.route("/agents").post(createAgent).get(getAgents);
 
 router.route("/agents/:id").put(updateAgent);
+
+// Rebuild UserHistory balances from the ledger
+router.route("/users/:userId/ledger/rebuild").post(rebuildUserBalances);
+router.route("/ledger/backfill").post(backfillLedgerOpeningBalances);
+
+// Force-cancel and refund a gift (disputes)
+router.route("/gifts/:giftId/refund").post(forceRefundGift);
 // .delete(deleteAgent);
 
 module.exports = router;
@@ -1,9 +1,51 @@
 const router = require("express").Router();
 const eventController = require("../controllers/event.controller");
-const { isAuthorized, roleAuthorize } = require("../middlewares/auth");
+const eventGuestController = require("../controllers/eventGuest.controller");
+const eventWishController = require("../controllers/eventWish.controller");
+const eventThankYouController = require("../controllers/eventThankYou.controller");
+const upload = require("../middlewares/multer");
+const {
+  isAuthorized,
+  roleAuthorize,
+  isEventGuest,
+  identifyUser,
+} = require("../middlewares/auth");
 
-// Public route - get event by link (no auth required for sharing)
-router.route("/link/:eventLink").get(eventController.getEventByLink);
+// Public route - get event by link (no auth required for sharing, signed-in
+// users are remembered for the pre-start reminder)
+router
+  .route("/link/:eventLink")
+  .get(identifyUser, eventController.getEventByLink);
+
+// Public guest gifting - guests verify their phone by OTP instead of logging in
+router
+  .route("/link/:eventLink/guest/otp")
+  .post(eventGuestController.requestGuestOtp);
+router
+  .route("/link/:eventLink/guest/verify")
+  .post(eventGuestController.verifyGuestOtp);
+router
+  .route("/link/:eventLink/guest/gifts")
+  .post(isEventGuest, eventGuestController.createGuestGift);
+router
+  .route("/link/:eventLink/guest/gifts/:giftId")
+  .get(isEventGuest, eventGuestController.getGuestGift);
+
+// Public guest wall of an event
+router.route("/link/:eventLink/wall").get(eventGuestController.getGuestWall);
+
+// Wishes on the guest wall - optional photo or video in the "media" field
+router.route("/link/:eventLink/wishes").get(eventWishController.getWishes);
+router
+  .route("/link/:eventLink/wishes")
+  .post(isAuthorized, upload.single("media"), eventWishController.postWish);
+router
+  .route("/link/:eventLink/guest/wishes")
+  .post(
+    isEventGuest,
+    upload.single("media"),
+    eventWishController.postGuestWish
+  );
 
 // All other routes require authentication
 router.use(isAuthorized);
@@ -26,4 +68,45 @@ router.route("/:eventId").delete(eventController.deleteEvent);
 // End event now
 router.route("/:eventId/end").post(eventController.endEventNow);
 
+// Cancel event - gifts are refunded or kept according to its cancellation policy
+router.route("/:eventId/cancel").post(eventController.cancelEvent);
+router
+  .route("/:eventId/cancellation")
+  .get(eventController.getEventCancellation);
+
+// Analytics and gift register export (CSV or printable PDF)
+router.route("/:eventId/analytics").get(eventController.getEventAnalytics);
+router.route("/:eventId/register").get(eventController.exportGiftRegister);
+
+// Co-hosts - owner, editors and beneficiaries
+router.route("/:eventId/hosts").get(eventController.getEventHosts);
+router.route("/:eventId/hosts").post(eventController.addEventHost);
+router
+  .route("/:eventId/hosts/:hostUserId")
+  .patch(eventController.updateEventHost);
+router
+  .route("/:eventId/hosts/:hostUserId")
+  .delete(eventController.removeEventHost);
+
+// Guest wall moderation (host)
+router.route("/:eventId/wishes").get(eventWishController.getEventWishesForHost);
+router
+  .route("/:eventId/wishes/:wishId/visibility")
+  .patch(eventWishController.setWishVisibility);
+router.route("/:eventId/wall").get(eventWishController.getEventWallForHost);
+router
+  .route("/:eventId/wall/gifts/:giftId/visibility")
+  .patch(eventWishController.setWallGiftVisibility);
+
+// Bulk thank-you notes to gifters - optional photo in the "media" field
+router
+  .route("/:eventId/thank-you")
+  .post(upload.single("media"), eventThankYouController.sendThankYou);
+router
+  .route("/:eventId/thank-you")
+  .get(eventThankYouController.getThankYouBatches);
+router
+  .route("/:eventId/thank-you/:batchId")
+  .get(eventThankYouController.getThankYouBatch);
+
 module.exports = router;
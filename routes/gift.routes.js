@@ -17,9 +17,24 @@ router.route("/allocation-summary").get(giftController.getAllocationSummary);
 // Get user's portfolio summary (for home screen)
 router.route("/portfolio-summary").get(giftController.getPortfolioSummary);
 
+// Switch holdings between gold and stock
+router.route("/switch").post(giftController.switchHolding);
+
+// Get latest gold and stock prices
+router.route("/prices").get(giftController.getCurrentPrices);
+
+// Gifts scheduled for later delivery that have not been delivered yet
+router.route("/scheduled").get(giftController.getScheduledGifts);
+
+// Change the delivery time, note or message of a scheduled gift
+router.route("/:giftId/schedule").patch(giftController.updateScheduledGift);
+
 // Accept a gift (mark as accepted)
 router.route("/:giftId/accept").patch(giftController.acceptGift);
 
+// Cancel a sent gift (not yet accepted or allocated) and refund it
+router.route("/:giftId/cancel").patch(giftController.cancelGift);
+
 // Get all gifts received by the current user
 router.route("/received").get(giftController.getReceivedGifts);
 
@@ -0,0 +1,29 @@
+const router = require("express").Router();
+const giftPoolController = require("../controllers/giftPool.controller");
+const { isAuthorized } = require("../middlewares/auth");
+
+// Public route - get gift pool by link (no auth required for sharing)
+router.route("/link/:poolLink").get(giftPoolController.getPoolByLink);
+
+// All other routes require authentication
+router.use(isAuthorized);
+
+// Contribute to a gift pool through its link
+router
+  .route("/link/:poolLink/contributions")
+  .post(giftPoolController.contributeToPool);
+
+// Create a gift pool
+router.route("/").post(giftPoolController.createPool);
+
+// Get gift pools the current user organised or contributed to
+router.route("/").get(giftPoolController.getMyPools);
+
+// Get gift pool by ID
+router.route("/:poolId").get(giftPoolController.getPoolById);
+
+// Close a gift pool and send the gift / cancel it and refund contributions
+router.route("/:poolId/close").patch(giftPoolController.closePool);
+router.route("/:poolId/cancel").patch(giftPoolController.cancelPool);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const router = require("express").Router();
+const giftScheduleController = require("../controllers/giftSchedule.controller");
+const { isAuthorized } = require("../middlewares/auth");
+
+// All routes require authentication
+router.use(isAuthorized);
+
+// Create a recurring gift schedule
+router.route("/").post(giftScheduleController.createSchedule);
+
+// Get gift schedules of the current user
+router.route("/").get(giftScheduleController.getMySchedules);
+
+// Get a gift schedule with its runs
+router.route("/:scheduleId").get(giftScheduleController.getScheduleById);
+
+// Pause / resume / cancel a gift schedule
+router.route("/:scheduleId/pause").patch(giftScheduleController.pauseSchedule);
+router
+  .route("/:scheduleId/resume")
+  .patch(giftScheduleController.resumeSchedule);
+router
+  .route("/:scheduleId/cancel")
+  .patch(giftScheduleController.cancelSchedule);
+
+// Set up automatic payments (Razorpay recurring mandate)
+router
+  .route("/:scheduleId/mandate")
+  .post(giftScheduleController.createScheduleMandate);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const router = require("express").Router();
+const paymentController = require("../controllers/payment.controller");
+const { captureHook } = require("../libs/payments/webhook");
+const { isAuthorized } = require("../middlewares/auth");
+
+// Razorpay webhook (public - verified by signature over the raw body)
+router.route("/webhook").post(captureHook);
+
+// Create a Razorpay order for a gift awaiting payment
+router
+  .route("/orders")
+  .post(isAuthorized, paymentController.createPaymentOrder);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const router = require("express").Router();
+const payoutController = require("../controllers/payout.controller");
+const beneficiaryController = require("../controllers/payoutBeneficiary.controller");
+const { isAuthorized, roleAuthorize } = require("../middlewares/auth");
+
+// Payout provider webhook (public - verified by signature over the raw body)
+router.route("/webhook").post(payoutController.payoutWebhook);
+
+// All other routes require authentication
+router.use(isAuthorized);
+
+// Add / list bank accounts and UPI IDs to receive withdrawals
+router.route("/beneficiaries").post(beneficiaryController.addBeneficiary);
+router.route("/beneficiaries").get(beneficiaryController.getMyBeneficiaries);
+
+// Retry verification / make default / remove a beneficiary
+router
+  .route("/beneficiaries/:beneficiaryId/verify")
+  .post(beneficiaryController.verifyBeneficiary);
+router
+  .route("/beneficiaries/:beneficiaryId/default")
+  .patch(beneficiaryController.setDefaultBeneficiary);
+router
+  .route("/beneficiaries/:beneficiaryId")
+  .delete(beneficiaryController.removeBeneficiary);
+
+// Get payouts of the current user
+router.route("/").get(payoutController.getMyPayouts);
+
+// Get all payouts (admin and reconciliation only)
+router
+  .route("/all")
+  .get(
+    roleAuthorize("admin", "reconciliation_agent"),
+    payoutController.getAllPayouts
+  );
+
+module.exports = router;
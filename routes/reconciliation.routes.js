@@ -0,0 +1,27 @@
+const router = require("express").Router();
+const reconciliationController = require("../controllers/reconciliation.controller");
+const { isAuthorized, roleAuthorize } = require("../middlewares/auth");
+
+// All routes require an admin or reconciliation agent
+router.use(isAuthorized, roleAuthorize("admin", "reconciliation_agent"));
+
+// List balance discrepancies found by the nightly reconciliation
+router.route("/issues").get(reconciliationController.getIssues);
+
+// Get a single issue with the user's current balances
+router.route("/issues/:issueId").get(reconciliationController.getIssueById);
+
+// Resolve an issue (optionally with an adjusting ledger entry)
+router
+  .route("/issues/:issueId/resolve")
+  .patch(reconciliationController.resolveIssue);
+
+// Dismiss an issue without changing balances
+router
+  .route("/issues/:issueId/dismiss")
+  .patch(reconciliationController.dismissIssue);
+
+// Run reconciliation now (all users, or one user)
+router.route("/run").post(reconciliationController.runReconciliation);
+
+module.exports = router;
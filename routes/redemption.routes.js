@@ -0,0 +1,38 @@
+const router = require("express").Router();
+const redemptionController = require("../controllers/redemption.controller");
+const { isAuthorized, roleAuthorize } = require("../middlewares/auth");
+
+// All routes require authentication
+router.use(isAuthorized);
+
+// Redeem gold/stock holdings
+router.route("/").post(redemptionController.createRedemption);
+
+// Get redemptions for current user
+router.route("/").get(redemptionController.getMyRedemptions);
+
+// Get all redemptions (admin and reconciliation only)
+router
+  .route("/all")
+  .get(
+    roleAuthorize("admin", "reconciliation_agent"),
+    redemptionController.getAllRedemptions
+  );
+
+// Approve redemption (admin and reconciliation only)
+router
+  .route("/:sellOrderId/approve")
+  .patch(
+    roleAuthorize("admin", "reconciliation_agent"),
+    redemptionController.approveRedemption
+  );
+
+// Reject redemption (admin and reconciliation only)
+router
+  .route("/:sellOrderId/reject")
+  .patch(
+    roleAuthorize("admin", "reconciliation_agent"),
+    redemptionController.rejectRedemption
+  );
+
+module.exports = router;
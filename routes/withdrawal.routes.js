@@ -11,35 +11,40 @@ router.route("/").post(withdrawalController.createWithdrawalRequest);
 // Get withdrawal requests for current user
 router.route("/").get(withdrawalController.getMyWithdrawalRequests);
 
-// Get all withdrawal requests (admin and reconciliation only)
+// How much the current user can withdraw from their general balance
+router
+  .route("/balance")
+  .get(withdrawalController.getBalanceWithdrawalAllowance);
+
+// Get all withdrawal requests (admin and reconciliation agents only)
 router
   .route("/all")
   .get(
-    roleAuthorize("admin", "reconciliation"),
+    roleAuthorize("admin", "reconciliation_agent"),
     withdrawalController.getAllWithdrawalRequests
   );
 
-// Get withdrawal requests for an event (admin and reconciliation only)
+// Get withdrawal requests for an event (admin and reconciliation agents only)
 router
   .route("/event/:eventId")
   .get(
-    roleAuthorize("admin", "reconciliation"),
+    roleAuthorize("admin", "reconciliation_agent"),
     withdrawalController.getEventWithdrawalRequests
   );
 
-// Approve withdrawal request (admin and reconciliation only)
+// Approve withdrawal request (admin and reconciliation agents only)
 router
   .route("/:requestId/approve")
   .patch(
-    roleAuthorize("admin", "reconciliation"),
+    roleAuthorize("admin", "reconciliation_agent"),
     withdrawalController.approveWithdrawalRequest
   );
 
-// Reject withdrawal request (admin and reconciliation only)
+// Reject withdrawal request (admin and reconciliation agents only)
 router
   .route("/:requestId/reject")
   .patch(
-    roleAuthorize("admin", "reconciliation"),
+    roleAuthorize("admin", "reconciliation_agent"),
     withdrawalController.rejectWithdrawalRequest
   );
 
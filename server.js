@@ -109,6 +109,48 @@ setSocketServer(io);
 const { startAutoAllocationCron } = require("./services/autoAllocationCron");
 startAutoAllocationCron();
 
+// Start price feed cron job
+const { startPriceFeedCron } = require("./services/priceFeedCron");
+startPriceFeedCron();
+
+// Start nightly portfolio snapshot cron job
+const {
+  startPortfolioSnapshotCron,
+} = require("./services/portfolioSnapshotCron");
+startPortfolioSnapshotCron();
+
+// Start unclaimed gift reminder/expiry cron job
+const { startUnclaimedGiftCron } = require("./services/unclaimedGiftCron");
+startUnclaimedGiftCron();
+
+// Start nightly balance reconciliation cron job
+const { startReconciliationCron } = require("./services/reconciliationCron");
+startReconciliationCron();
+
+// Start recurring gift schedule cron job
+const { startGiftScheduleCron } = require("./services/giftScheduleCron");
+startGiftScheduleCron();
+
+// Start scheduled gift delivery cron job
+const { startGiftDeliveryCron } = require("./services/giftDeliveryCron");
+startGiftDeliveryCron();
+
+// Start gift pool deadline cron job
+const { startGiftPoolCron } = require("./services/giftPoolCron");
+startGiftPoolCron();
+
+// Start thank-you note sending cron job
+const { startThankYouCron } = require("./services/thankYouCron");
+startThankYouCron();
+
+// Start event auto-end, reminder and daily digest cron jobs
+const { startEventLifecycleCron } = require("./services/eventLifecycleCron");
+startEventLifecycleCron();
+
+// Start queued payout retry cron job
+const { startPayoutCron } = require("./services/payoutCron");
+startPayoutCron();
+
 // Graceful shutdown helpers
 const PORT = process.env.PORT || 5000;
 const server = httpServer.listen(PORT, () =>
@@ -3,6 +3,7 @@ const Gift = require("../models/Gift");
 const AutoAllocationTask = require("../models/AutoAllocationTask");
 const UserHistory = require("../models/UserHistory");
 const { allocateGift } = require("./giftAllocation.service");
+const { balanceReleaseDate } = require("./withdrawalPolicy.service");
 
 const RESCHEDULE_DELAY_MS = 60 * 60 * 1000; // Retry every hour if conditions aren't met
 
@@ -18,10 +19,13 @@ const startAutoAllocationCron = () => {
       const tasks = await AutoAllocationTask.find({
         isActive: true,
         scheduledAt: { $lte: now },
-      }).populate({
-        path: "giftId",
-        populate: { path: "receiverId", select: "defaultGiftMode" },
-      });
+      })
+        .populate({
+          path: "giftId",
+          populate: { path: "receiverId", select: "defaultGiftMode" },
+        })
+        // Co-host beneficiaries of split event gifts use their own mode
+        .populate("userId", "defaultGiftMode");
 
       console.log(
         `📊 [Auto-Allocation Cron] Found ${tasks.length} tasks to process`
@@ -79,7 +83,7 @@ const startAutoAllocationCron = () => {
             continue;
           }
 
-          const receiver = gift.receiverId;
+          const receiver = task.userId || gift.receiverId;
           if (!receiver.defaultGiftMode) {
             await rescheduleTask(
               task,
@@ -97,7 +101,7 @@ const startAutoAllocationCron = () => {
             continue;
           }
 
-          const userId = task.userId?.toString() || receiver._id?.toString();
+          const userId = receiver._id?.toString();
           if (!userId) {
             await markTaskCompleted(task, "User ID not available for task.");
             continue;
@@ -126,12 +130,20 @@ const startAutoAllocationCron = () => {
             )
             .reduce((sum, allocation) => sum + allocation.amount, 0);
 
-          const remainingAmount = giftEntry.amount - totalAllocatedForGift;
+          // The part drawn by withdrawals is no longer the user's to allocate -
+          // split event gifts track it per beneficiary share
+          const share = gift.beneficiaryShares?.find(
+            (s) => String(s.userId) === userId
+          );
+          const withdrawnAmount =
+            (share ? share.withdrawnAmount : gift.withdrawnAmount) || 0;
+          const remainingAmount =
+            giftEntry.amount - totalAllocatedForGift - withdrawnAmount;
 
           if (remainingAmount <= 0) {
             await markTaskCompleted(
               task,
-              "Gift already fully allocated. Marking task complete."
+              "Gift already fully allocated or withdrawn. Marking task complete."
             );
             continue;
           }
@@ -161,6 +173,22 @@ const startAutoAllocationCron = () => {
                 continue;
               }
             }
+          } else {
+            // Gifts held back by the balance withdrawal policies get the same
+            // day to be withdrawn once they are released
+            const releasedAt = balanceReleaseDate(gift);
+            if (releasedAt) {
+              const allocationStartDate = new Date(releasedAt);
+              allocationStartDate.setDate(allocationStartDate.getDate() + 1);
+
+              if (now < allocationStartDate) {
+                await rescheduleTask(
+                  task,
+                  `Held for balance withdrawals. Allocation starts after ${allocationStartDate.toISOString()}.`
+                );
+                continue;
+              }
+            }
           }
 
           await allocateGift({
@@ -0,0 +1,185 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const UserWithNoAccount = require("../models/UserWithNoAccount");
+const { encrypt } = require("../utils/crypto.util");
+const { sendMessageNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+const {
+  resolveGiftReceiver,
+  buildConversationUpdate,
+} = require("./giftCreation.service");
+
+/**
+ * Send a chat message from the server, e.g. for bulk thank-you notes
+ * Same steps as the sendMessage socket event without a gift: the receiver is
+ * resolved by ID or phone number (unknown numbers get a UserWithNoAccount),
+ * the conversation is created if needed, then both parties are notified
+ *
+ * @param {Object} params
+ * @param {string} params.senderId - Sender user ID
+ * @param {string} params.receiverId - Receiver user ID (optional)
+ * @param {string} params.receiverNumber - Receiver phone number (optional)
+ * @param {string} params.type - "text" or "image"
+ * @param {string} params.content - Message text (caption for images)
+ * @param {string} params.mediaUrl - Media URL (optional)
+ * @param {Object} params.metadata - Extra details stored on the message (optional)
+ * @returns {Object} { message, conversation, receiverId, receiverNumber }
+ */
+async function sendChatMessage({
+  senderId,
+  receiverId,
+  receiverNumber,
+  type = "text",
+  content,
+  mediaUrl = null,
+  metadata = {},
+}) {
+  if (!mongoose.Types.ObjectId.isValid(senderId)) {
+    throw new Error(`Invalid senderId: "${senderId}" is not a valid ObjectId`);
+  }
+  const senderObjectId = new mongoose.Types.ObjectId(String(senderId));
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let receiver;
+  let conversation;
+  let message;
+  try {
+    receiver = await resolveGiftReceiver({
+      receiverId,
+      receiverNumber,
+      session,
+    });
+
+    conversation = await Conversation.findOne({
+      participants: { $all: [senderObjectId, receiver.receiverId] },
+    }).session(session);
+    if (!conversation) {
+      [conversation] = await Conversation.create(
+        [
+          {
+            participants: [senderObjectId, receiver.receiverId],
+            receiverNumber: receiver.receiverNumber || null,
+          },
+        ],
+        { session }
+      );
+    }
+
+    conversation.lastMessage = {
+      text: encrypt(content || ""),
+      sender: senderObjectId,
+    };
+    conversation.lastMessageType = type;
+    const receiverKey = String(receiver.receiverId);
+    conversation.unreadCounts.set(
+      receiverKey,
+      (conversation.unreadCounts.get(receiverKey) || 0) + 1
+    );
+    await conversation.save({ session });
+
+    [message] = await Message.create(
+      [
+        {
+          conversationId: conversation._id,
+          senderId: senderObjectId,
+          receiverId: receiver.receiverId,
+          receiverNumber:
+            receiver.receiverNumber || conversation.receiverNumber || null,
+          type,
+          content: type === "text" && content ? encrypt(content) : content,
+          mediaUrl,
+          metadata,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await notifyChatMessage({ message, conversation, receiver, content });
+
+  return {
+    message,
+    conversation,
+    receiverId: receiver.receiverId,
+    receiverNumber: receiver.receiverNumber,
+  };
+}
+
+// Socket + FCM notifications for a message sent by sendChatMessage
+async function notifyChatMessage({ message, conversation, receiver, content }) {
+  const senderId = String(message.senderId);
+  const receiverId = String(receiver.receiverId);
+  const updatedConversation = buildConversationUpdate(
+    conversation,
+    receiver.receiverNumber
+  );
+  const messageForSocket = {
+    ...message.toObject(),
+    content,
+    receiverNumber: message.receiverNumber || undefined,
+  };
+
+  emitToUser(receiverId, "receiveMessage", {
+    message: messageForSocket,
+    conversation: updatedConversation,
+  });
+  emitToUser(senderId, "receiveMessage", {
+    message: messageForSocket,
+    conversation: updatedConversation,
+  });
+  emitToUser(receiverId, "conversationUpdated", {
+    conversation: updatedConversation,
+  });
+  emitToUser(senderId, "conversationUpdated", {
+    conversation: updatedConversation,
+  });
+
+  try {
+    const userWithNoAccount = await UserWithNoAccount.findById(receiverId);
+    if (userWithNoAccount) {
+      // Shown to the receiver once they register
+      userWithNoAccount.messages.push({
+        messageId: message._id,
+        senderId: message.senderId,
+        content,
+        type: message.type,
+        createdAt: new Date(),
+      });
+      await userWithNoAccount.save();
+      return;
+    }
+
+    const [receiverUser, sender] = await Promise.all([
+      User.findById(receiverId).select("fcmToken"),
+      User.findById(senderId).select("fullName image"),
+    ]);
+    if (receiverUser?.fcmToken) {
+      await sendMessageNotification(
+        receiverUser.fcmToken,
+        message,
+        sender,
+        content
+      );
+    }
+  } catch (notificationError) {
+    console.error(
+      "❌ Error sending message notifications:",
+      notificationError.message
+    );
+  }
+}
+
+module.exports = {
+  sendChatMessage,
+};
@@ -0,0 +1,383 @@
+const path = require("path");
+const { once } = require("events");
+const PDFDocument = require("pdfkit");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const { decrypt } = require("../utils/crypto.util");
+
+// Timezone of the analytics buckets and of the timestamps in the PDF register
+const REGISTER_TIMEZONE = process.env.EVENT_REGISTER_TIMEZONE || "Asia/Kolkata";
+
+const TOP_GIVERS_LIMIT = 10;
+
+// Unicode fonts for the PDF register - the built-in Helvetica only covers
+// Latin, so Hindi/Marathi names and messages and the ₹ sign need an embedded
+// font. Noto Sans Devanagari (assets/fonts, SIL Open Font License) covers
+// Latin and Devanagari
+const FONTS_DIR = path.join(__dirname, "..", "assets", "fonts");
+const REGISTER_FONTS = {
+  regular: path.join(FONTS_DIR, "NotoSansDevanagari-Regular.ttf"),
+  bold: path.join(FONTS_DIR, "NotoSansDevanagari-Bold.ttf"),
+};
+
+// Emoji have no glyph in the embedded font and would print as empty boxes
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\uFE0F]/gu;
+
+// Gifts that were paid and credited to the hosts
+const CREDITED_GIFT_FILTER = {
+  status: { $nin: ["payment_pending", "scheduled", "cancelled"] },
+};
+
+const BUCKET_FORMATS = {
+  hour: "%Y-%m-%dT%H:00",
+  day: "%Y-%m-%d",
+};
+
+const CSV_COLUMNS = [
+  "Sender name",
+  "Phone",
+  "Amount (INR)",
+  "Type",
+  "Message",
+  "Timestamp",
+  "Transaction ID",
+];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Analytics of an event's gifts for its hosts
+ * Givers whose account was created after the event are counted as new users
+ * who joined through the event link
+ *
+ * @param {Object} params
+ * @param {Object} params.event - Event document
+ * @param {string} params.interval - Bucket size of giftsOverTime: "day" (default) or "hour"
+ * @returns {Object} { summary, giftsOverTime, byType, topGivers, givers }
+ */
+async function getEventAnalytics({ event, interval = "day" }) {
+  const bucketFormat = BUCKET_FORMATS[interval];
+  if (!bucketFormat) {
+    throw createError("interval must be either 'day' or 'hour'", 400);
+  }
+
+  const match = { eventId: event._id, ...CREDITED_GIFT_FILTER };
+  const giftTime = { $ifNull: ["$paidAt", "$createdAt"] };
+
+  const [[summary], giftsOverTime, byType, topGivers, giverIds] =
+    await Promise.all([
+      Gift.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            totalGifts: { $sum: 1 },
+            totalAmount: { $sum: "$valueInINR" },
+            averageGift: { $avg: "$valueInINR" },
+            largestGift: { $max: "$valueInINR" },
+            guestGifts: {
+              $sum: {
+                $cond: [{ $eq: ["$metadata.source", "event_guest"] }, 1, 0],
+              },
+            },
+          },
+        },
+      ]),
+      Gift.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: bucketFormat,
+                date: giftTime,
+                timezone: REGISTER_TIMEZONE,
+              },
+            },
+            count: { $sum: 1 },
+            amount: { $sum: "$valueInINR" },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      Gift.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$type",
+            count: { $sum: 1 },
+            amount: { $sum: "$valueInINR" },
+          },
+        },
+      ]),
+      Gift.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$senderId",
+            count: { $sum: 1 },
+            amount: { $sum: "$valueInINR" },
+            guestName: { $last: "$metadata.guestName" },
+          },
+        },
+        { $sort: { amount: -1 } },
+        { $limit: TOP_GIVERS_LIMIT },
+      ]),
+      Gift.distinct("senderId", match),
+    ]);
+
+  const [topGiverUsers, newGivers] = await Promise.all([
+    User.find({ _id: { $in: topGivers.map((giver) => giver._id) } }).select(
+      "fullName image"
+    ),
+    User.countDocuments({
+      _id: { $in: giverIds },
+      createdAt: { $gte: event.createdAt },
+    }),
+  ]);
+  const userById = new Map(
+    topGiverUsers.map((user) => [String(user._id), user])
+  );
+
+  const typeSplit = {
+    gold: { count: 0, amount: 0 },
+    stock: { count: 0, amount: 0 },
+  };
+  byType.forEach((row) => {
+    typeSplit[row._id] = { count: row.count, amount: roundAmount(row.amount) };
+  });
+
+  return {
+    summary: {
+      totalGifts: summary?.totalGifts || 0,
+      totalAmount: roundAmount(summary?.totalAmount || 0),
+      averageGift: roundAmount(summary?.averageGift || 0),
+      largestGift: summary?.largestGift || 0,
+      guestGifts: summary?.guestGifts || 0,
+    },
+    giftsOverTime: giftsOverTime.map((bucket) => ({
+      period: bucket._id,
+      count: bucket.count,
+      amount: roundAmount(bucket.amount),
+    })),
+    byType: typeSplit,
+    topGivers: topGivers.map((giver) => {
+      const user = userById.get(String(giver._id));
+      return {
+        userId: giver._id,
+        name: giver.guestName || user?.fullName || "Someone",
+        image: user?.image || null,
+        count: giver.count,
+        amount: roundAmount(giver.amount),
+      };
+    }),
+    givers: {
+      total: giverIds.length,
+      newUsers: newGivers,
+      existingUsers: giverIds.length - newGivers,
+    },
+  };
+}
+
+// Plain text of a gift's chat message, falling back to the gift note
+const readGiftMessage = (gift) => {
+  const content = gift.messageId?.content;
+  if (content) {
+    try {
+      return decrypt(content);
+    } catch {
+      return content;
+    }
+  }
+  return gift.note || "";
+};
+
+/**
+ * Register rows of an event's gifts, oldest first, as a cursor
+ * Each row: { name, phone, amount, type, message, timestamp, transactionId }
+ *
+ * @param {Object} event - Event document
+ * @returns {AsyncIterable} Register rows
+ */
+async function* giftRegisterRows(event) {
+  const cursor = Gift.find({ eventId: event._id, ...CREDITED_GIFT_FILTER })
+    .select(
+      "senderId messageId valueInINR type note metadata paidAt createdAt transactionId"
+    )
+    .populate("senderId", "fullName number")
+    .populate("messageId", "content")
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const gift of cursor) {
+    yield {
+      name: gift.metadata?.guestName || gift.senderId?.fullName || "",
+      phone: gift.senderId?.number || "",
+      amount: gift.valueInINR || 0,
+      type: gift.type,
+      message: readGiftMessage(gift),
+      timestamp: gift.paidAt || gift.createdAt,
+      transactionId: gift.transactionId || "",
+    };
+  }
+}
+
+// Quote a CSV field; a leading =, +, - or @ is escaped so spreadsheet apps
+// don't run it as a formula
+const toCsvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeLine = async (stream, line) => {
+  if (!stream.write(line)) {
+    await once(stream, "drain");
+  }
+};
+
+/**
+ * Stream an event's gift register as CSV
+ *
+ * @param {Object} event - Event document
+ * @param {Object} stream - Writable stream (e.g. the Express response)
+ */
+async function streamGiftRegisterCsv(event, stream) {
+  // UTF-8 byte order mark so spreadsheet apps decode Indian-language text
+  await writeLine(stream, `\uFEFF${CSV_COLUMNS.join(",")}\n`);
+
+  for await (const row of giftRegisterRows(event)) {
+    const line = [
+      row.name,
+      row.phone,
+      row.amount,
+      row.type,
+      row.message,
+      row.timestamp.toISOString(),
+      row.transactionId,
+    ]
+      .map(toCsvField)
+      .join(",");
+    await writeLine(stream, `${line}\n`);
+  }
+
+  stream.end();
+}
+
+const formatTimestamp = (date) =>
+  date.toLocaleString("en-IN", {
+    timeZone: REGISTER_TIMEZONE,
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// PDF register columns: [title, width]
+const PDF_COLUMNS = [
+  ["Sender", 95],
+  ["Phone", 70],
+  ["Amount (₹)", 60],
+  ["Type", 35],
+  ["Message", 150],
+  ["Time", 85],
+];
+
+/**
+ * Stream a printable gift register of an event as PDF
+ *
+ * @param {Object} event - Event document
+ * @param {Object} stream - Writable stream (e.g. the Express response)
+ */
+async function streamGiftRegisterPdf(event, stream) {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.registerFont("Register", REGISTER_FONTS.regular);
+  doc.registerFont("Register-Bold", REGISTER_FONTS.bold);
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (row, font) => {
+    const cells = row.map((cell) => cell.replace(EMOJI_PATTERN, ""));
+    doc.font(font).fontSize(9);
+    const heights = cells.map((cell, i) =>
+      doc.heightOfString(cell, { width: PDF_COLUMNS[i][1] - 6 })
+    );
+    const rowHeight = Math.max(...heights) + 6;
+    if (doc.y + rowHeight > bottom()) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x, y + 3, { width: PDF_COLUMNS[i][1] - 6 });
+      x += PDF_COLUMNS[i][1];
+    });
+    doc
+      .moveTo(left, y + rowHeight)
+      .lineTo(x, y + rowHeight)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  doc
+    .font("Register-Bold")
+    .fontSize(16)
+    .text(event.title.replace(EMOJI_PATTERN, ""));
+  doc
+    .font("Register")
+    .fontSize(10)
+    .text(
+      `Gift register - ${formatTimestamp(
+        event.eventStartDate
+      )} to ${formatTimestamp(event.eventEndDate)}`
+    )
+    .moveDown();
+
+  drawRow(
+    PDF_COLUMNS.map(([title]) => title),
+    "Register-Bold"
+  );
+
+  let totalGifts = 0;
+  let totalAmount = 0;
+  for await (const row of giftRegisterRows(event)) {
+    drawRow(
+      [
+        row.name || "-",
+        row.phone || "-",
+        row.amount.toFixed(2),
+        row.type,
+        row.message || "-",
+        formatTimestamp(row.timestamp),
+      ],
+      "Register"
+    );
+    totalGifts++;
+    totalAmount += row.amount;
+  }
+
+  doc
+    .moveDown()
+    .font("Register-Bold")
+    .fontSize(10)
+    .text(`${totalGifts} gifts, ₹${totalAmount.toFixed(2)} in total`, left);
+
+  doc.end();
+}
+
+module.exports = {
+  getEventAnalytics,
+  streamGiftRegisterCsv,
+  streamGiftRegisterPdf,
+};
@@ -0,0 +1,438 @@
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const UserHistory = require("../models/UserHistory");
+const WithdrawalRequest = require("../models/WithdrawalRequest");
+const EventCancellation = require("../models/EventCancellation");
+const { cancelGift } = require("./giftCancellation.service");
+const { recordWithdrawalRelease } = require("./ledger.service");
+const { cancelQueuedPayout } = require("./payout.service");
+const { releaseGiftDrawdowns } = require("./withdrawalPolicy.service");
+const {
+  sendEventLifecycleNotification,
+  sendWithdrawalRejectionNotification,
+} = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+
+// What happens to an event's gifts when it is cancelled
+const CANCELLATION_POLICIES = ["refund", "keep"];
+
+// Gifts handled per batch; the report is saved after every batch
+const BATCH_SIZE = parseInt(process.env.EVENT_CANCELLATION_BATCH_SIZE || "50");
+
+// A cancellation stays locked this long if its worker dies mid-run
+const LOCK_MS = 10 * 60 * 1000;
+
+const EVENT_CANCELLED_REASON = "Event was cancelled";
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Reject a pending withdrawal request of a cancelled event and release the
+ * held money back to the host's unallotted balance
+ *
+ * @param {Object} request - WithdrawalRequest document
+ * @param {Object} event - Event document
+ * @returns {boolean} Whether the request was still pending and got blocked
+ */
+async function blockWithdrawalRequest(request, event) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let blocked;
+  try {
+    blocked = await WithdrawalRequest.findOneAndUpdate(
+      { _id: request._id, status: "pending" },
+      {
+        status: "rejected",
+        moneyState: "alloting",
+        rejectedAt: new Date(),
+        rejectionReason: EVENT_CANCELLED_REASON,
+      },
+      { new: true, session }
+    );
+    if (!blocked) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    const released = await UserHistory.updateOne(
+      { userId: blocked.userId, holdingMoney: { $gte: blocked.amount } },
+      {
+        $inc: {
+          holdingMoney: -blocked.amount,
+          unallottedMoney: blocked.amount,
+        },
+      },
+      { session }
+    );
+    if (!released.modifiedCount) {
+      throw new Error("Insufficient holding money to release");
+    }
+
+    await recordWithdrawalRelease({
+      userId: blocked.userId,
+      withdrawalRequestId: blocked._id,
+      amount: blocked.amount,
+      source: blocked.source,
+      session,
+    });
+    await releaseGiftDrawdowns({ request: blocked, session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  try {
+    const user = await User.findById(blocked.userId).select("fcmToken");
+    if (user) {
+      await sendWithdrawalRejectionNotification(
+        user.fcmToken,
+        blocked,
+        event,
+        EVENT_CANCELLED_REASON
+      );
+    }
+  } catch (notificationError) {
+    console.error(
+      "❌ Error sending withdrawal rejection notification:",
+      notificationError.message
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Handle one gift of a cancelled event according to the policy
+ *
+ * @returns {Object} Report entry { giftId, senderId, amount, outcome, refundStatus, error }
+ */
+async function processCancelledEventGift(gift, event, cancellation) {
+  const entry = {
+    giftId: gift._id,
+    senderId: gift.senderId,
+    amount: gift.valueInINR || 0,
+    refundStatus: null,
+    error: null,
+  };
+
+  // Unpaid gifts are voided whatever the policy - they can't be paid any more
+  if (cancellation.policy === "refund" || gift.status === "payment_pending") {
+    try {
+      const { refund } = await cancelGift({
+        giftId: gift._id,
+        cancelledBy: { type: "event", id: event._id },
+        reason: cancellation.reason || EVENT_CANCELLED_REASON,
+        // The hosts get one summary instead of a notification per gift
+        notifyReceiver: false,
+      });
+      entry.refundStatus = refund.status;
+      if (refund.status === "failed") {
+        entry.outcome = "failed";
+        entry.error = refund.error;
+      } else {
+        entry.outcome =
+          refund.status === "not_required" ? "voided" : "refunded";
+      }
+    } catch (error) {
+      // e.g. the host already allocated the gift - an admin has to resolve it
+      entry.outcome = "failed";
+      entry.error = error.message;
+    }
+    return entry;
+  }
+
+  entry.outcome = "kept";
+  try {
+    const sender = await User.findById(gift.senderId).select("fcmToken");
+    if (sender) {
+      await sendEventLifecycleNotification(
+        sender.fcmToken,
+        event,
+        "cancelled",
+        {
+          userId: sender._id,
+          amount: entry.amount,
+        }
+      );
+    }
+  } catch (notificationError) {
+    console.error(
+      `❌ Error sending event cancellation notification for gift ${gift._id}:`,
+      notificationError.message
+    );
+  }
+  return entry;
+}
+
+/**
+ * Cancel an event (owner only)
+ * The event stops accepting gifts right away; its pending withdrawal requests
+ * are blocked and its gifts refunded or kept in the background, with the
+ * outcome in an EventCancellation report
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID (must be the owner)
+ * @param {string} params.policy - "refund" or "keep" (default the event's cancellationPolicy)
+ * @param {string} params.reason - Shown to gifters (optional)
+ * @returns {Object} EventCancellation
+ */
+async function cancelEvent({ eventId, userId, policy, reason }) {
+  const event = mongoose.Types.ObjectId.isValid(eventId)
+    ? await Event.findOne({ _id: eventId, creatorId: userId })
+    : null;
+  if (!event) {
+    throw createError(
+      "Event not found or you don't have permission to cancel it",
+      404
+    );
+  }
+  if (policy !== undefined && !CANCELLATION_POLICIES.includes(policy)) {
+    throw createError("policy must be either 'refund' or 'keep'", 400);
+  }
+  const text = reason ? String(reason).trim().slice(0, 500) : null;
+
+  const cancelledEvent = await Event.findOneAndUpdate(
+    { _id: event._id, status: { $ne: "cancelled" } },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancellationReason: text,
+        cancellationPolicy: policy || event.cancellationPolicy,
+      },
+    },
+    { new: true }
+  );
+  if (!cancelledEvent) {
+    throw createError("Event is already cancelled", 409);
+  }
+
+  const cancellation = await EventCancellation.create({
+    eventId: cancelledEvent._id,
+    cancelledBy: userId,
+    policy: cancelledEvent.cancellationPolicy,
+    reason: text,
+  });
+
+  console.log(
+    `🚫 Event ${cancelledEvent._id} cancelled by ${userId} (${cancellation.policy})`
+  );
+
+  processEventCancellation(cancellation._id).catch((error) =>
+    console.error(
+      `❌ [Event Cancellation] Failed to process event ${cancelledEvent._id}:`,
+      error.message
+    )
+  );
+
+  return cancellation;
+}
+
+/**
+ * Block the pending withdrawals (and unsent payouts) of a cancelled event, then
+ * refund or keep its gifts in batches of BATCH_SIZE
+ * Safe to call again - it resumes after the last processed gift
+ *
+ * @param {string} cancellationId - EventCancellation ID
+ * @returns {Object|null} Completed report, or null if it was busy or done
+ */
+async function processEventCancellation(cancellationId) {
+  const now = new Date();
+  const cancellation = await EventCancellation.findOneAndUpdate(
+    {
+      _id: cancellationId,
+      status: "processing",
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  );
+  if (!cancellation) return null;
+
+  const event = await Event.findById(cancellation.eventId);
+
+  const pendingRequests = await WithdrawalRequest.find({
+    eventId: event._id,
+    status: "pending",
+  });
+  for (const request of pendingRequests) {
+    try {
+      if (await blockWithdrawalRequest(request, event)) {
+        cancellation.blockedWithdrawals.push({
+          withdrawalRequestId: request._id,
+          userId: request.userId,
+          amount: request.amount,
+        });
+      }
+    } catch (error) {
+      console.error(
+        `❌ [Event Cancellation] Failed to block withdrawal ${request._id}:`,
+        error.message
+      );
+    }
+  }
+
+  // Approved withdrawals whose payout hasn't been sent yet are stopped too;
+  // a payout the provider already has can't be called back
+  const queuedPayoutRequests = await WithdrawalRequest.find({
+    eventId: event._id,
+    status: "approved",
+    payoutStatus: "queued",
+  });
+  for (const request of queuedPayoutRequests) {
+    try {
+      const payout = await cancelQueuedPayout({
+        payoutId: request.payoutId,
+        reason: EVENT_CANCELLED_REASON,
+      });
+      if (payout) {
+        cancellation.blockedWithdrawals.push({
+          withdrawalRequestId: request._id,
+          userId: request.userId,
+          amount: request.amount,
+        });
+      }
+    } catch (error) {
+      console.error(
+        `❌ [Event Cancellation] Failed to stop payout of withdrawal ${request._id}:`,
+        error.message
+      );
+    }
+  }
+  await cancellation.save();
+
+  for (;;) {
+    const gifts = await Gift.find({
+      eventId: event._id,
+      status: { $ne: "cancelled" },
+      ...(cancellation.lastGiftId
+        ? { _id: { $gt: cancellation.lastGiftId } }
+        : {}),
+    })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE);
+    if (!gifts.length) break;
+
+    for (const gift of gifts) {
+      const entry = await processCancelledEventGift(gift, event, cancellation);
+      cancellation.gifts.push(entry);
+      cancellation.totalGifts += 1;
+      cancellation[`${entry.outcome}Count`] += 1;
+      if (entry.outcome === "refunded") {
+        cancellation.refundedAmount = roundAmount(
+          cancellation.refundedAmount + entry.amount
+        );
+      } else if (entry.outcome === "kept") {
+        cancellation.keptAmount = roundAmount(
+          cancellation.keptAmount + entry.amount
+        );
+      }
+    }
+
+    cancellation.lastGiftId = gifts[gifts.length - 1]._id;
+    cancellation.lockedUntil = new Date(Date.now() + LOCK_MS);
+    await cancellation.save();
+  }
+
+  cancellation.status = "completed";
+  cancellation.completedAt = new Date();
+  cancellation.lockedUntil = null;
+  await cancellation.save();
+
+  console.log(
+    `✅ [Event Cancellation] Event ${event._id}: ${cancellation.refundedCount} refunded, ${cancellation.keptCount} kept, ${cancellation.voidedCount} voided, ${cancellation.failedCount} failed`
+  );
+
+  const summary = {
+    eventId: event._id,
+    policy: cancellation.policy,
+    totalGifts: cancellation.totalGifts,
+    refundedCount: cancellation.refundedCount,
+    refundedAmount: cancellation.refundedAmount,
+    keptCount: cancellation.keptCount,
+    keptAmount: cancellation.keptAmount,
+    failedCount: cancellation.failedCount,
+    blockedWithdrawals: cancellation.blockedWithdrawals.length,
+  };
+  [event.creatorId, ...event.hosts.map((host) => host.userId)].forEach(
+    (hostId) => emitToUser(hostId, "eventCancellationCompleted", summary)
+  );
+
+  return cancellation;
+}
+
+/**
+ * Resume cancellations that were interrupted (e.g. by a restart)
+ *
+ * @returns {Object} { completedCount, errorCount }
+ */
+async function processPendingEventCancellations() {
+  const cancellations = await EventCancellation.find({
+    status: "processing",
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+  }).select("_id");
+
+  let completedCount = 0;
+  let errorCount = 0;
+  for (const { _id } of cancellations) {
+    try {
+      if (await processEventCancellation(_id)) completedCount++;
+    } catch (error) {
+      errorCount++;
+      console.error(
+        `❌ [Event Cancellation] Failed to resume cancellation ${_id}:`,
+        error.message
+      );
+    }
+  }
+
+  return { completedCount, errorCount };
+}
+
+/**
+ * Cancellation report of an event for its owner
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID (must be the owner)
+ * @returns {Object} EventCancellation
+ */
+async function getEventCancellation({ eventId, userId }) {
+  const event = mongoose.Types.ObjectId.isValid(eventId)
+    ? await Event.findOne({ _id: eventId, creatorId: userId })
+    : null;
+  if (!event) {
+    throw createError(
+      "Event not found or you don't have permission to view it",
+      404
+    );
+  }
+
+  const cancellation = await EventCancellation.findOne({ eventId: event._id });
+  if (!cancellation) {
+    throw createError("Event has not been cancelled", 404);
+  }
+  return cancellation;
+}
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  cancelEvent,
+  processEventCancellation,
+  processPendingEventCancellations,
+  getEventCancellation,
+};
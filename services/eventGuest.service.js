@@ -0,0 +1,242 @@
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const Event = require("../models/Event");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const {
+  normalizePhoneNumber,
+  startOtpFlowForNumber,
+} = require("./otp.service");
+const { createGift } = require("./giftCreation.service");
+const { createPaymentOrderForGift } = require("./giftPayment.service");
+const { recordLinkOpen } = require("./eventLifecycle.service");
+
+// JWT type of the short-lived token a guest gets after verifying their phone.
+// It only works for gifting to the event it was issued for (see
+// middlewares/auth.js isEventGuest), not for the rest of the API
+const GUEST_TOKEN_TYPE = "eventGuest";
+
+const GUEST_TOKEN_EXPIRE = process.env.EVENT_GUEST_TOKEN_EXPIRE || "2h";
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const findEventByLink = async (eventLink) => {
+  const event = await Event.findOne({ eventLink });
+  if (!event) {
+    throw createError("Event not found", 404);
+  }
+  return event;
+};
+
+// Event must be active and running to accept gifts
+const assertEventAcceptsGifts = (event) => {
+  const now = new Date();
+  if (
+    event.status !== "active" ||
+    now < event.eventStartDate ||
+    now > event.eventEndDate
+  ) {
+    throw createError("This event is not accepting gifts right now", 409);
+  }
+};
+
+/**
+ * Send a guest an OTP to verify their phone before gifting
+ * Guests without an account get an inactive user, exactly like the app login
+ *
+ * @param {Object} params
+ * @param {string} params.eventLink - Event.eventLink
+ * @param {string} params.number - Guest phone number
+ * @param {string} params.fullName - Guest name (optional)
+ * @returns {string} Normalized phone number
+ */
+async function requestGuestOtp({ eventLink, number, fullName }) {
+  const event = await findEventByLink(eventLink);
+  assertEventAcceptsGifts(event);
+
+  return startOtpFlowForNumber({ number, fullName });
+}
+
+/**
+ * Verify a guest's OTP and issue a guest token for the event
+ * The user is not activated - that still happens when they log in to the app
+ *
+ * @param {Object} params
+ * @param {string} params.eventLink - Event.eventLink
+ * @param {string} params.number - Guest phone number
+ * @param {string} params.otp - OTP received by SMS
+ * @returns {Object} { token, guest }
+ */
+async function verifyGuestOtp({ eventLink, number, otp }) {
+  const event = await findEventByLink(eventLink);
+
+  if (!otp) {
+    throw createError("OTP is required", 400);
+  }
+  const normalizedNumber = normalizePhoneNumber(number);
+  if (!normalizedNumber) {
+    throw createError("A valid 10-digit phone number is required", 400);
+  }
+
+  const user = await User.findOne({
+    number: normalizedNumber,
+    otpExpires: { $gt: Date.now() },
+  }).select("+otp");
+  if (!user) {
+    throw createError("Invalid number or OTP has expired", 400);
+  }
+
+  const isMatch = await user.compareOtp(otp);
+  if (!isMatch) {
+    throw createError("Invalid OTP", 400);
+  }
+
+  user.otp = undefined;
+  user.otpExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  // Verified guests are reminded before the event starts
+  await recordLinkOpen(event, user._id);
+
+  const token = jwt.sign(
+    { id: user._id, type: GUEST_TOKEN_TYPE, eventId: event._id },
+    process.env.JWT_SECRET,
+    { expiresIn: GUEST_TOKEN_EXPIRE }
+  );
+
+  return {
+    token,
+    guest: {
+      id: user._id,
+      fullName: user.fullName,
+      number: user.number,
+    },
+  };
+}
+
+/**
+ * Create a guest's gift to the event host and its Razorpay order
+ * The host is credited by the payment webhook like any other event gift
+ *
+ * @param {Object} params
+ * @param {string} params.eventLink - Event.eventLink
+ * @param {Object} params.guest - { id, eventId } from the guest token
+ * @param {string} params.type - "gold" or "stock"
+ * @param {number} params.amount - Gift amount in INR
+ * @param {string} params.name - Name shown on the guest wall (optional)
+ * @param {string} params.message - Message for the host (optional)
+ * @returns {Object} { gift, order }
+ */
+async function createGuestGift({
+  eventLink,
+  guest,
+  type,
+  amount,
+  name,
+  message,
+}) {
+  const event = await findEventByLink(eventLink);
+  if (String(event._id) !== String(guest.eventId)) {
+    throw createError("Guest token is not valid for this event", 403);
+  }
+  assertEventAcceptsGifts(event);
+
+  if (!["gold", "stock"].includes(type)) {
+    throw createError("type must be either 'gold' or 'stock'", 400);
+  }
+  const giftAmount = Number(amount);
+  if (!Number.isFinite(giftAmount) || giftAmount < 1) {
+    throw createError("amount must be at least ₹1", 400);
+  }
+  if (String(guest.id) === String(event.creatorId)) {
+    throw createError("You can't gift to your own event", 400);
+  }
+  if (message && String(message).length > 500) {
+    throw createError("message can be at most 500 characters", 400);
+  }
+
+  const guestUser = await User.findById(guest.id).select("fullName");
+  if (!guestUser) {
+    throw createError("Guest not found", 404);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let gift;
+  try {
+    ({ gift } = await createGift({
+      senderId: guest.id,
+      receiverId: event.creatorId,
+      giftData: {
+        type,
+        valueInINR: giftAmount,
+        name: type === "gold" ? "Gold" : "Stock",
+        note: message ? String(message).trim() : null,
+        eventId: event._id,
+      },
+      extraFields: {
+        metadata: {
+          source: "event_guest",
+          guestName: (name || guestUser.fullName || "").trim() || null,
+        },
+      },
+      session,
+    }));
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  const { order } = await createPaymentOrderForGift({
+    giftId: gift._id,
+    userId: guest.id,
+  });
+
+  console.log(
+    `🎉 Guest gift ${gift._id} created for event ${event._id}: ₹${giftAmount} ${type} (guest ${guest.id})`
+  );
+
+  return { gift: await Gift.findById(gift._id), order };
+}
+
+/**
+ * Status of a guest's gift, e.g. to confirm the payment after checkout
+ *
+ * @param {Object} params
+ * @param {string} params.giftId - Gift ID
+ * @param {Object} params.guest - { id, eventId } from the guest token
+ * @returns {Object} Gift
+ */
+async function getGuestGift({ giftId, guest }) {
+  const gift = mongoose.Types.ObjectId.isValid(giftId)
+    ? await Gift.findOne({
+        _id: giftId,
+        senderId: guest.id,
+        eventId: guest.eventId,
+      }).select(
+        "type valueInINR quantity pricePerUnitAtGift status isPaid paymentStatus paymentFailureReason note metadata transactionId createdAt paidAt"
+      )
+    : null;
+  if (!gift) {
+    throw createError("Gift not found", 404);
+  }
+  return gift;
+}
+
+module.exports = {
+  GUEST_TOKEN_TYPE,
+  findEventByLink,
+  requestGuestOtp,
+  verifyGuestOtp,
+  createGuestGift,
+  getGuestGift,
+};
@@ -0,0 +1,357 @@
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const User = require("../models/user.model");
+const { normalizePhoneNumber } = require("./otp.service");
+
+// Co-host roles stored in Event.hosts - the owner is always Event.creatorId
+const HOST_ROLES = ["editor", "beneficiary"];
+
+// Admin roles that can view any event
+const ADMIN_ROLES = ["admin", "reconciliation_agent"];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Round an INR amount to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const idOf = (ref) => String(ref?._id || ref);
+
+const findHost = (event, userId) =>
+  (event.hosts || []).find((host) => idOf(host.userId) === String(userId));
+
+/**
+ * Role of a user on an event
+ *
+ * @param {Object} event - Event document (creatorId populated or not)
+ * @param {string} userId - User ID
+ * @returns {string|null} "owner", "editor", "beneficiary" or null
+ */
+const getHostRole = (event, userId) => {
+  if (idOf(event.creatorId) === String(userId)) return "owner";
+  return findHost(event, userId)?.role || null;
+};
+
+// Owner and editors can update the event details
+const canEditEvent = (event, userId) =>
+  ["owner", "editor"].includes(getHostRole(event, userId));
+
+// Query for the events a user owns or co-hosts
+const hostedEventsQuery = (userId) => ({
+  $or: [{ creatorId: userId }, { "hosts.userId": userId }],
+});
+
+// The owner keeps whatever the beneficiaries don't get
+const getOwnerSharePercentage = (event) =>
+  100 -
+  (event.hosts || [])
+    .filter((host) => host.role === "beneficiary")
+    .reduce((sum, host) => sum + (host.sharePercentage || 0), 0);
+
+/**
+ * Split an event gift between the owner and the beneficiaries
+ * Amounts are rounded to paise - the owner gets the rounding difference
+ *
+ * @param {Object} event - Event document
+ * @param {number} amount - Gift amount in INR
+ * @returns {Array} [{ userId, amount }] - only the owner when there are no beneficiaries
+ */
+const splitGiftAmount = (event, amount) => {
+  const shares = (event.hosts || [])
+    .filter((host) => host.role === "beneficiary" && host.sharePercentage > 0)
+    .map((host) => ({
+      userId: host.userId,
+      amount: roundAmount((amount * host.sharePercentage) / 100),
+    }));
+
+  const ownerAmount = roundAmount(
+    amount - shares.reduce((sum, share) => sum + share.amount, 0)
+  );
+  if (ownerAmount > 0 || !shares.length) {
+    shares.unshift({ userId: event.creatorId, amount: ownerAmount });
+  }
+  return shares;
+};
+
+/**
+ * What a user was credited from a gift
+ * Split event gifts record each beneficiary's share; other gifts go entirely
+ * to the receiver
+ *
+ * @param {Object} gift - Gift document
+ * @param {string} userId - User ID
+ * @returns {number} Amount in INR
+ */
+const getCreditedShare = (gift, userId) => {
+  if (gift.beneficiaryShares?.length) {
+    return gift.beneficiaryShares
+      .filter((share) => idOf(share.userId) === String(userId))
+      .reduce((sum, share) => sum + share.amount, 0);
+  }
+  return idOf(gift.receiverId) === String(userId) ? gift.valueInINR || 0 : 0;
+};
+
+/**
+ * Users that were credited a gift
+ *
+ * @param {Object} gift - Gift document
+ * @returns {Array} User IDs
+ */
+const getCreditedUserIds = (gift) =>
+  gift.beneficiaryShares?.length
+    ? gift.beneficiaryShares.map((share) => share.userId)
+    : [gift.receiverId];
+
+// Event the current user owns - only the owner manages co-hosts
+async function findOwnedEvent(eventId, userId) {
+  const event = mongoose.Types.ObjectId.isValid(eventId)
+    ? await Event.findOne({ _id: eventId, creatorId: userId })
+    : null;
+  if (!event) {
+    throw createError(
+      "Event not found or you don't have permission to manage its hosts",
+      404
+    );
+  }
+  return event;
+}
+
+const validateHostFields = (role, sharePercentage) => {
+  if (!HOST_ROLES.includes(role)) {
+    throw createError("role must be either 'editor' or 'beneficiary'", 400);
+  }
+
+  const share = Number(sharePercentage || 0);
+  if (role === "editor" && share !== 0) {
+    throw createError("Editors don't receive a share of the gifts", 400);
+  }
+  if (role === "beneficiary" && !(share > 0 && share <= 100)) {
+    throw createError(
+      "sharePercentage must be greater than 0 and at most 100",
+      400
+    );
+  }
+  return share;
+};
+
+const assertSplitIsValid = (event) => {
+  if (getOwnerSharePercentage(event) < 0) {
+    throw createError(
+      "Beneficiary shares can't add up to more than 100 percent",
+      400
+    );
+  }
+};
+
+/**
+ * Event the user is allowed to view - any of its hosts, or an admin
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID
+ * @param {string} params.userRole - Current user role
+ * @returns {Object} Event
+ */
+async function findViewableEvent({ eventId, userId, userRole }) {
+  const event = mongoose.Types.ObjectId.isValid(eventId)
+    ? await Event.findById(eventId)
+    : null;
+  if (
+    !event ||
+    (!ADMIN_ROLES.includes(userRole) && !getHostRole(event, userId))
+  ) {
+    throw createError(
+      "Event not found or you don't have permission to view it",
+      404
+    );
+  }
+  return event;
+}
+
+/**
+ * Hosts of an event, owner first
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID (must be a host)
+ * @param {string} params.userRole - Current user role
+ * @returns {Array} [{ userId, fullName, image, number, role, sharePercentage, addedAt }]
+ */
+async function listHosts({ eventId, userId, userRole }) {
+  const event = await findViewableEvent({ eventId, userId, userRole });
+
+  const users = await User.find({
+    _id: { $in: [event.creatorId, ...event.hosts.map((h) => h.userId)] },
+  }).select("fullName image number");
+  const userById = new Map(users.map((user) => [String(user._id), user]));
+
+  const toHost = (hostUserId, role, sharePercentage, addedAt) => {
+    const user = userById.get(String(hostUserId));
+    return {
+      userId: hostUserId,
+      fullName: user?.fullName || null,
+      image: user?.image || null,
+      number: user?.number || null,
+      role,
+      sharePercentage,
+      addedAt,
+    };
+  };
+
+  return [
+    toHost(
+      event.creatorId,
+      "owner",
+      getOwnerSharePercentage(event),
+      event.createdAt
+    ),
+    ...event.hosts.map((host) =>
+      toHost(host.userId, host.role, host.sharePercentage, host.addedAt)
+    ),
+  ];
+}
+
+/**
+ * Add a co-host to an event
+ * A beneficiary's share is taken from the owner's and applies to gifts
+ * credited from now on
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID (must be the owner)
+ * @param {string} params.hostUserId - User ID of the co-host (or number)
+ * @param {string} params.number - Phone number of the co-host (or hostUserId)
+ * @param {string} params.role - "editor" or "beneficiary"
+ * @param {number} params.sharePercentage - Beneficiary share of every gift
+ * @returns {Object} Updated event
+ */
+async function addHost({
+  eventId,
+  userId,
+  hostUserId,
+  number,
+  role,
+  sharePercentage,
+}) {
+  const event = await findOwnedEvent(eventId, userId);
+  const share = validateHostFields(role, sharePercentage);
+
+  let hostUser = null;
+  if (hostUserId && mongoose.Types.ObjectId.isValid(hostUserId)) {
+    hostUser = await User.findOne({ _id: hostUserId, active: true });
+  } else if (number) {
+    const normalizedNumber = normalizePhoneNumber(number);
+    hostUser = normalizedNumber
+      ? await User.findOne({ number: normalizedNumber, active: true })
+      : null;
+  } else {
+    throw createError("hostUserId or number is required", 400);
+  }
+  if (!hostUser) {
+    throw createError("Co-hosts must have a Bahumati account", 404);
+  }
+
+  if (getHostRole(event, hostUser._id)) {
+    throw createError("This user is already a host of the event", 409);
+  }
+
+  event.hosts.push({
+    userId: hostUser._id,
+    role,
+    sharePercentage: share,
+    addedAt: new Date(),
+  });
+  assertSplitIsValid(event);
+  await event.save();
+
+  console.log(
+    `👥 User ${hostUser._id} added as ${role} to event ${event._id}${
+      share ? ` (${share}% share)` : ""
+    }`
+  );
+
+  return event;
+}
+
+/**
+ * Change a co-host's role or share
+ * New shares apply to gifts credited from now on
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID (must be the owner)
+ * @param {string} params.hostUserId - User ID of the co-host
+ * @param {string} params.role - "editor" or "beneficiary" (optional)
+ * @param {number} params.sharePercentage - Beneficiary share (optional)
+ * @returns {Object} Updated event
+ */
+async function updateHost({
+  eventId,
+  userId,
+  hostUserId,
+  role,
+  sharePercentage,
+}) {
+  const event = await findOwnedEvent(eventId, userId);
+
+  const host = findHost(event, hostUserId);
+  if (!host) {
+    throw createError("Host not found", 404);
+  }
+
+  const newRole = role || host.role;
+  const newShare =
+    sharePercentage !== undefined
+      ? sharePercentage
+      : newRole === "editor"
+      ? 0
+      : host.sharePercentage;
+  host.sharePercentage = validateHostFields(newRole, newShare);
+  host.role = newRole;
+  assertSplitIsValid(event);
+  await event.save();
+
+  return event;
+}
+
+/**
+ * Remove a co-host from an event
+ * Shares already credited to a beneficiary stay theirs
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID (must be the owner)
+ * @param {string} params.hostUserId - User ID of the co-host
+ * @returns {Object} Updated event
+ */
+async function removeHost({ eventId, userId, hostUserId }) {
+  const event = await findOwnedEvent(eventId, userId);
+
+  if (!findHost(event, hostUserId)) {
+    throw createError("Host not found", 404);
+  }
+  event.hosts = event.hosts.filter(
+    (host) => idOf(host.userId) !== String(hostUserId)
+  );
+  await event.save();
+
+  return event;
+}
+
+module.exports = {
+  getHostRole,
+  canEditEvent,
+  hostedEventsQuery,
+  getOwnerSharePercentage,
+  splitGiftAmount,
+  getCreditedShare,
+  getCreditedUserIds,
+  findViewableEvent,
+  listHosts,
+  addHost,
+  updateHost,
+  removeHost,
+};
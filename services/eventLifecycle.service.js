@@ -0,0 +1,258 @@
+const Event = require("../models/Event");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const EventLinkOpen = require("../models/EventLinkOpen");
+const { sendEventLifecycleNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+const { getHostRole } = require("./eventHosts.service");
+
+// How long before the start people who opened the link get a reminder
+const REMINDER_HOURS = parseInt(process.env.EVENT_REMINDER_HOURS || "24");
+
+// Longest window a single digest covers
+const DIGEST_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Gifts that were paid and credited to the hosts
+const CREDITED_GIFT_FILTER = {
+  status: { $nin: ["payment_pending", "scheduled", "cancelled"] },
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Owner and every co-host of an event
+const getHostIds = (event) => [
+  event.creatorId,
+  ...(event.hosts || []).map((host) => host.userId),
+];
+
+// Hosts who can withdraw from the event - the owner and the beneficiaries
+const getWithdrawingHostIds = (event) => [
+  event.creatorId,
+  ...(event.hosts || [])
+    .filter((host) => host.role === "beneficiary")
+    .map((host) => host.userId),
+];
+
+// Socket + FCM notification to a list of users; failures are only logged
+async function notifyUsers(userIds, event, stage, details = {}) {
+  const users = await User.find({ _id: { $in: userIds } }).select("fcmToken");
+  for (const user of users) {
+    try {
+      await sendEventLifecycleNotification(user.fcmToken, event, stage, {
+        ...details,
+        userId: user._id,
+      });
+    } catch (notificationError) {
+      console.error(
+        `❌ Error sending event ${stage} notification to ${user._id}:`,
+        notificationError.message
+      );
+    }
+  }
+}
+
+/**
+ * Remember that a user opened an event's link, for the pre-start reminder
+ * Hosts opening their own link are skipped
+ *
+ * @param {Object} event - Event document
+ * @param {string} userId - User who opened the link
+ */
+async function recordLinkOpen(event, userId) {
+  if (!userId || getHostRole(event, userId)) return;
+
+  const now = new Date();
+  await EventLinkOpen.updateOne(
+    { eventId: event._id, userId },
+    {
+      $set: { lastOpenedAt: now },
+      $setOnInsert: { firstOpenedAt: now },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Move an event to "ended" and tell its hosts withdrawals are open
+ * The status update is atomic, so the hosts are notified only once
+ *
+ * @param {Object} event - Event document
+ * @returns {Object|null} Updated event, or null if it had already ended
+ */
+async function endEvent(event) {
+  const endedEvent = await Event.findOneAndUpdate(
+    { _id: event._id, status: "active" },
+    { $set: { status: "ended", endedAt: new Date() } },
+    { new: true }
+  );
+  if (!endedEvent) return null;
+
+  console.log(`🏁 Event ${endedEvent._id} ended`);
+
+  const hostIds = getWithdrawingHostIds(endedEvent);
+  hostIds.forEach((hostId) =>
+    emitToUser(hostId, "eventEnded", {
+      eventId: endedEvent._id,
+      status: endedEvent.status,
+      endedAt: endedEvent.endedAt,
+      withdrawalPercentage: endedEvent.withdrawalPercentage,
+    })
+  );
+  await notifyUsers(hostIds, endedEvent, "ended");
+
+  return endedEvent;
+}
+
+/**
+ * End every active event whose eventEndDate has passed
+ *
+ * @returns {Object} { endedCount, errorCount }
+ */
+async function endDueEvents() {
+  const events = await Event.find({
+    status: "active",
+    eventEndDate: { $lte: new Date() },
+  });
+
+  let endedCount = 0;
+  let errorCount = 0;
+  for (const event of events) {
+    try {
+      if (await endEvent(event)) endedCount++;
+    } catch (error) {
+      errorCount++;
+      console.error(`❌ Failed to end event ${event._id}:`, error.message);
+    }
+  }
+
+  return { endedCount, errorCount };
+}
+
+/**
+ * Remind people who opened an event's link that it starts soon
+ * Each of them is reminded once per event, REMINDER_HOURS before the start
+ *
+ * @returns {Object} { remindersSent, errorCount }
+ */
+async function sendStartReminders() {
+  const now = new Date();
+  const events = await Event.find({
+    status: "active",
+    eventStartDate: {
+      $gt: now,
+      $lte: new Date(now.getTime() + REMINDER_HOURS * 60 * 60 * 1000),
+    },
+  });
+
+  let remindersSent = 0;
+  let errorCount = 0;
+  for (const event of events) {
+    const opens = await EventLinkOpen.find({
+      eventId: event._id,
+      reminderSentAt: null,
+    }).select("userId");
+
+    for (const open of opens) {
+      try {
+        // Claim the reminder first so overlapping runs don't send it twice
+        const claimed = await EventLinkOpen.updateOne(
+          { _id: open._id, reminderSentAt: null },
+          { $set: { reminderSentAt: new Date() } }
+        );
+        if (!claimed.modifiedCount || getHostRole(event, open.userId)) {
+          continue;
+        }
+
+        await notifyUsers([open.userId], event, "reminder", {
+          startsAt: event.eventStartDate,
+        });
+        remindersSent++;
+      } catch (error) {
+        errorCount++;
+        console.error(
+          `❌ Failed to remind ${open.userId} about event ${event._id}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  return { remindersSent, errorCount };
+}
+
+/**
+ * Send each event's hosts a digest of the gifts received since the last one
+ * Only the event window is covered, and at most the last day for an event's
+ * first digest; days without gifts are skipped
+ *
+ * @returns {Object} { digestsSent, errorCount }
+ */
+async function sendDailyDigests() {
+  const now = new Date();
+  const dayAgo = new Date(now.getTime() - DIGEST_WINDOW_MS);
+  const events = await Event.find({
+    status: { $in: ["active", "ended"] },
+    eventStartDate: { $lte: now },
+    eventEndDate: { $gt: dayAgo },
+  });
+
+  let digestsSent = 0;
+  let errorCount = 0;
+  for (const event of events) {
+    try {
+      const from =
+        event.lastDigestAt ||
+        new Date(Math.max(event.eventStartDate.getTime(), dayAgo.getTime()));
+      const to = new Date(
+        Math.min(now.getTime(), event.eventEndDate.getTime())
+      );
+      if (from >= to) continue;
+
+      const [summary] = await Gift.aggregate([
+        { $match: { eventId: event._id, ...CREDITED_GIFT_FILTER } },
+        { $addFields: { giftTime: { $ifNull: ["$paidAt", "$createdAt"] } } },
+        { $match: { giftTime: { $gt: from, $lte: to } } },
+        {
+          $group: {
+            _id: null,
+            giftCount: { $sum: 1 },
+            amount: { $sum: "$valueInINR" },
+          },
+        },
+      ]);
+
+      await Event.updateOne({ _id: event._id }, { $set: { lastDigestAt: to } });
+      if (!summary?.giftCount) continue;
+
+      const digest = {
+        eventId: event._id,
+        from,
+        to,
+        giftCount: summary.giftCount,
+        amount: roundAmount(summary.amount),
+      };
+      const hostIds = getHostIds(event);
+      hostIds.forEach((hostId) =>
+        emitToUser(hostId, "eventDailyDigest", digest)
+      );
+      await notifyUsers(hostIds, event, "digest", digest);
+      digestsSent++;
+    } catch (error) {
+      errorCount++;
+      console.error(
+        `❌ Failed to send the daily digest of event ${event._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return { digestsSent, errorCount };
+}
+
+module.exports = {
+  recordLinkOpen,
+  endEvent,
+  endDueEvents,
+  sendStartReminders,
+  sendDailyDigests,
+};
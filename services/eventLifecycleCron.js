@@ -0,0 +1,68 @@
+const cron = require("node-cron");
+const {
+  endDueEvents,
+  sendStartReminders,
+  sendDailyDigests,
+} = require("./eventLifecycle.service");
+const {
+  processPendingEventCancellations,
+} = require("./eventCancellation.service");
+
+const DEFAULT_EVENT_LIFECYCLE_CRON = "*/5 * * * *"; // Every 5 minutes
+const DEFAULT_EVENT_DIGEST_CRON = "0 21 * * *"; // Every day at 21:00
+
+const startEventLifecycleCron = () => {
+  const schedule =
+    process.env.EVENT_LIFECYCLE_CRON || DEFAULT_EVENT_LIFECYCLE_CRON;
+  const digestSchedule =
+    process.env.EVENT_DIGEST_CRON || DEFAULT_EVENT_DIGEST_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      const ended = await endDueEvents();
+      const reminders = await sendStartReminders();
+      // Resume cancellations interrupted by a restart
+      const cancellations = await processPendingEventCancellations();
+
+      // Runs every few minutes - only log when something happened
+      if (
+        ended.endedCount ||
+        reminders.remindersSent ||
+        cancellations.completedCount ||
+        ended.errorCount ||
+        reminders.errorCount ||
+        cancellations.errorCount
+      ) {
+        console.log(
+          `✅ [Event Lifecycle Cron] Completed: ${ended.endedCount} ended, ${
+            reminders.remindersSent
+          } reminders, ${cancellations.completedCount} cancellations, ${
+            ended.errorCount + reminders.errorCount + cancellations.errorCount
+          } errors`
+        );
+      }
+    } catch (error) {
+      console.error("❌ [Event Lifecycle Cron] Fatal error:", error.message);
+    }
+  });
+
+  cron.schedule(digestSchedule, async () => {
+    try {
+      console.log("🔄 [Event Digest Cron] Sending daily gift digests...");
+
+      const { digestsSent, errorCount } = await sendDailyDigests();
+
+      console.log(
+        `✅ [Event Digest Cron] Completed: ${digestsSent} digests, ${errorCount} errors`
+      );
+    } catch (error) {
+      console.error("❌ [Event Digest Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(
+    `✅ [Event Lifecycle Cron] Cron job started (${schedule}, digest ${digestSchedule})`
+  );
+};
+
+module.exports = { startEventLifecycleCron };
@@ -0,0 +1,206 @@
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const { emitToRoom } = require("../sockets/socketEmitter");
+const { canEditEvent } = require("./eventHosts.service");
+
+// Socket room of an event's live guest wall
+const eventRoom = (eventId) => `event:${eventId}`;
+
+// Gifts that were paid and not refunded
+const WALL_GIFT_FILTER = {
+  status: { $nin: ["payment_pending", "cancelled"] },
+};
+
+// Roles that can moderate any event's wall, like they can edit any event
+const MODERATOR_ROLES = ["admin", "reconciliation_agent"];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Event the user is allowed to moderate - its owner or an editor, or an admin
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID
+ * @param {string} params.userRole - Current user role
+ * @returns {Object} Event
+ */
+async function findModeratedEvent({ eventId, userId, userRole }) {
+  const event = mongoose.Types.ObjectId.isValid(eventId)
+    ? await Event.findById(eventId)
+    : null;
+  if (
+    !event ||
+    (!MODERATOR_ROLES.includes(userRole) && !canEditEvent(event, userId))
+  ) {
+    throw createError(
+      "Event not found or you don't have permission to moderate it",
+      404
+    );
+  }
+  return event;
+}
+
+/**
+ * Public guest wall entry for an event gift
+ * Amounts are left out - the wall is visible to anyone with the event link
+ *
+ * @param {Object} gift - Gift document (senderId populated or not)
+ * @param {Object} sender - Sender user (optional if senderId is populated)
+ * @param {boolean} withModeration - Include isHidden, for the host's view
+ * @returns {Object} { giftId, name, image, message, type, isGuest, createdAt }
+ */
+const toWallEntry = (gift, sender = null, withModeration = false) => {
+  const from = sender || gift.senderId;
+  const entry = {
+    giftId: gift._id,
+    name: gift.metadata?.guestName || from?.fullName || "Someone",
+    image: from?.image || null,
+    message: gift.note || null,
+    type: gift.type,
+    isGuest: gift.metadata?.source === "event_guest",
+    createdAt: gift.paidAt || gift.createdAt,
+  };
+  if (withModeration) {
+    entry.isHidden = !!gift.hiddenOnWall;
+  }
+  return entry;
+};
+
+/**
+ * Gifts of an event for its guest wall, newest first
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {number} params.page - Page number (default 1)
+ * @param {number} params.limit - Entries per page (default 20)
+ * @param {boolean} params.includeHidden - Include entries hidden by the host
+ *   (host view only)
+ * @returns {Object} { entries, pagination }
+ */
+async function getEventWall({
+  eventId,
+  page = 1,
+  limit = 20,
+  includeHidden = false,
+}) {
+  const query = { eventId, ...WALL_GIFT_FILTER };
+  if (!includeHidden) {
+    query.hiddenOnWall = { $ne: true };
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [gifts, total] = await Promise.all([
+    Gift.find(query)
+      .select("senderId type note metadata hiddenOnWall paidAt createdAt")
+      .populate("senderId", "fullName image")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Gift.countDocuments(query),
+  ]);
+
+  return {
+    entries: gifts.map((gift) => toWallEntry(gift, null, includeHidden)),
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+/**
+ * Push a newly paid event gift to everyone watching the event's guest wall
+ *
+ * @param {Object} gift - Paid Gift document with eventId
+ */
+async function publishWallEntry(gift) {
+  if (!gift?.eventId) return;
+
+  const sender = await User.findById(gift.senderId).select("fullName image");
+  emitToRoom(eventRoom(gift.eventId), "eventWallEntry", {
+    eventId: gift.eventId,
+    entry: toWallEntry(gift, sender),
+  });
+}
+
+/**
+ * Hide a gift from the event's guest wall, or show it again
+ * The gift itself and the host's credit are not affected
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.giftId - Gift ID
+ * @param {boolean} params.hidden - true to hide, false to show again
+ * @param {string} params.userId - Current user ID
+ * @param {string} params.userRole - Current user role
+ * @returns {Object} Wall entry of the gift
+ */
+async function setGiftHiddenOnWall({
+  eventId,
+  giftId,
+  hidden,
+  userId,
+  userRole,
+}) {
+  if (typeof hidden !== "boolean") {
+    throw createError("hidden must be true or false", 400);
+  }
+  const event = await findModeratedEvent({ eventId, userId, userRole });
+
+  const gift = mongoose.Types.ObjectId.isValid(giftId)
+    ? await Gift.findOneAndUpdate(
+        { _id: giftId, eventId: event._id, ...WALL_GIFT_FILTER },
+        { $set: { hiddenOnWall: hidden } },
+        { new: true }
+      ).populate("senderId", "fullName image")
+    : null;
+  if (!gift) {
+    throw createError("Gift not found on this event's wall", 404);
+  }
+
+  publishModeration(event._id, "gift", gift._id, hidden, toWallEntry(gift));
+
+  return toWallEntry(gift, null, true);
+}
+
+/**
+ * Tell everyone watching the wall that the host hid or restored an entry
+ * Restored entries are sent along so clients can put them back in place
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} kind - "gift" or "wish"
+ * @param {string} id - Gift or EventWish ID
+ * @param {boolean} isHidden - New visibility
+ * @param {Object} entry - Public wall entry
+ */
+function publishModeration(eventId, kind, id, isHidden, entry) {
+  emitToRoom(eventRoom(eventId), "eventWallModerated", {
+    eventId,
+    kind,
+    id,
+    isHidden,
+    entry: isHidden ? null : entry,
+  });
+}
+
+module.exports = {
+  eventRoom,
+  MODERATOR_ROLES,
+  findModeratedEvent,
+  toWallEntry,
+  getEventWall,
+  publishWallEntry,
+  setGiftHiddenOnWall,
+  publishModeration,
+};
@@ -0,0 +1,232 @@
+const mongoose = require("mongoose");
+const EventWish = require("../models/EventWish");
+const User = require("../models/user.model");
+const { Uploader } = require("../libs/s3/s3");
+const { emitToRoom } = require("../sockets/socketEmitter");
+const {
+  MODERATOR_ROLES,
+  eventRoom,
+  findModeratedEvent,
+  publishModeration,
+} = require("./eventWall.service");
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Wishes are accepted until this many days after the event ends, so late
+// guests can still leave a message
+const WISH_GRACE_DAYS = parseInt(process.env.EVENT_WISH_GRACE_DAYS || "7");
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assertEventAcceptsWishes = (event) => {
+  const closesAt = new Date(
+    event.eventEndDate.getTime() + WISH_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+  if (event.status === "cancelled" || new Date() > closesAt) {
+    throw createError("This event is not accepting wishes anymore", 409);
+  }
+};
+
+// sanitize and trim file name, like the upload controller does
+const sanitizeFileName = (fileName) => {
+  const nameWithoutSpaces = String(fileName || "media")
+    .trim()
+    .replace(/\s+/g, "-");
+  const cleanName = nameWithoutSpaces.replace(/[^a-zA-Z0-9.\-_]/g, "");
+  return `${Date.now()}-${cleanName}`;
+};
+
+/**
+ * Public guest wall entry for a wish
+ *
+ * @param {Object} wish - EventWish document
+ * @param {boolean} withModeration - Include isHidden, for the host's view
+ * @returns {Object} { wishId, name, message, mediaUrl, mediaType, isGuest, createdAt }
+ */
+const toWishEntry = (wish, withModeration = false) => {
+  const entry = {
+    wishId: wish._id,
+    name: wish.name || "Someone",
+    message: wish.message,
+    mediaUrl: wish.mediaUrl,
+    mediaType: wish.mediaType,
+    isGuest: wish.isGuest,
+    createdAt: wish.createdAt,
+  };
+  if (withModeration) {
+    entry.isHidden = wish.isHidden;
+  }
+  return entry;
+};
+
+/**
+ * Post a wish on an event's guest wall and broadcast it to the event room
+ * The optional photo or video is uploaded to S3 as a public file
+ *
+ * @param {Object} params
+ * @param {Object} params.event - Event document
+ * @param {string} params.authorId - User ID of the app user or event guest
+ * @param {boolean} params.isGuest - Posted with an event guest token
+ * @param {string} params.name - Name shown on the wall (optional)
+ * @param {string} params.message - Wish text (optional if media is sent)
+ * @param {Object} params.file - Multer file (optional) - image/* or video/*
+ * @returns {Object} Wall entry of the wish (see toWishEntry)
+ */
+async function createWish({ event, authorId, isGuest, name, message, file }) {
+  assertEventAcceptsWishes(event);
+
+  const text = message ? String(message).trim() : "";
+  if (!text && !file) {
+    throw createError("Write a message or attach a photo or video", 400);
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw createError(
+      `message can be at most ${MAX_MESSAGE_LENGTH} characters`,
+      400
+    );
+  }
+
+  let mediaType = null;
+  if (file) {
+    mediaType = file.mimetype?.startsWith("image/")
+      ? "image"
+      : file.mimetype?.startsWith("video/")
+      ? "video"
+      : null;
+    if (!mediaType) {
+      throw createError("Only photos and videos can be attached", 400);
+    }
+  }
+
+  const author = await User.findById(authorId).select("fullName");
+  if (!author) {
+    throw createError("User not found", 404);
+  }
+
+  let mediaUrl = null;
+  if (file) {
+    const uploader = new Uploader();
+    mediaUrl = await uploader.uploadPublicFile(
+      `event_wish_${event._id}_${sanitizeFileName(file.originalname)}`,
+      file.buffer,
+      file.mimetype
+    );
+  }
+
+  const wish = await EventWish.create({
+    eventId: event._id,
+    authorId,
+    name: (name || author.fullName || "").trim().slice(0, 100) || null,
+    message: text || null,
+    mediaUrl,
+    mediaType,
+    isGuest: !!isGuest,
+  });
+
+  emitToRoom(eventRoom(event._id), "eventWish", {
+    eventId: event._id,
+    wish: toWishEntry(wish),
+  });
+
+  console.log(`💌 Wish ${wish._id} posted on event ${event._id}`);
+
+  return toWishEntry(wish);
+}
+
+/**
+ * Wishes of an event, newest first
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {number} params.page - Page number (default 1)
+ * @param {number} params.limit - Wishes per page (default 20)
+ * @param {boolean} params.includeHidden - Include wishes hidden by the host
+ *   (host view only)
+ * @returns {Object} { wishes, pagination }
+ */
+async function listWishes({
+  eventId,
+  page = 1,
+  limit = 20,
+  includeHidden = false,
+}) {
+  const query = { eventId };
+  if (!includeHidden) {
+    query.isHidden = false;
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [wishes, total] = await Promise.all([
+    EventWish.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    EventWish.countDocuments(query),
+  ]);
+
+  return {
+    wishes: wishes.map((wish) => toWishEntry(wish, includeHidden)),
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+/**
+ * Hide a wish from the event's guest wall, or show it again
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.wishId - EventWish ID
+ * @param {boolean} params.hidden - true to hide, false to show again
+ * @param {string} params.userId - Current user ID
+ * @param {string} params.userRole - Current user role
+ * @returns {Object} Wish entry (with isHidden)
+ */
+async function setWishHidden({ eventId, wishId, hidden, userId, userRole }) {
+  if (typeof hidden !== "boolean") {
+    throw createError("hidden must be true or false", 400);
+  }
+  const event = await findModeratedEvent({ eventId, userId, userRole });
+  // Admins moderate with their Admin ID, hosts with their User ID
+  const moderatorType = MODERATOR_ROLES.includes(userRole) ? "admin" : "host";
+
+  const wish = mongoose.Types.ObjectId.isValid(wishId)
+    ? await EventWish.findOneAndUpdate(
+        { _id: wishId, eventId: event._id },
+        {
+          $set: {
+            isHidden: hidden,
+            hiddenAt: hidden ? new Date() : null,
+            hiddenBy: {
+              type: hidden ? moderatorType : null,
+              id: hidden ? userId : null,
+            },
+          },
+        },
+        { new: true }
+      )
+    : null;
+  if (!wish) {
+    throw createError("Wish not found", 404);
+  }
+
+  publishModeration(event._id, "wish", wish._id, hidden, toWishEntry(wish));
+
+  return toWishEntry(wish, true);
+}
+
+module.exports = {
+  createWish,
+  listWishes,
+  setWishHidden,
+};
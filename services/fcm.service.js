@@ -864,6 +864,653 @@ const sendKycRejectionNotification = async (
   return notificationResult;
 };
 
+/**
+ * Send notification for a cancelled gift
+ * @param {string} fcmToken - FCM token of the user being notified
+ * @param {Object} giftData - Gift data
+ * @param {Object} recipientData - User being notified ({ _id })
+ * @param {boolean} isSender - Whether the notified user sent the gift
+ * @returns {Promise<Object>}
+ */
+const sendGiftCancellationNotification = async (
+  fcmToken,
+  giftData,
+  recipientData,
+  isSender
+) => {
+  const amount = giftData?.valueInINR || 0;
+  const refunded = Boolean(giftData?.isPaid);
+  const notificationTitle = "Gift Cancelled";
+  const notificationBody = isSender
+    ? `Your gift of ₹${amount} has been cancelled.${
+        refunded ? " The amount will be refunded to your payment method." : ""
+      }`
+    : `A gift of ₹${amount} sent to you has been cancelled.`;
+
+  // Save notification to database first
+  let savedNotification = null;
+  if (recipientData?._id) {
+    try {
+      savedNotification = await Notification.create({
+        userId: recipientData._id,
+        type: "giftCancelled",
+        title: notificationTitle,
+        description: notificationBody,
+        giftId: giftData._id,
+        conversationId: giftData.conversationId,
+        metadata: {
+          amount: amount,
+          giftType: giftData?.type || "",
+          cancellationReason: giftData?.cancellationReason || "",
+        },
+        isSeen: false,
+        isOpened: false,
+      });
+      console.log(`✅ Notification saved to database for gift cancellation`);
+      emitRealtimeNotification(savedNotification);
+    } catch (error) {
+      console.error("❌ Error saving notification to database:", error.message);
+    }
+  }
+
+  const notificationResult = await sendPushNotification(
+    fcmToken,
+    {
+      title: notificationTitle,
+      body: notificationBody,
+    },
+    {
+      type: "giftCancelled",
+      notificationId: savedNotification?._id?.toString() || "",
+      giftId: giftData?._id?.toString() || "",
+      conversationId: giftData?.conversationId?.toString() || "",
+      amount: amount.toString(),
+      appName: "Bahumati",
+    }
+  );
+
+  return notificationResult;
+};
+
+/**
+ * Notify the sender about a gift an unregistered receiver hasn't claimed
+ * @param {string} fcmToken - FCM token of the sender
+ * @param {Object} giftData - Gift data
+ * @param {Object} senderData - Sender user data
+ * @param {string} stage - "reminder" or "expired"
+ * @param {Object} details - { phoneNumber, expiresAt, resolution }
+ * @returns {Promise<Object>}
+ */
+const sendUnclaimedGiftNotification = async (
+  fcmToken,
+  giftData,
+  senderData,
+  stage,
+  details = {}
+) => {
+  const amount = giftData?.valueInINR || 0;
+  const phoneNumber = details.phoneNumber || giftData?.receiverNumber || "";
+  const notificationType =
+    stage === "expired" ? "giftExpired" : "unclaimedGiftReminder";
+
+  let notificationTitle;
+  let notificationBody;
+  if (stage === "expired") {
+    notificationTitle = "Gift Expired";
+    notificationBody = `Your gift of ₹${amount} to ${phoneNumber} was not claimed and has expired. ${
+      details.resolution === "refunded"
+        ? "The amount will be refunded to your payment method."
+        : "The amount has been added back to your balance."
+    }`;
+  } else {
+    notificationTitle = "Gift Not Claimed Yet";
+    notificationBody = `We reminded ${phoneNumber} to claim your gift of ₹${amount}.${
+      details.expiresAt
+        ? ` It expires on ${new Date(details.expiresAt).toDateString()}.`
+        : ""
+    }`;
+  }
+
+  // Save notification to database first
+  let savedNotification = null;
+  if (senderData?._id) {
+    try {
+      savedNotification = await Notification.create({
+        userId: senderData._id,
+        type: notificationType,
+        title: notificationTitle,
+        description: notificationBody,
+        giftId: giftData._id,
+        conversationId: giftData.conversationId,
+        metadata: {
+          amount: amount,
+          phoneNumber: phoneNumber,
+          expiresAt: details.expiresAt || null,
+          resolution: details.resolution || null,
+        },
+        isSeen: false,
+        isOpened: false,
+      });
+      console.log(`✅ Notification saved to database for ${notificationType}`);
+      emitRealtimeNotification(savedNotification);
+    } catch (error) {
+      console.error("❌ Error saving notification to database:", error.message);
+    }
+  }
+
+  const notificationResult = await sendPushNotification(
+    fcmToken,
+    {
+      title: notificationTitle,
+      body: notificationBody,
+    },
+    {
+      type: notificationType,
+      notificationId: savedNotification?._id?.toString() || "",
+      giftId: giftData?._id?.toString() || "",
+      conversationId: giftData?.conversationId?.toString() || "",
+      amount: amount.toString(),
+      appName: "Bahumati",
+    }
+  );
+
+  return notificationResult;
+};
+
+/**
+ * Send notification for an approved or rejected redemption (sell order)
+ * @param {string} fcmToken - FCM token of the user
+ * @param {Object} sellOrderData - SellOrder data
+ * @returns {Promise<Object>}
+ */
+const sendRedemptionStatusNotification = async (fcmToken, sellOrderData) => {
+  const isApproved = sellOrderData?.status === "approved";
+  const notificationType = isApproved
+    ? "redemptionApproved"
+    : "redemptionRejected";
+  const assetName = sellOrderData?.assetType === "gold" ? "gold" : "stocks";
+  const amount = sellOrderData?.amount || 0;
+  const notificationTitle = isApproved
+    ? "Redemption Approved"
+    : "Redemption Rejected";
+  const notificationBody = isApproved
+    ? `Your ${assetName} redemption of ₹${amount} has been approved and is ready to withdraw.`
+    : `Your ${assetName} redemption of ₹${amount} has been rejected. ${
+        sellOrderData?.rejectionReason
+          ? `Reason: ${sellOrderData.rejectionReason}`
+          : ""
+      }`;
+
+  // Save notification to database first
+  let savedNotification = null;
+  if (sellOrderData?.userId) {
+    try {
+      savedNotification = await Notification.create({
+        userId: sellOrderData.userId,
+        type: notificationType,
+        title: notificationTitle,
+        description: notificationBody,
+        metadata: {
+          sellOrderId: sellOrderData._id?.toString() || "",
+          assetType: sellOrderData.assetType,
+          units: sellOrderData.units,
+          amount: amount,
+          rejectionReason: sellOrderData.rejectionReason || "",
+        },
+        isSeen: false,
+        isOpened: false,
+      });
+      console.log(`✅ Notification saved to database for ${notificationType}`);
+      emitRealtimeNotification(savedNotification);
+    } catch (error) {
+      console.error("❌ Error saving notification to database:", error.message);
+    }
+  }
+
+  const notificationResult = await sendPushNotification(
+    fcmToken,
+    {
+      title: notificationTitle,
+      body: notificationBody,
+    },
+    {
+      type: notificationType,
+      notificationId: savedNotification?._id?.toString() || "",
+      sellOrderId: sellOrderData?._id?.toString() || "",
+      amount: amount.toString(),
+      appName: "Bahumati",
+    }
+  );
+
+  return notificationResult;
+};
+
+/**
+ * Send notification to the sender of a recurring gift (GiftSchedule)
+ * @param {string} fcmToken - FCM token of the sender
+ * @param {Object} scheduleData - GiftSchedule data
+ * @param {string} stage - "payment_due" | "sent" | "retrying" | "failed" | "paused"
+ * @param {Object} details - { giftId, occurrence, reason, retryAt }
+ * @returns {Promise<Object>}
+ */
+const sendGiftScheduleNotification = async (
+  fcmToken,
+  scheduleData,
+  stage,
+  details = {}
+) => {
+  const amount = scheduleData?.amount || 0;
+  const assetName = scheduleData?.type === "stock" ? "stocks" : "gold";
+  const frequency = scheduleData?.frequency || "recurring";
+  const reason = details.reason ? ` Reason: ${details.reason}` : "";
+
+  let notificationType = "giftScheduleFailed";
+  let notificationTitle;
+  let notificationBody;
+  if (stage === "payment_due") {
+    notificationType = "giftSchedulePaymentDue";
+    notificationTitle = "Scheduled Gift Ready";
+    notificationBody = `Your ${frequency} gift of ₹${amount} in ${assetName} is due. Complete the payment to send it.`;
+  } else if (stage === "sent") {
+    notificationType = "giftScheduleSent";
+    notificationTitle = "Scheduled Gift Sent";
+    notificationBody = `Your ${frequency} gift of ₹${amount} in ${assetName} has been sent.`;
+  } else if (stage === "retrying") {
+    notificationTitle = "Scheduled Gift Payment Failed";
+    notificationBody = `We couldn't collect ₹${amount} for your ${frequency} gift.${reason} We'll try again${
+      details.retryAt ? ` on ${new Date(details.retryAt).toDateString()}` : ""
+    }.`;
+  } else if (stage === "paused") {
+    notificationTitle = "Scheduled Gift Paused";
+    notificationBody = `Your ${frequency} gift of ₹${amount} in ${assetName} has been paused after repeated payment failures. Resume it once your payment method is updated.`;
+  } else {
+    notificationTitle = "Scheduled Gift Not Sent";
+    notificationBody = `Your ${frequency} gift of ₹${amount} in ${assetName} could not be sent.${reason}`;
+  }
+
+  // Save notification to database first
+  let savedNotification = null;
+  if (scheduleData?.senderId) {
+    try {
+      savedNotification = await Notification.create({
+        userId: scheduleData.senderId,
+        type: notificationType,
+        title: notificationTitle,
+        description: notificationBody,
+        giftId: details.giftId || undefined,
+        metadata: {
+          scheduleId: scheduleData._id?.toString() || "",
+          stage: stage,
+          amount: amount,
+          occurrence: details.occurrence || null,
+          reason: details.reason || "",
+          retryAt: details.retryAt || null,
+        },
+        isSeen: false,
+        isOpened: false,
+      });
+      console.log(`✅ Notification saved to database for ${notificationType}`);
+      emitRealtimeNotification(savedNotification);
+    } catch (error) {
+      console.error("❌ Error saving notification to database:", error.message);
+    }
+  }
+
+  const notificationResult = await sendPushNotification(
+    fcmToken,
+    {
+      title: notificationTitle,
+      body: notificationBody,
+    },
+    {
+      type: notificationType,
+      notificationId: savedNotification?._id?.toString() || "",
+      scheduleId: scheduleData?._id?.toString() || "",
+      giftId: details.giftId?.toString() || "",
+      stage: stage,
+      amount: amount.toString(),
+      appName: "Bahumati",
+    }
+  );
+
+  return notificationResult;
+};
+
+/**
+ * Send notification about a group gift pool
+ * @param {string} fcmToken - FCM token of the user to notify
+ * @param {Object} poolData - GiftPool document
+ * @param {string} stage - "contribution" (to the organiser), "closed" or "cancelled" (to contributors)
+ * @param {Object} details - { userId, contributorName, amount, giftId }
+ * @returns {Promise<Object>} - Result of the notification send
+ */
+const sendGiftPoolNotification = async (
+  fcmToken,
+  poolData,
+  stage,
+  details = {}
+) => {
+  const title = poolData?.title || "Group gift";
+  const amount = details.amount || 0;
+
+  let notificationType;
+  let notificationTitle;
+  let notificationBody;
+  if (stage === "contribution") {
+    notificationType = "giftPoolContribution";
+    notificationTitle = "New Contribution";
+    notificationBody = `${
+      details.contributorName || "Someone"
+    } chipped in ₹${amount} to "${title}".`;
+  } else if (stage === "closed") {
+    notificationType = "giftPoolClosed";
+    notificationTitle = "Group Gift Sent";
+    notificationBody = `"${title}" is closed and the group gift of ₹${
+      poolData?.collectedAmount || 0
+    } has been sent.`;
+  } else {
+    notificationType = "giftPoolCancelled";
+    notificationTitle = "Group Gift Cancelled";
+    notificationBody = `"${title}" was cancelled. Your contribution of ₹${amount} will be refunded.`;
+  }
+
+  // Save notification to database first
+  let savedNotification = null;
+  if (details.userId) {
+    try {
+      savedNotification = await Notification.create({
+        userId: details.userId,
+        type: notificationType,
+        title: notificationTitle,
+        description: notificationBody,
+        giftId: details.giftId || undefined,
+        metadata: {
+          poolId: poolData?._id?.toString() || "",
+          poolLink: poolData?.poolLink || "",
+          stage: stage,
+          amount: amount,
+        },
+        isSeen: false,
+        isOpened: false,
+      });
+      console.log(`✅ Notification saved to database for ${notificationType}`);
+      emitRealtimeNotification(savedNotification);
+    } catch (error) {
+      console.error("❌ Error saving notification to database:", error.message);
+    }
+  }
+
+  const notificationResult = await sendPushNotification(
+    fcmToken,
+    {
+      title: notificationTitle,
+      body: notificationBody,
+    },
+    {
+      type: notificationType,
+      notificationId: savedNotification?._id?.toString() || "",
+      poolId: poolData?._id?.toString() || "",
+      giftId: details.giftId?.toString() || "",
+      stage: stage,
+      amount: amount.toString(),
+      appName: "Bahumati",
+    }
+  );
+
+  return notificationResult;
+};
+
+/**
+ * Send notification about an event's lifecycle
+ * @param {string} fcmToken - FCM token of the user to notify
+ * @param {Object} eventData - Event document
+ * @param {string} stage - "ended" (to the hosts), "reminder" (to people who opened the link),
+ *   "digest" (to the hosts) or "cancelled" (to gifters whose gift the hosts keep)
+ * @param {Object} details - { userId, startsAt, giftCount, amount }
+ * @returns {Promise<Object>} - Result of the notification send
+ */
+const sendEventLifecycleNotification = async (
+  fcmToken,
+  eventData,
+  stage,
+  details = {}
+) => {
+  const title = eventData?.title || "Your event";
+
+  let notificationType;
+  let notificationTitle;
+  let notificationBody;
+  if (stage === "ended") {
+    notificationType = "eventEnded";
+    notificationTitle = "Withdrawals Are Open";
+    notificationBody = `"${title}" has ended. You can now request a withdrawal of up to ${
+      eventData?.withdrawalPercentage ?? 0
+    }% of your gifts.`;
+  } else if (stage === "reminder") {
+    notificationType = "eventReminder";
+    notificationTitle = "Event Starting Soon";
+    notificationBody = `"${title}" starts on ${new Date(
+      details.startsAt || eventData?.eventStartDate
+    ).toDateString()}. Don't forget to send your gift!`;
+  } else if (stage === "cancelled") {
+    notificationType = "eventCancelled";
+    notificationTitle = "Event Cancelled";
+    notificationBody = `"${title}" was cancelled. The hosts will keep your gift of ₹${
+      details.amount || 0
+    }.`;
+  } else {
+    notificationType = "eventDailyDigest";
+    notificationTitle = "Today's Gifts";
+    notificationBody = `"${title}" received ${details.giftCount || 0} gift${
+      details.giftCount === 1 ? "" : "s"
+    } worth ₹${details.amount || 0} today.`;
+  }
+
+  // Save notification to database first
+  let savedNotification = null;
+  if (details.userId) {
+    try {
+      savedNotification = await Notification.create({
+        userId: details.userId,
+        type: notificationType,
+        title: notificationTitle,
+        description: notificationBody,
+        eventId: eventData?._id,
+        metadata: {
+          eventLink: eventData?.eventLink || "",
+          stage: stage,
+          giftCount: details.giftCount || 0,
+          amount: details.amount || 0,
+        },
+        isSeen: false,
+        isOpened: false,
+      });
+      console.log(`✅ Notification saved to database for ${notificationType}`);
+      emitRealtimeNotification(savedNotification);
+    } catch (error) {
+      console.error("❌ Error saving notification to database:", error.message);
+    }
+  }
+
+  const notificationResult = await sendPushNotification(
+    fcmToken,
+    {
+      title: notificationTitle,
+      body: notificationBody,
+    },
+    {
+      type: notificationType,
+      notificationId: savedNotification?._id?.toString() || "",
+      eventId: eventData?._id?.toString() || "",
+      eventLink: eventData?.eventLink || "",
+      stage: stage,
+      appName: "Bahumati",
+    }
+  );
+
+  return notificationResult;
+};
+
+/**
+ * Send notification about the payout of a withdrawal
+ * @param {string} fcmToken - FCM token of the user
+ * @param {Object} payoutData - Payout document ("paid", "failed" or "reversed")
+ * @param {Object} details - { userId }
+ * @returns {Promise<Object>} - Result of the notification send
+ */
+const sendPayoutNotification = async (fcmToken, payoutData, details = {}) => {
+  const amount = payoutData?.amount || 0;
+
+  let notificationType;
+  let notificationTitle;
+  let notificationBody;
+  if (payoutData?.status === "paid") {
+    notificationType = "payoutPaid";
+    notificationTitle = "Withdrawal Paid";
+    notificationBody = `₹${amount} has been sent to your account.${
+      payoutData.utr ? ` Reference: ${payoutData.utr}` : ""
+    }`;
+  } else if (payoutData?.status === "reversed") {
+    notificationType = "payoutReversed";
+    notificationTitle = "Withdrawal Returned";
+    notificationBody = `Your bank returned the withdrawal of ₹${amount}. The amount has been added back to your balance.`;
+  } else {
+    notificationType = "payoutFailed";
+    notificationTitle = "Withdrawal Failed";
+    notificationBody = `We couldn't send your withdrawal of ₹${amount}. The amount has been added back to your balance.`;
+  }
+
+  // Save notification to database first
+  let savedNotification = null;
+  if (details.userId) {
+    try {
+      savedNotification = await Notification.create({
+        userId: details.userId,
+        type: notificationType,
+        title: notificationTitle,
+        description: notificationBody,
+        withdrawalRequestId: payoutData?.withdrawalRequestId,
+        metadata: {
+          payoutId: payoutData?._id?.toString() || "",
+          amount: amount,
+          utr: payoutData?.utr || null,
+          failureReason: payoutData?.failureReason || null,
+        },
+        isSeen: false,
+        isOpened: false,
+      });
+      console.log(`✅ Notification saved to database for ${notificationType}`);
+      emitRealtimeNotification(savedNotification);
+    } catch (error) {
+      console.error("❌ Error saving notification to database:", error.message);
+    }
+  }
+
+  const notificationResult = await sendPushNotification(
+    fcmToken,
+    {
+      title: notificationTitle,
+      body: notificationBody,
+    },
+    {
+      type: notificationType,
+      notificationId: savedNotification?._id?.toString() || "",
+      payoutId: payoutData?._id?.toString() || "",
+      withdrawalRequestId: payoutData?.withdrawalRequestId?.toString() || "",
+      amount: amount.toString(),
+      appName: "Bahumati",
+    }
+  );
+
+  return notificationResult;
+};
+
+/**
+ * Send notification about a change to the user's payout beneficiaries
+ * @param {string} fcmToken - FCM token of the user
+ * @param {Object} beneficiary - PayoutBeneficiary document
+ * @param {string} action - "added", "default" or "removed"
+ * @param {Object} details - { userId }
+ * @returns {Promise<Object>} - Result of the notification send
+ */
+const sendBeneficiaryNotification = async (
+  fcmToken,
+  beneficiary,
+  action,
+  details = {}
+) => {
+  const account =
+    beneficiary.type === "vpa"
+      ? "UPI ID"
+      : `bank account ending ${beneficiary.accountNumberLast4}`;
+  const coolingOffUntil = beneficiary.coolingOffUntil
+    ? new Date(beneficiary.coolingOffUntil).toLocaleString("en-IN", {
+        timeZone: "Asia/Kolkata",
+      })
+    : null;
+
+  let notificationType;
+  let notificationTitle;
+  let notificationBody;
+  if (action === "added") {
+    notificationType = "beneficiaryAdded";
+    notificationTitle = "Payout Account Added";
+    notificationBody = `A ${account} was added for withdrawals. Payouts to it start after ${coolingOffUntil}. If this wasn't you, contact support right away.`;
+  } else if (action === "default") {
+    notificationType = "beneficiaryDefaultChanged";
+    notificationTitle = "Payout Account Changed";
+    notificationBody = `Withdrawals will now be paid to your ${account}${
+      coolingOffUntil && new Date(beneficiary.coolingOffUntil) > new Date()
+        ? ` from ${coolingOffUntil}`
+        : ""
+    }. If this wasn't you, contact support right away.`;
+  } else {
+    notificationType = "beneficiaryRemoved";
+    notificationTitle = "Payout Account Removed";
+    notificationBody = `Your ${account} was removed from your payout accounts.`;
+  }
+
+  // Save notification to database first
+  let savedNotification = null;
+  if (details.userId) {
+    try {
+      savedNotification = await Notification.create({
+        userId: details.userId,
+        type: notificationType,
+        title: notificationTitle,
+        description: notificationBody,
+        metadata: {
+          beneficiaryId: beneficiary._id?.toString() || "",
+          beneficiaryType: beneficiary.type,
+          coolingOffUntil: beneficiary.coolingOffUntil || null,
+        },
+        isSeen: false,
+        isOpened: false,
+      });
+      console.log(`✅ Notification saved to database for ${notificationType}`);
+      emitRealtimeNotification(savedNotification);
+    } catch (error) {
+      console.error("❌ Error saving notification to database:", error.message);
+    }
+  }
+
+  const notificationResult = await sendPushNotification(
+    fcmToken,
+    {
+      title: notificationTitle,
+      body: notificationBody,
+    },
+    {
+      type: notificationType,
+      notificationId: savedNotification?._id?.toString() || "",
+      beneficiaryId: beneficiary._id?.toString() || "",
+      appName: "Bahumati",
+    }
+  );
+
+  return notificationResult;
+};
+
 module.exports = {
   sendPushNotification,
   sendMulticastPushNotification,
@@ -874,5 +1521,13 @@ module.exports = {
   sendWithdrawalRejectionNotification,
   sendKycApprovalNotification,
   sendKycRejectionNotification,
+  sendGiftCancellationNotification,
+  sendUnclaimedGiftNotification,
+  sendRedemptionStatusNotification,
+  sendGiftScheduleNotification,
+  sendGiftPoolNotification,
+  sendEventLifecycleNotification,
+  sendPayoutNotification,
+  sendBeneficiaryNotification,
   initializeFirebase,
 };
@@ -2,10 +2,12 @@ const mongoose = require("mongoose");
 const Gift = require("../models/Gift");
 const UserHistory = require("../models/UserHistory");
 const AutoAllocationTask = require("../models/AutoAllocationTask");
-
-// Constants for current prices (these should ideally come from a price service)
-const GOLD_PRICE_PER_GRAM = 11203.0; // ₹11,203 per gram
-const TOP50_STOCK_NAV = 159.62; // ₹159.62 per unit
+const { getFreshPrice } = require("./priceFeed.service");
+const {
+  recordGiftReceived,
+  recordGiftReversed,
+  recordAllocation,
+} = require("./ledger.service");
 
 /**
  * Add gift money to user's unallotted money
@@ -16,6 +18,7 @@ const TOP50_STOCK_NAV = 159.62; // ₹159.62 per unit
  * @param {string} params.userId - User ID (receiver)
  * @param {number} params.amount - Amount in INR
  * @param {string} params.senderId - Sender ID
+ * @param {string} params.ledgerType - LedgerEntry type ("gift_received" or "gift_returned")
  * @param {Object} params.session - MongoDB session (optional, for transactions)
  * @returns {Object} Updated UserHistory
  */
@@ -24,6 +27,7 @@ async function addGiftToUserHistory({
   userId,
   amount,
   senderId,
+  ledgerType = "gift_received",
   session = null,
 }) {
   // Get or create user history - use session if provided
@@ -39,6 +43,7 @@ async function addGiftToUserHistory({
             unallottedMoney: 0,
             holdingMoney: 0,
             allottedMoney: { gold: 0, stock: 0 },
+            allottedUnits: { gold: 0, stock: 0 },
             allocationHistory: [],
             giftHistory: [],
           },
@@ -72,6 +77,14 @@ async function addGiftToUserHistory({
     await userHistory.addUnallottedMoney(amount, giftId, senderId);
   }
 
+  await recordGiftReceived({
+    userId,
+    giftId,
+    amount,
+    type: ledgerType,
+    session,
+  });
+
   return userHistory;
 }
 
@@ -122,6 +135,7 @@ async function allocateGift({
             unallottedMoney: 0,
             holdingMoney: 0,
             allottedMoney: { gold: 0, stock: 0 },
+            allottedUnits: { gold: 0, stock: 0 },
             allocationHistory: [],
             giftHistory: [],
           },
@@ -130,9 +144,14 @@ async function allocateGift({
       );
       userHistory = userHistory[0];
     }
-    // Ensure holdingMoney exists for existing records
+    // Ensure holdingMoney and allottedUnits exist for existing records
+    let needsSave = userHistory.ensureAllottedUnits();
     if (userHistory.holdingMoney === undefined) {
       userHistory.holdingMoney = 0;
+      needsSave = true;
+    }
+    if (needsSave) {
+      await userHistory.save({ session });
     }
   } else {
     userHistory = await UserHistory.getOrCreate(userId);
@@ -158,11 +177,14 @@ async function allocateGift({
   // Convert giftId to string if it's an ObjectId
   const giftIdStr = giftId ? String(giftId).trim() : "";
   if (giftIdStr !== "") {
+    // Co-host beneficiaries allocate their share of split event gifts
+    const ownGiftQuery = {
+      _id: giftIdStr,
+      $or: [{ receiverId: userId }, { "beneficiaryShares.userId": userId }],
+    };
     const gift = session
-      ? await Gift.findOne({ _id: giftIdStr, receiverId: userId }).session(
-          session
-        )
-      : await Gift.findOne({ _id: giftIdStr, receiverId: userId });
+      ? await Gift.findOne(ownGiftQuery).session(session)
+      : await Gift.findOne(ownGiftQuery);
 
     if (!gift) {
       throw new Error(
@@ -170,26 +192,24 @@ async function allocateGift({
       );
     }
 
-    // Check if gift is paid (if payment is required)
-    if (
-      !gift.isSelfGift &&
-      gift.isPaid === false &&
-      gift.status === "pending"
-    ) {
+    // Check if gift is paid
+    if (gift.status === "payment_pending") {
       throw new Error(
         "Gift payment is pending. Please complete payment first."
       );
     }
-  }
 
-  // Get current market price for the allocation type
-  let pricePerUnit;
-  if (allocationType === "gold") {
-    pricePerUnit = GOLD_PRICE_PER_GRAM;
-  } else {
-    pricePerUnit = TOP50_STOCK_NAV;
+    // Gift is scheduled for later delivery and not credited yet
+    if (gift.status === "scheduled") {
+      throw new Error(
+        "Gift not found or you don't have permission to allocate it"
+      );
+    }
   }
 
+  // Get current market price for the allocation type (rejects stale prices)
+  const pricePerUnit = await getFreshPrice(allocationType);
+
   // Calculate quantity
   const quantity = amount / pricePerUnit;
 
@@ -231,6 +251,7 @@ async function allocateGift({
       {
         $inc: {
           [`allottedMoney.${allocationType}`]: amount,
+          [`allottedUnits.${allocationType}`]: quantity,
           unallottedMoney: -amount,
         },
         $push: {
@@ -287,6 +308,16 @@ async function allocateGift({
     );
   }
 
+  await recordAllocation({
+    userId,
+    giftId: validGiftId,
+    allocationType,
+    amount,
+    quantity,
+    pricePerUnit,
+    session,
+  });
+
   // Update gift status if giftId or giftIds provided
   const idsToUpdate = [];
   if (giftIdStr !== "") idsToUpdate.push(giftIdStr);
@@ -315,14 +346,36 @@ async function allocateGift({
         gift.allottedAt = new Date();
       }
 
-      if (totalAllocatedForGift >= gift.valueInINR) {
+      // Split event gifts are allotted once every beneficiary's share is. The
+      // part withdrawn from a gift (or share) can't be allocated any more
+      const share = gift.beneficiaryShares?.find(
+        (s) => String(s.userId) === String(userId)
+      );
+      if (share) {
+        share.isAllotted =
+          totalAllocatedForGift + (share.withdrawnAmount || 0) >= share.amount;
+      }
+      const userPartAllocated = share
+        ? share.isAllotted
+        : totalAllocatedForGift + (gift.withdrawnAmount || 0) >=
+          gift.valueInINR;
+      const isFullyAllocated = gift.beneficiaryShares?.length
+        ? gift.beneficiaryShares.every((s) => s.isAllotted)
+        : userPartAllocated;
+
+      if (isFullyAllocated) {
         // Fully allocated
         gift.isAllotted = true;
         gift.status = "allotted";
+      } else {
+        // Partially allocated
+        gift.status = gift.status === "pending" ? "accepted" : gift.status;
+      }
 
+      if (userPartAllocated) {
         // Disable any pending auto-allocation task for this gift
         await AutoAllocationTask.findOneAndUpdate(
-          { giftId: id },
+          { giftId: id, userId },
           {
             isActive: false,
             lastRunAt: new Date(),
@@ -330,12 +383,9 @@ async function allocateGift({
           }
         );
       } else {
-        // Partially allocated
-        gift.status = gift.status === "pending" ? "accepted" : gift.status;
-
         // Reschedule the task to check again in 1 hour (if task exists)
         await AutoAllocationTask.findOneAndUpdate(
-          { giftId: id, isActive: true },
+          { giftId: id, userId, isActive: true },
           {
             scheduledAt: new Date(Date.now() + 60 * 60 * 1000),
             lastRunAt: new Date(),
@@ -366,6 +416,72 @@ async function allocateGift({
   };
 }
 
+/**
+ * Reverse the credit of a gift from user's unallotted money
+ * Called when a received gift is refunded or cancelled
+ * Only possible while no part of the gift has been allocated or withdrawn
+ *
+ * @param {Object} params
+ * @param {string} params.giftId - Gift ID
+ * @param {string} params.userId - User ID (receiver)
+ * @param {Object} params.session - MongoDB session (optional, for transactions)
+ * @returns {Object|null} Updated UserHistory, or null if the gift was never credited
+ */
+async function reverseGiftCredit({ giftId, userId, session = null }) {
+  const userHistory = session
+    ? await UserHistory.findOne({ userId }).session(session)
+    : await UserHistory.findOne({ userId });
+
+  const giftEntry = userHistory?.giftHistory.find(
+    (g) => g.giftId && g.giftId.toString() === String(giftId)
+  );
+  if (!giftEntry) {
+    return null;
+  }
+
+  const totalAllocatedForGift = userHistory.allocationHistory
+    .filter((a) => a.giftId && a.giftId.toString() === String(giftId))
+    .reduce((sum, a) => sum + a.amount, 0);
+  if (totalAllocatedForGift > 0) {
+    throw new Error("Gift has already been allocated and cannot be reversed");
+  }
+  const gift = await Gift.findById(giftId)
+    .select("withdrawnAmount")
+    .session(session);
+  if (gift?.withdrawnAmount > 0) {
+    throw new Error("Gift has already been withdrawn and cannot be reversed");
+  }
+
+  // Atomic update - only reverse if the money is still unallotted
+  const updateResult = await UserHistory.findOneAndUpdate(
+    {
+      _id: userHistory._id,
+      unallottedMoney: { $gte: giftEntry.amount },
+      "giftHistory.giftId": giftEntry.giftId,
+    },
+    {
+      $inc: { unallottedMoney: -giftEntry.amount },
+      $pull: { giftHistory: { giftId: giftEntry.giftId } },
+    },
+    { session, new: true }
+  );
+
+  if (!updateResult) {
+    throw new Error(
+      `Insufficient unallotted money to reverse gift. Available: ₹${userHistory.unallottedMoney}, Required: ₹${giftEntry.amount}`
+    );
+  }
+
+  await recordGiftReversed({
+    userId,
+    giftId,
+    amount: giftEntry.amount,
+    session,
+  });
+
+  return updateResult;
+}
+
 /**
  * Get user's allocation summary
  *
@@ -378,6 +494,9 @@ async function getUserAllocationSummary(userId) {
   return {
     unallottedMoney: userHistory.unallottedMoney,
     allottedMoney: userHistory.allottedMoney,
+    allottedUnits: userHistory.allottedUnits,
+    withdrawableMoney: userHistory.withdrawableMoney || 0,
+    realisedGains: userHistory.realisedGains,
     totalAllotted:
       userHistory.allottedMoney.gold + userHistory.allottedMoney.stock,
     allocationHistory: userHistory.allocationHistory,
@@ -388,7 +507,6 @@ async function getUserAllocationSummary(userId) {
 module.exports = {
   allocateGift,
   addGiftToUserHistory,
+  reverseGiftCredit,
   getUserAllocationSummary,
-  GOLD_PRICE_PER_GRAM,
-  TOP50_STOCK_NAV,
 };
@@ -0,0 +1,447 @@
+const mongoose = require("mongoose");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const Event = require("../models/Event");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const UserWithNoAccount = require("../models/UserWithNoAccount");
+const AutoAllocationTask = require("../models/AutoAllocationTask");
+const GiftPoolContribution = require("../models/GiftPoolContribution");
+const { refundPayment } = require("../libs/payments/razorpay");
+const { reverseGiftCredit } = require("./giftAllocation.service");
+const { getCreditedUserIds } = require("./eventHosts.service");
+const { sendGiftCancellationNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+
+// Gifts the sender may still cancel - not yet accepted or allocated by the receiver
+const SENDER_CANCELLABLE_STATUSES = ["payment_pending", "scheduled", "pending"];
+
+const GIFT_CANCELLED_PREVIEW = "🎁 Gift cancelled";
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Ask Razorpay to refund a paid gift
+ * The gift is marked refunded when the refund.processed webhook arrives;
+ * a failed request is stored on the gift so an admin can retry it
+ *
+ * @param {Object} gift - Gift document
+ * @returns {Object} { status, refundId, error }
+ */
+async function initiateGiftRefund(gift) {
+  if (!gift.isPaid || !gift.paymentId) {
+    return { status: "not_required", refundId: null, error: null };
+  }
+  if (["refund_initiated", "refunded"].includes(gift.paymentStatus)) {
+    return { status: gift.paymentStatus, refundId: gift.refundId, error: null };
+  }
+
+  try {
+    const refund = await refundPayment({ payment_id: gift.paymentId });
+    await Gift.updateOne(
+      { _id: gift._id, paymentStatus: { $ne: "refunded" } },
+      {
+        paymentStatus: "refund_initiated",
+        refundId: refund.id,
+        refundError: null,
+      }
+    );
+    console.log(`💸 Refund ${refund.id} initiated for gift ${gift._id}`);
+    return { status: "refund_initiated", refundId: refund.id, error: null };
+  } catch (error) {
+    const reason =
+      error?.error?.description || error.message || "Refund request failed";
+    await Gift.updateOne({ _id: gift._id }, { refundError: reason });
+    console.error(`❌ Refund failed for gift ${gift._id}: ${reason}`);
+    return { status: "failed", refundId: null, error: reason };
+  }
+}
+
+// Ask Razorpay to refund a paid contribution - the refund webhook marks it refunded
+async function refundContribution(contribution) {
+  try {
+    const refund = await refundPayment({ payment_id: contribution.paymentId });
+    await GiftPoolContribution.updateOne(
+      { _id: contribution._id, status: "paid" },
+      {
+        status: "refund_initiated",
+        refundId: refund.id,
+        refundError: null,
+      }
+    );
+    console.log(
+      `💸 Refund ${refund.id} initiated for pool contribution ${contribution._id}`
+    );
+    return true;
+  } catch (error) {
+    const reason =
+      error?.error?.description || error.message || "Refund request failed";
+    await GiftPoolContribution.updateOne(
+      { _id: contribution._id },
+      { refundError: reason }
+    );
+    console.error(
+      `❌ Refund failed for pool contribution ${contribution._id}: ${reason}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Refund every paid contribution of a cancelled group gift
+ * A group gift has no payment of its own; failed contribution refunds are
+ * retried by the gift pool cron
+ *
+ * @param {Object} gift - Gift document with a poolId
+ * @returns {Object} { status, refundId, error, refundsInitiated, refundsFailed }
+ */
+async function initiatePoolGiftRefunds(gift) {
+  const contributions = await GiftPoolContribution.find({
+    poolId: gift.poolId,
+    status: "paid",
+  });
+
+  let refundsInitiated = 0;
+  let refundsFailed = 0;
+  for (const contribution of contributions) {
+    if (await refundContribution(contribution)) {
+      refundsInitiated++;
+    } else {
+      refundsFailed++;
+    }
+  }
+
+  return {
+    status: refundsFailed
+      ? "failed"
+      : refundsInitiated
+      ? "refund_initiated"
+      : "not_required",
+    refundId: null,
+    error: refundsFailed
+      ? `${refundsFailed} contribution refund(s) could not be started`
+      : null,
+    refundsInitiated,
+    refundsFailed,
+  };
+}
+
+/**
+ * Take a cancelled gift's money back from the receiver
+ *
+ * @returns {boolean} Whether the credit was reversed
+ */
+async function reverseReceiverCredit(gift, session, allowUnreversed) {
+  // Unregistered receivers only have the gift tracked - nothing was credited yet
+  const userWithNoAccount = await UserWithNoAccount.findById(
+    gift.receiverId
+  ).session(session);
+
+  let creditReversed = true;
+  if (userWithNoAccount) {
+    await UserWithNoAccount.updateOne(
+      { _id: userWithNoAccount._id },
+      { $pull: { gifts: { giftId: gift._id } } },
+      { session }
+    );
+  } else {
+    // Split event gifts are taken back from every beneficiary
+    for (const userId of getCreditedUserIds(gift)) {
+      try {
+        await reverseGiftCredit({
+          giftId: gift._id,
+          userId,
+          session,
+        });
+      } catch (reverseError) {
+        if (!allowUnreversed) {
+          throw createError(
+            `Gift credit cannot be reversed: ${reverseError.message}`,
+            409
+          );
+        }
+        creditReversed = false;
+        console.warn(
+          `⚠️ Refunding gift ${gift._id} without reversing the credit of user ${userId}: ${reverseError.message}`
+        );
+      }
+    }
+  }
+
+  await AutoAllocationTask.updateMany(
+    { giftId: gift._id },
+    { isActive: false, error: "Gift cancelled" },
+    { session }
+  );
+
+  if (gift.eventId) {
+    await Event.findByIdAndUpdate(
+      gift.eventId,
+      {
+        $inc: {
+          totalGiftsReceived: -1,
+          totalGiftsAmount: -(gift.valueInINR || 0),
+        },
+      },
+      { session }
+    );
+  }
+
+  return creditReversed;
+}
+
+/**
+ * Mark the gift's chat messages as cancelled and update the conversation
+ * preview when the gift is the latest message
+ *
+ * @returns {Object|null} Updated conversation, if its preview changed
+ */
+async function markGiftMessagesCancelled(gift, cancelledAt, session) {
+  await Message.updateMany(
+    { giftId: gift._id },
+    {
+      $set: {
+        "metadata.giftCancelled": true,
+        "metadata.giftCancelledAt": cancelledAt,
+      },
+    },
+    { session }
+  );
+
+  // Undelivered scheduled gifts never showed up in the receiver's conversation
+  if (!gift.conversationId || (gift.deliverAt && !gift.deliveredAt)) {
+    return null;
+  }
+
+  const latestMessage = await Message.findOne({
+    conversationId: gift.conversationId,
+  })
+    .sort({ createdAt: -1 })
+    .session(session);
+  if (
+    !latestMessage?.giftId ||
+    String(latestMessage.giftId) !== String(gift._id)
+  ) {
+    return null;
+  }
+
+  return Conversation.findByIdAndUpdate(
+    gift.conversationId,
+    { "lastMessage.text": GIFT_CANCELLED_PREVIEW },
+    { new: true, session }
+  );
+}
+
+// Socket + FCM notifications for a cancelled gift
+async function notifyGiftCancelled(
+  gift,
+  { receiverWasCredited, conversation, notifyReceiver: receiverWanted = true }
+) {
+  const receiverId = String(gift.receiverId);
+  const senderId = String(gift.senderId);
+  const isSelfGift = receiverId === senderId;
+  // The receiver never saw a gift that was still waiting for payment
+  const notifyReceiver = receiverWanted && receiverWasCredited && !isSelfGift;
+
+  const payload = {
+    giftId: gift._id,
+    conversationId: gift.conversationId,
+    messageId: gift.messageId,
+    status: gift.status,
+    paymentStatus: gift.paymentStatus,
+  };
+  emitToUser(senderId, "giftCancelled", payload);
+  if (notifyReceiver) emitToUser(receiverId, "giftCancelled", payload);
+
+  if (conversation) {
+    const updatedConversation = {
+      _id: conversation._id,
+      participants: conversation.participants,
+      lastMessage: conversation.lastMessage,
+      lastMessageType: conversation.lastMessageType,
+      updatedAt: conversation.updatedAt,
+      unreadCounts: conversation.unreadCounts,
+      receiverNumber: conversation.receiverNumber || null,
+    };
+    emitToUser(senderId, "conversationUpdated", {
+      conversation: updatedConversation,
+    });
+    if (!isSelfGift) {
+      emitToUser(receiverId, "conversationUpdated", {
+        conversation: updatedConversation,
+      });
+    }
+  }
+
+  try {
+    const [sender, receiver] = await Promise.all([
+      User.findById(senderId).select("fcmToken"),
+      notifyReceiver ? User.findById(receiverId).select("fcmToken") : null,
+    ]);
+    if (sender) {
+      await sendGiftCancellationNotification(
+        sender.fcmToken,
+        gift,
+        sender,
+        true
+      );
+    }
+    if (receiver) {
+      await sendGiftCancellationNotification(
+        receiver.fcmToken,
+        gift,
+        receiver,
+        false
+      );
+    }
+  } catch (notificationError) {
+    console.error(
+      "❌ Error sending gift cancellation notifications:",
+      notificationError.message
+    );
+  }
+}
+
+/**
+ * Cancel a gift and refund its payment
+ * Senders can cancel gifts the receiver has not accepted or allocated yet
+ * (including scheduled gifts that have not been delivered);
+ * admins can force-cancel any gift (e.g. disputes), and cancelling an event
+ * cancels all of its gifts. The receiver's credit is
+ * reversed in the same transaction as the cancellation, then the Razorpay
+ * refund is requested (for a group gift, one per paid contribution) and both
+ * parties are notified
+ *
+ * @param {Object} params
+ * @param {string} params.giftId - Gift ID
+ * @param {Object} params.cancelledBy - { type: "sender" | "admin", id } or
+ *   { type: "event", id: eventId }
+ * @param {string} params.reason - Cancellation reason (optional)
+ * @param {boolean} params.allowUnreversed - Admin only: refund even if the
+ *   receiver already used the money
+ * @param {boolean} params.notifyReceiver - Notify the receiver too (default true)
+ * @returns {Object} { gift, creditReversed, refund }
+ */
+async function cancelGift({
+  giftId,
+  cancelledBy,
+  reason = null,
+  allowUnreversed = false,
+  notifyReceiver = true,
+}) {
+  const isAdmin = cancelledBy.type === "admin";
+  const isEventCancellation = cancelledBy.type === "event";
+
+  const existingGift = await Gift.findById(giftId);
+  const isAllowed = isAdmin
+    ? true
+    : isEventCancellation
+    ? String(existingGift?.eventId) === String(cancelledBy.id)
+    : String(existingGift?.senderId) === String(cancelledBy.id);
+  if (!existingGift || !isAllowed) {
+    throw createError(
+      "Gift not found or you don't have permission to cancel it",
+      404
+    );
+  }
+
+  if (existingGift.status === "cancelled") {
+    // Admins can retry a refund that failed when the gift was cancelled
+    if (isAdmin && existingGift.isPaid && existingGift.refundError) {
+      const refund = await initiateGiftRefund(existingGift);
+      const gift = await Gift.findById(giftId);
+      return { gift, creditReversed: null, refund };
+    }
+    throw createError("Gift is already cancelled", 409);
+  }
+
+  // Group gifts were paid by several contributors - only an admin can cancel
+  // them, and every contribution is refunded
+  if (!isAdmin && existingGift.poolId) {
+    throw createError("Group gifts can't be cancelled", 409);
+  }
+
+  if (
+    !isAdmin &&
+    !isEventCancellation &&
+    !SENDER_CANCELLABLE_STATUSES.includes(existingGift.status)
+  ) {
+    throw createError(
+      "Only gifts that have not been accepted or allocated can be cancelled",
+      409
+    );
+  }
+
+  // Gifts waiting for payment or for their delivery time were never credited
+  const receiverWasCredited = !["payment_pending", "scheduled"].includes(
+    existingGift.status
+  );
+  const cancelledAt = new Date();
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let gift;
+  let creditReversed = false;
+  let conversation = null;
+  try {
+    // Atomic transition - fails if the receiver accepted/allocated meanwhile
+    gift = await Gift.findOneAndUpdate(
+      { _id: existingGift._id, status: existingGift.status },
+      {
+        status: "cancelled",
+        cancelledAt,
+        cancelledBy: { type: cancelledBy.type, id: cancelledBy.id },
+        cancellationReason: reason,
+      },
+      { new: true, session }
+    );
+    if (!gift) {
+      throw createError("Gift was updated meanwhile, please try again", 409);
+    }
+
+    if (receiverWasCredited) {
+      creditReversed = await reverseReceiverCredit(
+        gift,
+        session,
+        isAdmin && allowUnreversed
+      );
+    }
+
+    conversation = await markGiftMessagesCancelled(gift, cancelledAt, session);
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(
+    `🚫 Gift ${gift._id} cancelled by ${cancelledBy.type} ${cancelledBy.id}`
+  );
+
+  const refund = gift.poolId
+    ? await initiatePoolGiftRefunds(gift)
+    : await initiateGiftRefund(gift);
+  gift = await Gift.findById(gift._id);
+
+  await notifyGiftCancelled(gift, {
+    receiverWasCredited,
+    conversation,
+    notifyReceiver,
+  });
+
+  return { gift, creditReversed, refund };
+}
+
+module.exports = {
+  cancelGift,
+  initiateGiftRefund,
+  refundContribution,
+};
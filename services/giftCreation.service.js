@@ -0,0 +1,309 @@
+const mongoose = require("mongoose");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const Event = require("../models/Event");
+const Conversation = require("../models/Conversation");
+const UserWithNoAccount = require("../models/UserWithNoAccount");
+const { getFreshPrice } = require("./priceFeed.service");
+
+const TRANSACTION_ID_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+
+// How far ahead a gift can be scheduled for delivery
+const MAX_DELIVERY_DAYS = parseInt(process.env.GIFT_MAX_DELIVERY_DAYS || "365");
+
+// Keep the last 10 digits of a phone number
+const normalizePhoneNumber = (rawNumber) => {
+  if (!rawNumber) return null;
+  const digits = String(rawNumber).replace(/\D/g, "");
+  if (digits.length >= 10) {
+    return digits.slice(-10);
+  }
+  return null;
+};
+
+const randomChars = (length) => {
+  let result = "";
+  for (let i = 0; i < length; i++) {
+    result += TRANSACTION_ID_CHARS.charAt(
+      Math.floor(Math.random() * TRANSACTION_ID_CHARS.length)
+    );
+  }
+  return result;
+};
+
+// Generate unique Bahumati transaction ID
+const generateUniqueTransactionId = async (session) => {
+  const maxAttempts = 10;
+
+  for (let attempts = 0; attempts < maxAttempts; attempts++) {
+    // Use timestamp (last 8 chars of timestamp in base36) + random chars for uniqueness
+    const timestamp = Date.now().toString(36).toUpperCase().slice(-8);
+    const transactionId = `BAHU${timestamp}${randomChars(6)}`;
+
+    const existingGift = await Gift.findOne({ transactionId }).session(session);
+    if (!existingGift) {
+      return transactionId;
+    }
+  }
+
+  // Fallback: use full timestamp + random if we couldn't find unique in max attempts
+  return `BAHU${Date.now().toString(36).toUpperCase()}${randomChars(12)}`;
+};
+
+/**
+ * Resolve a gift receiver to an ID
+ * Registered users are found by phone number; unknown numbers get a
+ * UserWithNoAccount whose _id is used as the receiverId
+ *
+ * @param {Object} params
+ * @param {string} params.receiverId - User ID (a non-ObjectId value is treated as a phone number)
+ * @param {string} params.receiverNumber - Phone number
+ * @param {Object} params.session - MongoDB session (optional, for transactions)
+ * @returns {Object} { receiverId, receiverNumber } - receiverNumber is only set for unregistered numbers
+ */
+async function resolveGiftReceiver({ receiverId, receiverNumber, session }) {
+  let actualReceiverId = null;
+  let actualReceiverNumber = normalizePhoneNumber(receiverNumber);
+
+  if (receiverId) {
+    if (mongoose.Types.ObjectId.isValid(receiverId)) {
+      actualReceiverId = new mongoose.Types.ObjectId(String(receiverId));
+    } else {
+      // If receiverId is not a valid ObjectId, treat it as a phone number
+      console.warn(
+        `⚠️ [createGift] receiverId "${receiverId}" is not a valid ObjectId, treating as phone number`
+      );
+      actualReceiverNumber = normalizePhoneNumber(receiverId);
+    }
+  }
+
+  if (!actualReceiverId && actualReceiverNumber) {
+    const userByNumber = await User.findOne({
+      number: actualReceiverNumber,
+      active: true,
+    }).session(session);
+
+    if (userByNumber) {
+      actualReceiverId = userByNumber._id;
+      // Clear receiverNumber because this is a registered user
+      actualReceiverNumber = null;
+    } else {
+      // No registered user found - create or find UserWithNoAccount
+      let userWithNoAccount = await UserWithNoAccount.findOne({
+        phoneNumber: actualReceiverNumber,
+      }).session(session);
+      if (!userWithNoAccount) {
+        [userWithNoAccount] = await UserWithNoAccount.create(
+          [{ phoneNumber: actualReceiverNumber, gifts: [], messages: [] }],
+          { session }
+        );
+        console.log(
+          `✅ [createGift] Created UserWithNoAccount: ${userWithNoAccount._id} for phone ${actualReceiverNumber}`
+        );
+      }
+      actualReceiverId = userWithNoAccount._id;
+    }
+  }
+
+  if (!actualReceiverId) {
+    throw new Error("Either receiverId or receiverNumber is required");
+  }
+
+  return { receiverId: actualReceiverId, receiverNumber: actualReceiverNumber };
+}
+
+/**
+ * Validate a requested delivery time for a scheduled gift
+ *
+ * @param {string|Date} deliverAt - Requested delivery time
+ * @returns {Date} Delivery time
+ */
+const parseDeliverAt = (deliverAt) => {
+  const date = new Date(deliverAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error("Invalid deliverAt");
+  }
+
+  const now = Date.now();
+  if (date.getTime() <= now) {
+    throw new Error("deliverAt must be in the future");
+  }
+  if (date.getTime() > now + MAX_DELIVERY_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(
+      `Gifts can be scheduled at most ${MAX_DELIVERY_DAYS} days ahead`
+    );
+  }
+  return date;
+};
+
+/**
+ * Create a gift awaiting payment, together with the sender/receiver
+ * conversation if it does not exist yet
+ * Shared by the sendGift/sendMessage socket handlers and scheduled
+ * (recurring) gifts.
+ * The receiver is credited once Razorpay confirms the payment - see
+ * services/giftPayment.service.js
+ *
+ * @param {Object} params
+ * @param {string} params.senderId - Sender user ID
+ * @param {string} params.receiverId - Receiver user ID (optional)
+ * @param {string} params.receiverNumber - Receiver phone number (optional)
+ * @param {Object} params.giftData - { type, valueInINR, name, icon, amount, orderId, note, eventId }
+ * @param {string|Date} params.deliverAt - Deliver the gift later (optional);
+ *   it stays hidden from the receiver until then
+ * @param {Object} params.extraFields - Additional Gift fields (optional, e.g. scheduleId)
+ * @param {Object} params.session - MongoDB session (optional, for transactions)
+ * @returns {Object} { gift, conversation, receiverId, receiverNumber }
+ */
+async function createGift({
+  senderId,
+  receiverId,
+  receiverNumber,
+  giftData,
+  deliverAt = null,
+  extraFields = {},
+  session = null,
+}) {
+  if (!giftData) {
+    throw new Error("Gift data is required");
+  }
+
+  const deliveryDate = deliverAt ? parseDeliverAt(deliverAt) : null;
+  if (deliveryDate && giftData.eventId) {
+    throw new Error("Event gifts cannot be scheduled for later delivery");
+  }
+
+  if (!receiverId && !receiverNumber) {
+    throw new Error("Either receiverId or receiverNumber is required");
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(senderId)) {
+    throw new Error(`Invalid senderId: "${senderId}" is not a valid ObjectId`);
+  }
+  const senderObjectId = new mongoose.Types.ObjectId(String(senderId));
+
+  const receiver = await resolveGiftReceiver({
+    receiverId,
+    receiverNumber,
+    session,
+  });
+
+  // Create conversation even if receiver doesn't exist (for phone number)
+  let conversation = await Conversation.findOne({
+    participants: { $all: [senderObjectId, receiver.receiverId] },
+  }).session(session);
+
+  if (!conversation) {
+    [conversation] = await Conversation.create(
+      [
+        {
+          participants: [senderObjectId, receiver.receiverId],
+          receiverNumber: receiver.receiverNumber || null,
+        },
+      ],
+      { session }
+    );
+    console.log(
+      `✅ [createGift] Conversation created successfully: ${conversation._id}`
+    );
+  }
+
+  // Determine self-gift on the server instead of trusting client-provided flag
+  const isSelfGift = String(senderId) === String(receiver.receiverId);
+
+  const transactionId = await generateUniqueTransactionId(session);
+
+  // Handle eventId if provided
+  let eventId = null;
+  if (giftData.eventId) {
+    const event = await Event.findById(giftData.eventId).session(session);
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    // Validate event is active
+    if (event.status !== "active") {
+      throw new Error("Cannot send gift to inactive event");
+    }
+
+    // Validate event dates
+    const now = new Date();
+    if (now < event.eventStartDate || now > event.eventEndDate) {
+      throw new Error("Cannot send gift outside event date range");
+    }
+
+    // Validate receiver is the event creator
+    if (String(receiver.receiverId) !== String(event.creatorId)) {
+      throw new Error("Gifts can only be sent to the event creator");
+    }
+
+    eventId = event._id;
+  }
+
+  // Price the gift server-side from the live price feed (rejects stale prices)
+  const giftType = giftData.type || "gold";
+  const giftValueInINR = giftData.valueInINR || 0;
+  const pricePerUnitAtGift = await getFreshPrice(giftType);
+
+  const [gift] = await Gift.create(
+    [
+      {
+        senderId,
+        receiverId: receiver.receiverId,
+        receiverNumber: receiver.receiverNumber || null, // Keep for reference
+        type: giftType,
+        name: giftData.name || "Gift",
+        icon: giftData.icon || null,
+        amount: giftData.amount || 0,
+        pricePerUnitAtGift: pricePerUnitAtGift,
+        quantity: giftValueInINR / pricePerUnitAtGift,
+        valueInINR: giftValueInINR,
+        orderId: giftData.orderId || null,
+        // Gift is only credited once Razorpay confirms the payment
+        status: "payment_pending",
+        note: giftData.note || null,
+        conversationId: conversation?._id || null,
+        eventId: eventId,
+        isSelfGift: isSelfGift,
+        transactionId: transactionId,
+        deliverAt: deliveryDate,
+        ...extraFields,
+      },
+    ],
+    { session }
+  );
+
+  return {
+    gift,
+    conversation,
+    receiverId: receiver.receiverId,
+    receiverNumber: receiver.receiverNumber,
+  };
+}
+
+/**
+ * Conversation payload sent with "conversationUpdated" after a gift is created
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {string} receiverNumber - Receiver phone number for unregistered receivers
+ * @returns {Object} Conversation summary
+ */
+const buildConversationUpdate = (conversation, receiverNumber) => ({
+  _id: conversation._id,
+  participants: conversation.participants,
+  lastMessage: conversation.lastMessage,
+  lastMessageType: conversation.lastMessageType,
+  updatedAt: conversation.updatedAt,
+  unreadCounts: conversation.unreadCounts,
+  // Include receiverNumber for phone-number (non-registered) conversations
+  receiverNumber: receiverNumber || conversation.receiverNumber || null,
+});
+
+module.exports = {
+  normalizePhoneNumber,
+  parseDeliverAt,
+  resolveGiftReceiver,
+  createGift,
+  buildConversationUpdate,
+};
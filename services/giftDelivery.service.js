@@ -0,0 +1,356 @@
+const mongoose = require("mongoose");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const UserWithNoAccount = require("../models/UserWithNoAccount");
+const { encrypt, decrypt } = require("../utils/crypto.util");
+const { sendGiftNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+const { creditPaidGift } = require("./giftPayment.service");
+const { parseDeliverAt } = require("./giftCreation.service");
+
+const DELIVERY_BATCH_SIZE = parseInt(
+  process.env.GIFT_DELIVERY_BATCH_SIZE || "100"
+);
+
+// Gifts (paid or not) that are still waiting for their delivery time
+const UNDELIVERED_STATUSES = ["payment_pending", "scheduled"];
+
+// Filter for gifts the receiver must not see yet
+const HIDDEN_FROM_RECEIVER = { deliverAt: { $ne: null }, deliveredAt: null };
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Plain text of a stored chat message
+const readMessageContent = (message) => {
+  if (!message?.content) return message?.content;
+  try {
+    return decrypt(message.content);
+  } catch {
+    return message.content;
+  }
+};
+
+/**
+ * Release one scheduled gift to its receiver
+ * Credits the receiver, makes the chat message visible and moves it to the
+ * delivery time, then notifies both parties like a freshly sent gift
+ *
+ * @param {string} giftId - Gift ID
+ * @returns {Object|null} Delivered gift, or null if it was not due anymore
+ */
+async function deliverGift(giftId) {
+  const deliveredAt = new Date();
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let gift;
+  let message = null;
+  let conversation = null;
+  try {
+    // Atomic transition so overlapping cron runs can't both deliver the gift
+    gift = await Gift.findOneAndUpdate(
+      {
+        _id: giftId,
+        status: "scheduled",
+        deliverAt: { $lte: deliveredAt },
+        deliveredAt: null,
+      },
+      { $set: { status: "pending", deliveredAt } },
+      { new: true, session }
+    );
+    if (!gift) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    await creditPaidGift(gift, session);
+
+    // Show the message as sent at delivery time
+    await Message.updateMany(
+      { giftId: gift._id, isScheduled: true },
+      { $set: { isScheduled: false, createdAt: deliveredAt } },
+      { session, overwriteImmutable: true }
+    );
+    if (gift.messageId) {
+      message = await Message.findById(gift.messageId).session(session);
+    }
+
+    if (gift.conversationId && !gift.isSelfGift) {
+      conversation = await Conversation.findByIdAndUpdate(
+        gift.conversationId,
+        {
+          $set: {
+            lastMessage: {
+              text: "🎁 Gift with message",
+              sender: gift.senderId,
+            },
+            lastMessageType: "giftWithMessage",
+          },
+          $inc: { [`unreadCounts.${gift.receiverId}`]: 1 },
+        },
+        { new: true, session }
+      );
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(`🎁 Scheduled gift ${gift._id} delivered to ${gift.receiverId}`);
+
+  await notifyGiftDelivered(gift, message, conversation);
+
+  return gift;
+}
+
+// Socket + FCM notifications for a delivered gift
+async function notifyGiftDelivered(gift, message, conversation) {
+  const receiverId = String(gift.receiverId);
+  const senderId = String(gift.senderId);
+  const content = readMessageContent(message);
+
+  emitToUser(senderId, "giftDelivered", {
+    giftId: gift._id,
+    conversationId: gift.conversationId,
+    deliveredAt: gift.deliveredAt,
+    gift,
+  });
+  if (receiverId === senderId) return;
+
+  emitToUser(receiverId, "giftReceived", {
+    giftId: gift._id,
+    conversationId: gift.conversationId,
+    gift,
+  });
+
+  if (conversation) {
+    const updatedConversation = {
+      _id: conversation._id,
+      participants: conversation.participants,
+      lastMessage: conversation.lastMessage,
+      lastMessageType: conversation.lastMessageType,
+      updatedAt: conversation.updatedAt,
+      unreadCounts: conversation.unreadCounts,
+      receiverNumber: conversation.receiverNumber || null,
+    };
+    if (message) {
+      emitToUser(receiverId, "receiveGiftWithMessage", {
+        message: { ...message.toObject(), content, gift: gift.toObject() },
+        gift,
+        conversation: updatedConversation,
+      });
+    }
+    emitToUser(receiverId, "conversationUpdated", {
+      conversation: updatedConversation,
+    });
+    emitToUser(senderId, "conversationUpdated", {
+      conversation: updatedConversation,
+    });
+  }
+
+  try {
+    const userWithNoAccount = await UserWithNoAccount.findById(receiverId);
+    if (userWithNoAccount) {
+      // Message is shown to the receiver once they register
+      if (message) {
+        userWithNoAccount.messages.push({
+          messageId: message._id,
+          senderId: gift.senderId,
+          content,
+          type: message.type,
+          createdAt: new Date(),
+        });
+        await userWithNoAccount.save();
+      }
+      return;
+    }
+
+    const [receiver, sender] = await Promise.all([
+      User.findById(receiverId).select("fcmToken fullName image"),
+      User.findById(senderId).select("fullName image"),
+    ]);
+    if (receiver?.fcmToken) {
+      await sendGiftNotification(receiver.fcmToken, gift, sender);
+      console.log(
+        `📱 Push notification sent for delivered gift to ${receiverId}`
+      );
+    }
+  } catch (notificationError) {
+    console.error(
+      "❌ Error sending gift delivery notifications:",
+      notificationError.message
+    );
+  }
+}
+
+/**
+ * Deliver all paid gifts whose delivery time has passed
+ * Gifts paid after their delivery time are delivered on the next run
+ *
+ * @returns {Object} { deliveredCount, errorCount }
+ */
+async function deliverDueGifts() {
+  const dueGifts = await Gift.find({
+    status: "scheduled",
+    deliverAt: { $lte: new Date() },
+    deliveredAt: null,
+  })
+    .sort({ deliverAt: 1 })
+    .limit(DELIVERY_BATCH_SIZE)
+    .select("_id");
+
+  let deliveredCount = 0;
+  let errorCount = 0;
+
+  for (const { _id } of dueGifts) {
+    try {
+      const delivered = await deliverGift(_id);
+      if (delivered) deliveredCount++;
+    } catch (error) {
+      errorCount++;
+      console.error(
+        `❌ [Gift Delivery] Failed to deliver gift ${_id}:`,
+        error.message
+      );
+    }
+  }
+
+  return { deliveredCount, errorCount };
+}
+
+/**
+ * Gifts the user scheduled that have not been delivered yet
+ *
+ * @param {string} senderId - Sender user ID
+ * @returns {Array} Gifts with their chat message (decrypted)
+ */
+async function listScheduledGifts(senderId) {
+  const gifts = await Gift.find({
+    senderId,
+    status: { $in: UNDELIVERED_STATUSES },
+    ...HIDDEN_FROM_RECEIVER,
+  })
+    .populate("receiverId", "fullName image number")
+    .populate("messageId")
+    .sort({ deliverAt: 1 });
+
+  return gifts.map((gift) => {
+    const giftObj = gift.toObject();
+    if (gift.messageId) {
+      giftObj.message = readMessageContent(gift.messageId);
+      giftObj.messageId = gift.messageId._id;
+    }
+    return giftObj;
+  });
+}
+
+/**
+ * Change a scheduled gift before it is delivered
+ *
+ * @param {Object} params
+ * @param {string} params.giftId - Gift ID
+ * @param {string} params.senderId - Sender user ID
+ * @param {string|Date} params.deliverAt - New delivery time (optional)
+ * @param {string} params.note - New gift note (optional)
+ * @param {string} params.message - New chat message text (optional)
+ * @returns {Object} Updated gift
+ */
+async function updateScheduledGift({
+  giftId,
+  senderId,
+  deliverAt,
+  note,
+  message,
+}) {
+  if (deliverAt === undefined && note === undefined && message === undefined) {
+    throw createError("Provide deliverAt, note or message to update", 400);
+  }
+
+  const existingGift = await Gift.findOne({ _id: giftId, senderId });
+  if (!existingGift) {
+    throw createError(
+      "Gift not found or you don't have permission to update it",
+      404
+    );
+  }
+  if (
+    !existingGift.deliverAt ||
+    existingGift.deliveredAt ||
+    !UNDELIVERED_STATUSES.includes(existingGift.status)
+  ) {
+    throw createError("Only undelivered scheduled gifts can be updated", 409);
+  }
+
+  const update = {};
+  if (deliverAt !== undefined) {
+    try {
+      update.deliverAt = parseDeliverAt(deliverAt);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+  }
+  if (note !== undefined) {
+    update.note = note || null;
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let gift;
+  try {
+    // Atomic update - fails if the gift was delivered or cancelled meanwhile
+    gift = await Gift.findOneAndUpdate(
+      {
+        _id: existingGift._id,
+        status: { $in: UNDELIVERED_STATUSES },
+        ...HIDDEN_FROM_RECEIVER,
+      },
+      { $set: update },
+      { new: true, session }
+    );
+    if (!gift) {
+      throw createError("Gift was delivered or cancelled meanwhile", 409);
+    }
+
+    if (message !== undefined) {
+      if (!gift.messageId) {
+        throw createError("Gift has no message to update", 400);
+      }
+      await Message.updateOne(
+        { _id: gift.messageId, isScheduled: true },
+        { $set: { content: message ? encrypt(message) : message } },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return gift;
+}
+
+module.exports = {
+  HIDDEN_FROM_RECEIVER,
+  deliverGift,
+  deliverDueGifts,
+  listScheduledGifts,
+  updateScheduledGift,
+};
@@ -0,0 +1,27 @@
+const cron = require("node-cron");
+const { deliverDueGifts } = require("./giftDelivery.service");
+
+const DEFAULT_GIFT_DELIVERY_CRON = "* * * * *"; // Every minute
+
+const startGiftDeliveryCron = () => {
+  const schedule = process.env.GIFT_DELIVERY_CRON || DEFAULT_GIFT_DELIVERY_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      const { deliveredCount, errorCount } = await deliverDueGifts();
+
+      // Runs every minute - only log when something was due
+      if (deliveredCount || errorCount) {
+        console.log(
+          `✅ [Gift Delivery Cron] Completed: ${deliveredCount} delivered, ${errorCount} errors`
+        );
+      }
+    } catch (error) {
+      console.error("❌ [Gift Delivery Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(`✅ [Gift Delivery Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startGiftDeliveryCron };
@@ -0,0 +1,752 @@
+const Gift = require("../models/Gift");
+const Event = require("../models/Event");
+const User = require("../models/user.model");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const UserWithNoAccount = require("../models/UserWithNoAccount");
+const AutoAllocationTask = require("../models/AutoAllocationTask");
+const { createOrder, refundPayment } = require("../libs/payments/razorpay");
+const { sendGiftNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+const { decrypt } = require("../utils/crypto.util");
+const { publishWallEntry } = require("./eventWall.service");
+const { splitGiftAmount, getCreditedUserIds } = require("./eventHosts.service");
+const {
+  allocateGift,
+  addGiftToUserHistory,
+  reverseGiftCredit,
+} = require("./giftAllocation.service");
+const { initiateGiftRefund } = require("./giftCancellation.service");
+const {
+  MANDATE_PURPOSE,
+  onScheduledGiftPaid,
+  onScheduledGiftPaymentFailed,
+  handleMandateAuthorised,
+} = require("./giftSchedule.service");
+
+const AUTO_ALLOCATION_DELAY_MS = 24 * 60 * 60 * 1000; // T + 1 day
+
+// Plain text of a stored chat message
+const readMessageContent = (message) => {
+  if (!message?.content) return message?.content;
+  try {
+    return decrypt(message.content);
+  } catch {
+    return message.content;
+  }
+};
+
+const scheduleAutoAllocationTask = async ({
+  giftId,
+  userId,
+  delayMs = AUTO_ALLOCATION_DELAY_MS,
+  session = null,
+}) => {
+  const scheduledAt = new Date(Date.now() + delayMs);
+
+  await AutoAllocationTask.findOneAndUpdate(
+    { giftId, userId },
+    {
+      giftId,
+      userId,
+      scheduledAt,
+      isActive: true,
+      error: null,
+    },
+    {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true,
+      session,
+    }
+  );
+};
+
+/**
+ * Create a Razorpay order for a gift that is waiting for payment
+ *
+ * @param {Object} params
+ * @param {string} params.giftId - Gift ID
+ * @param {string} params.userId - User ID (must be the gift sender)
+ * @returns {Object} { order, gift }
+ */
+async function createPaymentOrderForGift({ giftId, userId }) {
+  const gift = await Gift.findOne({ _id: giftId, senderId: userId });
+  if (!gift) {
+    const err = new Error(
+      "Gift not found or you don't have permission to pay for it"
+    );
+    err.statusCode = 404;
+    throw err;
+  }
+
+  if (gift.status !== "payment_pending" || gift.isPaid) {
+    const err = new Error("Gift is not awaiting payment");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (!gift.valueInINR || gift.valueInINR <= 0) {
+    const err = new Error("Gift amount must be greater than 0");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const order = await createOrder({
+    amount: gift.valueInINR,
+    notes: {
+      gift_id: String(gift._id),
+      sender_id: String(gift.senderId),
+      receiver_id: String(gift.receiverId),
+      conversation_id: gift.conversationId ? String(gift.conversationId) : "",
+    },
+  });
+
+  gift.paymentOrderId = order.id;
+  gift.paymentStatus = "created";
+  gift.paymentFailureReason = null;
+  await gift.save();
+
+  return { order, gift };
+}
+
+/**
+ * Credit a gift whose payment has been captured
+ * Registered receivers get the money in their unallotted balance (self gifts are
+ * allocated straight away); unregistered numbers keep it in UserWithNoAccount
+ *
+ * @param {Object} gift - Paid Gift document
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ */
+async function creditPaidGift(gift, session = null) {
+  const receiverId = gift.receiverId;
+  const senderId = gift.senderId;
+
+  const userWithNoAccount = await UserWithNoAccount.findById(
+    receiverId
+  ).session(session);
+
+  if (userWithNoAccount) {
+    // Receiver has no account yet - gift is credited when they register
+    const alreadyTracked = userWithNoAccount.gifts.some(
+      (g) => g.giftId && g.giftId.toString() === gift._id.toString()
+    );
+    if (!alreadyTracked) {
+      userWithNoAccount.gifts.push({
+        giftId: gift._id,
+        senderId: senderId,
+        createdAt: new Date(),
+      });
+      await userWithNoAccount.save({ session });
+    }
+    console.log(
+      `✅ Gift ${gift._id} saved to UserWithNoAccount ${receiverId} for phone ${userWithNoAccount.phoneNumber}`
+    );
+  } else if (gift.isSelfGift) {
+    // For self-gifts: directly allocate to chosen type, skip unallotted money
+    await addGiftToUserHistory({
+      giftId: gift._id,
+      userId: receiverId,
+      amount: gift.valueInINR,
+      senderId: senderId,
+      session,
+    });
+
+    try {
+      await allocateGift({
+        giftId: String(gift._id),
+        userId: String(receiverId),
+        allocationType: gift.type,
+        amount: gift.valueInINR,
+        session,
+      });
+      console.log(
+        `✅ Directly allocated self gift ₹${gift.valueInINR} as ${gift.type} after payment (skipped unallotted)`
+      );
+    } catch (allocationError) {
+      console.error(
+        `❌ Error auto-allotting self gift after payment: ${allocationError.message}`
+      );
+      // Money stays unallotted - user can allocate it manually
+    }
+  } else {
+    // For regular gifts: add to unallotted money
+    // Event gifts are split between the event's beneficiaries
+    let shares = [{ userId: receiverId, amount: gift.valueInINR }];
+    if (gift.eventId) {
+      const event = await Event.findById(gift.eventId).session(session);
+      if (event?.hosts?.length) {
+        shares = splitGiftAmount(event, gift.valueInINR);
+      }
+    }
+    if (shares.length > 1 || String(shares[0].userId) !== String(receiverId)) {
+      gift.beneficiaryShares = shares;
+      await Gift.updateOne(
+        { _id: gift._id },
+        { $set: { beneficiaryShares: shares } },
+        { session }
+      );
+    }
+
+    for (const share of shares) {
+      await addGiftToUserHistory({
+        giftId: gift._id,
+        userId: share.userId,
+        amount: share.amount,
+        senderId: senderId,
+        session,
+      });
+      console.log(
+        `✅ Added ₹${share.amount} to user ${share.userId}'s unallotted money`
+      );
+
+      await scheduleAutoAllocationTask({
+        giftId: gift._id,
+        userId: share.userId,
+        session,
+      });
+    }
+    console.log(`⏰ Scheduled auto-allocation for gift ${gift._id}`);
+  }
+
+  // Update event stats if this is an event gift
+  if (gift.eventId) {
+    await Event.findByIdAndUpdate(
+      gift.eventId,
+      {
+        $inc: {
+          totalGiftsReceived: 1,
+          totalGiftsAmount: gift.valueInINR || 0,
+        },
+      },
+      { session }
+    );
+  }
+}
+
+// Find the gift a Razorpay payment belongs to
+const findGiftForPayment = (paymentEntity, session) => {
+  const giftId = paymentEntity.notes?.gift_id;
+  return giftId
+    ? Gift.findById(giftId).session(session)
+    : Gift.findOne({ paymentOrderId: paymentEntity.order_id }).session(session);
+};
+
+/**
+ * Refund a captured payment that doesn't match what it was for (e.g. a wrong
+ * amount). A failed refund is passed to onFailure so it is recorded for
+ * manual follow-up
+ *
+ * @param {string} paymentId - Razorpay payment ID
+ * @param {Function} onFailure - Called with the failure reason
+ * @returns {boolean} Whether the refund was started
+ */
+async function refundMismatchedPayment(paymentId, onFailure) {
+  try {
+    const refund = await refundPayment({ payment_id: paymentId });
+    console.log(`💸 Refund ${refund.id} initiated for payment ${paymentId}`);
+    return true;
+  } catch (error) {
+    const reason =
+      error?.error?.description || error.message || "Refund request failed";
+    console.error(`❌ Refund failed for payment ${paymentId}: ${reason}`);
+    await onFailure(reason);
+    return false;
+  }
+}
+
+/**
+ * Show a paid gift's chat message to the receiver
+ * Messages sent together with a new gift stay out of the receiver's
+ * conversation until the gift is paid
+ *
+ * @param {Object} gift - Paid Gift document with a messageId
+ */
+async function showGiftMessage(gift) {
+  const message = await Message.findById(gift.messageId);
+  if (!message) return;
+
+  const receiverId = String(gift.receiverId);
+  const senderId = String(gift.senderId);
+  const content = readMessageContent(message);
+
+  const userWithNoAccount = await UserWithNoAccount.findById(receiverId);
+  if (userWithNoAccount) {
+    // Message is shown to the receiver once they register
+    userWithNoAccount.messages.push({
+      messageId: message._id,
+      senderId: gift.senderId,
+      content,
+      type: message.type,
+      createdAt: new Date(),
+    });
+    await userWithNoAccount.save();
+  }
+
+  const conversation = await Conversation.findByIdAndUpdate(
+    message.conversationId,
+    {
+      $set: {
+        lastMessage: { text: "🎁 Gift with message", sender: gift.senderId },
+        lastMessageType: "giftWithMessage",
+      },
+      $inc: { [`unreadCounts.${receiverId}`]: 1 },
+    },
+    { new: true }
+  );
+  if (!conversation) return;
+
+  const updatedConversation = {
+    _id: conversation._id,
+    participants: conversation.participants,
+    lastMessage: conversation.lastMessage,
+    lastMessageType: conversation.lastMessageType,
+    updatedAt: conversation.updatedAt,
+    unreadCounts: conversation.unreadCounts,
+    receiverNumber: conversation.receiverNumber || null,
+  };
+  emitToUser(receiverId, "receiveGiftWithMessage", {
+    message: { ...message.toObject(), content, gift: gift.toObject() },
+    gift,
+    conversation: updatedConversation,
+  });
+  emitToUser(receiverId, "conversationUpdated", {
+    conversation: updatedConversation,
+  });
+  emitToUser(senderId, "conversationUpdated", {
+    conversation: updatedConversation,
+  });
+}
+
+/*
+ * Webhook handlers
+ * Each handler applies its database changes with the given session and returns
+ * { status, message, giftId, afterCommit } - afterCommit (optional) runs the
+ * side effects (refund calls, notifications, socket emits) once the
+ * transaction has been committed
+ */
+
+/**
+ * Handle Razorpay "payment.captured"
+ * Marks the gift as paid, credits the receiver and notifies both parties
+ *
+ * @param {Object} paymentEntity - payload.payment.entity from the webhook
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Object} { status, message, giftId, afterCommit }
+ */
+async function handlePaymentCaptured(paymentEntity, session = null) {
+  // Authorisation of a recurring gift mandate, not a gift payment
+  if (paymentEntity.notes?.purpose === MANDATE_PURPOSE) {
+    return handleMandateAuthorised(paymentEntity, session);
+  }
+
+  const gift = await findGiftForPayment(paymentEntity, session);
+
+  if (!gift) {
+    return { status: "ignored", message: "Gift not found" };
+  }
+
+  if (gift.isPaid) {
+    if (gift.paymentId !== paymentEntity.id) {
+      // Gift was paid twice (e.g. retried checkout) - give the duplicate back
+      return {
+        status: "processed",
+        message: "Duplicate payment refunded",
+        giftId: gift._id,
+        afterCommit: async () => {
+          console.warn(
+            `⚠️ Duplicate payment ${paymentEntity.id} for already paid gift ${gift._id}, refunding`
+          );
+          await refundPayment({ payment_id: paymentEntity.id });
+        },
+      };
+    }
+    return {
+      status: "ignored",
+      message: "Gift already paid",
+      giftId: gift._id,
+    };
+  }
+
+  if (gift.status === "cancelled") {
+    // Sender cancelled before the checkout completed - give the money back
+    gift.isPaid = true;
+    gift.paymentId = paymentEntity.id;
+    gift.paymentStatus = "captured";
+    gift.paidAt = new Date();
+    await gift.save({ session });
+    return {
+      status: "processed",
+      message: "Payment for cancelled gift refunded",
+      giftId: gift._id,
+      afterCommit: async () => {
+        await initiateGiftRefund(gift);
+      },
+    };
+  }
+
+  if (gift.status !== "payment_pending") {
+    return {
+      status: "ignored",
+      message: `Gift is ${gift.status}, not awaiting payment`,
+      giftId: gift._id,
+    };
+  }
+
+  const expectedAmount = Math.round(gift.valueInINR * 100);
+  if (paymentEntity.amount !== expectedAmount) {
+    gift.paymentStatus = "failed";
+    gift.paymentFailureReason = `Amount mismatch: paid ${paymentEntity.amount}, expected ${expectedAmount} (paise)`;
+    await gift.save({ session });
+    console.error(
+      `❌ Payment ${paymentEntity.id} amount mismatch for gift ${gift._id}: ${gift.paymentFailureReason}`
+    );
+    return {
+      status: "processed",
+      message: gift.paymentFailureReason,
+      giftId: gift._id,
+      // The gift stays unpaid - give the captured money back
+      afterCommit: async () => {
+        await refundMismatchedPayment(paymentEntity.id, (reason) =>
+          Gift.updateOne(
+            { _id: gift._id },
+            {
+              paymentFailureReason: `${gift.paymentFailureReason}; refund of payment ${paymentEntity.id} failed: ${reason}`,
+            }
+          )
+        );
+      },
+    };
+  }
+
+  // Gifts scheduled for later delivery are credited by the delivery cron
+  // (see services/giftDelivery.service.js); until then they stay "scheduled"
+  const awaitsDelivery = Boolean(gift.deliverAt && !gift.deliveredAt);
+
+  // Atomic transition so concurrent deliveries can't both credit the gift
+  const paidGift = await Gift.findOneAndUpdate(
+    { _id: gift._id, isPaid: false, status: "payment_pending" },
+    {
+      $set: {
+        isPaid: true,
+        paymentId: paymentEntity.id,
+        paymentOrderId: paymentEntity.order_id || gift.paymentOrderId,
+        paymentStatus: "captured",
+        paidAt: new Date(),
+        paymentFailureReason: null,
+        status: awaitsDelivery ? "scheduled" : "pending",
+      },
+    },
+    { new: true, session }
+  );
+  if (!paidGift) {
+    return {
+      status: "ignored",
+      message: "Gift already paid",
+      giftId: gift._id,
+    };
+  }
+
+  if (awaitsDelivery) {
+    return {
+      status: "processed",
+      message: "Gift paid, waiting for delivery",
+      giftId: paidGift._id,
+      afterCommit: async () => {
+        emitToUser(paidGift.senderId, "giftPaymentCaptured", {
+          giftId: paidGift._id,
+          conversationId: paidGift.conversationId,
+          gift: paidGift,
+        });
+      },
+    };
+  }
+
+  await creditPaidGift(paidGift, session);
+
+  const afterScheduledGiftPaid = await onScheduledGiftPaid(
+    paidGift,
+    paymentEntity.id,
+    session
+  );
+
+  const afterCommit = async () => {
+    if (afterScheduledGiftPaid) {
+      await afterScheduledGiftPaid();
+    }
+
+    // Let both parties know the gift is live
+    emitToUser(paidGift.senderId, "giftPaymentCaptured", {
+      giftId: paidGift._id,
+      conversationId: paidGift.conversationId,
+      gift: paidGift,
+    });
+    if (String(paidGift.receiverId) !== String(paidGift.senderId)) {
+      emitToUser(paidGift.receiverId, "giftReceived", {
+        giftId: paidGift._id,
+        conversationId: paidGift.conversationId,
+        gift: paidGift,
+      });
+    }
+
+    // A message sent with the gift was kept from the receiver until now
+    if (paidGift.messageId && !paidGift.isSelfGift) {
+      try {
+        await showGiftMessage(paidGift);
+      } catch (messageError) {
+        console.error(
+          "Error showing gift message after payment:",
+          messageError.message
+        );
+      }
+    }
+
+    // Show event gifts on the event's live guest wall
+    if (paidGift.eventId) {
+      await publishWallEntry(paidGift);
+    }
+
+    // Self gifts, scheduled gifts, event guest gifts, and gifts whose message
+    // was already sent before payment, are notified here; other gifts are
+    // notified when the sender attaches a message (see sendMessage socket handler)
+    if (
+      paidGift.isSelfGift ||
+      paidGift.messageId ||
+      paidGift.scheduleId ||
+      paidGift.metadata?.source === "event_guest"
+    ) {
+      const [receiver, sender] = await Promise.all([
+        User.findById(paidGift.receiverId).select("fcmToken fullName image"),
+        User.findById(paidGift.senderId).select("fullName image"),
+      ]);
+      if (receiver?.fcmToken) {
+        await sendGiftNotification(
+          receiver.fcmToken,
+          paidGift.isSelfGift
+            ? { ...paidGift.toObject(), isSelfGift: true }
+            : paidGift,
+          sender
+        );
+        console.log(
+          `📱 Push notification sent for paid gift to ${paidGift.receiverId}`
+        );
+      }
+    }
+  };
+
+  return {
+    status: "processed",
+    message: "Gift paid and credited",
+    giftId: paidGift._id,
+    afterCommit,
+  };
+}
+
+/**
+ * Handle Razorpay "payment.failed"
+ * The gift stays in payment_pending so the sender can retry with a new order
+ *
+ * @param {Object} paymentEntity - payload.payment.entity from the webhook
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Object} { status, message, giftId, afterCommit }
+ */
+async function handlePaymentFailed(paymentEntity, session = null) {
+  const gift = await findGiftForPayment(paymentEntity, session);
+
+  if (!gift) {
+    return { status: "ignored", message: "Gift not found" };
+  }
+
+  if (gift.isPaid) {
+    return {
+      status: "ignored",
+      message: "Gift already paid",
+      giftId: gift._id,
+    };
+  }
+
+  gift.paymentStatus = "failed";
+  gift.paymentFailureReason =
+    paymentEntity.error_description || "Payment failed";
+  await gift.save({ session });
+
+  // Recurring gift charges are retried by the gift schedule
+  const afterScheduledPaymentFailed = await onScheduledGiftPaymentFailed(
+    gift,
+    gift.paymentFailureReason,
+    session
+  );
+
+  return {
+    status: "processed",
+    message: "Payment failure recorded",
+    giftId: gift._id,
+    afterCommit: async () => {
+      if (afterScheduledPaymentFailed) {
+        await afterScheduledPaymentFailed();
+      }
+      emitToUser(gift.senderId, "giftPaymentFailed", {
+        giftId: gift._id,
+        conversationId: gift.conversationId,
+        reason: gift.paymentFailureReason,
+      });
+    },
+  };
+}
+
+/**
+ * Handle Razorpay "refund.processed"
+ * Marks a fully refunded gift as refunded and reverses the receiver's credit
+ * when possible
+ *
+ * @param {Object} refundEntity - payload.refund.entity from the webhook
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Object} { status, message, giftId, afterCommit }
+ */
+async function handleRefundProcessed(refundEntity, session = null) {
+  const gift = await Gift.findOne({
+    paymentId: refundEntity.payment_id,
+  }).session(session);
+  if (!gift) {
+    // Duplicate payments refunded above are not linked to a gift
+    return { status: "ignored", message: "No gift for refunded payment" };
+  }
+
+  if (gift.paymentStatus === "refunded") {
+    return {
+      status: "ignored",
+      message: "Refund already recorded",
+      giftId: gift._id,
+    };
+  }
+
+  // Refunds started from the Razorpay dashboard can be for part of the
+  // payment. Only a full refund cancels the gift; a partial one is recorded
+  // and left for manual handling, the receiver keeps the credit
+  const alreadyRefunded =
+    gift.paymentStatus === "partially_refunded" ? gift.refundedAmount || 0 : 0;
+  const refundedAmount =
+    Math.round(alreadyRefunded * 100 + (refundEntity.amount || 0)) / 100;
+  if (Math.round(refundedAmount * 100) < Math.round(gift.valueInINR * 100)) {
+    gift.paymentStatus = "partially_refunded";
+    gift.refundId = refundEntity.id;
+    gift.refundedAmount = refundedAmount;
+    gift.refundedAt = new Date();
+    await gift.save({ session });
+    console.error(
+      `❌ Partial refund ${refundEntity.id} of ₹${refundedAmount} of ₹${gift.valueInINR} for gift ${gift._id} - credit not reversed, needs manual handling`
+    );
+    return {
+      status: "processed",
+      message: "Partial refund recorded, gift needs manual handling",
+      giftId: gift._id,
+    };
+  }
+
+  // Gifts cancelled through the app were already reversed on cancellation
+  const wasCredited = !["payment_pending", "scheduled", "cancelled"].includes(
+    gift.status
+  );
+
+  gift.paymentStatus = "refunded";
+  gift.refundId = refundEntity.id;
+  gift.refundedAmount = refundedAmount;
+  gift.refundedAt = new Date();
+  gift.refundError = null;
+  gift.status = "cancelled";
+  gift.cancelledAt = gift.cancelledAt || new Date();
+  await gift.save({ session });
+
+  let message = "Refund recorded";
+  if (wasCredited) {
+    for (const userId of getCreditedUserIds(gift)) {
+      try {
+        await reverseGiftCredit({
+          giftId: gift._id,
+          userId,
+          session,
+        });
+      } catch (reverseError) {
+        // Money was already used by the receiver - needs manual follow-up
+        message = `Refund recorded, credit not reversed: ${reverseError.message}`;
+        console.error(
+          `❌ Could not reverse credit of user ${userId} for refunded gift ${gift._id}: ${reverseError.message}`
+        );
+      }
+    }
+    await AutoAllocationTask.updateMany(
+      { giftId: gift._id },
+      { isActive: false, error: "Gift refunded" },
+      { session }
+    );
+  }
+
+  return {
+    status: "processed",
+    message,
+    giftId: gift._id,
+    afterCommit: async () => {
+      emitToUser(gift.senderId, "giftRefunded", {
+        giftId: gift._id,
+        conversationId: gift.conversationId,
+        amount: gift.refundedAmount,
+      });
+      if (String(gift.receiverId) !== String(gift.senderId)) {
+        emitToUser(gift.receiverId, "giftRefunded", {
+          giftId: gift._id,
+          conversationId: gift.conversationId,
+        });
+      }
+    },
+  };
+}
+
+/**
+ * Handle Razorpay "refund.failed"
+ *
+ * @param {Object} refundEntity - payload.refund.entity from the webhook
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Object} { status, message, giftId, afterCommit }
+ */
+async function handleRefundFailed(refundEntity, session = null) {
+  const gift = await Gift.findOne({
+    paymentId: refundEntity.payment_id,
+  }).session(session);
+  if (!gift) {
+    return { status: "ignored", message: "No gift for refunded payment" };
+  }
+
+  // Kept on the gift so the failed refund can be followed up manually
+  gift.refundError = `Refund ${refundEntity.id} failed`;
+  if (gift.paymentStatus === "refund_initiated") {
+    // Lets an admin retry the refund
+    gift.paymentStatus = "captured";
+  }
+  await gift.save({ session });
+  console.error(
+    `❌ Refund ${refundEntity.id} failed for gift ${gift._id} (payment ${refundEntity.payment_id})`
+  );
+
+  return {
+    status: "processed",
+    message: "Refund failure recorded",
+    giftId: gift._id,
+    afterCommit: async () => {
+      emitToUser(gift.senderId, "giftRefundFailed", {
+        giftId: gift._id,
+        conversationId: gift.conversationId,
+      });
+    },
+  };
+}
+
+module.exports = {
+  scheduleAutoAllocationTask,
+  createPaymentOrderForGift,
+  creditPaidGift,
+  refundMismatchedPayment,
+  handlePaymentCaptured,
+  handlePaymentFailed,
+  handleRefundProcessed,
+  handleRefundFailed,
+};
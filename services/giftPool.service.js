@@ -0,0 +1,997 @@
+const mongoose = require("mongoose");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const UserWithNoAccount = require("../models/UserWithNoAccount");
+const GiftPool = require("../models/GiftPool");
+const GiftPoolContribution = require("../models/GiftPoolContribution");
+const { createOrder, refundPayment } = require("../libs/payments/razorpay");
+const { encrypt } = require("../utils/crypto.util");
+const {
+  sendGiftPoolNotification,
+  sendGiftWithMessageNotification,
+} = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+const { createGift, normalizePhoneNumber } = require("./giftCreation.service");
+const {
+  creditPaidGift,
+  refundMismatchedPayment,
+} = require("./giftPayment.service");
+const { refundContribution } = require("./giftCancellation.service");
+
+// Razorpay notes.purpose of contribution orders (see paymentWebhook.service)
+const POOL_CONTRIBUTION_PURPOSE = "gift_pool_contribution";
+
+// How far ahead a pool deadline can be set
+const MAX_POOL_DAYS = parseInt(process.env.GIFT_POOL_MAX_DAYS || "90");
+
+const POOL_BATCH_SIZE = parseInt(process.env.GIFT_POOL_BATCH_SIZE || "50");
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// "A", "A and B", "A, B and C"
+const joinNames = (names) =>
+  names.length > 1
+    ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`
+    : names[0] || "";
+
+// Paid contributions of a pool with the contributor's name
+const getPaidContributions = (poolId, session = null) =>
+  GiftPoolContribution.find({ poolId, status: "paid" })
+    .populate("contributorId", "fullName image")
+    .sort({ paidAt: 1 })
+    .session(session);
+
+/**
+ * Create a group gift pool
+ *
+ * @param {Object} params
+ * @param {string} params.organiserId - Organiser user ID
+ * @param {string} params.receiverId - Receiver user ID (optional)
+ * @param {string} params.receiverNumber - Receiver phone number (optional)
+ * @param {string} params.title - Pool title, e.g. "Wedding gift for Priya"
+ * @param {string} params.description - Pool description (optional)
+ * @param {string} params.type - "gold" or "stock"
+ * @param {string} params.name - Gift name (optional)
+ * @param {string} params.icon - Gift icon (optional)
+ * @param {string} params.note - Note on the final gift (optional)
+ * @param {number} params.targetAmount - Target amount in INR
+ * @param {string|Date} params.deadline - Pool closes automatically at this time
+ * @returns {Object} GiftPool
+ */
+async function createPool({
+  organiserId,
+  receiverId,
+  receiverNumber,
+  title,
+  description,
+  type,
+  name,
+  icon,
+  note,
+  targetAmount,
+  deadline,
+}) {
+  if (!title || !String(title).trim()) {
+    throw createError("title is required", 400);
+  }
+  if (!["gold", "stock"].includes(type)) {
+    throw createError("type must be either 'gold' or 'stock'", 400);
+  }
+  const target = Number(targetAmount);
+  if (!Number.isFinite(target) || target < 1) {
+    throw createError("targetAmount must be at least ₹1", 400);
+  }
+
+  const deadlineDate = new Date(deadline);
+  if (!deadline || Number.isNaN(deadlineDate.getTime())) {
+    throw createError("A valid deadline is required", 400);
+  }
+  const now = Date.now();
+  if (deadlineDate.getTime() <= now) {
+    throw createError("deadline must be in the future", 400);
+  }
+  if (deadlineDate.getTime() > now + MAX_POOL_DAYS * 24 * 60 * 60 * 1000) {
+    throw createError(
+      `deadline can be at most ${MAX_POOL_DAYS} days ahead`,
+      400
+    );
+  }
+
+  let poolReceiverId = null;
+  let poolReceiverNumber = null;
+  if (receiverId) {
+    if (
+      !mongoose.Types.ObjectId.isValid(receiverId) ||
+      !(await User.exists({ _id: receiverId, active: true }))
+    ) {
+      throw createError("Receiver not found", 404);
+    }
+    poolReceiverId = receiverId;
+  } else {
+    poolReceiverNumber = normalizePhoneNumber(receiverNumber);
+    if (!poolReceiverNumber) {
+      throw createError("Either receiverId or receiverNumber is required", 400);
+    }
+  }
+  if (poolReceiverId && String(poolReceiverId) === String(organiserId)) {
+    throw createError("You can't organise a group gift for yourself", 400);
+  }
+
+  const pool = await GiftPool.create({
+    organiserId,
+    receiverId: poolReceiverId,
+    receiverNumber: poolReceiverNumber,
+    title: String(title).trim(),
+    description: description || null,
+    type,
+    name: name || null,
+    icon: icon || null,
+    note: note || null,
+    targetAmount: target,
+    deadline: deadlineDate,
+  });
+
+  console.log(
+    `👥 Gift pool ${pool._id} created: ₹${target} ${type} (organiser ${organiserId})`
+  );
+
+  return pool;
+}
+
+/**
+ * Pools the user organised or contributed to
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.role - "organised" or "contributed" (optional, default both)
+ * @param {string} params.status - Pool status filter (optional)
+ * @param {number} params.page - Page number (default 1)
+ * @param {number} params.limit - Pools per page (default 20)
+ * @returns {Object} { pools, pagination }
+ */
+async function listPools({ userId, role, status, page = 1, limit = 20 }) {
+  const conditions = [];
+  if (role !== "contributed") {
+    conditions.push({ organiserId: userId });
+  }
+  if (role !== "organised") {
+    const contributedPoolIds = await GiftPoolContribution.distinct("poolId", {
+      contributorId: userId,
+      status: { $ne: "payment_pending" },
+    });
+    conditions.push({ _id: { $in: contributedPoolIds } });
+  }
+
+  const query = { $or: conditions };
+  if (status) {
+    query.status = status;
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [pools, total] = await Promise.all([
+    GiftPool.find(query)
+      .populate("organiserId", "fullName image")
+      .populate("receiverId", "fullName image number")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    GiftPool.countDocuments(query),
+  ]);
+
+  return {
+    pools,
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+/**
+ * Public view of a pool for its shareable link
+ * Contributor messages are kept for the receiver and not shown here
+ *
+ * @param {string} poolLink - GiftPool.poolLink
+ * @returns {Object} { pool, contributors }
+ */
+async function getPoolByLink(poolLink) {
+  const pool = await GiftPool.findOne({ poolLink })
+    .select("-receiverNumber")
+    .populate("organiserId", "fullName image")
+    .populate("receiverId", "fullName image");
+  if (!pool) {
+    throw createError("Gift pool not found", 404);
+  }
+
+  const contributions = await getPaidContributions(pool._id);
+
+  return {
+    pool,
+    contributors: contributions.map((contribution) => ({
+      name: contribution.contributorId?.fullName || "Someone",
+      image: contribution.contributorId?.image || null,
+      amount: contribution.amount,
+      paidAt: contribution.paidAt,
+    })),
+  };
+}
+
+/**
+ * Pool details for its organiser or a contributor
+ *
+ * @param {Object} params
+ * @param {string} params.poolId - GiftPool ID
+ * @param {string} params.userId - Current user ID
+ * @returns {Object} { pool, contributions }
+ */
+async function getPoolById({ poolId, userId }) {
+  const pool = mongoose.Types.ObjectId.isValid(poolId)
+    ? await GiftPool.findById(poolId)
+        .populate("organiserId", "fullName image")
+        .populate("receiverId", "fullName image number")
+    : null;
+  if (!pool) {
+    throw createError("Gift pool not found", 404);
+  }
+
+  const isOrganiser = String(pool.organiserId?._id) === String(userId);
+  const contributions = await GiftPoolContribution.find(
+    isOrganiser
+      ? { poolId: pool._id }
+      : { poolId: pool._id, contributorId: userId }
+  )
+    .populate("contributorId", "fullName image")
+    .sort({ createdAt: -1 });
+
+  if (!isOrganiser && contributions.length === 0) {
+    throw createError(
+      "Gift pool not found or you don't have permission to view it",
+      404
+    );
+  }
+
+  return { pool, contributions };
+}
+
+/**
+ * Start a contribution to a pool
+ * Creates the contribution and a Razorpay order; the contribution counts
+ * towards the pool once the payment is captured
+ *
+ * @param {Object} params
+ * @param {string} params.poolLink - GiftPool.poolLink
+ * @param {string} params.contributorId - Contributor user ID
+ * @param {number} params.amount - Contribution in INR
+ * @param {string} params.message - Message for the receiver (optional)
+ * @returns {Object} { order, contribution, pool }
+ */
+async function contributeToPool({ poolLink, contributorId, amount, message }) {
+  const pool = await GiftPool.findOne({ poolLink });
+  if (!pool) {
+    throw createError("Gift pool not found", 404);
+  }
+  if (pool.status !== "open" || pool.deadline <= new Date()) {
+    throw createError(
+      "This gift pool is no longer accepting contributions",
+      409
+    );
+  }
+  if (pool.receiverId && String(pool.receiverId) === String(contributorId)) {
+    throw createError("You can't contribute to a gift for yourself", 400);
+  }
+
+  const contributionAmount = Number(amount);
+  if (!Number.isFinite(contributionAmount) || contributionAmount < 1) {
+    throw createError("amount must be at least ₹1", 400);
+  }
+  const remaining = Math.max(pool.targetAmount - pool.collectedAmount, 0);
+  if (contributionAmount > remaining) {
+    throw createError(
+      remaining > 0
+        ? `Only ₹${remaining} is left to reach the target`
+        : "This gift pool has already reached its target",
+      400
+    );
+  }
+
+  const contribution = await GiftPoolContribution.create({
+    poolId: pool._id,
+    contributorId,
+    amount: contributionAmount,
+    message: message || null,
+  });
+
+  const order = await createOrder({
+    amount: contributionAmount,
+    notes: {
+      purpose: POOL_CONTRIBUTION_PURPOSE,
+      pool_id: String(pool._id),
+      contribution_id: String(contribution._id),
+      contributor_id: String(contributorId),
+    },
+  });
+
+  contribution.paymentOrderId = order.id;
+  await contribution.save();
+
+  return { order, contribution, pool };
+}
+
+// Notify the pool's contributors (once per person) about a closed/cancelled pool
+async function notifyContributors(pool, contributions, stage, giftId = null) {
+  const amountByContributor = new Map();
+  for (const contribution of contributions) {
+    const contributorId = String(
+      contribution.contributorId?._id || contribution.contributorId
+    );
+    amountByContributor.set(
+      contributorId,
+      (amountByContributor.get(contributorId) || 0) + contribution.amount
+    );
+  }
+
+  for (const [contributorId, amount] of amountByContributor) {
+    emitToUser(
+      contributorId,
+      stage === "closed" ? "giftPoolClosed" : "giftPoolCancelled",
+      {
+        poolId: pool._id,
+        giftId,
+        amount,
+        status: pool.status,
+      }
+    );
+
+    try {
+      const contributor = await User.findById(contributorId).select("fcmToken");
+      if (contributor) {
+        await sendGiftPoolNotification(contributor.fcmToken, pool, stage, {
+          userId: contributorId,
+          amount,
+          giftId,
+        });
+      }
+    } catch (notificationError) {
+      console.error(
+        `❌ Error sending gift pool notification to ${contributorId}:`,
+        notificationError.message
+      );
+    }
+  }
+}
+
+/**
+ * Close a pool and send the collected amount as one gift from the organiser
+ * The gift lists the contributors in its metadata and the receiver gets a
+ * single combined chat message
+ *
+ * @param {Object} pool - Open GiftPool document
+ * @returns {Object} { pool, gift }
+ */
+async function closePoolIntoGift(pool) {
+  const closedAt = new Date();
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let closedPool;
+  let gift;
+  let message;
+  let messageText;
+  let conversation;
+  let contributions;
+  try {
+    // Atomic transition - late contributions are refunded once it is closed
+    closedPool = await GiftPool.findOneAndUpdate(
+      { _id: pool._id, status: "open" },
+      { $set: { status: "closed", closedAt } },
+      { new: true, session }
+    );
+    if (!closedPool) {
+      throw createError("Gift pool is no longer open", 409);
+    }
+    if (closedPool.collectedAmount <= 0) {
+      throw createError("Gift pool has no contributions yet", 400);
+    }
+
+    contributions = await getPaidContributions(closedPool._id, session);
+    const contributors = contributions.map((contribution) => ({
+      userId: contribution.contributorId?._id || contribution.contributorId,
+      name: contribution.contributorId?.fullName || "Someone",
+      amount: contribution.amount,
+      message: contribution.message,
+    }));
+
+    const created = await createGift({
+      senderId: closedPool.organiserId,
+      receiverId: closedPool.receiverId,
+      receiverNumber: closedPool.receiverNumber,
+      giftData: {
+        type: closedPool.type,
+        valueInINR: closedPool.collectedAmount,
+        name: closedPool.name || closedPool.title,
+        icon: closedPool.icon,
+        note: closedPool.note,
+      },
+      extraFields: {
+        poolId: closedPool._id,
+        metadata: {
+          poolTitle: closedPool.title,
+          contributors,
+        },
+      },
+      session,
+    });
+    conversation = created.conversation;
+
+    // One combined message for all contributors
+    const names = [...new Set(contributors.map((c) => c.name))];
+    messageText = [
+      `🎁 ${closedPool.title}`,
+      closedPool.note,
+      `From ${joinNames(names)}`,
+      ...contributors
+        .filter((c) => c.message)
+        .map((c) => `${c.name}: ${c.message}`),
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    [message] = await Message.create(
+      [
+        {
+          conversationId: conversation._id,
+          senderId: closedPool.organiserId,
+          receiverId: created.receiverId,
+          receiverNumber: created.receiverNumber || null,
+          type: "giftWithMessage",
+          content: encrypt(messageText),
+          giftId: created.gift._id,
+          metadata: { poolId: closedPool._id, contributors },
+        },
+      ],
+      { session }
+    );
+
+    // Contributions already paid for the gift
+    gift = await Gift.findByIdAndUpdate(
+      created.gift._id,
+      {
+        $set: {
+          isPaid: true,
+          paymentStatus: "captured",
+          paidAt: closedAt,
+          status: "pending",
+          messageId: message._id,
+        },
+      },
+      { new: true, session }
+    );
+
+    await creditPaidGift(gift, session);
+
+    conversation = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      {
+        $set: {
+          lastMessage: {
+            text: "🎁 Gift with message",
+            sender: closedPool.organiserId,
+          },
+          lastMessageType: "giftWithMessage",
+        },
+        $inc: { [`unreadCounts.${created.receiverId}`]: 1 },
+      },
+      { new: true, session }
+    );
+
+    closedPool.giftId = gift._id;
+    await closedPool.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(
+    `👥 Gift pool ${closedPool._id} closed: gift ${gift._id} of ₹${closedPool.collectedAmount} from ${contributions.length} contribution(s)`
+  );
+
+  await notifyPoolGiftSent(
+    closedPool,
+    gift,
+    message,
+    messageText,
+    conversation
+  );
+  await notifyContributors(closedPool, contributions, "closed", gift._id);
+
+  return { pool: closedPool, gift };
+}
+
+// Socket + FCM notifications for the gift of a closed pool
+async function notifyPoolGiftSent(
+  pool,
+  gift,
+  message,
+  messageText,
+  conversation
+) {
+  const receiverId = String(gift.receiverId);
+  const organiserId = String(pool.organiserId);
+
+  const updatedConversation = {
+    _id: conversation._id,
+    participants: conversation.participants,
+    lastMessage: conversation.lastMessage,
+    lastMessageType: conversation.lastMessageType,
+    updatedAt: conversation.updatedAt,
+    unreadCounts: conversation.unreadCounts,
+    receiverNumber: conversation.receiverNumber || null,
+  };
+  const messageForSocket = {
+    ...message.toObject(),
+    content: messageText,
+    gift: gift.toObject(),
+  };
+
+  emitToUser(receiverId, "receiveGiftWithMessage", {
+    message: messageForSocket,
+    gift,
+    conversation: updatedConversation,
+  });
+  emitToUser(receiverId, "conversationUpdated", {
+    conversation: updatedConversation,
+  });
+  emitToUser(organiserId, "giftWithMessageSent", {
+    message: messageForSocket,
+    gift,
+    conversation: updatedConversation,
+  });
+  emitToUser(organiserId, "conversationUpdated", {
+    conversation: updatedConversation,
+  });
+
+  try {
+    const userWithNoAccount = await UserWithNoAccount.findById(receiverId);
+    if (userWithNoAccount) {
+      // Message is shown to the receiver once they register
+      userWithNoAccount.messages.push({
+        messageId: message._id,
+        senderId: pool.organiserId,
+        content: messageText,
+        type: message.type,
+        createdAt: new Date(),
+      });
+      await userWithNoAccount.save();
+      return;
+    }
+
+    const [receiver, organiser] = await Promise.all([
+      User.findById(receiverId).select("fcmToken fullName image"),
+      User.findById(organiserId).select("fullName image"),
+    ]);
+    if (receiver?.fcmToken) {
+      await sendGiftWithMessageNotification(
+        receiver.fcmToken,
+        gift,
+        message,
+        organiser,
+        messageText
+      );
+      console.log(`📱 Push notification sent for group gift to ${receiverId}`);
+    }
+  } catch (notificationError) {
+    console.error(
+      "❌ Error sending group gift notifications:",
+      notificationError.message
+    );
+  }
+}
+
+/**
+ * Cancel a pool and refund every paid contribution
+ * Contributions still in checkout are refunded when their payment arrives
+ *
+ * @param {Object} pool - Open GiftPool document
+ * @param {string} reason - Cancellation reason (optional)
+ * @returns {Object} { pool, refundsInitiated, refundsFailed }
+ */
+async function cancelOpenPool(pool, reason = null) {
+  const cancelledPool = await GiftPool.findOneAndUpdate(
+    { _id: pool._id, status: "open" },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancellationReason: reason,
+      },
+    },
+    { new: true }
+  );
+  if (!cancelledPool) {
+    throw createError("Gift pool is no longer open", 409);
+  }
+
+  const contributions = await GiftPoolContribution.find({
+    poolId: cancelledPool._id,
+    status: "paid",
+  });
+
+  let refundsInitiated = 0;
+  let refundsFailed = 0;
+  for (const contribution of contributions) {
+    if (await refundContribution(contribution)) {
+      refundsInitiated++;
+    } else {
+      refundsFailed++;
+    }
+  }
+
+  console.log(
+    `🚫 Gift pool ${cancelledPool._id} cancelled: ${refundsInitiated} refund(s) initiated, ${refundsFailed} failed`
+  );
+
+  emitToUser(cancelledPool.organiserId, "giftPoolCancelled", {
+    poolId: cancelledPool._id,
+    status: cancelledPool.status,
+  });
+  await notifyContributors(cancelledPool, contributions, "cancelled");
+
+  return { pool: cancelledPool, refundsInitiated, refundsFailed };
+}
+
+const findOrganiserPool = async (poolId, organiserId) => {
+  const pool = mongoose.Types.ObjectId.isValid(poolId)
+    ? await GiftPool.findOne({ _id: poolId, organiserId })
+    : null;
+  if (!pool) {
+    throw createError(
+      "Gift pool not found or you don't have permission to manage it",
+      404
+    );
+  }
+  if (pool.status !== "open") {
+    throw createError(`Gift pool is already ${pool.status}`, 409);
+  }
+  return pool;
+};
+
+/**
+ * Close a pool now (organiser)
+ *
+ * @param {Object} params
+ * @param {string} params.poolId - GiftPool ID
+ * @param {string} params.organiserId - Organiser user ID
+ * @returns {Object} { pool, gift }
+ */
+async function closePool({ poolId, organiserId }) {
+  const pool = await findOrganiserPool(poolId, organiserId);
+  return closePoolIntoGift(pool);
+}
+
+/**
+ * Cancel a pool (organiser)
+ *
+ * @param {Object} params
+ * @param {string} params.poolId - GiftPool ID
+ * @param {string} params.organiserId - Organiser user ID
+ * @param {string} params.reason - Cancellation reason (optional)
+ * @returns {Object} { pool, refundsInitiated, refundsFailed }
+ */
+async function cancelPool({ poolId, organiserId, reason = null }) {
+  const pool = await findOrganiserPool(poolId, organiserId);
+  return cancelOpenPool(pool, reason || "Cancelled by organiser");
+}
+
+/**
+ * Close pools whose deadline has passed (cancelled when nobody contributed)
+ * and retry contribution refunds that failed
+ *
+ * @returns {Object} { closedCount, cancelledCount, refundRetriedCount, errorCount }
+ */
+async function processDuePools() {
+  const duePools = await GiftPool.find({
+    status: "open",
+    deadline: { $lte: new Date() },
+  })
+    .sort({ deadline: 1 })
+    .limit(POOL_BATCH_SIZE);
+
+  let closedCount = 0;
+  let cancelledCount = 0;
+  let refundRetriedCount = 0;
+  let errorCount = 0;
+
+  for (const pool of duePools) {
+    try {
+      if (pool.collectedAmount > 0) {
+        await closePoolIntoGift(pool);
+        closedCount++;
+      } else {
+        await cancelOpenPool(pool, "Deadline passed without contributions");
+        cancelledCount++;
+      }
+    } catch (error) {
+      errorCount++;
+      console.error(
+        `❌ [Gift Pool] Failed to close pool ${pool._id}:`,
+        error.message
+      );
+    }
+  }
+
+  // Paid contributions whose refund request failed earlier
+  const failedRefunds = await GiftPoolContribution.find({
+    status: "paid",
+    refundError: { $ne: null },
+  }).limit(POOL_BATCH_SIZE);
+  for (const contribution of failedRefunds) {
+    if (await refundContribution(contribution)) {
+      refundRetriedCount++;
+    } else {
+      errorCount++;
+    }
+  }
+
+  return { closedCount, cancelledCount, refundRetriedCount, errorCount };
+}
+
+/*
+ * Webhook handlers
+ * Called by services/paymentWebhook.service.js before the gift handlers; each
+ * returns null when the payment/refund does not belong to a pool contribution
+ */
+
+/**
+ * Handle Razorpay "payment.captured" for a pool contribution
+ *
+ * @param {Object} paymentEntity - payload.payment.entity from the webhook
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Object|null} { status, message, afterCommit }
+ */
+async function handleContributionCaptured(paymentEntity, session = null) {
+  if (paymentEntity.notes?.purpose !== POOL_CONTRIBUTION_PURPOSE) {
+    return null;
+  }
+
+  const contribution = await GiftPoolContribution.findById(
+    paymentEntity.notes.contribution_id
+  ).session(session);
+  if (!contribution) {
+    return { status: "ignored", message: "Pool contribution not found" };
+  }
+
+  if (contribution.status !== "payment_pending") {
+    if (contribution.paymentId !== paymentEntity.id) {
+      // Contribution was paid twice (e.g. retried checkout) - give the duplicate back
+      return {
+        status: "processed",
+        message: "Duplicate contribution payment refunded",
+        afterCommit: async () => {
+          await refundPayment({ payment_id: paymentEntity.id });
+        },
+      };
+    }
+    return { status: "ignored", message: "Contribution already paid" };
+  }
+
+  const expectedAmount = Math.round(contribution.amount * 100);
+  if (paymentEntity.amount !== expectedAmount) {
+    contribution.paymentFailureReason = `Amount mismatch: paid ${paymentEntity.amount}, expected ${expectedAmount} (paise)`;
+    await contribution.save({ session });
+    // The contribution stays unpaid - give the captured money back
+    return {
+      status: "processed",
+      message: contribution.paymentFailureReason,
+      afterCommit: async () => {
+        await refundMismatchedPayment(paymentEntity.id, (reason) =>
+          GiftPoolContribution.updateOne(
+            { _id: contribution._id },
+            {
+              paymentFailureReason: `${contribution.paymentFailureReason}; refund of payment ${paymentEntity.id} failed: ${reason}`,
+            }
+          )
+        );
+      },
+    };
+  }
+
+  contribution.status = "paid";
+  contribution.paymentId = paymentEntity.id;
+  contribution.paymentOrderId =
+    paymentEntity.order_id || contribution.paymentOrderId;
+  contribution.paymentFailureReason = null;
+  contribution.paidAt = new Date();
+  await contribution.save({ session });
+
+  const pool = await GiftPool.findOneAndUpdate(
+    { _id: contribution.poolId, status: "open" },
+    {
+      $inc: {
+        collectedAmount: contribution.amount,
+        contributionsCount: 1,
+      },
+    },
+    { new: true, session }
+  );
+  if (!pool) {
+    // Pool closed or was cancelled during checkout - give the money back
+    return {
+      status: "processed",
+      message: "Contribution to a closed pool refunded",
+      afterCommit: async () => {
+        await refundContribution(contribution);
+      },
+    };
+  }
+
+  return {
+    status: "processed",
+    message: "Pool contribution paid",
+    afterCommit: async () => {
+      const [organiser, contributor] = await Promise.all([
+        User.findById(pool.organiserId).select("fcmToken"),
+        User.findById(contribution.contributorId).select("fullName"),
+      ]);
+
+      const payload = {
+        poolId: pool._id,
+        contributionId: contribution._id,
+        amount: contribution.amount,
+        collectedAmount: pool.collectedAmount,
+        targetAmount: pool.targetAmount,
+      };
+      emitToUser(
+        contribution.contributorId,
+        "giftPoolContributionPaid",
+        payload
+      );
+      emitToUser(pool.organiserId, "giftPoolContribution", {
+        ...payload,
+        contributorName: contributor?.fullName || null,
+      });
+
+      if (
+        organiser &&
+        String(pool.organiserId) !== String(contribution.contributorId)
+      ) {
+        await sendGiftPoolNotification(
+          organiser.fcmToken,
+          pool,
+          "contribution",
+          {
+            userId: pool.organiserId,
+            contributorName: contributor?.fullName,
+            amount: contribution.amount,
+          }
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Handle Razorpay "payment.failed" for a pool contribution
+ * The contribution stays payment_pending so the contributor can retry
+ *
+ * @param {Object} paymentEntity - payload.payment.entity from the webhook
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Object|null} { status, message, afterCommit }
+ */
+async function handleContributionFailed(paymentEntity, session = null) {
+  if (paymentEntity.notes?.purpose !== POOL_CONTRIBUTION_PURPOSE) {
+    return null;
+  }
+
+  const contribution = await GiftPoolContribution.findById(
+    paymentEntity.notes.contribution_id
+  ).session(session);
+  if (!contribution || contribution.status !== "payment_pending") {
+    return { status: "ignored", message: "Contribution not awaiting payment" };
+  }
+
+  contribution.paymentFailureReason =
+    paymentEntity.error_description || "Payment failed";
+  await contribution.save({ session });
+
+  return {
+    status: "processed",
+    message: "Contribution payment failure recorded",
+    afterCommit: async () => {
+      emitToUser(contribution.contributorId, "giftPoolContributionFailed", {
+        poolId: contribution.poolId,
+        contributionId: contribution._id,
+        reason: contribution.paymentFailureReason,
+      });
+    },
+  };
+}
+
+/**
+ * Handle Razorpay "refund.processed" for a pool contribution
+ *
+ * @param {Object} refundEntity - payload.refund.entity from the webhook
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Object|null} { status, message }
+ */
+async function handleContributionRefundProcessed(refundEntity, session = null) {
+  const contribution = await GiftPoolContribution.findOne({
+    paymentId: refundEntity.payment_id,
+  }).session(session);
+  if (!contribution) {
+    return null;
+  }
+  if (contribution.status === "refunded") {
+    return { status: "ignored", message: "Refund already recorded" };
+  }
+
+  contribution.status = "refunded";
+  contribution.refundId = refundEntity.id;
+  contribution.refundedAt = new Date();
+  contribution.refundError = null;
+  await contribution.save({ session });
+
+  return { status: "processed", message: "Contribution refund recorded" };
+}
+
+/**
+ * Handle Razorpay "refund.failed" for a pool contribution
+ * The contribution goes back to paid so the pool cron retries the refund
+ *
+ * @param {Object} refundEntity - payload.refund.entity from the webhook
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Object|null} { status, message }
+ */
+async function handleContributionRefundFailed(refundEntity, session = null) {
+  const contribution = await GiftPoolContribution.findOne({
+    paymentId: refundEntity.payment_id,
+  }).session(session);
+  if (!contribution) {
+    return null;
+  }
+
+  contribution.status = "paid";
+  contribution.refundError = `Refund ${refundEntity.id} failed`;
+  await contribution.save({ session });
+
+  console.error(
+    `❌ Refund ${refundEntity.id} failed for pool contribution ${contribution._id}`
+  );
+
+  return {
+    status: "processed",
+    message: "Contribution refund failure recorded",
+  };
+}
+
+module.exports = {
+  POOL_CONTRIBUTION_PURPOSE,
+  createPool,
+  listPools,
+  getPoolByLink,
+  getPoolById,
+  contributeToPool,
+  closePool,
+  cancelPool,
+  processDuePools,
+  handleContributionCaptured,
+  handleContributionFailed,
+  handleContributionRefundProcessed,
+  handleContributionRefundFailed,
+};
@@ -0,0 +1,29 @@
+const cron = require("node-cron");
+const { processDuePools } = require("./giftPool.service");
+
+const DEFAULT_GIFT_POOL_CRON = "*/15 * * * *"; // Every 15 minutes
+
+const startGiftPoolCron = () => {
+  const schedule = process.env.GIFT_POOL_CRON || DEFAULT_GIFT_POOL_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      console.log(
+        "🔄 [Gift Pool Cron] Closing gift pools past their deadline..."
+      );
+
+      const { closedCount, cancelledCount, refundRetriedCount, errorCount } =
+        await processDuePools();
+
+      console.log(
+        `✅ [Gift Pool Cron] Completed: ${closedCount} closed, ${cancelledCount} cancelled, ${refundRetriedCount} refunds retried, ${errorCount} errors`
+      );
+    } catch (error) {
+      console.error("❌ [Gift Pool Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(`✅ [Gift Pool Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startGiftPoolCron };
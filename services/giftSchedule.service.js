@@ -0,0 +1,923 @@
+const mongoose = require("mongoose");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const GiftSchedule = require("../models/GiftSchedule");
+const GiftScheduleRun = require("../models/GiftScheduleRun");
+const {
+  createOrder,
+  createCustomer,
+  createMandateOrder,
+  createRecurringPayment,
+  refundPayment,
+} = require("../libs/payments/razorpay");
+const { createGift, normalizePhoneNumber } = require("./giftCreation.service");
+const { cancelGift } = require("./giftCancellation.service");
+const { sendGiftScheduleNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Attempts per occurrence before the run is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.GIFT_SCHEDULE_MAX_ATTEMPTS || "3");
+// Delay before a failed attempt is retried
+const RETRY_DELAY_MS =
+  parseFloat(process.env.GIFT_SCHEDULE_RETRY_HOURS || "24") * HOUR_MS;
+// How long an attempt may wait for the payment before it counts as failed
+const PAYMENT_WINDOW_MS =
+  parseFloat(process.env.GIFT_SCHEDULE_PAYMENT_WINDOW_HOURS || "24") * HOUR_MS;
+// Consecutive failed occurrences after which the schedule is paused
+const PAUSE_AFTER_FAILURES = parseInt(
+  process.env.GIFT_SCHEDULE_PAUSE_AFTER_FAILURES || "2"
+);
+// Amount (INR) charged to authorise a recurring payment mandate, refunded once authorised
+const MANDATE_AUTH_AMOUNT = 1;
+
+// Razorpay order notes purpose for mandate authorisation payments
+const MANDATE_PURPOSE = "gift_schedule_mandate";
+
+// Runs that have not reached a final outcome yet
+const OPEN_RUN_STATUSES = ["processing", "awaiting_payment", "retrying"];
+
+const FREQUENCIES = ["weekly", "monthly", "yearly"];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Date of the n-th occurrence (0-based) of a schedule
+ * Monthly/yearly occurrences keep the start day, clamped to the month's last
+ * day (a schedule starting on the 31st runs on 30 April, 28/29 February)
+ */
+const occurrenceDate = (startDate, frequency, index) => {
+  const start = new Date(startDate);
+  if (frequency === "weekly") {
+    return new Date(start.getTime() + index * 7 * 24 * HOUR_MS);
+  }
+
+  const months = frequency === "yearly" ? index * 12 : index;
+  const date = new Date(start);
+  date.setDate(1);
+  date.setMonth(date.getMonth() + months);
+  const lastDay = new Date(
+    date.getFullYear(),
+    date.getMonth() + 1,
+    0
+  ).getDate();
+  date.setDate(Math.min(start.getDate(), lastDay));
+  return date;
+};
+
+/**
+ * First occurrence strictly after `after`, or null once past the end date
+ */
+const nextOccurrenceAfter = (schedule, after) => {
+  let index = 0;
+  let date = occurrenceDate(schedule.startDate, schedule.frequency, index);
+  while (date <= after) {
+    index++;
+    date = occurrenceDate(schedule.startDate, schedule.frequency, index);
+  }
+  if (schedule.endDate && date > schedule.endDate) {
+    return null;
+  }
+  return date;
+};
+
+// Fill {count}, {date} and {amount} placeholders of a note template
+const renderNote = (template, { count, date, amount }) => {
+  if (!template) return null;
+  return template
+    .replace(/\{count\}/g, String(count))
+    .replace(/\{date\}/g, new Date(date).toDateString())
+    .replace(/\{amount\}/g, String(amount));
+};
+
+const notifySender = async (schedule, stage, details = {}) => {
+  emitToUser(schedule.senderId, "giftScheduleUpdated", {
+    scheduleId: schedule._id,
+    status: schedule.status,
+    stage,
+    ...details,
+  });
+
+  try {
+    const sender = await User.findById(schedule.senderId).select("fcmToken");
+    if (sender) {
+      await sendGiftScheduleNotification(
+        sender.fcmToken,
+        schedule,
+        stage,
+        details
+      );
+    }
+  } catch (notificationError) {
+    console.error(
+      "❌ Error sending gift schedule notification:",
+      notificationError.message
+    );
+  }
+};
+
+/**
+ * Create a recurring gift schedule
+ *
+ * @param {Object} params
+ * @param {string} params.senderId - Sender user ID
+ * @param {string} params.receiverId - Receiver user ID (optional)
+ * @param {string} params.receiverNumber - Receiver phone number (optional)
+ * @param {string} params.frequency - "weekly" | "monthly" | "yearly"
+ * @param {number} params.amount - Amount in INR per occurrence
+ * @param {string} params.type - "gold" | "stock"
+ * @param {string} params.name - Gift name (optional)
+ * @param {string} params.icon - Gift icon (optional)
+ * @param {string} params.noteTemplate - Note with {count}/{date}/{amount} placeholders (optional)
+ * @param {Date} params.startDate - First occurrence (defaults to now)
+ * @param {Date} params.endDate - Last possible occurrence (optional)
+ * @returns {Object} GiftSchedule
+ */
+async function createSchedule({
+  senderId,
+  receiverId,
+  receiverNumber,
+  frequency,
+  amount,
+  type,
+  name,
+  icon,
+  noteTemplate,
+  startDate,
+  endDate,
+}) {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw createError("frequency must be weekly, monthly or yearly", 400);
+  }
+  if (!["gold", "stock"].includes(type)) {
+    throw createError("type must be either 'gold' or 'stock'", 400);
+  }
+  const giftAmount = Number(amount);
+  if (!Number.isFinite(giftAmount) || giftAmount < 1) {
+    throw createError("amount must be at least ₹1", 400);
+  }
+
+  let scheduleReceiverId = null;
+  let scheduleReceiverNumber = null;
+  if (receiverId) {
+    if (
+      !mongoose.Types.ObjectId.isValid(receiverId) ||
+      !(await User.exists({ _id: receiverId, active: true }))
+    ) {
+      throw createError("Receiver not found", 404);
+    }
+    scheduleReceiverId = receiverId;
+  } else {
+    scheduleReceiverNumber = normalizePhoneNumber(receiverNumber);
+    if (!scheduleReceiverNumber) {
+      throw createError("Either receiverId or receiverNumber is required", 400);
+    }
+  }
+
+  const now = new Date();
+  const firstRunAt = startDate ? new Date(startDate) : now;
+  if (Number.isNaN(firstRunAt.getTime())) {
+    throw createError("Invalid startDate", 400);
+  }
+  if (firstRunAt.getTime() < now.getTime() - 60 * 1000) {
+    throw createError("startDate cannot be in the past", 400);
+  }
+
+  let lastRunAt = null;
+  if (endDate) {
+    lastRunAt = new Date(endDate);
+    if (Number.isNaN(lastRunAt.getTime()) || lastRunAt < firstRunAt) {
+      throw createError("endDate must be after startDate", 400);
+    }
+  }
+
+  const schedule = await GiftSchedule.create({
+    senderId,
+    receiverId: scheduleReceiverId,
+    receiverNumber: scheduleReceiverNumber,
+    frequency,
+    amount: giftAmount,
+    type,
+    name: name || null,
+    icon: icon || null,
+    noteTemplate: noteTemplate || null,
+    startDate: firstRunAt,
+    endDate: lastRunAt,
+    nextRunAt: firstRunAt,
+  });
+
+  console.log(
+    `📅 Gift schedule ${schedule._id} created: ₹${giftAmount} ${type} ${frequency} (user ${senderId})`
+  );
+
+  return schedule;
+}
+
+const findSenderSchedule = async (scheduleId, senderId) => {
+  const schedule = mongoose.Types.ObjectId.isValid(scheduleId)
+    ? await GiftSchedule.findOne({ _id: scheduleId, senderId })
+    : null;
+  if (!schedule) {
+    throw createError("Gift schedule not found", 404);
+  }
+  return schedule;
+};
+
+/**
+ * List a sender's schedules (newest first)
+ *
+ * @param {Object} params
+ * @param {string} params.senderId - Sender user ID
+ * @param {string} params.status - Filter by status (optional)
+ * @param {number} params.page - Page (default 1)
+ * @param {number} params.limit - Schedules per page (default 20)
+ * @returns {Object} { schedules, pagination }
+ */
+async function listSchedules({ senderId, status, page = 1, limit = 20 }) {
+  const query = { senderId };
+  if (status) {
+    query.status = status;
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [schedules, total] = await Promise.all([
+    GiftSchedule.find(query)
+      .populate("receiverId", "fullName image number")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    GiftSchedule.countDocuments(query),
+  ]);
+
+  return {
+    schedules,
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+/**
+ * Get a schedule with its runs (newest first)
+ *
+ * @param {Object} params
+ * @param {string} params.scheduleId - GiftSchedule ID
+ * @param {string} params.senderId - Owner of the schedule
+ * @param {number} params.page - Runs page (default 1)
+ * @param {number} params.limit - Runs per page (default 20)
+ * @returns {Object} { schedule, runs, pagination }
+ */
+async function getScheduleWithRuns({
+  scheduleId,
+  senderId,
+  page = 1,
+  limit = 20,
+}) {
+  const schedule = await findSenderSchedule(scheduleId, senderId);
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [runs, total] = await Promise.all([
+    GiftScheduleRun.find({ scheduleId: schedule._id })
+      .populate("giftId", "status valueInINR quantity transactionId")
+      .sort({ occurrence: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    GiftScheduleRun.countDocuments({ scheduleId: schedule._id }),
+  ]);
+
+  return {
+    schedule,
+    runs,
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+/**
+ * Pause an active schedule - no new occurrences start until it is resumed
+ */
+async function pauseSchedule({ scheduleId, senderId }) {
+  await findSenderSchedule(scheduleId, senderId);
+
+  const schedule = await GiftSchedule.findOneAndUpdate(
+    { _id: scheduleId, senderId, status: "active" },
+    { status: "paused", pausedAt: new Date(), pauseReason: null },
+    { new: true }
+  );
+  if (!schedule) {
+    throw createError("Only active schedules can be paused", 409);
+  }
+  return schedule;
+}
+
+/**
+ * Resume a paused schedule
+ * Occurrences missed while paused are skipped; the schedule continues with
+ * the next occurrence from now
+ */
+async function resumeSchedule({ scheduleId, senderId }) {
+  const existing = await findSenderSchedule(scheduleId, senderId);
+  if (existing.status !== "paused") {
+    throw createError("Only paused schedules can be resumed", 409);
+  }
+
+  const now = new Date();
+  // A due occurrence that never started still runs
+  const nextRunAt =
+    existing.nextRunAt && existing.nextRunAt >= now
+      ? existing.nextRunAt
+      : nextOccurrenceAfter(existing, now);
+
+  const update = nextRunAt
+    ? {
+        status: "active",
+        nextRunAt,
+        pausedAt: null,
+        pauseReason: null,
+        consecutiveFailures: 0,
+      }
+    : { status: "completed", nextRunAt: null, completedAt: now };
+
+  const schedule = await GiftSchedule.findOneAndUpdate(
+    { _id: existing._id, status: "paused" },
+    update,
+    { new: true }
+  );
+  if (!schedule) {
+    throw createError("Schedule was updated meanwhile, please try again", 409);
+  }
+  return schedule;
+}
+
+/**
+ * Cancel a schedule
+ * Occurrences still waiting for payment are cancelled with their gifts
+ */
+async function cancelSchedule({ scheduleId, senderId }) {
+  await findSenderSchedule(scheduleId, senderId);
+
+  const schedule = await GiftSchedule.findOneAndUpdate(
+    { _id: scheduleId, senderId, status: { $in: ["active", "paused"] } },
+    { status: "cancelled", cancelledAt: new Date(), nextRunAt: null },
+    { new: true }
+  );
+  if (!schedule) {
+    throw createError("Schedule is already cancelled or completed", 409);
+  }
+
+  const openRuns = await GiftScheduleRun.find({
+    scheduleId: schedule._id,
+    status: { $in: OPEN_RUN_STATUSES },
+  });
+  for (const run of openRuns) {
+    run.status = "cancelled";
+    run.nextRetryAt = null;
+    run.completedAt = new Date();
+    await run.save();
+    await cancelRunGift(run, "Recurring gift cancelled by sender");
+  }
+
+  return schedule;
+}
+
+// Cancel the gift of a run that will not be paid
+async function cancelRunGift(run, reason) {
+  if (!run.giftId) return;
+
+  const gift = await Gift.findById(run.giftId).select("status isPaid");
+  if (!gift || gift.status !== "payment_pending" || gift.isPaid) return;
+
+  try {
+    await cancelGift({
+      giftId: run.giftId,
+      cancelledBy: { type: "sender", id: run.senderId },
+      reason,
+    });
+  } catch (error) {
+    console.error(
+      `❌ [Gift Schedule] Could not cancel gift ${run.giftId} of run ${run._id}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Create a Razorpay mandate order so future occurrences are charged
+ * automatically. The sender completes it in checkout (recurring: 1); the
+ * token is stored when the authorisation payment is captured
+ *
+ * @param {Object} params
+ * @param {string} params.scheduleId - GiftSchedule ID
+ * @param {string} params.senderId - Owner of the schedule
+ * @returns {Object} { order, customerId, schedule }
+ */
+async function createScheduleMandate({ scheduleId, senderId }) {
+  const schedule = await findSenderSchedule(scheduleId, senderId);
+  if (!["active", "paused"].includes(schedule.status)) {
+    throw createError("Schedule is no longer running", 409);
+  }
+
+  let customerId = schedule.payment?.customerId;
+  if (!customerId) {
+    const user = await User.findById(senderId).select("fullName number");
+    const customer = await createCustomer({
+      name: user?.fullName || "Bahumati user",
+      contact: user?.number,
+      notes: { user_id: String(senderId) },
+    });
+    customerId = customer.id;
+  }
+
+  const order = await createMandateOrder({
+    customer_id: customerId,
+    amount: MANDATE_AUTH_AMOUNT,
+    max_amount: schedule.amount,
+    frequency: schedule.frequency,
+    notes: {
+      purpose: MANDATE_PURPOSE,
+      gift_schedule_id: String(schedule._id),
+      sender_id: String(senderId),
+    },
+  });
+
+  schedule.payment.customerId = customerId;
+  schedule.payment.mandateOrderId = order.id;
+  schedule.payment.mandateStatus = "pending";
+  await schedule.save();
+
+  return { order, customerId, schedule };
+}
+
+/**
+ * Charge (or request payment for) the gift of a run
+ * With an active mandate the payment is taken automatically; otherwise the
+ * sender is asked to complete checkout for the order
+ */
+async function collectRunPayment(run, schedule) {
+  const gift = await Gift.findById(run.giftId);
+  if (!gift || gift.status !== "payment_pending" || gift.isPaid) {
+    return;
+  }
+
+  const order = await createOrder({
+    amount: gift.valueInINR,
+    notes: {
+      gift_id: String(gift._id),
+      sender_id: String(gift.senderId),
+      receiver_id: String(gift.receiverId),
+      conversation_id: gift.conversationId ? String(gift.conversationId) : "",
+      gift_schedule_id: String(schedule._id),
+      gift_schedule_run_id: String(run._id),
+    },
+  });
+
+  gift.paymentOrderId = order.id;
+  gift.paymentStatus = "created";
+  gift.paymentFailureReason = null;
+  await gift.save();
+
+  run.paymentOrderId = order.id;
+  run.nextRetryAt = new Date(Date.now() + PAYMENT_WINDOW_MS);
+  run.error = null;
+
+  const hasMandate =
+    schedule.payment?.mandateStatus === "active" && schedule.payment.tokenId;
+  if (hasMandate) {
+    const sender = await User.findById(schedule.senderId).select("number");
+    const payment = await createRecurringPayment({
+      customer_id: schedule.payment.customerId,
+      token: schedule.payment.tokenId,
+      order_id: order.id,
+      amount: gift.valueInINR,
+      contact: sender?.number,
+      notes: {
+        gift_id: String(gift._id),
+        gift_schedule_id: String(schedule._id),
+        gift_schedule_run_id: String(run._id),
+      },
+    });
+    run.status = "processing";
+    run.paymentId = payment.razorpay_payment_id || null;
+    await run.save();
+  } else {
+    run.status = "awaiting_payment";
+    await run.save();
+    await notifySender(schedule, "payment_due", {
+      giftId: gift._id,
+      runId: run._id,
+      occurrence: run.occurrence,
+      orderId: order.id,
+    });
+  }
+}
+
+/**
+ * Record a failed attempt of a run
+ * The run is retried until MAX_ATTEMPTS; after that it fails, its gift is
+ * cancelled and the schedule is paused after repeated failed occurrences
+ *
+ * @param {Object} run - GiftScheduleRun document
+ * @param {string} reason - Failure reason
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ * @returns {Function} afterCommit - cancels the gift and notifies the sender
+ */
+async function recordRunFailure(run, reason, session = null) {
+  const now = new Date();
+  const exhausted = run.attempts >= MAX_ATTEMPTS;
+
+  run.error = reason;
+  if (exhausted) {
+    run.status = "failed";
+    run.nextRetryAt = null;
+    run.completedAt = now;
+  } else {
+    run.status = "retrying";
+    run.nextRetryAt = new Date(now.getTime() + RETRY_DELAY_MS);
+  }
+  await run.save({ session });
+
+  let schedule;
+  if (exhausted) {
+    schedule = await GiftSchedule.findByIdAndUpdate(
+      run.scheduleId,
+      {
+        $inc: { failedRuns: 1, consecutiveFailures: 1 },
+        $set: { lastRunStatus: "failed" },
+      },
+      { new: true, session }
+    );
+    if (
+      schedule?.status === "active" &&
+      schedule.consecutiveFailures >= PAUSE_AFTER_FAILURES
+    ) {
+      schedule = await GiftSchedule.findOneAndUpdate(
+        { _id: schedule._id, status: "active" },
+        {
+          status: "paused",
+          pausedAt: now,
+          pauseReason: `Paused after ${schedule.consecutiveFailures} failed payments`,
+        },
+        { new: true, session }
+      );
+    }
+  } else {
+    schedule = await GiftSchedule.findByIdAndUpdate(
+      run.scheduleId,
+      { $set: { lastRunStatus: "retrying" } },
+      { new: true, session }
+    );
+  }
+
+  console.warn(
+    `⚠️ [Gift Schedule] Run ${run._id} attempt ${run.attempts} failed: ${reason}`
+  );
+
+  return async () => {
+    if (exhausted) {
+      await cancelRunGift(run, `Recurring gift payment failed: ${reason}`);
+    }
+    if (!schedule) return;
+
+    const details = {
+      giftId: run.giftId,
+      runId: run._id,
+      occurrence: run.occurrence,
+      reason,
+    };
+    if (!exhausted) {
+      await notifySender(schedule, "retrying", {
+        ...details,
+        retryAt: run.nextRetryAt,
+      });
+    } else if (schedule.status === "paused" && schedule.pauseReason) {
+      await notifySender(schedule, "paused", details);
+    } else {
+      await notifySender(schedule, "failed", details);
+    }
+  };
+}
+
+/**
+ * Run one attempt of an occurrence: create its gift (first attempt, or a
+ * retry after the gift could not be created) and collect the payment
+ */
+async function attemptRun(run, schedule) {
+  run.attempts += 1;
+  run.status = "processing";
+  await run.save();
+
+  try {
+    if (!run.giftId) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        const { gift } = await createGift({
+          senderId: schedule.senderId,
+          receiverId: schedule.receiverId,
+          receiverNumber: schedule.receiverNumber,
+          giftData: {
+            type: schedule.type,
+            valueInINR: schedule.amount,
+            name: schedule.name,
+            icon: schedule.icon,
+            note: renderNote(schedule.noteTemplate, {
+              count: run.occurrence,
+              date: run.scheduledFor,
+              amount: schedule.amount,
+            }),
+          },
+          extraFields: { scheduleId: schedule._id, scheduleRunId: run._id },
+          session,
+        });
+        run.giftId = gift._id;
+        await run.save({ session });
+        await session.commitTransaction();
+      } catch (error) {
+        await session.abortTransaction();
+        throw error;
+      } finally {
+        session.endSession();
+      }
+    }
+
+    await collectRunPayment(run, schedule);
+  } catch (error) {
+    const reason =
+      error?.error?.description || error.message || "Gift could not be sent";
+    const afterFailure = await recordRunFailure(run, reason);
+    await afterFailure();
+  }
+}
+
+/**
+ * Start the due occurrence of a schedule
+ * The occurrence is claimed atomically so overlapping cron runs never start
+ * it twice
+ *
+ * @param {Object} schedule - Due GiftSchedule document
+ * @returns {Object|null} GiftScheduleRun, or null if another worker claimed it
+ */
+async function executeSchedule(schedule) {
+  const now = new Date();
+  const scheduledFor = schedule.nextRunAt;
+  const nextRunAt = nextOccurrenceAfter(
+    schedule,
+    new Date(Math.max(scheduledFor.getTime(), now.getTime()))
+  );
+
+  const claimed = await GiftSchedule.findOneAndUpdate(
+    { _id: schedule._id, status: "active", nextRunAt: scheduledFor },
+    {
+      $set: {
+        nextRunAt,
+        lastRunAt: now,
+        lastRunStatus: "processing",
+        ...(nextRunAt ? {} : { status: "completed", completedAt: now }),
+      },
+      $inc: { occurrenceCount: 1 },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const run = await GiftScheduleRun.create({
+    scheduleId: claimed._id,
+    senderId: claimed.senderId,
+    occurrence: claimed.occurrenceCount,
+    scheduledFor,
+  });
+
+  await attemptRun(run, claimed);
+  return run;
+}
+
+/**
+ * Retry failed attempts and time out attempts whose payment never arrived
+ */
+async function processRunRetries() {
+  let retriedCount = 0;
+  let timedOutCount = 0;
+
+  const runs = await GiftScheduleRun.find({
+    status: { $in: OPEN_RUN_STATUSES },
+    nextRetryAt: { $lte: new Date() },
+  });
+
+  for (const run of runs) {
+    try {
+      // Claim the run so overlapping cron runs skip it
+      const claimed = await GiftScheduleRun.findOneAndUpdate(
+        { _id: run._id, status: run.status, nextRetryAt: run.nextRetryAt },
+        { nextRetryAt: new Date(Date.now() + PAYMENT_WINDOW_MS) },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      const schedule = await GiftSchedule.findById(claimed.scheduleId);
+      if (!schedule || schedule.status === "cancelled") {
+        claimed.status = "cancelled";
+        claimed.nextRetryAt = null;
+        claimed.completedAt = new Date();
+        await claimed.save();
+        await cancelRunGift(claimed, "Recurring gift cancelled");
+        continue;
+      }
+
+      if (claimed.status === "retrying") {
+        await attemptRun(claimed, schedule);
+        retriedCount++;
+      } else {
+        const afterFailure = await recordRunFailure(
+          claimed,
+          "Payment was not completed in time"
+        );
+        await afterFailure();
+        timedOutCount++;
+      }
+    } catch (error) {
+      console.error(
+        `❌ [Gift Schedule] Error retrying run ${run._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return { retriedCount, timedOutCount };
+}
+
+/**
+ * Start all due schedule occurrences and process retries
+ *
+ * @returns {Object} { startedCount, retriedCount, timedOutCount, errorCount }
+ */
+async function processDueSchedules() {
+  let startedCount = 0;
+  let errorCount = 0;
+
+  const cursor = GiftSchedule.find({
+    status: "active",
+    nextRunAt: { $lte: new Date() },
+  }).cursor();
+
+  for (
+    let schedule = await cursor.next();
+    schedule != null;
+    schedule = await cursor.next()
+  ) {
+    try {
+      const run = await executeSchedule(schedule);
+      if (run) startedCount++;
+    } catch (error) {
+      console.error(
+        `❌ [Gift Schedule] Error running schedule ${schedule._id}:`,
+        error.message
+      );
+      errorCount++;
+    }
+  }
+
+  const { retriedCount, timedOutCount } = await processRunRetries();
+
+  return { startedCount, retriedCount, timedOutCount, errorCount };
+}
+
+/*
+ * Payment webhook hooks - called by services/giftPayment.service.js inside
+ * the webhook transaction
+ */
+
+/**
+ * A scheduled gift's payment was captured - the run succeeded
+ *
+ * @param {Object} gift - Paid Gift document
+ * @param {string} paymentId - Razorpay payment ID
+ * @param {Object} session - MongoDB session
+ * @returns {Function|null} afterCommit notifying the sender
+ */
+async function onScheduledGiftPaid(gift, paymentId, session = null) {
+  if (!gift.scheduleRunId) return null;
+
+  const run = await GiftScheduleRun.findOneAndUpdate(
+    { _id: gift.scheduleRunId, status: { $in: OPEN_RUN_STATUSES } },
+    {
+      status: "succeeded",
+      paymentId,
+      nextRetryAt: null,
+      error: null,
+      completedAt: new Date(),
+    },
+    { new: true, session }
+  );
+  if (!run) return null;
+
+  const schedule = await GiftSchedule.findByIdAndUpdate(
+    run.scheduleId,
+    {
+      $inc: { successfulRuns: 1 },
+      $set: { consecutiveFailures: 0, lastRunStatus: "succeeded" },
+    },
+    { new: true, session }
+  );
+
+  return async () => {
+    if (schedule) {
+      await notifySender(schedule, "sent", {
+        giftId: gift._id,
+        runId: run._id,
+        occurrence: run.occurrence,
+      });
+    }
+  };
+}
+
+/**
+ * A recurring charge for a scheduled gift failed
+ * Checkout failures (awaiting_payment) are left to the sender, who can retry
+ * the payment until the attempt times out
+ *
+ * @param {Object} gift - Gift document
+ * @param {string} reason - Failure reason from Razorpay
+ * @param {Object} session - MongoDB session
+ * @returns {Function|null} afterCommit
+ */
+async function onScheduledGiftPaymentFailed(gift, reason, session = null) {
+  if (!gift.scheduleRunId) return null;
+
+  const run = await GiftScheduleRun.findOne({
+    _id: gift.scheduleRunId,
+    status: "processing",
+  }).session(session);
+  if (!run) return null;
+
+  return recordRunFailure(run, reason, session);
+}
+
+/**
+ * Mandate authorisation payment captured - store the recurring token and
+ * refund the authorisation amount
+ *
+ * @param {Object} paymentEntity - payload.payment.entity from the webhook
+ * @param {Object} session - MongoDB session
+ * @returns {Object} { status, message, afterCommit }
+ */
+async function handleMandateAuthorised(paymentEntity, session = null) {
+  const schedule = await GiftSchedule.findById(
+    paymentEntity.notes?.gift_schedule_id
+  ).session(session);
+  if (!schedule) {
+    return { status: "ignored", message: "Gift schedule not found" };
+  }
+
+  schedule.payment.customerId =
+    paymentEntity.customer_id || schedule.payment.customerId;
+  schedule.payment.tokenId = paymentEntity.token_id || null;
+  schedule.payment.mandateStatus = paymentEntity.token_id
+    ? "active"
+    : "pending";
+  await schedule.save({ session });
+
+  return {
+    status: "processed",
+    message: paymentEntity.token_id
+      ? "Recurring payment mandate authorised"
+      : "Mandate payment captured without a token",
+    afterCommit: async () => {
+      if (paymentEntity.amount > 0) {
+        await refundPayment({ payment_id: paymentEntity.id });
+      }
+    },
+  };
+}
+
+module.exports = {
+  MANDATE_PURPOSE,
+  createSchedule,
+  listSchedules,
+  getScheduleWithRuns,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule,
+  createScheduleMandate,
+  processDueSchedules,
+  onScheduledGiftPaid,
+  onScheduledGiftPaymentFailed,
+  handleMandateAuthorised,
+};
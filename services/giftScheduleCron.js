@@ -0,0 +1,27 @@
+const cron = require("node-cron");
+const { processDueSchedules } = require("./giftSchedule.service");
+
+const DEFAULT_GIFT_SCHEDULE_CRON = "*/15 * * * *"; // Every 15 minutes
+
+const startGiftScheduleCron = () => {
+  const schedule = process.env.GIFT_SCHEDULE_CRON || DEFAULT_GIFT_SCHEDULE_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      console.log("🔄 [Gift Schedule Cron] Running due recurring gifts...");
+
+      const { startedCount, retriedCount, timedOutCount, errorCount } =
+        await processDueSchedules();
+
+      console.log(
+        `✅ [Gift Schedule Cron] Completed: ${startedCount} started, ${retriedCount} retried, ${timedOutCount} timed out, ${errorCount} errors`
+      );
+    } catch (error) {
+      console.error("❌ [Gift Schedule Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(`✅ [Gift Schedule Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startGiftScheduleCron };
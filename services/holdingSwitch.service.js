@@ -0,0 +1,229 @@
+const mongoose = require("mongoose");
+const UserHistory = require("../models/UserHistory");
+const { getFreshPrice } = require("./priceFeed.service");
+const { recordSwitch } = require("./ledger.service");
+
+const ASSET_TYPES = ["gold", "stock"];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Switch part or all of a holding from gold to stock or back
+ * The units are valued at the current price of the asset being sold and
+ * converted at the current price of the asset being bought. The invested
+ * amount (cost basis) moves with the units, so returns stay comparable
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.fromType - Holding to switch out of ("gold" or "stock")
+ * @param {number} params.units - Units to switch (optional)
+ * @param {number} params.amount - INR worth of units to switch (optional)
+ * @param {boolean} params.switchAll - Switch the whole holding (optional)
+ * @returns {Object} { switchId, fromType, toType, fromUnits, toUnits, value, costBasis, fromPrice, toPrice, conversionRate, userHistory }
+ */
+async function switchHolding({ userId, fromType, units, amount, switchAll }) {
+  if (!ASSET_TYPES.includes(fromType)) {
+    throw createError("fromType must be either 'gold' or 'stock'", 400);
+  }
+  const toType = fromType === "gold" ? "stock" : "gold";
+
+  const userHistory = await UserHistory.getOrCreate(userId);
+  const heldUnits = userHistory.allottedUnits[fromType] || 0;
+  const invested = userHistory.allottedMoney[fromType] || 0;
+  if (heldUnits <= 0) {
+    throw createError(`You have no ${fromType} holdings to switch`, 400);
+  }
+
+  const [fromPrice, toPrice] = await Promise.all([
+    getFreshPrice(fromType),
+    getFreshPrice(toType),
+  ]);
+
+  let fromUnits;
+  if (switchAll) {
+    fromUnits = heldUnits;
+  } else if (units) {
+    fromUnits = Number(units);
+  } else if (amount) {
+    fromUnits = Number(amount) / fromPrice;
+  }
+  if (!fromUnits || !Number.isFinite(fromUnits) || fromUnits <= 0) {
+    throw createError("Provide units or amount to switch", 400);
+  }
+  if (fromUnits > heldUnits) {
+    throw createError(
+      `Insufficient ${fromType} holdings. Available: ${heldUnits} units, Requested: ${fromUnits} units`,
+      400
+    );
+  }
+
+  const value = roundMoney(fromUnits * fromPrice);
+  const toUnits = value / toPrice;
+  const conversionRate = fromPrice / toPrice;
+
+  // Average cost of the units being switched
+  const isFullHolding = fromUnits === heldUnits;
+  const costBasis = isFullHolding
+    ? invested
+    : Math.min(invested, roundMoney((invested / heldUnits) * fromUnits));
+
+  const switchId = new mongoose.Types.ObjectId();
+  const switchedAt = new Date();
+  const conversionDetails = {
+    fromType,
+    toType,
+    conversionRate,
+    convertedQuantity: toUnits,
+    fromPrice,
+    toPrice,
+    fromValue: value,
+    toValue: value,
+  };
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let updatedHistory;
+  try {
+    // Atomic update - holding must still cover the units and cost basis
+    updatedHistory = await UserHistory.findOneAndUpdate(
+      {
+        _id: userHistory._id,
+        [`allottedUnits.${fromType}`]: { $gte: fromUnits },
+        [`allottedMoney.${fromType}`]: { $gte: costBasis },
+      },
+      {
+        $inc: {
+          [`allottedUnits.${fromType}`]: -fromUnits,
+          [`allottedMoney.${fromType}`]: -costBasis,
+          [`allottedUnits.${toType}`]: toUnits,
+          [`allottedMoney.${toType}`]: costBasis,
+        },
+        $push: {
+          allocationHistory: {
+            $each: [
+              {
+                kind: "switch_out",
+                switchId,
+                amount: costBasis,
+                allocationType: fromType,
+                quantity: fromUnits,
+                pricePerUnit: fromPrice,
+                allocatedAt: switchedAt,
+                conversionDetails,
+              },
+              {
+                kind: "switch_in",
+                switchId,
+                amount: costBasis,
+                allocationType: toType,
+                quantity: toUnits,
+                pricePerUnit: toPrice,
+                allocatedAt: switchedAt,
+                conversionDetails,
+              },
+            ],
+          },
+        },
+      },
+      { new: true, session }
+    );
+    if (!updatedHistory) {
+      throw createError(
+        `Insufficient ${fromType} holdings. Please try again`,
+        409
+      );
+    }
+
+    if (costBasis > 0) {
+      await recordSwitch({
+        userId,
+        switchId,
+        fromType,
+        toType,
+        costBasis,
+        fromUnits,
+        toUnits,
+        value,
+        conversionRate,
+        session,
+      });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(
+    `🔁 Switch ${switchId}: ${fromUnits} ${fromType} units (₹${value}) to ${toUnits} ${toType} units (user ${userId})`
+  );
+
+  return {
+    switchId,
+    fromType,
+    toType,
+    fromUnits,
+    toUnits,
+    value,
+    costBasis,
+    fromPrice,
+    toPrice,
+    conversionRate,
+    switchedAt,
+    userHistory: updatedHistory,
+  };
+}
+
+/**
+ * Past switches of a user, newest first
+ * Pairs the switch_out and switch_in legs recorded in allocationHistory
+ *
+ * @param {Object} userHistory - UserHistory document
+ * @returns {Array} [{ switchId, fromType, toType, fromUnits, toUnits, value, costBasis, conversionRate, switchedAt }]
+ */
+const getSwitchHistory = (userHistory) => {
+  const switches = new Map();
+
+  for (const allocation of userHistory.allocationHistory || []) {
+    if (!allocation.switchId) continue;
+
+    const key = allocation.switchId.toString();
+    const entry = switches.get(key) || {
+      switchId: allocation.switchId,
+      costBasis: allocation.amount,
+      switchedAt: allocation.allocatedAt,
+    };
+
+    if (allocation.kind === "switch_out") {
+      entry.fromType = allocation.allocationType;
+      entry.fromUnits = allocation.quantity;
+      entry.fromPrice = allocation.pricePerUnit;
+      entry.value = allocation.conversionDetails?.fromValue;
+      entry.conversionRate = allocation.conversionDetails?.conversionRate;
+    } else if (allocation.kind === "switch_in") {
+      entry.toType = allocation.allocationType;
+      entry.toUnits = allocation.quantity;
+      entry.toPrice = allocation.pricePerUnit;
+    }
+    switches.set(key, entry);
+  }
+
+  return [...switches.values()].sort(
+    (a, b) => new Date(b.switchedAt) - new Date(a.switchedAt)
+  );
+};
+
+module.exports = {
+  switchHolding,
+  getSwitchHistory,
+};
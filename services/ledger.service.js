@@ -0,0 +1,581 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const UserHistory = require("../models/UserHistory");
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Ledger account behind each UserHistory balance
+const ALLOTTED_ACCOUNTS = {
+  gold: "user_allotted_gold",
+  stock: "user_allotted_stock",
+};
+
+// Balances are rounded to paise to keep float noise out of comparisons
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const userAccount = (account, userId) => ({ account, userId });
+const systemAccount = (account) => ({ account, userId: null });
+
+/**
+ * Post a balanced transfer: debit `from`, credit `to`
+ * User wallet accounts are liabilities, so a credit increases their balance
+ * and a debit decreases it
+ *
+ * @param {Object} params
+ * @param {string} params.type - LedgerEntry type (gift_received, allocation, ...)
+ * @param {string} params.userId - Wallet owner
+ * @param {Object} params.from - { account, userId } debited
+ * @param {Object} params.to - { account, userId } credited
+ * @param {number} params.amount - Amount in INR
+ * @param {number} params.units - Units moved into/out of an allotted account
+ * @param {number} params.toUnits - Units credited, when they differ from the
+ *   units debited (switching between gold and stock); defaults to `units`
+ * @param {string} params.giftId - Source gift (optional)
+ * @param {string} params.withdrawalRequestId - Source withdrawal (optional)
+ * @param {string} params.sellOrderId - Source redemption (optional)
+ * @param {string} params.description - Human readable description (optional)
+ * @param {string} params.idempotencyKey - Skip if already posted (optional)
+ * @param {Object} params.metadata - Extra audit data (optional)
+ * @param {Object} params.session - MongoDB session (optional, for transactions)
+ * @returns {Object|null} LedgerEntry, or null if the key was already posted
+ */
+async function postTransfer({
+  type,
+  userId,
+  from,
+  to,
+  amount,
+  units = 0,
+  toUnits = units,
+  giftId = null,
+  withdrawalRequestId = null,
+  sellOrderId = null,
+  description = null,
+  idempotencyKey,
+  metadata = {},
+  session = null,
+}) {
+  if (!amount || amount <= 0) {
+    throw new Error("Ledger amount must be a positive number");
+  }
+
+  const entry = {
+    type,
+    userId,
+    amount,
+    postings: [
+      { ...from, direction: "debit", amount, units },
+      { ...to, direction: "credit", amount, units: toUnits },
+    ],
+    giftId,
+    withdrawalRequestId,
+    sellOrderId,
+    description,
+    idempotencyKey,
+    metadata,
+  };
+
+  // Check first - a duplicate key error would abort the caller's transaction
+  if (
+    idempotencyKey &&
+    (await LedgerEntry.exists({ idempotencyKey }).session(session))
+  ) {
+    return null;
+  }
+
+  try {
+    const [ledgerEntry] = await LedgerEntry.create([entry], { session });
+    return ledgerEntry;
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR && idempotencyKey && !session) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/*
+ * Money movements
+ * Each helper records one movement next to the UserHistory change that it
+ * explains - always pass the same session as the balance update
+ */
+
+const recordGiftReceived = ({
+  userId,
+  giftId,
+  amount,
+  type = "gift_received",
+  session,
+}) =>
+  postTransfer({
+    type,
+    userId,
+    from: systemAccount("system_payment_gateway"),
+    to: userAccount("user_unallotted", userId),
+    amount,
+    giftId,
+    description:
+      type === "gift_returned"
+        ? "Unclaimed gift returned to sender"
+        : "Gift received",
+    idempotencyKey: `${type}:${giftId}:${userId}`,
+    session,
+  });
+
+const recordGiftReversed = ({ userId, giftId, amount, session }) =>
+  postTransfer({
+    type: "gift_reversed",
+    userId,
+    from: userAccount("user_unallotted", userId),
+    to: systemAccount("system_payment_gateway"),
+    amount,
+    giftId,
+    description: "Gift cancelled or refunded",
+    idempotencyKey: `gift_reversed:${giftId}:${userId}`,
+    session,
+  });
+
+const recordAllocation = ({
+  userId,
+  giftId,
+  allocationType,
+  amount,
+  quantity,
+  pricePerUnit,
+  session,
+}) =>
+  postTransfer({
+    type: "allocation",
+    userId,
+    from: userAccount("user_unallotted", userId),
+    to: userAccount(ALLOTTED_ACCOUNTS[allocationType], userId),
+    amount,
+    units: quantity,
+    giftId: giftId || null,
+    description: `Allocated to ${allocationType}`,
+    metadata: { allocationType, pricePerUnit },
+    session,
+  });
+
+// Balance a withdrawal is drawn from, by WithdrawalRequest.source
+const withdrawalSourceAccount = (source) =>
+  source === "redemption" ? "user_withdrawable" : "user_unallotted";
+
+const recordWithdrawalHold = ({
+  userId,
+  withdrawalRequestId,
+  amount,
+  source = "event",
+  session,
+}) =>
+  postTransfer({
+    type: "withdrawal_hold",
+    userId,
+    from: userAccount(withdrawalSourceAccount(source), userId),
+    to: userAccount("user_holding", userId),
+    amount,
+    withdrawalRequestId,
+    description: "Withdrawal requested - money on hold",
+    idempotencyKey: `withdrawal_hold:${withdrawalRequestId}`,
+    session,
+  });
+
+const recordWithdrawalRelease = ({
+  userId,
+  withdrawalRequestId,
+  amount,
+  source = "event",
+  session,
+}) =>
+  postTransfer({
+    type: "withdrawal_release",
+    userId,
+    from: userAccount("user_holding", userId),
+    to: userAccount(withdrawalSourceAccount(source), userId),
+    amount,
+    withdrawalRequestId,
+    description: "Withdrawal rejected - hold released",
+    idempotencyKey: `withdrawal_release:${withdrawalRequestId}`,
+    session,
+  });
+
+const recordWithdrawal = ({ userId, withdrawalRequestId, amount, session }) =>
+  postTransfer({
+    type: "withdrawal",
+    userId,
+    from: userAccount("user_holding", userId),
+    to: systemAccount("system_payouts"),
+    amount,
+    withdrawalRequestId,
+    description: "Withdrawal paid out",
+    idempotencyKey: `withdrawal:${withdrawalRequestId}`,
+    session,
+  });
+
+// A paid-out withdrawal the bank sent back
+const recordWithdrawalReversal = ({
+  userId,
+  withdrawalRequestId,
+  amount,
+  source = "event",
+  session,
+}) =>
+  postTransfer({
+    type: "withdrawal_reversed",
+    userId,
+    from: systemAccount("system_payouts"),
+    to: userAccount(withdrawalSourceAccount(source), userId),
+    amount,
+    withdrawalRequestId,
+    description: "Payout reversed - money returned",
+    idempotencyKey: `withdrawal_reversed:${withdrawalRequestId}`,
+    session,
+  });
+
+// Units put up for sale leave the holding at their cost basis
+const recordRedemptionHold = ({ userId, sellOrder, session }) =>
+  postTransfer({
+    type: "redemption_hold",
+    userId,
+    from: userAccount(ALLOTTED_ACCOUNTS[sellOrder.assetType], userId),
+    to: userAccount("user_redeeming", userId),
+    amount: sellOrder.costBasis,
+    units: sellOrder.units,
+    sellOrderId: sellOrder._id,
+    description: `Redemption of ${sellOrder.assetType} requested`,
+    idempotencyKey: `redemption_hold:${sellOrder._id}`,
+    session,
+  });
+
+const recordRedemptionRelease = ({ userId, sellOrder, session }) =>
+  postTransfer({
+    type: "redemption_release",
+    userId,
+    from: userAccount("user_redeeming", userId),
+    to: userAccount(ALLOTTED_ACCOUNTS[sellOrder.assetType], userId),
+    amount: sellOrder.costBasis,
+    units: sellOrder.units,
+    sellOrderId: sellOrder._id,
+    description: "Redemption rejected - units returned",
+    idempotencyKey: `redemption_release:${sellOrder._id}`,
+    session,
+  });
+
+// Units are sold at cost basis, proceeds (cost basis + realised gain) are paid in
+const recordRedemption = async ({ userId, sellOrder, session }) => {
+  const sale = await postTransfer({
+    type: "redemption",
+    userId,
+    from: userAccount("user_redeeming", userId),
+    to: systemAccount("system_market"),
+    amount: sellOrder.costBasis,
+    units: sellOrder.units,
+    sellOrderId: sellOrder._id,
+    description: `Sold ${sellOrder.units} ${sellOrder.assetType} units`,
+    idempotencyKey: `redemption:${sellOrder._id}`,
+    session,
+  });
+  const proceeds = await postTransfer({
+    type: "redemption_proceeds",
+    userId,
+    from: systemAccount("system_market"),
+    to: userAccount("user_withdrawable", userId),
+    amount: sellOrder.amount,
+    sellOrderId: sellOrder._id,
+    description: "Redemption proceeds",
+    metadata: { realisedGain: sellOrder.realisedGain },
+    idempotencyKey: `redemption_proceeds:${sellOrder._id}`,
+    session,
+  });
+  return { sale, proceeds };
+};
+
+// Switched units carry their cost basis from one holding to the other
+const recordSwitch = ({
+  userId,
+  switchId,
+  fromType,
+  toType,
+  costBasis,
+  fromUnits,
+  toUnits,
+  value,
+  conversionRate,
+  session,
+}) =>
+  postTransfer({
+    type: "switch",
+    userId,
+    from: userAccount(ALLOTTED_ACCOUNTS[fromType], userId),
+    to: userAccount(ALLOTTED_ACCOUNTS[toType], userId),
+    amount: costBasis,
+    units: fromUnits,
+    toUnits,
+    description: `Switched ${fromType} to ${toType}`,
+    metadata: { switchId, value, conversionRate },
+    idempotencyKey: `switch:${switchId}`,
+    session,
+  });
+
+// Ledger account behind each UserHistory balance field
+const USER_HISTORY_ACCOUNTS = {
+  unallottedMoney: "user_unallotted",
+  holdingMoney: "user_holding",
+  withdrawableMoney: "user_withdrawable",
+  "allottedMoney.gold": ALLOTTED_ACCOUNTS.gold,
+  "allottedMoney.stock": ALLOTTED_ACCOUNTS.stock,
+};
+
+/**
+ * Record a manual correction of a UserHistory balance
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.field - UserHistory field (see USER_HISTORY_ACCOUNTS)
+ * @param {number} params.amount - Signed amount (positive increases the balance)
+ * @param {string} params.description - Reason for the adjustment
+ * @param {Object} params.metadata - Extra audit data (optional)
+ * @param {Object} params.session - MongoDB session (optional, for transactions)
+ * @returns {Object} LedgerEntry
+ */
+const recordAdjustment = ({
+  userId,
+  field,
+  amount,
+  description,
+  metadata = {},
+  session,
+}) => {
+  const wallet = userAccount(USER_HISTORY_ACCOUNTS[field], userId);
+  const adjustment = systemAccount("system_adjustment");
+  return postTransfer({
+    type: "adjustment",
+    userId,
+    from: amount > 0 ? adjustment : wallet,
+    to: amount > 0 ? wallet : adjustment,
+    amount: Math.abs(amount),
+    description,
+    metadata: { field, ...metadata },
+    session,
+  });
+};
+
+/**
+ * Compute a user's wallet balances from the ledger
+ * This is the projection UserHistory totals are expected to match
+ *
+ * @param {string} userId - User ID
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Object} { unallottedMoney, holdingMoney, withdrawableMoney, allottedMoney, allottedUnits, entryCount }
+ */
+async function getLedgerBalances(userId, session = null) {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: { "postings.userId": userObjectId } },
+    { $unwind: "$postings" },
+    { $match: { "postings.userId": userObjectId } },
+    {
+      $group: {
+        _id: "$postings.account",
+        amount: {
+          $sum: {
+            $cond: [
+              { $eq: ["$postings.direction", "credit"] },
+              "$postings.amount",
+              { $multiply: ["$postings.amount", -1] },
+            ],
+          },
+        },
+        units: {
+          $sum: {
+            $cond: [
+              { $eq: ["$postings.direction", "credit"] },
+              "$postings.units",
+              { $multiply: ["$postings.units", -1] },
+            ],
+          },
+        },
+        entryCount: { $sum: 1 },
+      },
+    },
+  ]).session(session);
+
+  const byAccount = Object.fromEntries(rows.map((row) => [row._id, row]));
+  const amountOf = (account) => roundMoney(byAccount[account]?.amount || 0);
+  const unitsOf = (account) => byAccount[account]?.units || 0;
+
+  return {
+    unallottedMoney: amountOf("user_unallotted"),
+    holdingMoney: amountOf("user_holding"),
+    withdrawableMoney: amountOf("user_withdrawable"),
+    allottedMoney: {
+      gold: amountOf(ALLOTTED_ACCOUNTS.gold),
+      stock: amountOf(ALLOTTED_ACCOUNTS.stock),
+    },
+    allottedUnits: {
+      gold: unitsOf(ALLOTTED_ACCOUNTS.gold),
+      stock: unitsOf(ALLOTTED_ACCOUNTS.stock),
+    },
+    entryCount: rows.reduce((sum, row) => sum + row.entryCount, 0),
+  };
+}
+
+// Difference between the stored UserHistory totals and the ledger projection
+const diffBalances = (userHistory, ledgerBalances) => {
+  const stored = {
+    unallottedMoney: userHistory?.unallottedMoney || 0,
+    holdingMoney: userHistory?.holdingMoney || 0,
+    withdrawableMoney: userHistory?.withdrawableMoney || 0,
+    "allottedMoney.gold": userHistory?.allottedMoney?.gold || 0,
+    "allottedMoney.stock": userHistory?.allottedMoney?.stock || 0,
+  };
+  const projected = {
+    unallottedMoney: ledgerBalances.unallottedMoney,
+    holdingMoney: ledgerBalances.holdingMoney,
+    withdrawableMoney: ledgerBalances.withdrawableMoney,
+    "allottedMoney.gold": ledgerBalances.allottedMoney.gold,
+    "allottedMoney.stock": ledgerBalances.allottedMoney.stock,
+  };
+
+  const differences = {};
+  for (const field of Object.keys(stored)) {
+    const difference = roundMoney(stored[field] - projected[field]);
+    if (difference !== 0) {
+      differences[field] = {
+        stored: stored[field],
+        ledger: projected[field],
+        difference,
+      };
+    }
+  }
+  return differences;
+};
+
+/**
+ * Rebuild a user's UserHistory totals from the ledger
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {boolean} params.apply - Write the projection (false = dry run)
+ * @returns {Object} { balances, differences, applied }
+ */
+async function rebuildUserHistoryFromLedger({ userId, apply = false }) {
+  const userHistory = await UserHistory.findOne({ userId });
+  const balances = await getLedgerBalances(userId);
+  const differences = diffBalances(userHistory, balances);
+
+  const applied = apply && Object.keys(differences).length > 0;
+  if (applied) {
+    await UserHistory.findOneAndUpdate(
+      { userId },
+      {
+        unallottedMoney: balances.unallottedMoney,
+        holdingMoney: balances.holdingMoney,
+        withdrawableMoney: balances.withdrawableMoney,
+        allottedMoney: balances.allottedMoney,
+        allottedUnits: balances.allottedUnits,
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  return { balances, differences, applied };
+}
+
+/**
+ * Post opening balances for wallets that existed before the ledger
+ * Only the part of each UserHistory balance the ledger can't explain is
+ * posted, so movements recorded since the ledger went live aren't counted
+ * twice. Safe to re-run: each account gets a single opening entry
+ *
+ * @returns {Object} { usersProcessed, entriesPosted, errorCount }
+ */
+async function backfillOpeningBalances() {
+  let usersProcessed = 0;
+  let entriesPosted = 0;
+  let errorCount = 0;
+
+  const cursor = UserHistory.find({}).cursor();
+
+  for (
+    let userHistory = await cursor.next();
+    userHistory != null;
+    userHistory = await cursor.next()
+  ) {
+    try {
+      userHistory.ensureAllottedUnits();
+      const userId = userHistory.userId;
+      const ledger = await getLedgerBalances(userId);
+
+      const accounts = [
+        [
+          "user_unallotted",
+          userHistory.unallottedMoney - ledger.unallottedMoney,
+          0,
+        ],
+        ["user_holding", userHistory.holdingMoney - ledger.holdingMoney, 0],
+        [
+          "user_withdrawable",
+          (userHistory.withdrawableMoney || 0) - ledger.withdrawableMoney,
+          0,
+        ],
+        ...Object.entries(ALLOTTED_ACCOUNTS).map(([assetType, account]) => [
+          account,
+          (userHistory.allottedMoney?.[assetType] || 0) -
+            ledger.allottedMoney[assetType],
+          (userHistory.allottedUnits?.[assetType] || 0) -
+            ledger.allottedUnits[assetType],
+        ]),
+      ];
+
+      for (const [account, difference, unitsDifference] of accounts) {
+        const amount = roundMoney(Math.abs(difference));
+        if (amount === 0) continue;
+
+        const opening = systemAccount("system_opening_balance");
+        const wallet = userAccount(account, userId);
+        const entry = await postTransfer({
+          type: "opening_balance",
+          userId,
+          from: difference > 0 ? opening : wallet,
+          to: difference > 0 ? wallet : opening,
+          amount,
+          units: Math.abs(unitsDifference),
+          description: "Balance before ledger was introduced",
+          idempotencyKey: `opening_balance:${userId}:${account}`,
+        });
+        if (entry) entriesPosted++;
+      }
+      usersProcessed++;
+    } catch (error) {
+      console.error(
+        `❌ [Ledger] Error backfilling opening balance for user ${userHistory.userId}:`,
+        error.message
+      );
+      errorCount++;
+    }
+  }
+
+  return { usersProcessed, entriesPosted, errorCount };
+}
+
+module.exports = {
+  postTransfer,
+  recordGiftReceived,
+  recordGiftReversed,
+  recordAllocation,
+  recordWithdrawalHold,
+  recordWithdrawalRelease,
+  recordWithdrawal,
+  recordWithdrawalReversal,
+  recordRedemptionHold,
+  recordRedemptionRelease,
+  recordRedemption,
+  recordSwitch,
+  recordAdjustment,
+  USER_HISTORY_ACCOUNTS,
+  getLedgerBalances,
+  rebuildUserHistoryFromLedger,
+  backfillOpeningBalances,
+};
@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const QRCode = require("qrcode");
+const User = require("../models/user.model");
+const sendOtp = require("../libs/sms/sms");
+const { Uploader } = require("../libs/s3/s3");
+
+const generateOtp = () => {
+  return crypto.randomInt(1000, 9999).toString();
+};
+
+const hashOtp = async (otp) => {
+  const salt = await bcrypt.genSalt(10);
+  return await bcrypt.hash(otp, salt);
+};
+
+const normalizePhoneNumber = (rawNumber) => {
+  if (rawNumber === null || rawNumber === undefined) return null;
+  const digits = String(rawNumber).replace(/\D/g, "");
+  if (digits.length < 10) return null;
+  return digits.slice(-10);
+};
+
+// Generate a user's QR (custom scheme id-based URL) and upload it to S3
+const uploadUserQr = async (user) => {
+  // Use HTTPS link for Universal Links / App Links support
+  // Updated to /usergifting path as requested
+  const url = `https://bahumati.in/usergifting?user=${user._id}`;
+  const pngBuffer = await QRCode.toBuffer(url, { type: "png", width: 512 });
+  const uploader = new Uploader();
+  const keyName = `qr_${user._id}.png`;
+  const publicUrl = await uploader.uploadPublicFile(
+    keyName,
+    pngBuffer,
+    "image/png"
+  );
+  user.qrCodeUrl = publicUrl;
+  await user.save({ validateBeforeSave: false });
+  return user;
+};
+
+// Ensure QR exists for a user and upload to S3 once
+const ensureUserQr = async (user) => {
+  if (!user || user.qrCodeUrl) return user;
+  return uploadUserQr(user);
+};
+
+const startOtpFlowForNumber = async ({ number, fullName }) => {
+  const normalizedNumber = normalizePhoneNumber(number);
+  if (!normalizedNumber) {
+    const err = new Error("A valid 10-digit phone number is required");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  let user = await User.findOne({ number: normalizedNumber });
+
+  const otp = generateOtp();
+  const hashedOtp = await hashOtp(otp);
+  const otpExpires = Date.now() + 10 * 60 * 1000;
+
+  if (!user) {
+    const fallbackName = "";
+    user = await User.create({
+      fullName: fallbackName,
+      number: normalizedNumber,
+      otp: hashedOtp,
+      otpExpires,
+      active: false,
+    });
+  } else {
+    if (fullName && !user.fullName) {
+      user.fullName = fullName.trim();
+    }
+    user.otp = hashedOtp;
+    user.otpExpires = otpExpires;
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await ensureUserQr(user);
+  } catch (e) {
+    console.error("QR generation failed (OTP flow):", e.message);
+  }
+
+  try {
+    await sendOtp(normalizedNumber, otp);
+  } catch (smsError) {
+    console.error("Failed to send OTP:", smsError.message);
+  }
+  return normalizedNumber;
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  uploadUserQr,
+  ensureUserQr,
+  startOtpFlowForNumber,
+};
@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const PaymentEvent = require("../models/PaymentEvent");
+const {
+  handlePaymentCaptured,
+  handlePaymentFailed,
+  handleRefundProcessed,
+  handleRefundFailed,
+} = require("./giftPayment.service");
+const {
+  handleContributionCaptured,
+  handleContributionFailed,
+  handleContributionRefundProcessed,
+  handleContributionRefundFailed,
+} = require("./giftPool.service");
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Webhook event -> handler and the payload entity it works on
+// poolHandler runs first and returns null for payments that are not gift pool
+// contributions
+const EVENT_HANDLERS = {
+  "payment.captured": {
+    entity: "payment",
+    handler: handlePaymentCaptured,
+    poolHandler: handleContributionCaptured,
+  },
+  "payment.failed": {
+    entity: "payment",
+    handler: handlePaymentFailed,
+    poolHandler: handleContributionFailed,
+  },
+  "refund.processed": {
+    entity: "refund",
+    handler: handleRefundProcessed,
+    poolHandler: handleContributionRefundProcessed,
+  },
+  "refund.failed": {
+    entity: "refund",
+    handler: handleRefundFailed,
+    poolHandler: handleContributionRefundFailed,
+  },
+};
+
+/**
+ * Identify a webhook delivery
+ * Razorpay sends the same x-razorpay-event-id on every retry; fall back to a
+ * hash of the signed body when the header is missing
+ *
+ * @param {string} headerEventId - x-razorpay-event-id header
+ * @param {Buffer} rawPayload - Raw request body
+ * @returns {string} Event ID
+ */
+const getWebhookEventId = (headerEventId, rawPayload) =>
+  headerEventId ||
+  `sha256:${crypto.createHash("sha256").update(rawPayload).digest("hex")}`;
+
+/**
+ * Apply a verified Razorpay webhook event exactly once
+ * The event is claimed in the PaymentEvent ledger in the same transaction as the
+ * gift/wallet changes, so a replayed or concurrent delivery can never apply it
+ * twice. Failed events are recorded and re-processed when Razorpay retries
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Webhook event ID (see getWebhookEventId)
+ * @param {Object} params.body - Parsed webhook body
+ * @returns {Object} { status, message, giftId, duplicate }
+ */
+async function processWebhookEvent({ eventId, body }) {
+  const event = body.event;
+  const paymentEntity = body.payload?.payment?.entity;
+  const refundEntity = body.payload?.refund?.entity;
+  const config = EVENT_HANDLERS[event];
+
+  const entity = config
+    ? config.entity === "payment"
+      ? paymentEntity
+      : refundEntity
+    : null;
+  if (config && !entity) {
+    const error = new Error("Invalid webhook payload");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const eventDetails = {
+    event,
+    paymentId: paymentEntity?.id || refundEntity?.payment_id || null,
+    orderId: paymentEntity?.order_id || null,
+    refundId: refundEntity?.id || null,
+    payload: body,
+  };
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let result;
+  try {
+    // Claim the event - only new or previously failed events get through
+    await PaymentEvent.findOneAndUpdate(
+      { eventId, status: "failed" },
+      {
+        $setOnInsert: { eventId, ...eventDetails },
+        $set: { status: "processing", error: null },
+        $inc: { attempts: 1 },
+      },
+      { upsert: true, new: true, session }
+    );
+
+    result = config
+      ? (await config.poolHandler(entity, session)) ||
+        (await config.handler(entity, session))
+      : { status: "ignored", message: `Ignored ${event} event` };
+
+    await PaymentEvent.updateOne(
+      { eventId },
+      {
+        status: result.status === "ignored" ? "ignored" : "processed",
+        message: result.message,
+        giftId: result.giftId || null,
+        processedAt: new Date(),
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+
+    if (error.code === DUPLICATE_KEY_ERROR && error.keyPattern?.eventId) {
+      // Already processed (or being processed) - acknowledge without re-applying
+      const existing = await PaymentEvent.findOne({ eventId }).select(
+        "status message giftId"
+      );
+      return {
+        status: existing?.status || "processing",
+        message: existing?.message || "Event already received",
+        giftId: existing?.giftId || null,
+        duplicate: true,
+      };
+    }
+
+    await recordFailedEvent(eventId, eventDetails, error);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // Side effects (refund calls, sockets, push) only once the changes are durable
+  if (result.afterCommit) {
+    try {
+      await result.afterCommit();
+    } catch (sideEffectError) {
+      console.error(
+        `⚠️ Post-processing failed for webhook event ${eventId}:`,
+        sideEffectError.message
+      );
+    }
+  }
+
+  return {
+    status: result.status,
+    message: result.message,
+    giftId: result.giftId || null,
+    duplicate: false,
+  };
+}
+
+// Record a failed attempt outside the aborted transaction
+const recordFailedEvent = async (eventId, eventDetails, error) => {
+  try {
+    await PaymentEvent.findOneAndUpdate(
+      { eventId, status: { $in: ["processing", "failed"] } },
+      {
+        $setOnInsert: { eventId, ...eventDetails },
+        $set: { status: "failed", error: error.message },
+        $inc: { attempts: 1 },
+      },
+      { upsert: true }
+    );
+  } catch (recordError) {
+    // A concurrent delivery processed the event in the meantime
+    if (recordError.code !== DUPLICATE_KEY_ERROR) {
+      console.error(
+        `❌ Could not record failed webhook event ${eventId}:`,
+        recordError.message
+      );
+    }
+  }
+};
+
+module.exports = {
+  getWebhookEventId,
+  processWebhookEvent,
+};
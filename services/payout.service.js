@@ -0,0 +1,556 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const UserHistory = require("../models/UserHistory");
+const WithdrawalRequest = require("../models/WithdrawalRequest");
+const PayoutBeneficiary = require("../models/PayoutBeneficiary");
+const Payout = require("../models/Payout");
+const { getPayoutProvider } = require("../libs/payouts/provider");
+const {
+  recordWithdrawal,
+  recordWithdrawalRelease,
+  recordWithdrawalReversal,
+} = require("./ledger.service");
+const {
+  getPayableBeneficiary,
+  applyVerificationResult,
+} = require("./payoutBeneficiary.service");
+const { releaseGiftDrawdowns } = require("./withdrawalPolicy.service");
+const { sendPayoutNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+
+// Allowed payout status changes - failed and reversed are final
+const PAYOUT_TRANSITIONS = {
+  queued: ["processing", "paid", "failed"],
+  processing: ["paid", "failed", "reversed"],
+  paid: ["reversed"],
+  failed: [],
+  reversed: [],
+};
+
+// Submissions of a queued payout before it is failed and the money returned
+const MAX_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS || "5");
+
+// Wait between two submissions of the same payout
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// A submission started this recently may still be waiting for the provider
+const SUBMISSION_WINDOW_MS = 60 * 1000;
+
+// UserHistory balance a withdrawal is drawn from, by WithdrawalRequest.source
+const sourceBalance = (source) =>
+  source === "redemption" ? "withdrawableMoney" : "unallottedMoney";
+
+/**
+ * Queue the payout of an approved withdrawal request to the user's default
+ * beneficiary. It is held until the beneficiary's cooling-off period is over
+ * Call inside the approval transaction; submit it with submitPayout after
+ * the commit
+ *
+ * @param {Object} params
+ * @param {Object} params.request - WithdrawalRequest document (not saved here)
+ * @param {Object} params.session - MongoDB session
+ * @returns {Object} Payout
+ */
+async function createPayoutForWithdrawal({ request, session }) {
+  const beneficiary = await getPayableBeneficiary({
+    userId: request.userId,
+    session,
+  });
+  const notBefore =
+    beneficiary.coolingOffUntil > new Date()
+      ? beneficiary.coolingOffUntil
+      : null;
+
+  const [payout] = await Payout.create(
+    [
+      {
+        withdrawalRequestId: request._id,
+        userId: request.userId,
+        beneficiaryId: beneficiary._id,
+        amount: request.amount,
+        provider: beneficiary.provider || getPayoutProvider().name,
+        notBefore,
+        history: [{ status: "queued", source: "system" }],
+      },
+    ],
+    { session }
+  );
+
+  request.payoutId = payout._id;
+  request.payoutStatus = payout.status;
+  return payout;
+}
+
+/**
+ * Send a queued payout to the provider
+ * Failed submissions are retried by the payout cron; after MAX_ATTEMPTS the
+ * payout fails and the money goes back to the user, unless the provider
+ * reports it received the payout after all. A payout whose beneficiary was
+ * removed before it was sent fails too
+ *
+ * @param {string} payoutId - Payout ID
+ * @returns {Object|null} Updated payout, or null if it was not due
+ */
+async function submitPayout(payoutId) {
+  const now = new Date();
+  const payout = await Payout.findOneAndUpdate(
+    {
+      _id: payoutId,
+      status: "queued",
+      providerPayoutId: null,
+      $and: [
+        { $or: [{ notBefore: null }, { notBefore: { $lte: now } }] },
+        {
+          $or: [
+            { lastAttemptAt: null },
+            {
+              lastAttemptAt: { $lte: new Date(now.getTime() - RETRY_DELAY_MS) },
+            },
+          ],
+        },
+      ],
+    },
+    { $inc: { attempts: 1 }, $set: { lastAttemptAt: now } },
+    { new: true }
+  );
+  if (!payout) return null;
+
+  const beneficiary = await PayoutBeneficiary.findById(payout.beneficiaryId);
+  if (beneficiary.removedAt) {
+    return transitionPayout({
+      payoutId: payout._id,
+      status: "failed",
+      source: "system",
+      failureReason: "Beneficiary was removed",
+    });
+  }
+
+  const provider = getPayoutProvider();
+
+  let result;
+  try {
+    result = await provider.createPayout({ payout, beneficiary });
+  } catch (error) {
+    console.error(
+      `❌ Payout ${payout._id} submission ${payout.attempts} failed:`,
+      error.message
+    );
+    if (payout.attempts < MAX_ATTEMPTS) {
+      return payout;
+    }
+
+    // A submission that timed out may still have reached the provider - only
+    // fail the payout (and return the money) if it has no payout for our
+    // reference
+    try {
+      result = await provider.findPayout({ payout });
+    } catch (lookupError) {
+      console.error(
+        `❌ Payout ${payout._id} status lookup failed, retrying later:`,
+        lookupError.message
+      );
+      return payout;
+    }
+    if (!result) {
+      return transitionPayout({
+        payoutId: payout._id,
+        status: "failed",
+        source: "system",
+        failureReason: error.message,
+      });
+    }
+  }
+
+  await Payout.updateOne(
+    { _id: payout._id },
+    { $set: { providerPayoutId: result.providerPayoutId } }
+  );
+  console.log(
+    `💸 Payout ${payout._id} submitted as ${result.providerPayoutId} (${result.status})`
+  );
+
+  if (result.status === "queued") {
+    return Payout.findById(payout._id);
+  }
+  return transitionPayout({
+    payoutId: payout._id,
+    status: result.status,
+    source: "api",
+    utr: result.utr,
+    failureReason: result.failureReason,
+  });
+}
+
+/**
+ * Stop a payout that has not reached the provider yet (e.g. its event was
+ * cancelled) - it fails and the money goes back to the user
+ *
+ * @param {Object} params
+ * @param {string} params.payoutId - Payout ID
+ * @param {string} params.reason - Failure reason shown to the user
+ * @returns {Object|null} Failed payout, or null if it may already be sent
+ */
+async function cancelQueuedPayout({ payoutId, reason }) {
+  const now = new Date();
+  // Claimed like a submission, so the payout cron doesn't send it meanwhile
+  const payout = await Payout.findOneAndUpdate(
+    {
+      _id: payoutId,
+      status: "queued",
+      providerPayoutId: null,
+      $or: [
+        { lastAttemptAt: null },
+        {
+          lastAttemptAt: {
+            $lte: new Date(now.getTime() - SUBMISSION_WINDOW_MS),
+          },
+        },
+      ],
+    },
+    { $set: { lastAttemptAt: now } },
+    { new: true }
+  );
+  if (!payout) return null;
+
+  // A failed submission may still have reached the provider
+  if (
+    payout.attempts > 0 &&
+    (await getPayoutProvider().findPayout({ payout }))
+  ) {
+    return null;
+  }
+
+  return transitionPayout({
+    payoutId: payout._id,
+    status: "failed",
+    source: "system",
+    failureReason: reason,
+  });
+}
+
+/**
+ * Move a payout to a new status and settle the money held for it
+ * - paid: the hold leaves the user's wallet (recorded as the withdrawal)
+ * - failed, or reversed before it was paid: the hold is released
+ * - reversed after it was paid: the paid amount is credited back
+ * Returned money goes back to where the withdrawal came from (unallotted
+ * money for event withdrawals, withdrawable money for redemptions), and to
+ * the gifts it was drawn from
+ *
+ * @param {Object} params
+ * @param {string} params.payoutId - Payout ID
+ * @param {string} params.status - New status
+ * @param {string} params.source - "api", "webhook" or "system"
+ * @param {string} params.eventId - Provider webhook event ID (optional)
+ * @param {string} params.utr - Bank reference (optional)
+ * @param {string} params.failureReason - Why it failed (optional)
+ * @returns {Object|null} Updated payout, or null if the change isn't allowed
+ */
+async function transitionPayout({
+  payoutId,
+  status,
+  source,
+  eventId = null,
+  utr = null,
+  failureReason = null,
+}) {
+  const current = await Payout.findById(payoutId);
+  if (!current || !PAYOUT_TRANSITIONS[current.status]?.includes(status)) {
+    return null;
+  }
+
+  const now = new Date();
+  const update = {
+    $set: { status },
+    $push: {
+      history: { status, at: now, source, eventId, note: failureReason },
+    },
+  };
+  if (utr) update.$set.utr = utr;
+  if (status === "paid") update.$set.paidAt = now;
+  if (status === "failed") {
+    update.$set.failedAt = now;
+    update.$set.failureReason = failureReason;
+  }
+  if (status === "reversed") {
+    update.$set.reversedAt = now;
+    update.$set.failureReason = failureReason;
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let payout;
+  let request;
+  try {
+    payout = await Payout.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      update,
+      { new: true, session }
+    );
+    if (!payout) {
+      // Changed by a concurrent webhook - it handled the money
+      await session.abortTransaction();
+      return null;
+    }
+
+    request = await WithdrawalRequest.findById(
+      payout.withdrawalRequestId
+    ).session(session);
+    const moneyUpdate = {
+      userId: request.userId,
+      withdrawalRequestId: request._id,
+      amount: request.amount,
+      source: request.source,
+      session,
+    };
+
+    if (status === "paid") {
+      await takeHeldMoney(request, {}, session);
+      await recordWithdrawal(moneyUpdate);
+      request.moneyState = "withdrawn";
+    } else if (status === "reversed" && current.status === "paid") {
+      await UserHistory.updateOne(
+        { userId: request.userId },
+        { $inc: { [sourceBalance(request.source)]: request.amount } },
+        { session }
+      );
+      await recordWithdrawalReversal(moneyUpdate);
+      await releaseGiftDrawdowns({ request, session });
+      request.moneyState = "alloting";
+    } else if (status === "failed" || status === "reversed") {
+      await takeHeldMoney(
+        request,
+        { [sourceBalance(request.source)]: request.amount },
+        session
+      );
+      await recordWithdrawalRelease(moneyUpdate);
+      await releaseGiftDrawdowns({ request, session });
+      request.moneyState = "alloting";
+    }
+
+    request.payoutStatus = status;
+    await request.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(
+    `💸 Payout ${payout._id}: ${current.status} -> ${status} (${source})`
+  );
+  await notifyPayoutUpdated(payout, request);
+
+  return payout;
+}
+
+// Remove a withdrawal's hold from the user's holding money, crediting `inc`
+async function takeHeldMoney(request, inc, session) {
+  const result = await UserHistory.updateOne(
+    { userId: request.userId, holdingMoney: { $gte: request.amount } },
+    { $inc: { holdingMoney: -request.amount, ...inc } },
+    { session }
+  );
+  if (!result.modifiedCount) {
+    throw new Error(
+      `Insufficient holding money for withdrawal ${request._id}. This should not happen.`
+    );
+  }
+}
+
+// Socket + FCM notification when a payout is paid, failed or reversed
+async function notifyPayoutUpdated(payout, request) {
+  emitToUser(payout.userId, "payoutUpdated", {
+    payoutId: payout._id,
+    withdrawalRequestId: request._id,
+    status: payout.status,
+    amount: payout.amount,
+    utr: payout.utr,
+    failureReason: payout.failureReason,
+  });
+
+  if (!["paid", "failed", "reversed"].includes(payout.status)) return;
+  try {
+    const user = await User.findById(payout.userId).select("fcmToken");
+    if (user) {
+      await sendPayoutNotification(user.fcmToken, payout, {
+        userId: user._id,
+      });
+    }
+  } catch (notificationError) {
+    console.error(
+      "❌ Error sending payout notification:",
+      notificationError.message
+    );
+  }
+}
+
+/**
+ * Handle a payout provider webhook - payout status changes and penny-drop
+ * results. Redelivered events are skipped
+ *
+ * @param {Object} params
+ * @param {Object} params.headers - Request headers
+ * @param {Buffer} params.rawBody - Raw request body
+ * @returns {Object} { status, message }
+ */
+async function processPayoutWebhook({ headers, rawBody }) {
+  const event = getPayoutProvider().parseWebhook({ headers, rawBody });
+  if (!event) {
+    return { status: "ignored", message: "Event not handled" };
+  }
+
+  if (event.kind === "validation") {
+    const beneficiary = await applyVerificationResult({
+      referenceId: event.referenceId,
+      result: event,
+    });
+    if (!beneficiary) {
+      return { status: "ignored", message: "Unknown validation" };
+    }
+    return {
+      status: "processed",
+      message: `Beneficiary ${beneficiary._id} is ${beneficiary.status}`,
+    };
+  }
+
+  // The webhook can arrive before the submission response was saved
+  const payout = await Payout.findOne({
+    $or: [
+      { providerPayoutId: event.providerPayoutId },
+      ...(mongoose.Types.ObjectId.isValid(event.referenceId)
+        ? [{ _id: event.referenceId }]
+        : []),
+    ],
+  });
+  if (!payout) {
+    return { status: "ignored", message: "Unknown payout" };
+  }
+  if (payout.history.some((entry) => entry.eventId === event.eventId)) {
+    return { status: "duplicate", message: "Event already processed" };
+  }
+  if (!payout.providerPayoutId && event.providerPayoutId) {
+    await Payout.updateOne(
+      { _id: payout._id, providerPayoutId: null },
+      { $set: { providerPayoutId: event.providerPayoutId } }
+    );
+  }
+  if (!event.status || event.status === payout.status) {
+    return { status: "ignored", message: `Payout is ${payout.status}` };
+  }
+
+  const updated = await transitionPayout({
+    payoutId: payout._id,
+    status: event.status,
+    source: "webhook",
+    eventId: event.eventId,
+    utr: event.utr,
+    failureReason: event.failureReason,
+  });
+  return updated
+    ? {
+        status: "processed",
+        message: `Payout ${payout._id} is ${event.status}`,
+      }
+    : {
+        status: "ignored",
+        message: `Payout can't move from ${payout.status} to ${event.status}`,
+      };
+}
+
+/**
+ * Submit queued payouts whose cooling-off period is over or whose last
+ * submission failed
+ *
+ * @returns {Object} { submittedCount, errorCount }
+ */
+async function retryQueuedPayouts() {
+  const now = new Date();
+  const payouts = await Payout.find({
+    status: "queued",
+    providerPayoutId: null,
+    $and: [
+      { $or: [{ notBefore: null }, { notBefore: { $lte: now } }] },
+      {
+        $or: [
+          { lastAttemptAt: null },
+          {
+            lastAttemptAt: { $lte: new Date(now.getTime() - RETRY_DELAY_MS) },
+          },
+        ],
+      },
+    ],
+  }).select("_id");
+
+  let submittedCount = 0;
+  let errorCount = 0;
+  for (const { _id } of payouts) {
+    try {
+      const payout = await submitPayout(_id);
+      if (payout && (payout.providerPayoutId || payout.status !== "queued")) {
+        submittedCount++;
+      }
+    } catch (error) {
+      errorCount++;
+      console.error(`❌ Failed to submit payout ${_id}:`, error.message);
+    }
+  }
+
+  return { submittedCount, errorCount };
+}
+
+/**
+ * Payouts, newest first (a user's own, or all for admins)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Only this user's payouts (optional)
+ * @param {string} params.status - Filter by status (optional)
+ * @param {number} params.page - Page number (default 1)
+ * @param {number} params.limit - Page size (default 20, max 100)
+ * @returns {Object} { payouts, pagination }
+ */
+async function listPayouts({ userId, status, page = 1, limit = 20 }) {
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const filter = {};
+  if (userId) filter.userId = userId;
+  if (status) filter.status = status;
+
+  const [payouts, total] = await Promise.all([
+    Payout.find(filter)
+      .populate(
+        "beneficiaryId",
+        "type name accountNumberLast4 ifsc vpa status removedAt"
+      )
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Payout.countDocuments(filter),
+  ]);
+
+  return {
+    payouts,
+    pagination: {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+module.exports = {
+  PAYOUT_TRANSITIONS,
+  createPayoutForWithdrawal,
+  submitPayout,
+  cancelQueuedPayout,
+  transitionPayout,
+  processPayoutWebhook,
+  retryQueuedPayouts,
+  listPayouts,
+};
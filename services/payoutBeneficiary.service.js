@@ -0,0 +1,451 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const Kyc = require("../models/Kyc");
+const PayoutBeneficiary = require("../models/PayoutBeneficiary");
+const Payout = require("../models/Payout");
+const { getPayoutProvider } = require("../libs/payouts/provider");
+const { encrypt, decrypt } = require("../utils/crypto.util");
+const { sendBeneficiaryNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+
+// A new or newly made default beneficiary can't be paid before this is over
+const COOLING_OFF_HOURS = parseInt(
+  process.env.BENEFICIARY_COOLING_OFF_HOURS || "24"
+);
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+const VPA_PATTERN = /^[a-z0-9._-]{2,256}@[a-z]{2,64}$/;
+
+// Ignored when comparing names
+const HONORIFICS = ["MR", "MRS", "MS", "MISS", "DR", "SHRI", "SMT", "KUM"];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const coolingOffEnd = () =>
+  new Date(Date.now() + COOLING_OFF_HOURS * 60 * 60 * 1000);
+
+// Keyed hash of an account, so duplicates can be found without decrypting
+const fingerprintOf = (value) =>
+  crypto
+    .createHmac("sha256", process.env.ENCRYPTION_KEY || "")
+    .update(value)
+    .digest("hex");
+
+const nameTokens = (name) =>
+  String(name || "")
+    .toUpperCase()
+    .replace(/[^A-Z\s]/g, " ")
+    .split(/\s+/)
+    .filter((token) => token && !HONORIFICS.includes(token));
+
+/**
+ * Whether two names belong to the same person
+ * Every word of the shorter name must appear in the longer one, in any order;
+ * an initial matches a word starting with it, and at least one full word
+ * has to match
+ */
+function namesMatch(first, second) {
+  const [shorter, longer] = [nameTokens(first), nameTokens(second)].sort(
+    (a, b) => a.length - b.length
+  );
+  if (!shorter.length) return false;
+
+  const unused = [...longer];
+  let fullWordMatched = false;
+  for (const token of shorter) {
+    let index = unused.indexOf(token);
+    if (index !== -1) {
+      if (token.length > 1) fullWordMatched = true;
+    } else {
+      index = unused.findIndex(
+        (other) =>
+          (token.length === 1 || other.length === 1) && other[0] === token[0]
+      );
+    }
+    if (index === -1) return false;
+    unused.splice(index, 1);
+  }
+  return fullWordMatched;
+}
+
+// Match the beneficiary against the user's approved KYC (not saved)
+async function checkNameMatch(beneficiary) {
+  const kyc = await Kyc.findOne({ user: beneficiary.userId }).select(
+    "status fullName"
+  );
+
+  const nameMatch = {
+    status: "pending",
+    kycName: null,
+    reason: null,
+    checkedAt: new Date(),
+  };
+  if (!kyc || kyc.status !== "approved") {
+    nameMatch.reason = "KYC is not approved yet";
+  } else if (!kyc.fullName) {
+    nameMatch.reason = "KYC record has no name";
+  } else {
+    nameMatch.kycName = kyc.fullName;
+    // The bank's name for the account counts more than the entered one
+    const names = [beneficiary.name, beneficiary.registeredName].filter(
+      Boolean
+    );
+    const mismatched = names.find((name) => !namesMatch(name, kyc.fullName));
+    nameMatch.status = mismatched ? "mismatch" : "matched";
+    nameMatch.reason = mismatched
+      ? `"${mismatched}" does not match the name on your KYC`
+      : null;
+  }
+
+  beneficiary.nameMatch = nameMatch;
+}
+
+// Record a penny-drop result on the beneficiary (not saved)
+function applyVerification(beneficiary, result) {
+  beneficiary.status = result.status;
+  beneficiary.registeredName = result.registeredName || null;
+  beneficiary.failureReason = result.failureReason || null;
+  if (result.status === "verified") {
+    beneficiary.verifiedAt = new Date();
+  }
+}
+
+// Register the account with the payout provider and start a penny-drop (not saved)
+async function runPennyDrop(beneficiary) {
+  const provider = getPayoutProvider();
+  beneficiary.provider = provider.name;
+  try {
+    const user = await User.findById(beneficiary.userId).select("number");
+    const result = await provider.verifyAccount({
+      beneficiary,
+      accountNumber: beneficiary.accountNumber
+        ? decrypt(beneficiary.accountNumber)
+        : null,
+      user,
+    });
+    beneficiary.providerAccountId = result.providerAccountId;
+    beneficiary.verificationReferenceId = result.referenceId;
+    applyVerification(beneficiary, result);
+  } catch (error) {
+    console.error(
+      `❌ Penny-drop failed for beneficiary ${beneficiary._id}:`,
+      error.message
+    );
+    beneficiary.status = "failed";
+    beneficiary.failureReason = error.message;
+  }
+}
+
+// Socket + FCM notification of a beneficiary change; failures are only logged
+async function notifyBeneficiaryChanged(beneficiary, action) {
+  emitToUser(beneficiary.userId, "beneficiaryUpdated", {
+    action,
+    beneficiary: beneficiary.toJSON(),
+  });
+
+  try {
+    const user = await User.findById(beneficiary.userId).select("fcmToken");
+    if (user) {
+      await sendBeneficiaryNotification(user.fcmToken, beneficiary, action, {
+        userId: user._id,
+      });
+    }
+  } catch (notificationError) {
+    console.error(
+      `❌ Error sending beneficiary ${action} notification:`,
+      notificationError.message
+    );
+  }
+}
+
+async function findOwnBeneficiary(userId, beneficiaryId) {
+  const beneficiary = mongoose.Types.ObjectId.isValid(beneficiaryId)
+    ? await PayoutBeneficiary.findOne({
+        _id: beneficiaryId,
+        userId,
+        removedAt: null,
+      })
+    : null;
+  if (!beneficiary) {
+    throw createError("Beneficiary not found", 404);
+  }
+  return beneficiary;
+}
+
+/**
+ * Add a bank account or UPI VPA for payouts, verify it with a penny-drop and
+ * match its name against the user's KYC
+ * The provider may only confirm the penny-drop later by webhook, in which case
+ * the beneficiary stays "pending" until then. The user's first beneficiary
+ * becomes the default; either way it can't be paid for COOLING_OFF_HOURS
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Current user ID
+ * @param {string} params.type - "bank_account" or "vpa"
+ * @param {string} params.name - Account holder name
+ * @param {string} params.accountNumber - Bank account number (bank_account)
+ * @param {string} params.ifsc - Branch IFSC (bank_account)
+ * @param {string} params.vpa - UPI ID (vpa)
+ * @returns {Object} PayoutBeneficiary
+ */
+async function addBeneficiary({
+  userId,
+  type,
+  name,
+  accountNumber,
+  ifsc,
+  vpa,
+}) {
+  const holderName = name ? String(name).trim() : "";
+  if (!holderName) {
+    throw createError("name is required", 400);
+  }
+
+  const fields = { userId, type, name: holderName };
+  if (type === "bank_account") {
+    const number = String(accountNumber || "").replace(/\s+/g, "");
+    const code = String(ifsc || "")
+      .trim()
+      .toUpperCase();
+    if (!ACCOUNT_NUMBER_PATTERN.test(number)) {
+      throw createError("A valid bank account number is required", 400);
+    }
+    if (!IFSC_PATTERN.test(code)) {
+      throw createError("A valid IFSC is required", 400);
+    }
+    fields.accountNumber = encrypt(number);
+    fields.accountNumberLast4 = number.slice(-4);
+    fields.ifsc = code;
+    fields.fingerprint = fingerprintOf(`bank_account:${code}:${number}`);
+  } else if (type === "vpa") {
+    const address = String(vpa || "")
+      .trim()
+      .toLowerCase();
+    if (!VPA_PATTERN.test(address)) {
+      throw createError("A valid UPI ID is required", 400);
+    }
+    fields.vpa = address;
+    fields.fingerprint = fingerprintOf(`vpa:${address}`);
+  } else {
+    throw createError("type must be either 'bank_account' or 'vpa'", 400);
+  }
+
+  const existing = await PayoutBeneficiary.find({
+    userId,
+    removedAt: null,
+  }).select("fingerprint");
+  if (existing.some((other) => other.fingerprint === fields.fingerprint)) {
+    throw createError("This account has already been added", 409);
+  }
+
+  const beneficiary = await PayoutBeneficiary.create({
+    ...fields,
+    isDefault: existing.length === 0,
+    coolingOffUntil: coolingOffEnd(),
+  });
+
+  await runPennyDrop(beneficiary);
+  await checkNameMatch(beneficiary);
+  await beneficiary.save();
+
+  console.log(
+    `🏦 Beneficiary ${beneficiary._id} added for user ${userId} (${beneficiary.status}, name ${beneficiary.nameMatch.status})`
+  );
+  await notifyBeneficiaryChanged(beneficiary, "added");
+
+  return beneficiary;
+}
+
+/**
+ * Payout beneficiaries of a user, the default first
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @returns {Array} PayoutBeneficiary documents
+ */
+async function listBeneficiaries({ userId }) {
+  return PayoutBeneficiary.find({ userId, removedAt: null }).sort({
+    isDefault: -1,
+    createdAt: -1,
+  });
+}
+
+/**
+ * Verify a beneficiary again - retries a failed penny-drop and redoes the KYC
+ * name match (e.g. after the KYC was approved)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Current user ID (must own it)
+ * @param {string} params.beneficiaryId - PayoutBeneficiary ID
+ * @returns {Object} PayoutBeneficiary
+ */
+async function verifyBeneficiary({ userId, beneficiaryId }) {
+  const beneficiary = await findOwnBeneficiary(userId, beneficiaryId);
+
+  // A pending penny-drop is still waiting for the provider's webhook
+  if (
+    beneficiary.status === "failed" ||
+    (beneficiary.status === "pending" && !beneficiary.verificationReferenceId)
+  ) {
+    await runPennyDrop(beneficiary);
+  }
+  await checkNameMatch(beneficiary);
+  await beneficiary.save();
+
+  return beneficiary;
+}
+
+/**
+ * Make a beneficiary the one withdrawals are paid to
+ * One that was never paid before starts a new cooling-off period
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Current user ID (must own it)
+ * @param {string} params.beneficiaryId - PayoutBeneficiary ID
+ * @returns {Object} PayoutBeneficiary
+ */
+async function setDefaultBeneficiary({ userId, beneficiaryId }) {
+  const beneficiary = await findOwnBeneficiary(userId, beneficiaryId);
+  if (beneficiary.isDefault) return beneficiary;
+
+  const paidBefore = await Payout.exists({
+    beneficiaryId: beneficiary._id,
+    status: "paid",
+  });
+
+  await PayoutBeneficiary.updateMany(
+    { userId, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+  beneficiary.isDefault = true;
+  if (!paidBefore) {
+    beneficiary.coolingOffUntil = coolingOffEnd();
+  }
+  await beneficiary.save();
+
+  console.log(`🏦 Beneficiary ${beneficiary._id} is now the default`);
+  await notifyBeneficiaryChanged(beneficiary, "default");
+
+  return beneficiary;
+}
+
+/**
+ * Remove a beneficiary
+ * It is kept (hidden) for the payouts that reference it; payouts to it that
+ * weren't sent yet fail and return the money
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Current user ID (must own it)
+ * @param {string} params.beneficiaryId - PayoutBeneficiary ID
+ * @returns {Object} PayoutBeneficiary
+ */
+async function removeBeneficiary({ userId, beneficiaryId }) {
+  const beneficiary = await findOwnBeneficiary(userId, beneficiaryId);
+
+  beneficiary.removedAt = new Date();
+  beneficiary.isDefault = false;
+  await beneficiary.save();
+
+  console.log(`🏦 Beneficiary ${beneficiary._id} removed`);
+  await notifyBeneficiaryChanged(beneficiary, "removed");
+
+  return beneficiary;
+}
+
+/**
+ * Apply a penny-drop result delivered by the provider's webhook
+ *
+ * @param {Object} params
+ * @param {string} params.referenceId - Provider's penny-drop ID
+ * @param {Object} params.result - { status, registeredName, failureReason }
+ * @returns {Object|null} PayoutBeneficiary, or null if it is unknown
+ */
+async function applyVerificationResult({ referenceId, result }) {
+  const beneficiary = await PayoutBeneficiary.findOne({
+    verificationReferenceId: referenceId,
+  });
+  if (!beneficiary) return null;
+
+  if (beneficiary.status === "pending" && result.status !== "pending") {
+    applyVerification(beneficiary, result);
+    await checkNameMatch(beneficiary);
+    await beneficiary.save();
+  }
+  return beneficiary;
+}
+
+/**
+ * Redo the KYC name match of a user's beneficiaries, e.g. once their KYC is
+ * approved
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @returns {number} Beneficiaries checked
+ */
+async function refreshNameMatches({ userId }) {
+  const beneficiaries = await PayoutBeneficiary.find({
+    userId,
+    removedAt: null,
+  });
+  for (const beneficiary of beneficiaries) {
+    await checkNameMatch(beneficiary);
+    await beneficiary.save();
+  }
+  return beneficiaries.length;
+}
+
+/**
+ * The beneficiary a user's withdrawals are paid to - their default one, once
+ * it is verified and matches their KYC
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {Object} params.session - MongoDB session (optional)
+ * @returns {Object} PayoutBeneficiary
+ */
+async function getPayableBeneficiary({ userId, session = null }) {
+  const beneficiary = await PayoutBeneficiary.findOne({
+    userId,
+    isDefault: true,
+    removedAt: null,
+  }).session(session);
+  if (!beneficiary) {
+    throw createError(
+      "The user has no default bank account or UPI ID to pay out to",
+      400
+    );
+  }
+  if (beneficiary.status !== "verified") {
+    throw createError(
+      "The user's default bank account or UPI ID is not verified",
+      400
+    );
+  }
+  if (beneficiary.nameMatch?.status !== "matched") {
+    throw createError(
+      beneficiary.nameMatch?.reason ||
+        "The user's default bank account or UPI ID does not match their KYC",
+      400
+    );
+  }
+  return beneficiary;
+}
+
+module.exports = {
+  COOLING_OFF_HOURS,
+  namesMatch,
+  addBeneficiary,
+  listBeneficiaries,
+  verifyBeneficiary,
+  setDefaultBeneficiary,
+  removeBeneficiary,
+  applyVerificationResult,
+  refreshNameMatches,
+  getPayableBeneficiary,
+};
@@ -0,0 +1,27 @@
+const cron = require("node-cron");
+const { retryQueuedPayouts } = require("./payout.service");
+
+const DEFAULT_PAYOUT_CRON = "*/5 * * * *"; // Every 5 minutes
+
+const startPayoutCron = () => {
+  const schedule = process.env.PAYOUT_CRON || DEFAULT_PAYOUT_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      const { submittedCount, errorCount } = await retryQueuedPayouts();
+
+      // Runs every few minutes - only log when something happened
+      if (submittedCount || errorCount) {
+        console.log(
+          `✅ [Payout Cron] Completed: ${submittedCount} payouts submitted, ${errorCount} errors`
+        );
+      }
+    } catch (error) {
+      console.error("❌ [Payout Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(`✅ [Payout Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startPayoutCron };
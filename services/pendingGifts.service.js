@@ -126,6 +126,12 @@ const processPendingGiftsForUser = async (userId, phoneNumber) => {
           console.log(`⚠️ Gift ${giftEntry.giftId} not found, skipping`);
           continue;
         }
+        if (["payment_pending", "cancelled"].includes(gift.status)) {
+          console.log(
+            `⚠️ Gift ${giftEntry.giftId} is ${gift.status}, skipping`
+          );
+          continue;
+        }
 
         // Gift should already have receiverId = userId from Step 1
         const giftSenderId = giftEntry.senderId;
@@ -0,0 +1,27 @@
+const cron = require("node-cron");
+const { snapshotAllPortfolios } = require("./portfolioValuation.service");
+
+const DEFAULT_PORTFOLIO_SNAPSHOT_CRON = "55 23 * * *"; // Every night at 23:55
+
+const startPortfolioSnapshotCron = () => {
+  const schedule =
+    process.env.PORTFOLIO_SNAPSHOT_CRON || DEFAULT_PORTFOLIO_SNAPSHOT_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      console.log("🔄 [Portfolio Snapshot Cron] Starting nightly snapshot...");
+
+      const { snapshotCount, errorCount } = await snapshotAllPortfolios();
+
+      console.log(
+        `✅ [Portfolio Snapshot Cron] Completed: ${snapshotCount} snapshots, ${errorCount} errors`
+      );
+    } catch (error) {
+      console.error("❌ [Portfolio Snapshot Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(`✅ [Portfolio Snapshot Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startPortfolioSnapshotCron };
@@ -0,0 +1,213 @@
+const UserHistory = require("../models/UserHistory");
+const PortfolioSnapshot = require("../models/PortfolioSnapshot");
+const {
+  getLatestPrices,
+  getPreviousClosePrice,
+} = require("./priceFeed.service");
+
+const ASSET_TYPES = ["gold", "stock"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Format a percentage as "+1.23%" / "-0.50%"
+const formatPercentage = (percentage) =>
+  `${percentage >= 0 ? "+" : ""}${percentage.toFixed(2)}%`;
+
+const buildChange = (changeAmount, baseValue) => {
+  const percentage = baseValue > 0 ? (changeAmount / baseValue) * 100 : 0;
+  return {
+    changeAmount: changeAmount,
+    percentage: percentage,
+    change: formatPercentage(percentage),
+  };
+};
+
+/**
+ * Value a user's holdings at the given prices
+ *
+ * @param {Object} userHistory - UserHistory document (allottedUnits backfilled)
+ * @param {Object} prices - { gold: number|null, stock: number|null }
+ * @returns {Object} { gold, stock, totalValue, totalInvested }
+ */
+const valueHoldings = (userHistory, prices) => {
+  const valuation = { totalValue: 0, totalInvested: 0 };
+
+  for (const assetType of ASSET_TYPES) {
+    const units = userHistory.allottedUnits?.[assetType] || 0;
+    const invested = userHistory.allottedMoney?.[assetType] || 0;
+    const pricePerUnit = prices[assetType] ?? null;
+    // Without a known price, fall back to the invested amount
+    const value = pricePerUnit !== null ? units * pricePerUnit : invested;
+
+    valuation[assetType] = { units, pricePerUnit, value, invested };
+    valuation.totalValue += value;
+    valuation.totalInvested += invested;
+  }
+
+  return valuation;
+};
+
+/**
+ * Return over a period, measured against a snapshot and adjusted for
+ * money allocated (or taken out) since the snapshot was taken
+ */
+const returnSinceSnapshot = (valuation, snapshot) => {
+  if (!snapshot) return null;
+
+  const netInvestedSince = valuation.totalInvested - snapshot.totalInvested;
+  const changeAmount =
+    valuation.totalValue - snapshot.totalValue - netInvestedSince;
+
+  return {
+    ...buildChange(changeAmount, snapshot.totalValue),
+    since: snapshot.date,
+  };
+};
+
+/**
+ * Mark-to-market valuation of a user's portfolio
+ * Day change compares current prices with the previous day's close;
+ * week/month returns use the nightly PortfolioSnapshots
+ *
+ * @param {string} userId - User ID
+ * @returns {Object} Valuation with overall/gold/stock changes and period returns
+ */
+async function getPortfolioValuation(userId) {
+  const userHistory = await UserHistory.getOrCreate(userId);
+
+  const latestPrices = await getLatestPrices();
+  const [previousGoldClose, previousStockClose] = await Promise.all([
+    getPreviousClosePrice("gold"),
+    getPreviousClosePrice("stock"),
+  ]);
+
+  const current = valueHoldings(userHistory, {
+    gold: latestPrices.gold?.price ?? null,
+    stock: latestPrices.stock?.price ?? null,
+  });
+  const previous = valueHoldings(userHistory, {
+    gold: previousGoldClose ?? latestPrices.gold?.price ?? null,
+    stock: previousStockClose ?? latestPrices.stock?.price ?? null,
+  });
+
+  const today = startOfDay();
+  const findSnapshotBefore = (date) =>
+    PortfolioSnapshot.findOne({ userId, date: { $lte: date } }).sort({
+      date: -1,
+    });
+  const [weekSnapshot, monthSnapshot] = await Promise.all([
+    findSnapshotBefore(new Date(today.getTime() - 7 * DAY_MS)),
+    findSnapshotBefore(new Date(today.getTime() - 30 * DAY_MS)),
+  ]);
+
+  const holdingSummary = (assetType) => ({
+    amount: current[assetType].value,
+    invested: current[assetType].invested,
+    units: current[assetType].units,
+    pricePerUnit: current[assetType].pricePerUnit,
+    previousClose: previous[assetType].pricePerUnit,
+    ...buildChange(
+      current[assetType].value - previous[assetType].value,
+      previous[assetType].value
+    ),
+  });
+
+  return {
+    overall: {
+      amount: current.totalValue,
+      invested: current.totalInvested,
+      ...buildChange(
+        current.totalValue - previous.totalValue,
+        previous.totalValue
+      ),
+    },
+    gold: holdingSummary("gold"),
+    stock: holdingSummary("stock"),
+    returns: {
+      day: buildChange(
+        current.totalValue - previous.totalValue,
+        previous.totalValue
+      ),
+      week: returnSinceSnapshot(current, weekSnapshot),
+      month: returnSinceSnapshot(current, monthSnapshot),
+      sinceInception: buildChange(
+        current.totalValue - current.totalInvested,
+        current.totalInvested
+      ),
+    },
+    pricesAsOf: {
+      gold: latestPrices.gold?.fetchedAt || null,
+      stock: latestPrices.stock?.fetchedAt || null,
+    },
+  };
+}
+
+/**
+ * Store today's valuation for every user with holdings
+ * Upserts one snapshot per user per day, so re-running the job is safe
+ *
+ * @returns {Object} { snapshotCount, errorCount }
+ */
+async function snapshotAllPortfolios() {
+  const latestPrices = await getLatestPrices();
+  const prices = {
+    gold: latestPrices.gold?.price ?? null,
+    stock: latestPrices.stock?.price ?? null,
+  };
+  const date = startOfDay();
+
+  let snapshotCount = 0;
+  let errorCount = 0;
+
+  const cursor = UserHistory.find({
+    $or: [
+      { "allottedMoney.gold": { $gt: 0 } },
+      { "allottedMoney.stock": { $gt: 0 } },
+    ],
+  }).cursor();
+
+  for (
+    let userHistory = await cursor.next();
+    userHistory != null;
+    userHistory = await cursor.next()
+  ) {
+    try {
+      if (userHistory.ensureAllottedUnits()) {
+        await userHistory.save();
+      }
+
+      const valuation = valueHoldings(userHistory, prices);
+      await PortfolioSnapshot.findOneAndUpdate(
+        { userId: userHistory.userId, date },
+        {
+          userId: userHistory.userId,
+          date,
+          gold: valuation.gold,
+          stock: valuation.stock,
+          totalValue: valuation.totalValue,
+          totalInvested: valuation.totalInvested,
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      snapshotCount++;
+    } catch (error) {
+      console.error(
+        `❌ [Portfolio Snapshot] Error snapshotting user ${userHistory.userId}:`,
+        error.message
+      );
+      errorCount++;
+    }
+  }
+
+  return { snapshotCount, errorCount };
+}
+
+module.exports = {
+  getPortfolioValuation,
+  snapshotAllPortfolios,
+};
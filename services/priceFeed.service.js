@@ -0,0 +1,196 @@
+const PriceTick = require("../models/PriceTick");
+const { getPriceProvider } = require("../libs/prices/provider");
+
+const ASSET_TYPES = ["gold", "stock"];
+const DEFAULT_MAX_PRICE_AGE_MINUTES = 30;
+
+// In-memory cache of the latest price per asset: { price, source, fetchedAt }
+const priceCache = {};
+
+const getMaxPriceAgeMs = () => {
+  const minutes = Number(process.env.PRICE_MAX_AGE_MINUTES);
+  return (
+    (Number.isFinite(minutes) && minutes > 0
+      ? minutes
+      : DEFAULT_MAX_PRICE_AGE_MINUTES) *
+    60 *
+    1000
+  );
+};
+
+const validateAssetType = (assetType) => {
+  if (!ASSET_TYPES.includes(assetType)) {
+    const err = new Error("assetType must be either 'gold' or 'stock'");
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+/**
+ * Fetch the latest prices from the configured provider,
+ * store them as PriceTicks and update the in-memory cache
+ *
+ * @returns {Object} Cached prices keyed by asset type
+ */
+async function refreshPrices() {
+  const provider = getPriceProvider();
+  const prices = await provider.fetchPrices();
+  const fetchedAt = new Date();
+
+  const ticks = [];
+  for (const assetType of ASSET_TYPES) {
+    const price = Number(prices?.[assetType]);
+    if (!Number.isFinite(price) || price <= 0) {
+      console.warn(
+        `⚠️ [PriceFeed] Provider "${provider.name}" returned invalid ${assetType} price: ${prices?.[assetType]}`
+      );
+      continue;
+    }
+    ticks.push({ assetType, price, source: provider.name, fetchedAt });
+  }
+
+  if (ticks.length > 0) {
+    await PriceTick.insertMany(ticks);
+  }
+
+  for (const tick of ticks) {
+    priceCache[tick.assetType] = {
+      price: tick.price,
+      source: tick.source,
+      fetchedAt: tick.fetchedAt,
+    };
+  }
+
+  return { ...priceCache };
+}
+
+/**
+ * Get the latest known price for an asset (no staleness check)
+ * Falls back to the most recent PriceTick when the cache is empty (e.g. after a restart)
+ *
+ * @param {string} assetType - "gold" or "stock"
+ * @returns {Object|null} { price, source, fetchedAt } or null if no price is known
+ */
+async function getLatestPrice(assetType) {
+  validateAssetType(assetType);
+
+  if (priceCache[assetType]) {
+    return priceCache[assetType];
+  }
+
+  const latestTick = await PriceTick.findOne({ assetType }).sort({
+    fetchedAt: -1,
+  });
+  if (!latestTick) {
+    return null;
+  }
+
+  priceCache[assetType] = {
+    price: latestTick.price,
+    source: latestTick.source,
+    fetchedAt: latestTick.fetchedAt,
+  };
+  return priceCache[assetType];
+}
+
+/**
+ * Get the latest prices for all assets (no staleness check)
+ *
+ * @returns {Object} { gold: {...}|null, stock: {...}|null }
+ */
+async function getLatestPrices() {
+  const [gold, stock] = await Promise.all([
+    getLatestPrice("gold"),
+    getLatestPrice("stock"),
+  ]);
+  return { gold, stock };
+}
+
+/**
+ * Get the current price per unit for pricing a gift or an allocation
+ * Throws if the latest price is missing or older than PRICE_MAX_AGE_MINUTES
+ *
+ * @param {string} assetType - "gold" or "stock"
+ * @returns {number} Price per unit in INR
+ */
+async function getFreshPrice(assetType) {
+  const latest = await getLatestPrice(assetType);
+
+  if (!latest) {
+    const err = new Error(
+      `No ${assetType} price available. Please try again later.`
+    );
+    err.statusCode = 503;
+    throw err;
+  }
+
+  const ageMs = Date.now() - new Date(latest.fetchedAt).getTime();
+  if (ageMs > getMaxPriceAgeMs()) {
+    const err = new Error(
+      `Latest ${assetType} price is stale (last updated ${new Date(
+        latest.fetchedAt
+      ).toISOString()}). Please try again later.`
+    );
+    err.statusCode = 503;
+    throw err;
+  }
+
+  return latest.price;
+}
+
+/**
+ * Get the closing price of an asset before a given time
+ * i.e. the last PriceTick recorded before `before` (defaults to the start of today)
+ *
+ * @param {string} assetType - "gold" or "stock"
+ * @param {Date} before - Cut-off time (optional)
+ * @returns {number|null} Closing price per unit in INR, or null if unknown
+ */
+async function getPreviousClosePrice(assetType, before) {
+  validateAssetType(assetType);
+
+  let cutOff = before;
+  if (!cutOff) {
+    cutOff = new Date();
+    cutOff.setHours(0, 0, 0, 0);
+  }
+
+  const closingTick = await PriceTick.findOne({
+    assetType,
+    fetchedAt: { $lt: cutOff },
+  }).sort({ fetchedAt: -1 });
+
+  return closingTick ? closingTick.price : null;
+}
+
+/**
+ * Get price history for an asset
+ *
+ * @param {string} assetType - "gold" or "stock"
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range (optional)
+ * @param {Date} options.to - End of the range (optional)
+ * @param {number} options.limit - Maximum ticks to return (default 100)
+ * @returns {Array} PriceTicks, newest first
+ */
+async function getPriceHistory(assetType, { from, to, limit = 100 } = {}) {
+  validateAssetType(assetType);
+
+  const query = { assetType };
+  if (from || to) {
+    query.fetchedAt = {};
+    if (from) query.fetchedAt.$gte = from;
+    if (to) query.fetchedAt.$lte = to;
+  }
+
+  return PriceTick.find(query).sort({ fetchedAt: -1 }).limit(limit);
+}
+
+module.exports = {
+  refreshPrices,
+  getLatestPrice,
+  getLatestPrices,
+  getFreshPrice,
+  getPreviousClosePrice,
+  getPriceHistory,
+};
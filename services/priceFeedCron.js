@@ -0,0 +1,31 @@
+const cron = require("node-cron");
+const { refreshPrices } = require("./priceFeed.service");
+
+const DEFAULT_PRICE_REFRESH_CRON = "*/5 * * * *"; // Every 5 minutes
+
+const runPriceRefresh = async () => {
+  try {
+    const prices = await refreshPrices();
+    console.log(
+      `✅ [Price Feed Cron] Prices refreshed: gold ₹${prices.gold?.price}, stock ₹${prices.stock?.price}`
+    );
+  } catch (error) {
+    console.error(
+      "❌ [Price Feed Cron] Failed to refresh prices:",
+      error.message
+    );
+  }
+};
+
+const startPriceFeedCron = () => {
+  const schedule = process.env.PRICE_REFRESH_CRON || DEFAULT_PRICE_REFRESH_CRON;
+
+  // Warm the cache on startup so allocations don't wait for the first tick
+  runPriceRefresh();
+
+  cron.schedule(schedule, runPriceRefresh);
+
+  console.log(`✅ [Price Feed Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startPriceFeedCron };
@@ -0,0 +1,428 @@
+const mongoose = require("mongoose");
+const Gift = require("../models/Gift");
+const UserHistory = require("../models/UserHistory");
+const WithdrawalRequest = require("../models/WithdrawalRequest");
+const SellOrder = require("../models/SellOrder");
+const ReconciliationIssue = require("../models/ReconciliationIssue");
+const { recordAdjustment } = require("./ledger.service");
+
+// Differences below a paisa are float noise
+const TOLERANCE = 0.01;
+
+// Gift states in which the receiver's balance holds the gift value
+const CREDITED_GIFT_STATUSES = ["pending", "accepted", "allotted"];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sumGifts = async (match) => {
+  const [result] = await Gift.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: "$valueInINR" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  return { total: result?.total || 0, count: result?.count || 0 };
+};
+
+// Shares of split event gifts credited to a co-host beneficiary
+const sumGiftShares = async (userId) => {
+  const [result] = await Gift.aggregate([
+    {
+      $match: {
+        "beneficiaryShares.userId": userId,
+        status: { $in: CREDITED_GIFT_STATUSES },
+      },
+    },
+    { $unwind: "$beneficiaryShares" },
+    { $match: { "beneficiaryShares.userId": userId } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: "$beneficiaryShares.amount" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  return { total: result?.total || 0, count: result?.count || 0 };
+};
+
+/**
+ * Recompute a user's expected balances from their source records
+ * - credits: gifts received (Gift) and unclaimed gifts returned to them
+ * - allocations: UserHistory.allocationHistory
+ * - redemptions: SellOrder (cost basis leaves the holding, approved
+ *   proceeds become withdrawable)
+ * - withdrawals: WithdrawalRequest (pending or approved but not yet paid =
+ *   on hold, paid = paid out; failed or reversed payouts returned the money),
+ *   drawn from unallotted money (event, balance) or withdrawable money
+ *   (redemption)
+ *
+ * @param {Object} userHistory - UserHistory document
+ * @returns {Object} { expected, breakdown }
+ */
+async function computeExpectedBalances(userHistory) {
+  const userId = userHistory.userId;
+
+  const [
+    giftsReceivedWhole,
+    giftShares,
+    giftsReturned,
+    withdrawals,
+    sellOrders,
+  ] = await Promise.all([
+    // Split event gifts are counted by share instead
+    sumGifts({
+      receiverId: userId,
+      status: { $in: CREDITED_GIFT_STATUSES },
+      "beneficiaryShares.0": { $exists: false },
+    }),
+    sumGiftShares(userId),
+    sumGifts({
+      senderId: userId,
+      status: "expired",
+      expiryResolution: "returned_to_sender",
+    }),
+    WithdrawalRequest.aggregate([
+      {
+        $match: {
+          userId: userId,
+          status: { $in: ["pending", "approved"] },
+          moneyState: { $ne: "alloting" },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            status: "$status",
+            moneyState: "$moneyState",
+            source: { $ifNull: ["$source", "event"] },
+          },
+          total: { $sum: "$amount" },
+        },
+      },
+    ]),
+    SellOrder.aggregate([
+      {
+        $match: { userId: userId, status: { $in: ["pending", "approved"] } },
+      },
+      {
+        $group: {
+          _id: { status: "$status", assetType: "$assetType" },
+          costBasis: { $sum: "$costBasis" },
+          amount: { $sum: "$amount" },
+        },
+      },
+    ]),
+  ]);
+  const giftsReceived = {
+    total: giftsReceivedWhole.total + giftShares.total,
+    count: giftsReceivedWhole.count + giftShares.count,
+  };
+
+  const sumRows = (rows, predicate, key) =>
+    rows
+      .filter((row) => predicate(row._id))
+      .reduce((sum, row) => sum + row[key], 0);
+
+  const withdrawalsPending = sumRows(
+    withdrawals,
+    (id) => id.moneyState === "holding",
+    "total"
+  );
+  const withdrawalsApproved = sumRows(
+    withdrawals,
+    (id) => id.status === "approved" && id.moneyState === "withdrawn",
+    "total"
+  );
+  const eventWithdrawals = sumRows(
+    withdrawals,
+    (id) => id.source !== "redemption",
+    "total"
+  );
+  const redemptionWithdrawals = sumRows(
+    withdrawals,
+    (id) => id.source === "redemption",
+    "total"
+  );
+
+  const redeemedCostBasis = {
+    gold: sumRows(sellOrders, (id) => id.assetType === "gold", "costBasis"),
+    stock: sumRows(sellOrders, (id) => id.assetType === "stock", "costBasis"),
+  };
+  const redemptionProceeds = sumRows(
+    sellOrders,
+    (id) => id.status === "approved",
+    "amount"
+  );
+
+  // Switch legs move cost basis between holdings without touching unallotted
+  const allocated = { gold: 0, stock: 0 };
+  const switched = { gold: 0, stock: 0 };
+  for (const allocation of userHistory.allocationHistory) {
+    if (allocation.kind === "switch_out") {
+      switched[allocation.allocationType] -= allocation.amount;
+    } else if (allocation.kind === "switch_in") {
+      switched[allocation.allocationType] += allocation.amount;
+    } else {
+      allocated[allocation.allocationType] += allocation.amount;
+    }
+  }
+
+  const expected = {
+    unallottedMoney: roundMoney(
+      giftsReceived.total +
+        giftsReturned.total -
+        allocated.gold -
+        allocated.stock -
+        eventWithdrawals
+    ),
+    holdingMoney: roundMoney(withdrawalsPending),
+    withdrawableMoney: roundMoney(redemptionProceeds - redemptionWithdrawals),
+    "allottedMoney.gold": roundMoney(
+      allocated.gold + switched.gold - redeemedCostBasis.gold
+    ),
+    "allottedMoney.stock": roundMoney(
+      allocated.stock + switched.stock - redeemedCostBasis.stock
+    ),
+  };
+
+  return {
+    expected,
+    breakdown: {
+      giftsReceived: giftsReceived.total,
+      giftsReceivedCount: giftsReceived.count,
+      giftsReturned: giftsReturned.total,
+      allocated,
+      switched,
+      redeemedCostBasis,
+      redemptionProceeds,
+      withdrawalsPending,
+      withdrawalsApproved,
+    },
+  };
+}
+
+const getActualBalances = (userHistory) => ({
+  unallottedMoney: userHistory.unallottedMoney || 0,
+  holdingMoney: userHistory.holdingMoney || 0,
+  withdrawableMoney: userHistory.withdrawableMoney || 0,
+  "allottedMoney.gold": userHistory.allottedMoney?.gold || 0,
+  "allottedMoney.stock": userHistory.allottedMoney?.stock || 0,
+});
+
+/**
+ * Compare one user's stored balances with the recomputed ones
+ * Opens (or refreshes) an issue per mismatching balance, and closes open
+ * issues that no longer reproduce
+ *
+ * @param {Object} userHistory - UserHistory document
+ * @returns {Object} { issuesFound, issuesCleared }
+ */
+async function reconcileUser(userHistory) {
+  const { expected, breakdown } = await computeExpectedBalances(userHistory);
+  const actual = getActualBalances(userHistory);
+  const now = new Date();
+
+  let issuesFound = 0;
+  let issuesCleared = 0;
+
+  for (const field of Object.keys(expected)) {
+    const difference = roundMoney(actual[field] - expected[field]);
+
+    if (Math.abs(difference) >= TOLERANCE) {
+      await ReconciliationIssue.findOneAndUpdate(
+        { userId: userHistory.userId, field, status: "open" },
+        {
+          $set: {
+            expected: expected[field],
+            actual: actual[field],
+            difference,
+            breakdown,
+            lastDetectedAt: now,
+          },
+          $setOnInsert: { firstDetectedAt: now },
+          $inc: { occurrences: 1 },
+        },
+        { upsert: true }
+      );
+      issuesFound++;
+    } else {
+      const cleared = await ReconciliationIssue.updateOne(
+        { userId: userHistory.userId, field, status: "open" },
+        {
+          status: "resolved",
+          resolvedAt: now,
+          resolutionNote: "Discrepancy no longer detected",
+        }
+      );
+      issuesCleared += cleared.modifiedCount;
+    }
+  }
+
+  return { issuesFound, issuesCleared };
+}
+
+/**
+ * Reconcile every user's balances
+ *
+ * @returns {Object} { usersChecked, issuesFound, issuesCleared, errorCount }
+ */
+async function runReconciliation() {
+  let usersChecked = 0;
+  let issuesFound = 0;
+  let issuesCleared = 0;
+  let errorCount = 0;
+
+  const cursor = UserHistory.find({}).cursor();
+
+  for (
+    let userHistory = await cursor.next();
+    userHistory != null;
+    userHistory = await cursor.next()
+  ) {
+    try {
+      const result = await reconcileUser(userHistory);
+      issuesFound += result.issuesFound;
+      issuesCleared += result.issuesCleared;
+      usersChecked++;
+    } catch (error) {
+      console.error(
+        `❌ [Reconciliation] Error reconciling user ${userHistory.userId}:`,
+        error.message
+      );
+      errorCount++;
+    }
+  }
+
+  return { usersChecked, issuesFound, issuesCleared, errorCount };
+}
+
+/**
+ * Resolve an open issue, optionally correcting the balance
+ * The correction is recorded as a ledger adjustment and applied to
+ * UserHistory in the same transaction
+ *
+ * @param {Object} params
+ * @param {string} params.issueId - ReconciliationIssue ID
+ * @param {string} params.adminId - Admin/agent resolving the issue
+ * @param {string} params.note - Resolution note
+ * @param {boolean} params.adjust - Record an adjusting entry
+ * @param {number} params.amount - Signed adjustment (defaults to -difference,
+ *   which brings the balance back to the expected value)
+ * @returns {Object} Resolved issue
+ */
+async function resolveIssue({ issueId, adminId, note, adjust, amount }) {
+  const issue = await ReconciliationIssue.findById(issueId);
+  if (!issue) {
+    throw createError("Reconciliation issue not found", 404);
+  }
+  if (issue.status !== "open") {
+    throw createError(`Issue is already ${issue.status}`, 400);
+  }
+
+  const adjustmentAmount = adjust
+    ? roundMoney(amount !== undefined ? Number(amount) : -issue.difference)
+    : 0;
+  if (
+    adjust &&
+    (!Number.isFinite(adjustmentAmount) || adjustmentAmount === 0)
+  ) {
+    throw createError("Adjustment amount must be a non-zero number", 400);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (adjust) {
+      // Guard keeps the balance from going negative
+      const updatedHistory = await UserHistory.findOneAndUpdate(
+        {
+          userId: issue.userId,
+          ...(adjustmentAmount < 0 && {
+            [issue.field]: { $gte: -adjustmentAmount },
+          }),
+        },
+        { $inc: { [issue.field]: adjustmentAmount } },
+        { new: true, session }
+      );
+      if (!updatedHistory) {
+        throw createError("Adjustment would make the balance negative", 400);
+      }
+
+      const ledgerEntry = await recordAdjustment({
+        userId: issue.userId,
+        field: issue.field,
+        amount: adjustmentAmount,
+        description: note,
+        metadata: { reconciliationIssueId: issue._id, adminId },
+        session,
+      });
+
+      issue.adjustment = {
+        amount: adjustmentAmount,
+        ledgerEntryId: ledgerEntry._id,
+        appliedAt: new Date(),
+      };
+    }
+
+    issue.status = "resolved";
+    issue.resolvedBy = adminId;
+    issue.resolvedAt = new Date();
+    issue.resolutionNote = note;
+    await issue.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return issue;
+}
+
+/**
+ * Dismiss an open issue without changing any balance (e.g. expected difference)
+ *
+ * @param {Object} params
+ * @param {string} params.issueId - ReconciliationIssue ID
+ * @param {string} params.adminId - Admin/agent dismissing the issue
+ * @param {string} params.note - Reason for dismissing
+ * @returns {Object} Dismissed issue
+ */
+async function dismissIssue({ issueId, adminId, note }) {
+  const issue = await ReconciliationIssue.findOneAndUpdate(
+    { _id: issueId, status: "open" },
+    {
+      status: "dismissed",
+      resolvedBy: adminId,
+      resolvedAt: new Date(),
+      resolutionNote: note,
+    },
+    { new: true }
+  );
+  if (!issue) {
+    throw createError("Open reconciliation issue not found", 404);
+  }
+  return issue;
+}
+
+module.exports = {
+  computeExpectedBalances,
+  reconcileUser,
+  runReconciliation,
+  resolveIssue,
+  dismissIssue,
+};
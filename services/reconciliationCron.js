@@ -0,0 +1,30 @@
+const cron = require("node-cron");
+const { runReconciliation } = require("./reconciliation.service");
+
+const DEFAULT_RECONCILIATION_CRON = "30 2 * * *"; // Every night at 02:30
+
+const startReconciliationCron = () => {
+  const schedule =
+    process.env.RECONCILIATION_CRON || DEFAULT_RECONCILIATION_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      console.log(
+        "🔄 [Reconciliation Cron] Starting nightly reconciliation..."
+      );
+
+      const { usersChecked, issuesFound, issuesCleared, errorCount } =
+        await runReconciliation();
+
+      console.log(
+        `✅ [Reconciliation Cron] Completed: ${usersChecked} users, ${issuesFound} issues, ${issuesCleared} cleared, ${errorCount} errors`
+      );
+    } catch (error) {
+      console.error("❌ [Reconciliation Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(`✅ [Reconciliation Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startReconciliationCron };
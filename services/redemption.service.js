@@ -0,0 +1,275 @@
+const mongoose = require("mongoose");
+const Kyc = require("../models/Kyc");
+const User = require("../models/user.model");
+const SellOrder = require("../models/SellOrder");
+const UserHistory = require("../models/UserHistory");
+const { getFreshPrice } = require("./priceFeed.service");
+const {
+  recordRedemptionHold,
+  recordRedemptionRelease,
+  recordRedemption,
+} = require("./ledger.service");
+const { sendRedemptionStatusNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Place a sell order for part or all of a gold/stock holding
+ * Units are sold at the current market price and taken out of the holding
+ * straight away; the proceeds become withdrawable once the order is approved
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.assetType - "gold" or "stock"
+ * @param {number} params.units - Units to sell (optional)
+ * @param {number} params.amount - INR worth of units to sell (optional)
+ * @param {boolean} params.sellAll - Sell the whole holding (optional)
+ * @returns {Object} SellOrder
+ */
+async function createRedemption({ userId, assetType, units, amount, sellAll }) {
+  if (!["gold", "stock"].includes(assetType)) {
+    throw createError("assetType must be either 'gold' or 'stock'", 400);
+  }
+
+  // Same KYC gating as withdrawals
+  const kyc = await Kyc.findOne({ user: userId });
+  if (!kyc || kyc.status !== "approved") {
+    throw createError(
+      "You must have an approved KYC to redeem your holdings",
+      403
+    );
+  }
+
+  const userHistory = await UserHistory.getOrCreate(userId);
+  const heldUnits = userHistory.allottedUnits[assetType] || 0;
+  const invested = userHistory.allottedMoney[assetType] || 0;
+  if (heldUnits <= 0) {
+    throw createError(`You have no ${assetType} holdings to redeem`, 400);
+  }
+
+  const pricePerUnit = await getFreshPrice(assetType);
+
+  let unitsToSell;
+  if (sellAll) {
+    unitsToSell = heldUnits;
+  } else if (units) {
+    unitsToSell = Number(units);
+  } else if (amount) {
+    unitsToSell = Number(amount) / pricePerUnit;
+  }
+  if (!unitsToSell || !Number.isFinite(unitsToSell) || unitsToSell <= 0) {
+    throw createError("Provide units or amount to redeem", 400);
+  }
+  if (unitsToSell > heldUnits) {
+    throw createError(
+      `Insufficient ${assetType} holdings. Available: ${heldUnits} units, Requested: ${unitsToSell} units`,
+      400
+    );
+  }
+
+  // Average cost of the units being sold
+  const isFullHolding = unitsToSell === heldUnits;
+  const costBasis = isFullHolding
+    ? invested
+    : Math.min(invested, roundMoney((invested / heldUnits) * unitsToSell));
+  const proceeds = roundMoney(unitsToSell * pricePerUnit);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let sellOrder;
+  try {
+    // Atomic update - holding must still cover the units and cost basis
+    const updatedHistory = await UserHistory.findOneAndUpdate(
+      {
+        _id: userHistory._id,
+        [`allottedUnits.${assetType}`]: { $gte: unitsToSell },
+        [`allottedMoney.${assetType}`]: { $gte: costBasis },
+      },
+      {
+        $inc: {
+          [`allottedUnits.${assetType}`]: -unitsToSell,
+          [`allottedMoney.${assetType}`]: -costBasis,
+        },
+      },
+      { new: true, session }
+    );
+    if (!updatedHistory) {
+      throw createError(
+        `Insufficient ${assetType} holdings. Please try again`,
+        409
+      );
+    }
+
+    [sellOrder] = await SellOrder.create(
+      [
+        {
+          userId,
+          assetType,
+          units: unitsToSell,
+          pricePerUnit,
+          amount: proceeds,
+          costBasis,
+          realisedGain: roundMoney(proceeds - costBasis),
+          status: "pending",
+        },
+      ],
+      { session }
+    );
+
+    await recordRedemptionHold({ userId, sellOrder, session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(
+    `📉 Sell order ${sellOrder._id}: ${unitsToSell} ${assetType} units for ₹${proceeds} (user ${userId})`
+  );
+
+  return sellOrder;
+}
+
+const notifyRedemptionStatus = async (sellOrder) => {
+  emitToUser(sellOrder.userId, "redemptionUpdated", {
+    sellOrderId: sellOrder._id,
+    status: sellOrder.status,
+    amount: sellOrder.amount,
+  });
+
+  try {
+    const user = await User.findById(sellOrder.userId).select("fcmToken");
+    if (user) {
+      await sendRedemptionStatusNotification(user.fcmToken, sellOrder);
+    }
+  } catch (notificationError) {
+    console.error(
+      "❌ Error sending redemption notification:",
+      notificationError.message
+    );
+  }
+};
+
+/**
+ * Approve a sell order - proceeds move to the withdrawable balance and the
+ * realised gain is recorded
+ *
+ * @param {Object} params
+ * @param {string} params.sellOrderId - SellOrder ID
+ * @param {string} params.adminId - Approving admin/agent
+ * @returns {Object} Approved SellOrder
+ */
+async function approveRedemption({ sellOrderId, adminId }) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let sellOrder;
+  try {
+    sellOrder = await SellOrder.findOneAndUpdate(
+      { _id: sellOrderId, status: "pending" },
+      { status: "approved", approvedBy: adminId, approvedAt: new Date() },
+      { new: true, session }
+    );
+    if (!sellOrder) {
+      throw createError("Pending sell order not found", 404);
+    }
+
+    await UserHistory.findOneAndUpdate(
+      { userId: sellOrder.userId },
+      {
+        $inc: {
+          withdrawableMoney: sellOrder.amount,
+          [`realisedGains.${sellOrder.assetType}`]: sellOrder.realisedGain,
+        },
+      },
+      { session }
+    );
+
+    await recordRedemption({ userId: sellOrder.userId, sellOrder, session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await notifyRedemptionStatus(sellOrder);
+  return sellOrder;
+}
+
+/**
+ * Reject a sell order - units go back into the holding at their cost basis
+ *
+ * @param {Object} params
+ * @param {string} params.sellOrderId - SellOrder ID
+ * @param {string} params.adminId - Rejecting admin/agent
+ * @param {string} params.rejectionReason - Reason (optional)
+ * @returns {Object} Rejected SellOrder
+ */
+async function rejectRedemption({ sellOrderId, adminId, rejectionReason }) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let sellOrder;
+  try {
+    sellOrder = await SellOrder.findOneAndUpdate(
+      { _id: sellOrderId, status: "pending" },
+      {
+        status: "rejected",
+        rejectedBy: adminId,
+        rejectedAt: new Date(),
+        rejectionReason: rejectionReason || "Rejected by admin",
+      },
+      { new: true, session }
+    );
+    if (!sellOrder) {
+      throw createError("Pending sell order not found", 404);
+    }
+
+    await UserHistory.findOneAndUpdate(
+      { userId: sellOrder.userId },
+      {
+        $inc: {
+          [`allottedUnits.${sellOrder.assetType}`]: sellOrder.units,
+          [`allottedMoney.${sellOrder.assetType}`]: sellOrder.costBasis,
+        },
+      },
+      { session }
+    );
+
+    await recordRedemptionRelease({
+      userId: sellOrder.userId,
+      sellOrder,
+      session,
+    });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await notifyRedemptionStatus(sellOrder);
+  return sellOrder;
+}
+
+module.exports = {
+  createRedemption,
+  approveRedemption,
+  rejectRedemption,
+};
@@ -0,0 +1,420 @@
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const ThankYouBatch = require("../models/ThankYouBatch");
+const { Uploader } = require("../libs/s3/s3");
+const { emitToUser } = require("../sockets/socketEmitter");
+const { sendChatMessage } = require("./chatMessage.service");
+const { canEditEvent } = require("./eventHosts.service");
+
+// Notes sent per cron run (every minute by default) across all batches, so
+// large events don't flood the chat and push services
+const RATE_LIMIT = parseInt(process.env.THANK_YOU_RATE_LIMIT || "30");
+
+// Pause between two notes of a run
+const SEND_INTERVAL_MS = parseInt(
+  process.env.THANK_YOU_SEND_INTERVAL_MS || "200"
+);
+
+// A batch stays locked this long if its worker dies mid-run
+const LOCK_MS = 5 * 60 * 1000;
+
+const MAX_TEMPLATE_LENGTH = 1000;
+
+// Gifts that were paid and credited to the hosts
+const CREDITED_GIFT_FILTER = {
+  status: { $nin: ["payment_pending", "scheduled", "cancelled"] },
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const formatAmount = (amount) =>
+  `₹${Number(amount || 0).toLocaleString("en-IN", {
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * Personalise a thank-you template for one recipient
+ *
+ * @param {string} template - Text with {name} and {amount} placeholders
+ * @param {Object} recipient - { name, amount }
+ * @returns {string} Message text
+ */
+const renderThankYou = (template, recipient) =>
+  template
+    .replace(/\{name\}/g, recipient.name || "there")
+    .replace(/\{amount\}/g, formatAmount(recipient.amount));
+
+// Event the user can send thank-you notes for - its owner or an editor
+async function findHostedEvent(eventId, userId) {
+  const event = mongoose.Types.ObjectId.isValid(eventId)
+    ? await Event.findById(eventId)
+    : null;
+  if (!event || !canEditEvent(event, userId)) {
+    throw createError(
+      "Event not found or you don't have permission to send thank-you notes for it",
+      404
+    );
+  }
+  return event;
+}
+
+/**
+ * Everyone who gifted at an event, with the total they gave
+ *
+ * @param {Object} event - Event document
+ * @returns {Array} [{ userId, name, number, amount }]
+ */
+async function getEventGifters(event) {
+  const gifters = await Gift.aggregate([
+    {
+      $match: {
+        eventId: event._id,
+        isSelfGift: { $ne: true },
+        ...CREDITED_GIFT_FILTER,
+      },
+    },
+    {
+      $group: {
+        _id: "$senderId",
+        amount: { $sum: "$valueInINR" },
+        guestName: { $last: "$metadata.guestName" },
+      },
+    },
+  ]);
+
+  const users = await User.find({
+    _id: { $in: gifters.map((gifter) => gifter._id) },
+  }).select("fullName number");
+  const userById = new Map(users.map((user) => [String(user._id), user]));
+
+  return gifters.map((gifter) => {
+    const user = userById.get(String(gifter._id));
+    return {
+      userId: gifter._id,
+      name: gifter.guestName || user?.fullName || null,
+      number: user?.number || null,
+      amount: Math.round(gifter.amount * 100) / 100,
+    };
+  });
+}
+
+/**
+ * Queue a thank-you note to all or selected gifters of an event
+ * Notes go out as chat messages from the host, RATE_LIMIT per minute - the
+ * first ones right away, the rest from services/thankYouCron.js
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Host sending the notes (owner or editor)
+ * @param {string} params.template - Text with {name} and {amount} placeholders
+ * @param {Array<string>} params.recipientIds - Gifters to thank (optional, default all)
+ * @param {Object} params.file - Multer file with a photo (optional)
+ * @param {string} params.mediaUrl - URL of an already uploaded photo (optional)
+ * @returns {Object} ThankYouBatch
+ */
+async function createThankYouBatch({
+  eventId,
+  userId,
+  template,
+  recipientIds,
+  file,
+  mediaUrl,
+}) {
+  const event = await findHostedEvent(eventId, userId);
+
+  const text = template ? String(template).trim() : "";
+  if (!text) {
+    throw createError("template is required", 400);
+  }
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    throw createError(
+      `template can be at most ${MAX_TEMPLATE_LENGTH} characters`,
+      400
+    );
+  }
+  if (file && !file.mimetype?.startsWith("image/")) {
+    throw createError("Only a photo can be attached", 400);
+  }
+
+  const activeBatch = await ThankYouBatch.exists({
+    eventId: event._id,
+    senderId: userId,
+    status: { $in: ["queued", "processing"] },
+  });
+  if (activeBatch) {
+    throw createError(
+      "Your previous thank-you notes for this event are still being sent",
+      409
+    );
+  }
+
+  let recipients = (await getEventGifters(event)).filter(
+    (gifter) => String(gifter.userId) !== String(userId)
+  );
+  if (recipientIds !== undefined) {
+    const ids = Array.isArray(recipientIds) ? recipientIds : [recipientIds];
+    const selected = new Set(ids.map(String));
+    recipients = recipients.filter((gifter) =>
+      selected.has(String(gifter.userId))
+    );
+    if (recipients.length !== selected.size) {
+      throw createError(
+        "Thank-you notes can only be sent to people who gifted at this event",
+        400
+      );
+    }
+  }
+  if (recipients.length === 0) {
+    throw createError("There is nobody to thank yet", 400);
+  }
+
+  let photoUrl = mediaUrl || null;
+  if (file) {
+    const cleanName = String(file.originalname || "photo")
+      .trim()
+      .replace(/\s+/g, "-")
+      .replace(/[^a-zA-Z0-9.\-_]/g, "");
+    photoUrl = await new Uploader().uploadPublicFile(
+      `thank_you_${event._id}_${Date.now()}-${cleanName}`,
+      file.buffer,
+      file.mimetype
+    );
+  }
+
+  const batch = await ThankYouBatch.create({
+    eventId: event._id,
+    senderId: userId,
+    template: text,
+    mediaUrl: photoUrl,
+    recipients,
+    totalCount: recipients.length,
+  });
+
+  console.log(
+    `💌 Thank-you batch ${batch._id} queued for event ${event._id}: ${recipients.length} recipients`
+  );
+
+  // Send the first notes straight away
+  processThankYouBatch(batch._id).catch((error) =>
+    console.error(
+      `❌ [Thank You] Failed to start batch ${batch._id}:`,
+      error.message
+    )
+  );
+
+  return batch;
+}
+
+/**
+ * Send the next pending notes of a batch
+ * The batch is locked while sending so overlapping runs skip it
+ *
+ * @param {string} batchId - ThankYouBatch ID
+ * @param {number} limit - Maximum notes to send (default RATE_LIMIT)
+ * @returns {Object} { sentCount, failedCount, remaining } - null if the batch was busy or done
+ */
+async function processThankYouBatch(batchId, limit = RATE_LIMIT) {
+  const now = new Date();
+  const batch = await ThankYouBatch.findOneAndUpdate(
+    {
+      _id: batchId,
+      status: { $in: ["queued", "processing"] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        status: "processing",
+        lockedUntil: new Date(now.getTime() + LOCK_MS),
+      },
+    },
+    { new: true }
+  );
+  if (!batch) return null;
+  if (!batch.startedAt) {
+    await ThankYouBatch.updateOne(
+      { _id: batch._id },
+      { $set: { startedAt: now } }
+    );
+  }
+
+  const pending = batch.recipients.filter((r) => r.status === "pending");
+  const toSend = pending.slice(0, limit);
+  const isImage = Boolean(batch.mediaUrl);
+
+  let sentCount = 0;
+  let failedCount = 0;
+  for (const recipient of toSend) {
+    const update = {};
+    try {
+      // By number, so gifters without an active account get the note through
+      // UserWithNoAccount once they register
+      const { message } = await sendChatMessage({
+        senderId: batch.senderId,
+        receiverId: recipient.number ? undefined : recipient.userId,
+        receiverNumber: recipient.number || undefined,
+        type: isImage ? "image" : "text",
+        content: renderThankYou(batch.template, recipient),
+        mediaUrl: batch.mediaUrl,
+        metadata: { thankYouBatchId: batch._id, eventId: batch.eventId },
+      });
+      update.$set = {
+        "recipients.$.status": "sent",
+        "recipients.$.messageId": message._id,
+        "recipients.$.sentAt": new Date(),
+        "recipients.$.error": null,
+      };
+      update.$inc = { sentCount: 1 };
+      sentCount++;
+    } catch (error) {
+      update.$set = {
+        "recipients.$.status": "failed",
+        "recipients.$.error": error.message,
+      };
+      update.$inc = { failedCount: 1 };
+      failedCount++;
+      console.error(
+        `❌ [Thank You] Batch ${batch._id}: note to ${recipient.userId} failed:`,
+        error.message
+      );
+    }
+
+    const updated = await ThankYouBatch.findOneAndUpdate(
+      { _id: batch._id, "recipients._id": recipient._id },
+      update,
+      { new: true, projection: { recipients: 0 } }
+    );
+    emitToUser(batch.senderId, "thankYouProgress", {
+      batchId: batch._id,
+      eventId: batch.eventId,
+      recipient: {
+        userId: recipient.userId,
+        status: update.$set["recipients.$.status"],
+      },
+      sentCount: updated?.sentCount,
+      failedCount: updated?.failedCount,
+      totalCount: batch.totalCount,
+    });
+
+    await sleep(SEND_INTERVAL_MS);
+  }
+
+  const remaining = pending.length - toSend.length;
+  const finished = await ThankYouBatch.findByIdAndUpdate(
+    batch._id,
+    {
+      $set: {
+        lockedUntil: null,
+        ...(remaining === 0
+          ? { status: "completed", completedAt: new Date() }
+          : {}),
+      },
+    },
+    { new: true, projection: { recipients: 0 } }
+  );
+
+  if (remaining === 0) {
+    console.log(
+      `✅ [Thank You] Batch ${batch._id} completed: ${finished.sentCount} sent, ${finished.failedCount} failed`
+    );
+    emitToUser(batch.senderId, "thankYouCompleted", {
+      batchId: batch._id,
+      eventId: batch.eventId,
+      sentCount: finished.sentCount,
+      failedCount: finished.failedCount,
+      totalCount: finished.totalCount,
+    });
+  }
+
+  return { sentCount, failedCount, remaining };
+}
+
+/**
+ * Continue sending all unfinished batches, oldest first, within RATE_LIMIT
+ *
+ * @returns {Object} { batchCount, sentCount, failedCount }
+ */
+async function processPendingThankYouBatches() {
+  const batches = await ThankYouBatch.find({
+    status: { $in: ["queued", "processing"] },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+  })
+    .sort({ createdAt: 1 })
+    .select("_id");
+
+  let budget = RATE_LIMIT;
+  let batchCount = 0;
+  let sentCount = 0;
+  let failedCount = 0;
+
+  for (const { _id } of batches) {
+    if (budget <= 0) break;
+    try {
+      const result = await processThankYouBatch(_id, budget);
+      if (!result) continue;
+      batchCount++;
+      sentCount += result.sentCount;
+      failedCount += result.failedCount;
+      budget -= result.sentCount + result.failedCount;
+    } catch (error) {
+      console.error(
+        `❌ [Thank You] Failed to process batch ${_id}:`,
+        error.message
+      );
+    }
+  }
+
+  return { batchCount, sentCount, failedCount };
+}
+
+/**
+ * Thank-you batches of an event, newest first, without the recipient lists
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.userId - Current user ID (owner or editor)
+ * @returns {Array} ThankYouBatch documents
+ */
+async function listThankYouBatches({ eventId, userId }) {
+  const event = await findHostedEvent(eventId, userId);
+  return ThankYouBatch.find({ eventId: event._id })
+    .select("-recipients")
+    .populate("senderId", "fullName image")
+    .sort({ createdAt: -1 });
+}
+
+/**
+ * A thank-you batch with the progress of every recipient
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event ID
+ * @param {string} params.batchId - ThankYouBatch ID
+ * @param {string} params.userId - Current user ID (owner or editor)
+ * @returns {Object} ThankYouBatch
+ */
+async function getThankYouBatch({ eventId, batchId, userId }) {
+  const event = await findHostedEvent(eventId, userId);
+  const batch = mongoose.Types.ObjectId.isValid(batchId)
+    ? await ThankYouBatch.findOne({ _id: batchId, eventId: event._id })
+    : null;
+  if (!batch) {
+    throw createError("Thank-you batch not found", 404);
+  }
+  return batch;
+}
+
+module.exports = {
+  renderThankYou,
+  createThankYouBatch,
+  processThankYouBatch,
+  processPendingThankYouBatches,
+  listThankYouBatches,
+  getThankYouBatch,
+};
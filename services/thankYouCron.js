@@ -0,0 +1,27 @@
+const cron = require("node-cron");
+const { processPendingThankYouBatches } = require("./thankYou.service");
+
+const DEFAULT_THANK_YOU_CRON = "* * * * *"; // Every minute
+
+const startThankYouCron = () => {
+  const schedule = process.env.THANK_YOU_CRON || DEFAULT_THANK_YOU_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      const { batchCount, sentCount, failedCount } =
+        await processPendingThankYouBatches();
+
+      if (batchCount > 0) {
+        console.log(
+          `✅ [Thank You Cron] Completed: ${batchCount} batches, ${sentCount} notes sent, ${failedCount} failed`
+        );
+      }
+    } catch (error) {
+      console.error("❌ [Thank You Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(`✅ [Thank You Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startThankYouCron };
@@ -0,0 +1,30 @@
+const cron = require("node-cron");
+const { processUnclaimedGifts } = require("./unclaimedGifts.service");
+
+const DEFAULT_UNCLAIMED_GIFT_CRON = "0 10 * * *"; // Every day at 10:00
+
+const startUnclaimedGiftCron = () => {
+  const schedule =
+    process.env.UNCLAIMED_GIFT_CRON || DEFAULT_UNCLAIMED_GIFT_CRON;
+
+  cron.schedule(schedule, async () => {
+    try {
+      console.log(
+        "🔄 [Unclaimed Gift Cron] Checking gifts for unregistered numbers..."
+      );
+
+      const { remindersSent, giftsExpired, errorCount } =
+        await processUnclaimedGifts();
+
+      console.log(
+        `✅ [Unclaimed Gift Cron] Completed: ${remindersSent} reminders, ${giftsExpired} expired, ${errorCount} errors`
+      );
+    } catch (error) {
+      console.error("❌ [Unclaimed Gift Cron] Fatal error:", error.message);
+    }
+  });
+
+  console.log(`✅ [Unclaimed Gift Cron] Cron job started (${schedule})`);
+};
+
+module.exports = { startUnclaimedGiftCron };
@@ -0,0 +1,296 @@
+const mongoose = require("mongoose");
+const Gift = require("../models/Gift");
+const User = require("../models/user.model");
+const Event = require("../models/Event");
+const Message = require("../models/Message");
+const UserWithNoAccount = require("../models/UserWithNoAccount");
+const { sendSms } = require("../libs/sms/sms");
+const { addGiftToUserHistory } = require("./giftAllocation.service");
+const { initiateGiftRefund } = require("./giftCancellation.service");
+const { sendUnclaimedGiftNotification } = require("./fcm.service");
+const { emitToUser } = require("../sockets/socketEmitter");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const DEFAULT_REMINDER_DAYS = "3,7,14,25"; // Days after the gift was sent
+const DEFAULT_EXPIRY_ACTION = "refund";
+
+// Gift states that can still be claimed by the receiver
+const CLAIMABLE_STATUSES = ["pending", "accepted"];
+
+/**
+ * Read the unclaimed-gift policy from the environment
+ * UNCLAIMED_GIFT_EXPIRY_DAYS - days before an unclaimed gift expires
+ * UNCLAIMED_GIFT_REMINDER_DAYS - comma separated reminder days, e.g. "3,7,14"
+ * UNCLAIMED_GIFT_EXPIRY_ACTION - "refund" (to the payment method) or
+ *   "return_to_sender" (to the sender's unallotted balance)
+ */
+const getUnclaimedGiftConfig = () => {
+  const expiryDays =
+    parseInt(process.env.UNCLAIMED_GIFT_EXPIRY_DAYS, 10) || DEFAULT_EXPIRY_DAYS;
+  const reminderDays = (
+    process.env.UNCLAIMED_GIFT_REMINDER_DAYS || DEFAULT_REMINDER_DAYS
+  )
+    .split(",")
+    .map((day) => parseInt(day.trim(), 10))
+    .filter((day) => day > 0 && day < expiryDays)
+    .sort((a, b) => a - b);
+  const expiryAction =
+    process.env.UNCLAIMED_GIFT_EXPIRY_ACTION === "return_to_sender"
+      ? "return_to_sender"
+      : DEFAULT_EXPIRY_ACTION;
+
+  return { expiryDays, reminderDays, expiryAction };
+};
+
+const notifySender = async (gift, stage, details) => {
+  try {
+    const sender = await User.findById(gift.senderId).select("fcmToken");
+    if (!sender) return;
+    await sendUnclaimedGiftNotification(
+      sender.fcmToken,
+      gift,
+      sender,
+      stage,
+      details
+    );
+  } catch (error) {
+    console.error(
+      `❌ [Unclaimed Gifts] Error notifying sender of gift ${gift._id}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Send the next due claim reminder for a gift
+ * The reminder is claimed atomically on the UserWithNoAccount entry before the
+ * SMS goes out, so re-running the job never sends the same reminder twice
+ *
+ * @returns {boolean} Whether a reminder was sent
+ */
+async function sendReminderIfDue(userWithNoAccount, giftEntry, gift, config) {
+  const sentAt = giftEntry.createdAt || gift.createdAt;
+  const ageMs = Date.now() - new Date(sentAt).getTime();
+  const dueReminders = config.reminderDays.filter(
+    (day) => ageMs >= day * DAY_MS
+  ).length;
+
+  if (dueReminders <= (giftEntry.reminderCount || 0)) {
+    return false;
+  }
+
+  const claimed = await UserWithNoAccount.updateOne(
+    {
+      _id: userWithNoAccount._id,
+      gifts: {
+        $elemMatch: {
+          giftId: gift._id,
+          $or: [
+            { reminderCount: { $lt: dueReminders } },
+            { reminderCount: { $exists: false } },
+          ],
+        },
+      },
+    },
+    {
+      $set: {
+        "gifts.$.reminderCount": dueReminders,
+        "gifts.$.lastReminderAt": new Date(),
+      },
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  const expiresAt = new Date(
+    new Date(sentAt).getTime() + config.expiryDays * DAY_MS
+  );
+  const sender = await User.findById(gift.senderId).select("fullName");
+  const senderName = sender?.fullName || "Someone";
+
+  await sendSms(
+    userWithNoAccount.phoneNumber,
+    `${senderName} sent you a gift of Rs.${
+      gift.valueInINR
+    } on Bahumati. Sign up with this number before ${expiresAt.toDateString()} to claim it.`
+  );
+
+  await notifySender(gift, "reminder", {
+    phoneNumber: userWithNoAccount.phoneNumber,
+    expiresAt,
+  });
+
+  return true;
+}
+
+/**
+ * Expire an unclaimed gift and give the value back to the sender
+ * Paid gifts are refunded (or returned to the sender's unallotted balance,
+ * depending on the configured action); gifts without a captured payment are
+ * always returned to the balance
+ *
+ * @returns {Object|null} Expired gift, or null if it was no longer claimable
+ */
+async function expireUnclaimedGift(userWithNoAccount, giftId, config) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let gift;
+  try {
+    const existingGift = await Gift.findById(giftId).session(session);
+    const canRefund = Boolean(existingGift?.isPaid && existingGift?.paymentId);
+    const resolution =
+      config.expiryAction === "refund" && canRefund
+        ? "refunded"
+        : "returned_to_sender";
+
+    // Atomic transition - a concurrent run or signup can't expire it twice
+    gift = await Gift.findOneAndUpdate(
+      { _id: giftId, status: { $in: CLAIMABLE_STATUSES } },
+      {
+        status: "expired",
+        expiredAt: new Date(),
+        expiryResolution: resolution,
+      },
+      { new: true, session }
+    );
+
+    // Stop tracking the gift either way (stale entries for cancelled gifts too)
+    await UserWithNoAccount.updateOne(
+      { _id: userWithNoAccount._id },
+      { $pull: { gifts: { giftId } } },
+      { session }
+    );
+
+    if (gift) {
+      await Message.updateMany(
+        { giftId: gift._id },
+        {
+          $set: {
+            "metadata.giftExpired": true,
+            "metadata.giftExpiredAt": gift.expiredAt,
+          },
+        },
+        { session }
+      );
+
+      if (resolution === "returned_to_sender") {
+        await addGiftToUserHistory({
+          giftId: gift._id,
+          userId: gift.senderId,
+          amount: gift.valueInINR,
+          senderId: gift.senderId,
+          ledgerType: "gift_returned",
+          session,
+        });
+      }
+
+      if (gift.eventId) {
+        await Event.findByIdAndUpdate(
+          gift.eventId,
+          {
+            $inc: {
+              totalGiftsReceived: -1,
+              totalGiftsAmount: -(gift.valueInINR || 0),
+            },
+          },
+          { session }
+        );
+      }
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  if (!gift) return null;
+
+  if (gift.expiryResolution === "refunded") {
+    await initiateGiftRefund(gift);
+  }
+
+  emitToUser(gift.senderId, "giftExpired", {
+    giftId: gift._id,
+    conversationId: gift.conversationId,
+    resolution: gift.expiryResolution,
+  });
+  await notifySender(gift, "expired", {
+    phoneNumber: userWithNoAccount.phoneNumber,
+    resolution: gift.expiryResolution,
+  });
+
+  return gift;
+}
+
+/**
+ * Send due reminders and expire gifts held for numbers that never registered
+ * Safe to re-run: reminders are claimed per gift entry and expiry is an atomic
+ * status transition
+ *
+ * @returns {Object} { remindersSent, giftsExpired, errorCount }
+ */
+async function processUnclaimedGifts() {
+  const config = getUnclaimedGiftConfig();
+  const expiryMs = config.expiryDays * DAY_MS;
+
+  let remindersSent = 0;
+  let giftsExpired = 0;
+  let errorCount = 0;
+
+  const cursor = UserWithNoAccount.find({ "gifts.0": { $exists: true } })
+    .lean()
+    .cursor();
+
+  for (
+    let userWithNoAccount = await cursor.next();
+    userWithNoAccount != null;
+    userWithNoAccount = await cursor.next()
+  ) {
+    for (const giftEntry of userWithNoAccount.gifts) {
+      try {
+        const gift = await Gift.findById(giftEntry.giftId);
+        const sentAt = giftEntry.createdAt || gift?.createdAt;
+        const isExpired =
+          !gift ||
+          !CLAIMABLE_STATUSES.includes(gift.status) ||
+          Date.now() - new Date(sentAt).getTime() >= expiryMs;
+
+        if (isExpired) {
+          const expiredGift = await expireUnclaimedGift(
+            userWithNoAccount,
+            giftEntry.giftId,
+            config
+          );
+          if (expiredGift) giftsExpired++;
+          continue;
+        }
+
+        if (
+          await sendReminderIfDue(userWithNoAccount, giftEntry, gift, config)
+        ) {
+          remindersSent++;
+        }
+      } catch (error) {
+        console.error(
+          `❌ [Unclaimed Gifts] Error processing gift ${giftEntry.giftId}:`,
+          error.message
+        );
+        errorCount++;
+      }
+    }
+  }
+
+  return { remindersSent, giftsExpired, errorCount };
+}
+
+module.exports = {
+  getUnclaimedGiftConfig,
+  processUnclaimedGifts,
+};
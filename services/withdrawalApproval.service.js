@@ -0,0 +1,418 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const Event = require("../models/Event");
+const Kyc = require("../models/Kyc");
+const UserHistory = require("../models/UserHistory");
+const WithdrawalRequest = require("../models/WithdrawalRequest");
+const { createPayoutForWithdrawal, submitPayout } = require("./payout.service");
+
+// Admin roles that can approve withdrawals
+const APPROVER_ROLES = ["admin", "reconciliation_agent"];
+
+const AUTO_APPROVE_LIMIT = parseFloat(
+  process.env.WITHDRAWAL_AUTO_APPROVE_LIMIT || "5000"
+);
+
+// Per-user limits over all withdrawals requested in a calendar day / month
+// (IST); 0 turns a limit off
+const DAILY_LIMIT = parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT || "100000");
+const MONTHLY_LIMIT = parseFloat(
+  process.env.WITHDRAWAL_MONTHLY_LIMIT || "500000"
+);
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Approval tiers by amount, checked in order. Amounts up to maxAmount (null =
+// no upper bound) need one approval per role in `approvals`; an autoApprove
+// tier is approved on creation for KYC-verified users, and otherwise needs
+// one approval from any approver
+const DEFAULT_APPROVAL_TIERS = [
+  {
+    name: "auto",
+    maxAmount: AUTO_APPROVE_LIMIT,
+    autoApprove: true,
+    approvals: [],
+  },
+  {
+    name: "maker_checker",
+    maxAmount: null,
+    autoApprove: false,
+    approvals: ["reconciliation_agent", "admin"],
+  },
+];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Tiers from WITHDRAWAL_APPROVAL_TIERS (JSON), or the defaults if it is unset
+// or invalid
+const loadApprovalTiers = () => {
+  if (!process.env.WITHDRAWAL_APPROVAL_TIERS) return DEFAULT_APPROVAL_TIERS;
+
+  try {
+    const tiers = JSON.parse(process.env.WITHDRAWAL_APPROVAL_TIERS);
+    const isValid =
+      Array.isArray(tiers) &&
+      tiers.length > 0 &&
+      tiers[tiers.length - 1].maxAmount == null &&
+      tiers.every(
+        (tier) =>
+          tier.name &&
+          Array.isArray(tier.approvals) &&
+          tier.approvals.every((role) => APPROVER_ROLES.includes(role))
+      );
+    if (!isValid) throw new Error("last tier must have no maxAmount");
+    return tiers.map((tier) => ({
+      name: tier.name,
+      maxAmount: tier.maxAmount == null ? null : Number(tier.maxAmount),
+      autoApprove: Boolean(tier.autoApprove),
+      approvals: tier.approvals,
+    }));
+  } catch (error) {
+    console.error(
+      "❌ Invalid WITHDRAWAL_APPROVAL_TIERS, using the default tiers:",
+      error.message
+    );
+    return DEFAULT_APPROVAL_TIERS;
+  }
+};
+
+const APPROVAL_TIERS = loadApprovalTiers();
+
+const formatAmount = (amount) => `₹${Number(amount).toFixed(2)}`;
+
+/**
+ * Approval tier for a withdrawal amount
+ *
+ * @param {number} amount - Withdrawal amount
+ * @returns {Object} { name, maxAmount, autoApprove, approvals }
+ */
+function getApprovalPolicy(amount) {
+  return APPROVAL_TIERS.find(
+    (tier) => tier.maxAmount == null || amount <= tier.maxAmount
+  );
+}
+
+/**
+ * Roles that still have to approve a pending request
+ *
+ * @param {Object} request - WithdrawalRequest document
+ * @returns {Array|null} Missing roles ([] when fully approved), or null when
+ *   one approval from any approver is still needed
+ */
+function getMissingApprovals(request) {
+  const approvals = request.approvalSteps.filter(
+    (step) => step.action === "approved"
+  );
+  if (!request.requiredApprovals.length) {
+    return approvals.length ? [] : null;
+  }
+
+  const missing = [...request.requiredApprovals];
+  for (const step of approvals) {
+    const index = missing.indexOf(step.actorRole);
+    if (index !== -1) missing.splice(index, 1);
+  }
+  return missing;
+}
+
+// Start of the current calendar day / month in IST
+const startOfIstDay = (now) => {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  ist.setUTCHours(0, 0, 0, 0);
+  return new Date(ist.getTime() - IST_OFFSET_MS);
+};
+
+const startOfIstMonth = (now) => {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  ist.setUTCDate(1);
+  ist.setUTCHours(0, 0, 0, 0);
+  return new Date(ist.getTime() - IST_OFFSET_MS);
+};
+
+/**
+ * Check a new withdrawal against the user's daily and monthly limits
+ * Rejected requests and failed payouts don't count. Call it inside the
+ * transaction that puts the money on hold, after the UserHistory update:
+ * concurrent requests of the same user then conflict on that update instead
+ * of both passing the check
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {number} params.amount - Requested amount
+ * @param {Object} params.session - MongoDB session
+ * @throws 400 when a limit would be exceeded
+ */
+async function checkWithdrawalLimits({ userId, amount, session = null }) {
+  const now = new Date();
+  const monthStart = startOfIstMonth(now);
+  const dayStart = startOfIstDay(now);
+
+  const requests = await WithdrawalRequest.find({
+    userId,
+    status: { $in: ["pending", "approved"] },
+    moneyState: { $ne: "alloting" },
+    createdAt: { $gte: monthStart < dayStart ? monthStart : dayStart },
+  })
+    .select("amount createdAt")
+    .session(session);
+
+  const sumSince = (start) =>
+    requests
+      .filter((request) => request.createdAt >= start)
+      .reduce((sum, request) => sum + request.amount, 0);
+
+  const limits = [
+    { label: "Daily", limit: DAILY_LIMIT, used: sumSince(dayStart) },
+    { label: "Monthly", limit: MONTHLY_LIMIT, used: sumSince(monthStart) },
+  ];
+  for (const { label, limit, used } of limits) {
+    if (limit > 0 && used + amount > limit) {
+      throw createError(
+        `${label} withdrawal limit of ${formatAmount(
+          limit
+        )} exceeded. Remaining: ${formatAmount(Math.max(0, limit - used))}`,
+        400
+      );
+    }
+  }
+}
+
+/**
+ * Approve a fully approved request and queue its payout
+ * The payout is submitted after the commit; if that fails the payout cron
+ * retries it
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - WithdrawalRequest ID
+ * @param {string} params.approvedBy - Admin ID of the final approver (null for automatic approvals)
+ * @param {Object} params.step - Approval step to record with it (optional)
+ * @returns {Object} { request, payout }
+ */
+async function finaliseApproval({ requestId, approvedBy = null, step = null }) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let request;
+  let payout;
+  try {
+    request = await WithdrawalRequest.findOne({
+      _id: requestId,
+      status: "pending",
+    }).session(session);
+    if (!request) {
+      throw createError("Withdrawal request is no longer pending", 409);
+    }
+
+    // Withdrawals of a cancelled event are blocked by its cancellation
+    if (request.source === "event") {
+      const event = await Event.findById(request.eventId)
+        .select("status")
+        .session(session);
+      if (event?.status === "cancelled") {
+        throw createError("The event of this withdrawal was cancelled", 409);
+      }
+    }
+
+    const userHistory = await UserHistory.findOne({
+      userId: request.userId,
+    }).session(session);
+    if (!userHistory || userHistory.holdingMoney < request.amount) {
+      throw createError(
+        "Insufficient holding money. This should not happen.",
+        500
+      );
+    }
+
+    // The money stays on hold until the payout settles - paid takes it out
+    // of the wallet, failed or reversed returns it
+    request.status = "approved";
+    request.approvedBy = approvedBy;
+    request.approvedAt = new Date();
+    if (step) request.approvalSteps.push(step);
+    payout = await createPayoutForWithdrawal({ request, session });
+    await request.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(
+    `✅ Withdrawal ${request._id} approved (${
+      request.approvalTier || "manual"
+    })`
+  );
+
+  try {
+    payout = (await submitPayout(payout._id)) || payout;
+  } catch (payoutError) {
+    // The payout cron retries it
+    console.error(
+      `❌ Error submitting payout ${payout._id}:`,
+      payoutError.message
+    );
+  }
+
+  return { request, payout };
+}
+
+/**
+ * Set the approval tier of a new request and auto-approve it when the tier
+ * allows and the user is KYC-verified. If the payout can't be queued (e.g. no
+ * verified bank account yet) the request stays pending for a manual approval
+ *
+ * @param {Object} request - Newly created WithdrawalRequest document
+ * @returns {Object} { request, payout } - payout is null unless auto-approved
+ */
+async function applyApprovalPolicy(request) {
+  const policy = getApprovalPolicy(request.amount);
+  request.approvalTier = policy.name;
+  request.requiredApprovals = policy.approvals;
+  await request.save();
+
+  if (!policy.autoApprove) {
+    return { request, payout: null };
+  }
+
+  const kyc = await Kyc.findOne({ user: request.userId }).select("status");
+  let skipReason = kyc?.status === "approved" ? null : "KYC is not approved";
+
+  if (!skipReason) {
+    try {
+      return await finaliseApproval({
+        requestId: request._id,
+        step: {
+          action: "auto_approved",
+          actorRole: "system",
+          comment: `Up to ${formatAmount(policy.maxAmount)} (${policy.name})`,
+        },
+      });
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) throw error;
+      skipReason = error.message;
+    }
+  }
+
+  const skipped = await WithdrawalRequest.findByIdAndUpdate(
+    request._id,
+    {
+      $push: {
+        approvalSteps: {
+          action: "auto_skipped",
+          actorRole: "system",
+          comment: skipReason,
+        },
+      },
+    },
+    { new: true }
+  );
+  console.log(
+    `ℹ️ Withdrawal ${request._id} left for manual approval: ${skipReason}`
+  );
+  return { request: skipped, payout: null };
+}
+
+/**
+ * Record an approver's approval of a pending request, and approve it once
+ * every required role has approved
+ * Approvers can't approve requests of users they onboarded, and each approver
+ * counts once
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - WithdrawalRequest ID
+ * @param {Object} params.actor - Admin document of the approver
+ * @param {string} params.comment - Approver's comment (optional)
+ * @returns {Object} { request, payout, missingApprovals }
+ */
+async function approveWithdrawal({ requestId, actor, comment }) {
+  if (!APPROVER_ROLES.includes(actor.role)) {
+    throw createError("Your role can't approve withdrawals", 403);
+  }
+
+  let request = mongoose.Types.ObjectId.isValid(requestId)
+    ? await WithdrawalRequest.findById(requestId)
+    : null;
+  if (!request) {
+    throw createError("Withdrawal request not found", 404);
+  }
+  if (request.status !== "pending") {
+    throw createError(`Withdrawal request is already ${request.status}`, 400);
+  }
+
+  const user = await User.findById(request.userId).select("onboardedBy");
+  if (user?.onboardedBy && user.onboardedBy.equals(actor._id)) {
+    throw createError(
+      "You can't approve a withdrawal of a user you onboarded",
+      403
+    );
+  }
+
+  // A fully approved request whose payout couldn't be queued is only retried
+  let missing = getMissingApprovals(request);
+  if (missing === null || missing.length) {
+    if (
+      request.approvalSteps.some(
+        (step) => step.action === "approved" && step.actorId?.equals(actor._id)
+      )
+    ) {
+      throw createError("You have already approved this request", 409);
+    }
+    if (missing !== null && !missing.includes(actor.role)) {
+      throw createError(
+        `This request is waiting for approval from: ${missing.join(", ")}`,
+        403
+      );
+    }
+
+    request = await WithdrawalRequest.findOneAndUpdate(
+      {
+        _id: request._id,
+        status: "pending",
+        approvalSteps: {
+          $not: { $elemMatch: { action: "approved", actorId: actor._id } },
+        },
+      },
+      {
+        $push: {
+          approvalSteps: {
+            action: "approved",
+            actorId: actor._id,
+            actorRole: actor.role,
+            comment: comment ? String(comment).trim().slice(0, 500) : null,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!request) {
+      throw createError("Withdrawal request was changed, please retry", 409);
+    }
+    missing = getMissingApprovals(request);
+  }
+
+  if (missing !== null && missing.length === 0) {
+    const result = await finaliseApproval({
+      requestId: request._id,
+      approvedBy: actor._id,
+    });
+    return { ...result, missingApprovals: [] };
+  }
+
+  return { request, payout: null, missingApprovals: missing || [] };
+}
+
+module.exports = {
+  APPROVER_ROLES,
+  getApprovalPolicy,
+  getMissingApprovals,
+  checkWithdrawalLimits,
+  applyApprovalPolicy,
+  approveWithdrawal,
+};
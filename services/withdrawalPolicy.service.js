@@ -0,0 +1,460 @@
+const mongoose = require("mongoose");
+const Gift = require("../models/Gift");
+const AutoAllocationTask = require("../models/AutoAllocationTask");
+const UserHistory = require("../models/UserHistory");
+const WithdrawalRequest = require("../models/WithdrawalRequest");
+const { getCreditedShare } = require("./eventHosts.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Policies for withdrawals from the general unallotted balance (gifts received
+// outside events), from WITHDRAWAL_BALANCE_POLICIES (comma separated). Each
+// gift is withdrawn from the part of it that is neither allocated nor already
+// withdrawn, and when several policies apply the strictest wins:
+// - percentage_cap: up to WITHDRAWAL_BALANCE_PERCENTAGE % of each gift
+// - holding_period: a gift is held for WITHDRAWAL_BALANCE_HOLDING_DAYS after
+//   it reached the receiver
+// - gift_age: only gifts sent more than WITHDRAWAL_BALANCE_GIFT_AGE_DAYS ago
+//   (scheduled and unclaimed gifts reach the receiver later than that)
+// Auto-allocation of a gift waits until the policies release it
+// (services/autoAllocationCron.js)
+const BALANCE_POLICIES = ["percentage_cap", "holding_period", "gift_age"];
+
+const ACTIVE_BALANCE_POLICIES = (
+  process.env.WITHDRAWAL_BALANCE_POLICIES || "percentage_cap"
+)
+  .split(",")
+  .map((policy) => policy.trim())
+  .filter((policy) => BALANCE_POLICIES.includes(policy));
+
+const BALANCE_PERCENTAGE = parseFloat(
+  process.env.WITHDRAWAL_BALANCE_PERCENTAGE || "30"
+);
+const HOLDING_DAYS = parseInt(
+  process.env.WITHDRAWAL_BALANCE_HOLDING_DAYS || "7"
+);
+const GIFT_AGE_DAYS = parseInt(
+  process.env.WITHDRAWAL_BALANCE_GIFT_AGE_DAYS || "7"
+);
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// When a gift reached the receiver's balance
+const receivedAt = (gift) => gift.deliveredAt || gift.paidAt || gift.createdAt;
+
+// When the active balance policies release a gift for withdrawal, or null if
+// none of them holds it back
+const balanceReleaseDate = (gift) => {
+  const dates = [];
+  if (ACTIVE_BALANCE_POLICIES.includes("holding_period")) {
+    dates.push(receivedAt(gift).getTime() + HOLDING_DAYS * DAY_MS);
+  }
+  if (ACTIVE_BALANCE_POLICIES.includes("gift_age")) {
+    dates.push(gift.createdAt.getTime() + GIFT_AGE_DAYS * DAY_MS);
+  }
+  return dates.length ? new Date(Math.max(...dates)) : null;
+};
+
+// The user's share of a split gift, or null for a whole gift
+const shareOf = (gift, userId) =>
+  gift.beneficiaryShares?.length
+    ? gift.beneficiaryShares.find(
+        (share) => String(share.userId) === String(userId)
+      ) || null
+    : null;
+
+// Amount the user allocated to holdings from each gift
+const getAllocatedByGift = async (userId, session) => {
+  const userHistory = await UserHistory.findOne({ userId })
+    .select("allocationHistory")
+    .session(session);
+  const allocatedByGift = {};
+  for (const allocation of userHistory?.allocationHistory || []) {
+    if (allocation.kind !== "allocation" || !allocation.giftId) continue;
+    const key = String(allocation.giftId);
+    allocatedByGift[key] = (allocatedByGift[key] || 0) + allocation.amount;
+  }
+  return allocatedByGift;
+};
+
+// Draw an amount from the given gifts' eligible parts, in order
+const drawDownGifts = async ({ userId, gifts, amount, session }) => {
+  const drawdowns = [];
+  let remaining = amount;
+  for (const gift of gifts) {
+    if (remaining <= 0.001) break;
+    const take = roundAmount(Math.min(gift.eligible, remaining));
+    if (take <= 0) continue;
+
+    const result = gift.isSplit
+      ? await Gift.updateOne(
+          { _id: gift.giftId },
+          { $inc: { "beneficiaryShares.$[share].withdrawnAmount": take } },
+          {
+            arrayFilters: [
+              { "share.userId": new mongoose.Types.ObjectId(String(userId)) },
+            ],
+            session,
+          }
+        )
+      : await Gift.updateOne(
+          { _id: gift.giftId },
+          { $inc: { withdrawnAmount: take } },
+          { session }
+        );
+    if (!result.modifiedCount) {
+      throw createError("Gift balances changed, please try again", 409);
+    }
+
+    drawdowns.push({ giftId: gift.giftId, amount: take });
+    remaining = roundAmount(remaining - take);
+  }
+  return drawdowns;
+};
+
+/**
+ * Per-gift withdrawal breakdown of a host in an event, oldest gift first
+ * For each gift credited to the user: how much was allocated to a holding,
+ * withdrawn (held or paid out) or is still free, and how much of it can be
+ * withdrawn - withdrawalPercentage % of it, out of the free part
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Host user ID
+ * @param {Object} params.event - Event document
+ * @param {Array} params.gifts - The event's credited gifts, if already loaded (optional)
+ * @param {Object} params.session - MongoDB session (optional)
+ * @returns {Array} [{ giftId, isSplit, receivedAt, credited, allocated, withdrawn, free, eligible }]
+ */
+async function getEventGiftBreakdown({
+  userId,
+  event,
+  gifts = null,
+  session = null,
+}) {
+  const eventGifts =
+    gifts ||
+    (await Gift.find({
+      eventId: event._id,
+      // Unpaid and refunded gifts were never credited to the host
+      status: { $nin: ["payment_pending", "cancelled"] },
+    }).session(session));
+  const allocatedByGift = await getAllocatedByGift(userId, session);
+
+  return eventGifts
+    .map((gift) => {
+      const credited = getCreditedShare(gift, userId);
+      if (!credited) return null;
+
+      const share = shareOf(gift, userId);
+      const withdrawn =
+        (share ? share.withdrawnAmount : gift.withdrawnAmount) || 0;
+      const allocated = Math.min(
+        allocatedByGift[String(gift._id)] || 0,
+        credited
+      );
+      const free = Math.max(0, credited - allocated - withdrawn);
+      const permitted = (credited * event.withdrawalPercentage) / 100;
+
+      return {
+        giftId: gift._id,
+        isSplit: Boolean(share),
+        receivedAt: receivedAt(gift),
+        credited: roundAmount(credited),
+        allocated: roundAmount(allocated),
+        withdrawn: roundAmount(withdrawn),
+        free: roundAmount(free),
+        eligible: roundAmount(
+          Math.max(0, Math.min(free, permitted - withdrawn))
+        ),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.receivedAt - b.receivedAt);
+}
+
+// Requests made before withdrawals were drawn from specific gifts still count
+// against the event as a whole
+const sumUntrackedRequests = (userId, event, session) =>
+  WithdrawalRequest.find({
+    eventId: event._id,
+    userId,
+    status: { $in: ["pending", "approved"] },
+    moneyState: { $ne: "alloting" },
+    "giftDrawdowns.0": { $exists: false },
+  })
+    .select("amount")
+    .session(session)
+    .then((requests) =>
+      requests.reduce((sum, request) => sum + request.amount, 0)
+    );
+
+/**
+ * How much a host can withdraw from an event - the "event" policy
+ * The event must have ended (or been cancelled keeping its gifts). Each gift
+ * can be withdrawn up to withdrawalPercentage % of it, from the part that was
+ * not allocated - allocating some gifts doesn't block the others
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Host user ID
+ * @param {Object} params.event - Event document
+ * @param {Object} params.session - MongoDB session (optional)
+ * @returns {Object} { totalGiftsAmount, maxWithdrawable, alreadyRequested, available, gifts }
+ * @throws 400 when the event doesn't allow withdrawals (yet)
+ */
+async function getEventWithdrawalAllowance({ userId, event, session = null }) {
+  // Gifts of a cancelled event are either refunded, or kept with the hosts
+  // and free to withdraw without waiting for the end date
+  if (event.status === "cancelled" && event.cancellationPolicy !== "keep") {
+    throw createError(
+      "This event was cancelled and its gifts refunded to the gifters",
+      400
+    );
+  }
+  if (event.status !== "cancelled" && new Date() <= event.eventEndDate) {
+    throw createError(
+      "Withdrawals are only allowed after the event has ended",
+      400
+    );
+  }
+
+  const gifts = await getEventGiftBreakdown({ userId, event, session });
+  const untracked = await sumUntrackedRequests(userId, event, session);
+
+  const sum = (key) => gifts.reduce((total, gift) => total + gift[key], 0);
+  const totalGiftsAmount = sum("credited");
+  const eligible = sum("eligible");
+
+  return {
+    totalGiftsAmount: roundAmount(totalGiftsAmount),
+    maxWithdrawable: roundAmount(
+      (totalGiftsAmount * event.withdrawalPercentage) / 100
+    ),
+    alreadyRequested: roundAmount(sum("withdrawn") + untracked),
+    available: roundAmount(Math.max(0, eligible - untracked)),
+    gifts,
+  };
+}
+
+/**
+ * Draw a withdrawal from the host's eligible event gifts, oldest first
+ * Call inside the withdrawal's transaction
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Host user ID
+ * @param {Object} params.event - Event document
+ * @param {number} params.amount - Amount to withdraw
+ * @param {Object} params.session - MongoDB session
+ * @returns {Array} [{ giftId, amount }] for WithdrawalRequest.giftDrawdowns
+ * @throws 400 if the eligible gifts don't cover the amount
+ */
+async function drawDownEventGifts({ userId, event, amount, session }) {
+  const { gifts, available } = await getEventWithdrawalAllowance({
+    userId,
+    event,
+    session,
+  });
+  if (amount > available + 0.001) {
+    throw createError(
+      `Insufficient funds. Available: ₹${available.toFixed(2)}`,
+      400
+    );
+  }
+
+  return drawDownGifts({ userId, gifts, amount, session });
+}
+
+/**
+ * Per-gift breakdown of a user's general balance, oldest gift first
+ * For each unallotted gift received outside events: how much was allocated
+ * to a holding, withdrawn (held or paid out) or is still free, and how much
+ * of it the active balance policies let the user withdraw
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {Object} params.session - MongoDB session (optional)
+ * @returns {Array} [{ giftId, receivedAt, releasedAt, credited, allocated, withdrawn, free, eligible }]
+ */
+async function getBalanceGiftBreakdown({ userId, session = null }) {
+  const gifts = await Gift.find({
+    receiverId: userId,
+    eventId: null,
+    isSelfGift: { $ne: true },
+    status: { $in: ["pending", "accepted"] },
+  })
+    .select("valueInINR withdrawnAmount paidAt deliveredAt createdAt")
+    .session(session);
+  const allocatedByGift = await getAllocatedByGift(userId, session);
+
+  const now = Date.now();
+  return gifts
+    .map((gift) => {
+      const credited = gift.valueInINR || 0;
+      const withdrawn = gift.withdrawnAmount || 0;
+      const allocated = Math.min(
+        allocatedByGift[String(gift._id)] || 0,
+        credited
+      );
+      const free = Math.max(0, credited - allocated - withdrawn);
+      const releasedAt = balanceReleaseDate(gift);
+
+      // With no valid policy configured, balance withdrawals stay closed
+      let eligible = ACTIVE_BALANCE_POLICIES.length ? free : 0;
+      if (ACTIVE_BALANCE_POLICIES.includes("percentage_cap")) {
+        const permitted = (credited * BALANCE_PERCENTAGE) / 100;
+        eligible = Math.min(eligible, permitted - withdrawn);
+      }
+      if (releasedAt && releasedAt.getTime() > now) {
+        eligible = 0;
+      }
+
+      return {
+        giftId: gift._id,
+        receivedAt: receivedAt(gift),
+        releasedAt,
+        credited: roundAmount(credited),
+        allocated: roundAmount(allocated),
+        withdrawn: roundAmount(withdrawn),
+        free: roundAmount(free),
+        eligible: roundAmount(Math.max(0, eligible)),
+      };
+    })
+    .sort((a, b) => a.receivedAt - b.receivedAt);
+}
+
+/**
+ * How much a user can withdraw from their general unallotted balance under
+ * the active balance policies
+ * Only gifts received outside events count; event money follows the event
+ * policy. Money already drawn from a gift stays with that gift, so gifts
+ * that were allotted since no longer count
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {Object} params.session - MongoDB session (optional)
+ * @returns {Object} { policies, totalGiftsAmount, maxWithdrawable, alreadyRequested, available, availableFrom, gifts }
+ */
+async function getBalanceWithdrawalAllowance({ userId, session = null }) {
+  const gifts = await getBalanceGiftBreakdown({ userId, session });
+
+  const policies = ACTIVE_BALANCE_POLICIES.map((name) =>
+    name === "percentage_cap"
+      ? { name, percentage: BALANCE_PERCENTAGE }
+      : { name, days: name === "gift_age" ? GIFT_AGE_DAYS : HOLDING_DAYS }
+  );
+
+  // Earliest date a held gift with a free part is released
+  const now = Date.now();
+  const availableFrom =
+    gifts
+      .filter(
+        (gift) =>
+          gift.free > 0 && gift.releasedAt && gift.releasedAt.getTime() > now
+      )
+      .map((gift) => gift.releasedAt)
+      .sort((a, b) => a - b)[0] || null;
+
+  const sum = (key) => gifts.reduce((total, gift) => total + gift[key], 0);
+  const alreadyRequested = sum("withdrawn");
+  const available = sum("eligible");
+
+  return {
+    policies,
+    totalGiftsAmount: roundAmount(sum("credited")),
+    maxWithdrawable: roundAmount(alreadyRequested + available),
+    alreadyRequested: roundAmount(alreadyRequested),
+    available: roundAmount(available),
+    availableFrom,
+    gifts,
+  };
+}
+
+/**
+ * Draw a balance withdrawal from the user's eligible gifts, oldest first
+ * Call inside the withdrawal's transaction, after the UserHistory update - a
+ * concurrent withdrawal either committed before (and is counted here) or
+ * conflicts with this one
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {number} params.amount - Amount to withdraw
+ * @param {Object} params.session - MongoDB session
+ * @returns {Array} [{ giftId, amount }] for WithdrawalRequest.giftDrawdowns
+ * @throws 400 if the eligible gifts don't cover the amount
+ */
+async function drawDownBalanceGifts({ userId, amount, session }) {
+  const { gifts, available } = await getBalanceWithdrawalAllowance({
+    userId,
+    session,
+  });
+  if (amount > available + 0.001) {
+    throw createError(
+      `Insufficient funds. Available: ₹${available.toFixed(2)}`,
+      400
+    );
+  }
+
+  return drawDownGifts({ userId, gifts, amount, session });
+}
+
+/**
+ * Give a withdrawal's amount back to the gifts it was drawn from, when the
+ * money returns to the user (rejected, blocked, or the payout failed), and let
+ * auto-allocation pick the returned money up again
+ * Requests without drawdowns are skipped
+ *
+ * @param {Object} params
+ * @param {Object} params.request - WithdrawalRequest document
+ * @param {Object} params.session - MongoDB session
+ */
+async function releaseGiftDrawdowns({ request, session }) {
+  if (!request.giftDrawdowns?.length) return;
+  const allocatedByGift = await getAllocatedByGift(request.userId, session);
+
+  for (const drawdown of request.giftDrawdowns) {
+    const gift = await Gift.findById(drawdown.giftId).session(session);
+    if (!gift) continue;
+
+    // Split gifts are drawn per beneficiary share
+    const share = shareOf(gift, request.userId);
+    const part = share || gift;
+    part.withdrawnAmount = roundAmount(
+      Math.max(0, (part.withdrawnAmount || 0) - drawdown.amount)
+    );
+    // A gift allotted with the help of the withdrawn part has money to
+    // allocate again
+    const allocated = allocatedByGift[String(gift._id)] || 0;
+    const credited = share ? share.amount : gift.valueInINR;
+    if (part.isAllotted && allocated + part.withdrawnAmount < credited) {
+      part.isAllotted = false;
+      if (gift.status === "allotted") {
+        gift.isAllotted = false;
+        gift.status = allocated > 0 ? "accepted" : "pending";
+      }
+    }
+    await gift.save({ session });
+
+    await AutoAllocationTask.updateOne(
+      { giftId: gift._id, userId: request.userId },
+      { isActive: true, scheduledAt: new Date(), error: null },
+      { session }
+    );
+  }
+}
+
+module.exports = {
+  BALANCE_POLICIES,
+  balanceReleaseDate,
+  getEventGiftBreakdown,
+  getEventWithdrawalAllowance,
+  drawDownEventGifts,
+  getBalanceGiftBreakdown,
+  getBalanceWithdrawalAllowance,
+  drawDownBalanceGifts,
+  releaseGiftDrawdowns,
+};
@@ -2,6 +2,7 @@ const mongoose = require("mongoose"); // Required for transactions
 const { encrypt } = require("../utils/crypto.util");
 const Message = require("../models/Message");
 const Gift = require("../models/Gift");
+const Event = require("../models/Event");
 const Conversation = require("../models/Conversation");
 const User = require("../models/user.model");
 const UserWithNoAccount = require("../models/UserWithNoAccount");
@@ -10,37 +11,40 @@ const {
   sendGiftNotification,
   sendGiftWithMessageNotification,
 } = require("../services/fcm.service");
+const { allocateGift } = require("../services/giftAllocation.service");
+const { switchHolding } = require("../services/holdingSwitch.service");
 const {
-  allocateGift,
-  addGiftToUserHistory,
-} = require("../services/giftAllocation.service");
-const AutoAllocationTask = require("../models/AutoAllocationTask");
-
-const AUTO_ALLOCATION_DELAY_MS = 24 * 60 * 60 * 1000; // T + 1 day
-
-const scheduleAutoAllocationTask = async ({
-  giftId,
-  userId,
-  delayMs = AUTO_ALLOCATION_DELAY_MS,
-}) => {
-  const scheduledAt = new Date(Date.now() + delayMs);
-
-  await AutoAllocationTask.findOneAndUpdate(
-    { giftId },
-    {
-      giftId,
-      userId,
-      scheduledAt,
-      isActive: true,
-      error: null,
-    },
-    {
-      upsert: true,
-      new: true,
-      setDefaultsOnInsert: true,
+  resolveGiftReceiver,
+  createGift,
+  buildConversationUpdate,
+} = require("../services/giftCreation.service");
+const {
+  scheduleAutoAllocationTask,
+} = require("../services/giftPayment.service");
+const { eventRoom } = require("../services/eventWall.service");
+
+// Live guest wall of an event - new paid gifts are emitted as "eventWallEntry"
+// to the event's room (see services/eventWall.service.js)
+function registerEventWallHandlers(socket) {
+  socket.on("joinEventWall", async ({ eventLink } = {}, callback) => {
+    try {
+      const event = await Event.findOne({ eventLink }).select("_id");
+      if (!event) {
+        if (callback) callback({ success: false, error: "Event not found" });
+        return;
+      }
+      socket.join(eventRoom(event._id));
+      if (callback) callback({ success: true, eventId: event._id });
+    } catch (err) {
+      console.error("❌ [joinEventWall] Error:", err.message);
+      if (callback) callback({ success: false, error: err.message });
     }
-  );
-};
+  });
+
+  socket.on("leaveEventWall", ({ eventId } = {}) => {
+    if (eventId) socket.leave(eventRoom(eventId));
+  });
+}
 
 function initChatSocket(io) {
   const onlineUsers = new Map(); // Tracks userId -> socketId
@@ -54,6 +58,13 @@ function initChatSocket(io) {
       return socket.disconnect();
     }
 
+    // Event guests (phone verified on a public event page) can only follow
+    // the event's guest wall
+    if (socket.user.type === "eventGuest") {
+      registerEventWallHandlers(socket);
+      return;
+    }
+
     console.log("New user connected:", socket.id, "| UserID:", socket.user.id);
 
     // 1. Handle user going online
@@ -66,566 +77,58 @@ function initChatSocket(io) {
     });
 
     // 2. Handle sending gifts first (without message)
-    // This handler can also use a transaction if gift creation involves multiple steps (e.g., updating user wallet)
-    // For now, keeping it simple as it's only one 'create' operation.
+    // Gift creation is shared with scheduled gifts - see services/giftCreation.service.js
     socket.on("sendGift", async (data, callback) => {
-      // Note: If this logic becomes complex (e.g., debiting user wallet),
-      // you should wrap this in a transaction as well.
       const session = await mongoose.startSession();
       session.startTransaction();
 
-      // Declare variables outside try block for error handling
-      let senderId;
-      let receiverId;
-      let receiverNumber;
-      let giftData;
-      let actualReceiverId = null;
-      let actualReceiverNumber = null;
-      let senderObjectId = null;
+      const senderId = socket.user.id;
+      const { receiverId, receiverNumber, giftData } = data || {};
+      // Optional future delivery time - the gift stays hidden until then
+      const deliverAt = data?.deliverAt || giftData?.deliverAt || null;
 
       try {
-        senderId = socket.user.id;
-        ({ receiverId, receiverNumber, giftData } = data);
-
         console.log("🎁 [sendGift] Received data:", {
           senderId,
           receiverId,
           receiverNumber,
           hasGiftData: !!giftData,
+          deliverAt,
         });
 
-        if (!giftData) {
-          throw new Error("Gift data is required");
-        }
-
-        if (!receiverId && !receiverNumber) {
-          throw new Error("Either receiverId or receiverNumber is required");
-        }
-
-        // Normalize phone number if provided
-        const normalizePhoneNumber = (rawNumber) => {
-          if (!rawNumber) return null;
-          const str = String(rawNumber);
-          const digits = str.replace(/\D/g, "");
-          if (digits.length >= 10) {
-            return digits.slice(-10);
-          }
-          return null;
-        };
-
-        actualReceiverNumber = receiverNumber
-          ? normalizePhoneNumber(receiverNumber)
-          : null;
-
-        console.log(
-          `📞 [sendGift] Initial receiverNumber normalized: ${actualReceiverNumber}`
-        );
-
-        // Validate receiverId - it must be a valid ObjectId if provided
-        if (receiverId) {
-          const isValidObjectId = mongoose.Types.ObjectId.isValid(receiverId);
-          console.log(
-            `🔍 [sendGift] receiverId validation: "${receiverId}" (type: ${typeof receiverId}) is valid ObjectId: ${isValidObjectId}`
-          );
-          if (isValidObjectId) {
-            actualReceiverId = new mongoose.Types.ObjectId(receiverId);
-            console.log(
-              `✅ [sendGift] Converted receiverId to ObjectId: ${actualReceiverId}`
-            );
-          } else {
-            // If receiverId is not a valid ObjectId, treat it as a phone number
-            console.warn(
-              `⚠️ [sendGift] receiverId "${receiverId}" is not a valid ObjectId, treating as phone number`
-            );
-            actualReceiverNumber = normalizePhoneNumber(receiverId);
-            console.log(
-              `📞 [sendGift] Normalized phone number from receiverId: ${actualReceiverNumber}`
-            );
-          }
-        }
-
-        // If receiverNumber is provided, try to find user by phone number
-        // If not found, create/find UserWithNoAccount and use its _id as receiverId
-        if (!actualReceiverId && actualReceiverNumber) {
-          console.log(
-            `🔍 [sendGift] Searching for user with phone number: ${actualReceiverNumber}`
-          );
-          const userByNumber = await User.findOne({
-            number: actualReceiverNumber,
-            active: true,
-          }).session(session);
-          if (userByNumber) {
-            actualReceiverId = userByNumber._id;
-            // Clear receiverNumber because this is a registered user
-            actualReceiverNumber = null;
-            console.log(
-              `✅ [sendGift] Found registered user: ${actualReceiverId}`
-            );
-          } else {
-            // No registered user found - create or find UserWithNoAccount
-            console.log(
-              `ℹ️ [sendGift] No registered user found for phone number: ${actualReceiverNumber}, creating/finding UserWithNoAccount`
-            );
-            let userWithNoAccount = await UserWithNoAccount.findOne({
-              phoneNumber: actualReceiverNumber,
-            }).session(session);
-            if (!userWithNoAccount) {
-              [userWithNoAccount] = await UserWithNoAccount.create(
-                [
-                  {
-                    phoneNumber: actualReceiverNumber,
-                    gifts: [],
-                    messages: [],
-                  },
-                ],
-                { session }
-              );
-              console.log(
-                `✅ [sendGift] Created UserWithNoAccount: ${userWithNoAccount._id} for phone ${actualReceiverNumber}`
-              );
-            } else {
-              console.log(
-                `✅ [sendGift] Found existing UserWithNoAccount: ${userWithNoAccount._id} for phone ${actualReceiverNumber}`
-              );
-            }
-            // Use UserWithNoAccount._id as receiverId - ensure it's an ObjectId
-            actualReceiverId =
-              userWithNoAccount._id instanceof mongoose.Types.ObjectId
-                ? userWithNoAccount._id
-                : new mongoose.Types.ObjectId(userWithNoAccount._id);
-            console.log(
-              `📋 [sendGift] Using UserWithNoAccount._id as receiverId: ${actualReceiverId} (type: ${actualReceiverId.constructor.name})`
-            );
-          }
-        }
-
-        let conversation = null;
-        // Create conversation even if receiver doesn't exist (for phone number)
-        // Ensure senderId is a valid ObjectId
-        console.log(
-          `🔍 [sendGift] Validating senderId: "${senderId}" (type: ${typeof senderId})`
-        );
-        if (!mongoose.Types.ObjectId.isValid(senderId)) {
-          console.error(
-            `❌ [sendGift] Invalid senderId: "${senderId}" is not a valid ObjectId`
-          );
-          throw new Error(
-            `Invalid senderId: "${senderId}" is not a valid ObjectId`
-          );
-        }
-        senderObjectId = new mongoose.Types.ObjectId(senderId);
-        console.log(
-          `✅ [sendGift] senderObjectId: ${senderObjectId} (type: ${senderObjectId.constructor.name})`
-        );
-        console.log(
-          `📊 [sendGift] Final values - actualReceiverId: ${
-            actualReceiverId ? actualReceiverId.toString() : null
-          }, actualReceiverNumber: ${actualReceiverNumber}`
-        );
-
-        if (actualReceiverId) {
-          // Ensure receiverId is also a valid ObjectId
-          console.log(
-            `🔍 [sendGift] Processing with actualReceiverId: ${actualReceiverId} (type: ${actualReceiverId.constructor.name})`
-          );
-
-          // Double-check that actualReceiverId is actually an ObjectId
-          if (!mongoose.Types.ObjectId.isValid(actualReceiverId)) {
-            console.error(
-              `❌ [sendGift] actualReceiverId "${actualReceiverId}" is not a valid ObjectId! This should not happen.`
-            );
-            throw new Error(
-              `Invalid actualReceiverId: "${actualReceiverId}" is not a valid ObjectId`
-            );
-          }
-
-          const receiverObjectId = new mongoose.Types.ObjectId(
-            actualReceiverId
-          );
-
-          console.log(
-            `📋 [sendGift] Creating conversation with participants: [${senderObjectId}, ${receiverObjectId}]`
-          );
-          console.log(
-            `🔍 [sendGift] Participants types: sender=${senderObjectId.constructor.name}, receiver=${receiverObjectId.constructor.name}`
-          );
-          conversation = await Conversation.findOne({
-            participants: { $all: [senderObjectId, receiverObjectId] },
-          }).session(session);
-
-          if (!conversation) {
-            console.log(
-              `🆕 [sendGift] Creating new conversation with participants array: [${senderObjectId}, ${receiverObjectId}]`
-            );
-            [conversation] = await Conversation.create(
-              [
-                {
-                  participants: [senderObjectId, receiverObjectId],
-                  receiverNumber: actualReceiverNumber || null,
-                },
-              ],
-              { session }
-            );
-            console.log(
-              `✅ [sendGift] Conversation created successfully: ${conversation._id}`
-            );
-          } else {
-            console.log(
-              `📂 [sendGift] Found existing conversation: ${conversation._id}`
-            );
-          }
-        } else {
-          console.error(
-            `❌ [sendGift] actualReceiverId is not set! This should not happen.`
-          );
-          throw new Error("Receiver ID is required");
-        }
-
-        // --- GIFT CREATION ---
-        // actualReceiverId is always set now (either User._id or UserWithNoAccount._id)
-        // Determine self-gift on the server instead of trusting client-provided flag
-        const isSelfGift = String(senderId) === String(actualReceiverId);
-
-        // Generate unique Bahumati transaction ID
-        const generateUniqueTransactionId = async () => {
-          const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-          let isUnique = false;
-          let transactionId;
-          let attempts = 0;
-          const maxAttempts = 10;
-
-          while (!isUnique && attempts < maxAttempts) {
-            // Use timestamp (last 8 chars of timestamp in base36) + random chars for uniqueness
-            const timestamp = Date.now().toString(36).toUpperCase().slice(-8);
-            let randomPart = "";
-            for (let i = 0; i < 6; i++) {
-              randomPart += chars.charAt(
-                Math.floor(Math.random() * chars.length)
-              );
-            }
-            transactionId = `BAHU${timestamp}${randomPart}`;
-
-            // Check if this transaction ID already exists
-            const existingGift = await Gift.findOne({
-              transactionId: transactionId,
-            }).session(session);
-            if (!existingGift) {
-              isUnique = true;
-            }
-            attempts++;
-          }
-
-          if (!isUnique) {
-            // Fallback: use full timestamp + random if we couldn't find unique in max attempts
-            const timestamp = Date.now().toString(36).toUpperCase();
-            let randomPart = "";
-            for (let i = 0; i < 12; i++) {
-              randomPart += chars.charAt(
-                Math.floor(Math.random() * chars.length)
-              );
-            }
-            transactionId = `BAHU${timestamp}${randomPart}`;
-          }
-
-          return transactionId;
-        };
-        const transactionId = await generateUniqueTransactionId();
-
-        // Handle eventId if provided
-        let eventId = null;
-        if (giftData.eventId) {
-          const Event = require("../models/Event");
-          const event = await Event.findById(giftData.eventId).session(session);
-
-          if (!event) {
-            throw new Error("Event not found");
-          }
-
-          // Validate event is active
-          if (event.status !== "active") {
-            throw new Error("Cannot send gift to inactive event");
-          }
-
-          // Validate event dates
-          const now = new Date();
-          if (now < event.eventStartDate || now > event.eventEndDate) {
-            throw new Error("Cannot send gift outside event date range");
-          }
-
-          // Validate receiver is the event creator
-          if (String(actualReceiverId) !== String(event.creatorId)) {
-            throw new Error("Gifts can only be sent to the event creator");
-          }
-
-          eventId = event._id;
-        }
-
-        const [giftRecord] = await Gift.create(
-          [
-            {
-              senderId,
-              receiverId: actualReceiverId, // Always an ObjectId now
-              receiverNumber: actualReceiverNumber || null, // Keep for reference
-              type: giftData.type || "gold",
-              name: giftData.name || "Gift",
-              icon: giftData.icon || null,
-              amount: giftData.amount || 0,
-              pricePerUnitAtGift: giftData.pricePerUnitAtGift || 0,
-              quantity: giftData.quantity || 0,
-              valueInINR: giftData.valueInINR || 0,
-              orderId: giftData.orderId || null,
-              status: "pending",
-              note: giftData.note || null,
-              conversationId: conversation?._id || null,
-              eventId: eventId,
-              isSelfGift: isSelfGift,
-              transactionId: transactionId,
-            },
-          ],
-          { session }
-        );
-
-        // Update event stats if this is an event gift
-        if (eventId) {
-          const Event = require("../models/Event");
-          await Event.findByIdAndUpdate(
-            eventId,
-            {
-              $inc: {
-                totalGiftsReceived: 1,
-                totalGiftsAmount: giftData.valueInINR || 0,
-              },
-            },
-            { session }
-          );
-        }
-
-        // --- CREATE CHAT MESSAGE FOR GIFT ---
-        // REMOVED: We do not create a message here anymore.
-        // The message will be created when the user explicitly sends a message with the gift attached.
-        /*
-        const Message = require("../models/Message");
-        const [giftMessage] = await Message.create(
-          [
-            {
-              conversationId: conversation._id,
-              senderId: senderId,
-              receiverId: actualReceiverId,
-              type: "gift",
-              content: giftData.note || "",
-              giftId: giftRecord._id,
-              status: "sent",
-              createdAt: new Date(),
-            },
-          ],
-          { session }
-        );
-
-        // Update conversation with new message
-        conversation.lastMessage = giftMessage._id;
-        conversation.lastMessageType = "gift";
-        conversation.updatedAt = new Date();
-        await conversation.save({ session });
-
-        // --- EMIT SOCKET EVENTS FOR GIFT MESSAGE ---
-        if (conversation && giftMessage) {
-          const unencryptedMessageForSocket = {
-            ...giftMessage.toObject(),
-            content: giftData.note || "",
-            gift: giftRecord.toObject(),
-            receiverNumber:
-              actualReceiverNumber || conversation.receiverNumber || null,
-          };
-
-          const conversationForSocket =
-            typeof conversation.toObject === "function"
-              ? { ...conversation.toObject() }
-              : { ...conversation };
-          conversationForSocket.receiverNumber =
-            actualReceiverNumber || conversation.receiverNumber || null;
-
-          // Emit to receiver
-          io.to(actualReceiverId).emit("receiveGiftWithMessage", {
-            message: unencryptedMessageForSocket,
-            gift: giftRecord,
-            conversation: conversationForSocket,
-          });
-
-          // Emit to sender
-          socket.emit("giftWithMessageSent", {
-            message: unencryptedMessageForSocket,
-            gift: giftRecord,
-            conversation: conversationForSocket,
-          });
-        }
-        */
-
-        // --- AUTO-ALLOT SELF GIFTS ---
-        // If this is a self gift, automatically allot it with the same type
-        // Note: Money will be added to UserHistory first, then allocated
-        if (isSelfGift && String(senderId) === String(actualReceiverId)) {
-          // Self gifts will be auto-allotted after money is added to UserHistory
-          // This happens outside the transaction
-        }
+        const {
+          gift: giftRecord,
+          conversation,
+          receiverId: actualReceiverId,
+          receiverNumber: actualReceiverNumber,
+        } = await createGift({
+          senderId,
+          receiverId,
+          receiverNumber,
+          giftData,
+          deliverAt,
+          session,
+        });
 
         // --- Commit ---
         await session.commitTransaction();
 
-        // Handle gift money allocation (for registered users only)
-        // Do this outside transaction to avoid long-running transactions
-        try {
-          // Check if receiver is a registered User (not UserWithNoAccount)
-          const isUserWithNoAccount = await UserWithNoAccount.findById(
-            actualReceiverId
-          );
-
-          if (!isUserWithNoAccount) {
-            // Check if this is a self-gift
-            if (isSelfGift && String(senderId) === String(actualReceiverId)) {
-              // For self-gifts: directly allocate to chosen type, skip unallotted money
-              try {
-                const allocationType = giftRecord.type; // Allocate as the same type (gold or stock)
-
-                // First, add to UserHistory (but we'll allocate immediately, so it won't stay unallotted)
-                await addGiftToUserHistory({
-                  giftId: giftRecord._id,
-                  userId: actualReceiverId,
-                  amount: giftRecord.valueInINR,
-                  senderId: senderId,
-                });
-
-                // Immediately allocate the full amount to the chosen type
-                await allocateGift({
-                  giftId: String(giftRecord._id), // Convert ObjectId to string
-                  userId: String(actualReceiverId),
-                  allocationType: allocationType,
-                  amount: giftRecord.valueInINR, // Allocate full amount
-                });
-                console.log(
-                  `✅ Directly allocated self gift ₹${giftRecord.valueInINR} as ${allocationType} (skipped unallotted)`
-                );
-              } catch (allocationError) {
-                console.error(
-                  `❌ Error auto-allotting self gift: ${allocationError.message}`
-                );
-                // Don't fail gift creation if auto-allocation fails
-              }
-            } else {
-              // For regular gifts: add to unallotted money
-              await addGiftToUserHistory({
-                giftId: giftRecord._id,
-                userId: actualReceiverId,
-                amount: giftRecord.valueInINR,
-                senderId: senderId,
-              });
-              console.log(
-                `✅ Added ₹${giftRecord.valueInINR} to user ${actualReceiverId}'s unallotted money`
-              );
-            }
-          }
-        } catch (historyError) {
-          console.error(
-            "Error adding gift to user history:",
-            historyError.message
-          );
-          // Don't fail gift creation if history update fails
-        }
-
-        // Send notification for self-gifts
-        if (isSelfGift && String(senderId) === String(actualReceiverId)) {
-          try {
-            // Get receiver user data for notification
-            const receiver = await User.findById(actualReceiverId);
-            const sender = await User.findById(senderId);
-
-            if (receiver?.fcmToken) {
-              await sendGiftNotification(
-                receiver.fcmToken,
-                {
-                  ...giftRecord.toObject(),
-                  _id: giftRecord._id,
-                  senderId: senderId,
-                  receiverId: actualReceiverId,
-                  isSelfGift: true,
-                },
-                sender
-              );
-              console.log(
-                `📱 Push notification sent for self-gift to ${actualReceiverId}`
-              );
-            }
-          } catch (notifError) {
-            console.error(
-              "Error sending self-gift notification:",
-              notifError.message
-            );
-            // Don't fail gift creation if notification fails
-          }
-        }
-
-        // Do NOT send push notification for regular gift creation
-        // Notifications will only be sent when a message is sent with the gift
-        // Update UserWithNoAccount if receiver is non-registered
-        try {
-          const isUserWithNoAccount = await UserWithNoAccount.findById(
-            actualReceiverId
-          );
+        // Crediting the receiver (unallotted money, self-gift allocation,
+        // UserWithNoAccount tracking, auto-allocation) happens when the
+        // payment is captured - see services/giftPayment.service.js
 
-          if (isUserWithNoAccount) {
-            // Receiver is a UserWithNoAccount (non-registered user)
-            // Update UserWithNoAccount to track gift
-            try {
-              isUserWithNoAccount.gifts.push({
-                giftId: giftRecord._id,
-                senderId: senderId,
-                createdAt: new Date(),
-              });
-              await isUserWithNoAccount.save();
-              console.log(
-                `✅ Gift saved to UserWithNoAccount ${actualReceiverId} for phone ${isUserWithNoAccount.phoneNumber}`
-              );
-            } catch (saveError) {
-              console.error(
-                "Error saving gift to UserWithNoAccount:",
-                saveError.message
-              );
-            }
-          } else if (!isSelfGift) {
-            try {
-              await scheduleAutoAllocationTask({
-                giftId: giftRecord._id,
-                userId: actualReceiverId,
-              });
-              console.log(
-                `⏰ Scheduled auto-allocation for gift ${giftRecord._id}`
-              );
-            } catch (taskError) {
-              console.error(
-                "Error scheduling auto-allocation task:",
-                taskError.message
-              );
-            }
-          }
-        } catch (error) {
-          console.error("Error updating UserWithNoAccount:", error.message);
-          // Don't fail the gift creation if this fails
-        }
         if (conversation) {
-          const updatedConversation = {
-            _id: conversation._id,
-            participants: conversation.participants,
-            lastMessage: conversation.lastMessage,
-            lastMessageType: conversation.lastMessageType,
-            updatedAt: conversation.updatedAt,
-            unreadCounts: conversation.unreadCounts,
-            // Include receiverNumber for phone-number (non-registered) conversations
-            receiverNumber:
-              actualReceiverNumber || conversation.receiverNumber || null,
-          };
+          const updatedConversation = buildConversationUpdate(
+            conversation,
+            actualReceiverNumber
+          );
 
-          // Send to receiver (if different from sender)
-          if (String(actualReceiverId) !== String(senderId)) {
-            io.to(actualReceiverId).emit("conversationUpdated", {
+          // Send to receiver (if different from sender and not scheduled)
+          if (
+            String(actualReceiverId) !== String(senderId) &&
+            !giftRecord.deliverAt
+          ) {
+            io.to(String(actualReceiverId)).emit("conversationUpdated", {
               conversation: updatedConversation,
             });
           }
@@ -647,18 +150,12 @@ function initChatSocket(io) {
         // --- Abort ---
         await session.abortTransaction();
         console.error("❌ [sendGift] Error creating gift:", err.message);
-        console.error("❌ [sendGift] Error stack:", err.stack);
         console.error("❌ [sendGift] Error details:", {
           name: err.name,
           message: err.message,
           senderId,
           receiverId,
           receiverNumber,
-          actualReceiverId: actualReceiverId
-            ? actualReceiverId.toString()
-            : null,
-          actualReceiverNumber,
-          senderObjectId: senderObjectId ? senderObjectId.toString() : null,
         });
         if (callback) {
           callback({ success: false, error: err.message });
@@ -702,92 +199,15 @@ function initChatSocket(io) {
           throw new Error("Either receiverId or receiverNumber is required");
         }
 
-        // Normalize phone number if provided
-        const normalizePhoneNumber = (rawNumber) => {
-          if (!rawNumber) return null;
-          const str = String(rawNumber);
-          const digits = str.replace(/\D/g, "");
-          if (digits.length >= 10) {
-            return digits.slice(-10);
-          }
-          return null;
-        };
-
-        actualReceiverNumber = receiverNumber
-          ? normalizePhoneNumber(receiverNumber)
-          : null;
-
-        // Validate receiverId - it must be a valid ObjectId if provided
-        if (receiverId) {
-          if (mongoose.Types.ObjectId.isValid(receiverId)) {
-            actualReceiverId = new mongoose.Types.ObjectId(receiverId);
-          } else {
-            // If receiverId is not a valid ObjectId, treat it as a phone number
-            console.warn(
-              `⚠️ receiverId "${receiverId}" is not a valid ObjectId, treating as phone number`
-            );
-            actualReceiverNumber = normalizePhoneNumber(receiverId);
-          }
-        }
-
-        // If receiverNumber is provided, try to find user by phone number
-        // If not found, create/find UserWithNoAccount and use its _id as receiverId
-        if (!actualReceiverId && actualReceiverNumber) {
-          console.log(
-            `🔍 [sendMessage] Searching for user with phone number: ${actualReceiverNumber}`
-          );
-          const userByNumber = await User.findOne({
-            number: actualReceiverNumber,
-            active: true,
-          }).session(session);
-          if (userByNumber) {
-            // Ensure _id is converted to ObjectId if needed
-            actualReceiverId =
-              userByNumber._id instanceof mongoose.Types.ObjectId
-                ? userByNumber._id
-                : new mongoose.Types.ObjectId(userByNumber._id);
-            // Clear receiverNumber because this is a registered user
-            actualReceiverNumber = null;
-            console.log(
-              `✅ [sendMessage] Found registered user: ${actualReceiverId}`
-            );
-          } else {
-            // No registered user found - create or find UserWithNoAccount
-            console.log(
-              `ℹ️ [sendMessage] No registered user found for phone number: ${actualReceiverNumber}, creating/finding UserWithNoAccount`
-            );
-            let userWithNoAccount = await UserWithNoAccount.findOne({
-              phoneNumber: actualReceiverNumber,
-            }).session(session);
-            if (!userWithNoAccount) {
-              [userWithNoAccount] = await UserWithNoAccount.create(
-                [
-                  {
-                    phoneNumber: actualReceiverNumber,
-                    gifts: [],
-                    messages: [],
-                  },
-                ],
-                { session }
-              );
-              console.log(
-                `✅ [sendMessage] Created UserWithNoAccount: ${userWithNoAccount._id} for phone ${actualReceiverNumber}`
-              );
-            } else {
-              console.log(
-                `✅ [sendMessage] Found existing UserWithNoAccount: ${userWithNoAccount._id} for phone ${actualReceiverNumber}`
-              );
-            }
-            // Use UserWithNoAccount._id as receiverId - ensure it's an ObjectId
-            actualReceiverId =
-              userWithNoAccount._id instanceof mongoose.Types.ObjectId
-                ? userWithNoAccount._id
-                : new mongoose.Types.ObjectId(userWithNoAccount._id);
-            console.log(
-              `📋 [sendMessage] Using UserWithNoAccount._id as receiverId: ${actualReceiverId} (type: ${actualReceiverId.constructor.name})`
-            );
-          }
-        }
+        // Registered users are found by phone number; unknown numbers get a
+        // UserWithNoAccount whose _id is used as the receiverId
+        ({
+          receiverId: actualReceiverId,
+          receiverNumber: actualReceiverNumber,
+        } = await resolveGiftReceiver({ receiverId, receiverNumber, session }));
+        console.log(
+          `📋 [sendMessage] Resolved receiverId: ${actualReceiverId}`
+        );
 
         let conversation = null;
         // Create conversation even if receiver doesn't exist (for phone number)
@@ -859,77 +279,16 @@ function initChatSocket(io) {
           // Determine self-gift server-side, do not rely on client
           isSelfGift = String(senderId) === String(actualReceiverId);
 
-          // Generate unique Bahumati transaction ID
-          const generateUniqueTransactionId = async () => {
-            const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-            let isUnique = false;
-            let transactionId;
-            let attempts = 0;
-            const maxAttempts = 10;
-
-            while (!isUnique && attempts < maxAttempts) {
-              // Use timestamp (last 8 chars of timestamp in base36) + random chars for uniqueness
-              const timestamp = Date.now().toString(36).toUpperCase().slice(-8);
-              let randomPart = "";
-              for (let i = 0; i < 6; i++) {
-                randomPart += chars.charAt(
-                  Math.floor(Math.random() * chars.length)
-                );
-              }
-              transactionId = `BAHU${timestamp}${randomPart}`;
-
-              // Check if this transaction ID already exists
-              const existingGift = await Gift.findOne({
-                transactionId: transactionId,
-              }).session(session);
-              if (!existingGift) {
-                isUnique = true;
-              }
-              attempts++;
-            }
-
-            if (!isUnique) {
-              // Fallback: use full timestamp + random if we couldn't find unique in max attempts
-              const timestamp = Date.now().toString(36).toUpperCase();
-              let randomPart = "";
-              for (let i = 0; i < 12; i++) {
-                randomPart += chars.charAt(
-                  Math.floor(Math.random() * chars.length)
-                );
-              }
-              transactionId = `BAHU${timestamp}${randomPart}`;
-            }
-
-            return transactionId;
-          };
-          const transactionId = await generateUniqueTransactionId();
+          ({ gift: giftRecord } = await createGift({
+            senderId,
+            receiverId: actualReceiverId,
+            receiverNumber: actualReceiverNumber,
+            giftData: gift,
+            session,
+          }));
 
-          [giftRecord] = await Gift.create(
-            [
-              {
-                senderId,
-                receiverId: actualReceiverId, // Always an ObjectId now
-                receiverNumber: actualReceiverNumber || null, // Keep for reference
-                type: gift.type || "gold",
-                name: gift.name || "Gift",
-                icon: gift.icon || null,
-                amount: gift.amount || 0,
-                pricePerUnitAtGift: gift.pricePerUnitAtGift || 0,
-                quantity: gift.quantity || 0,
-                valueInINR: gift.valueInINR || 0,
-                orderId: gift.orderId || null,
-                status: "pending",
-                note: gift.note || null,
-                conversationId: conversation?._id || null,
-                isSelfGift: isSelfGift,
-                transactionId: transactionId,
-              },
-            ],
-            { session } // Pass session
-          );
-
-          // Note: Self gifts will be auto-allotted after money is added to UserHistory
-          // This happens outside the transaction
+          // Note: The gift is credited (and self gifts auto-allotted) once the
+          // payment is captured - see services/giftPayment.service.js
         } else if (giftId) {
           // --- VALIDATE EXISTING GIFT (Two-Step Call) ---
           giftRecord = await Gift.findOne({
@@ -942,10 +301,29 @@ function initChatSocket(io) {
             // This error will be caught, and the transaction will be aborted
             throw new Error("Gift not found or access denied");
           }
+
+          if (giftRecord.status === "payment_pending") {
+            throw new Error(
+              "Gift payment is pending. Please complete payment first."
+            );
+          }
         }
 
+        // A gift created in this call is still awaiting payment: the receiver
+        // only sees it (and its message) once the payment webhook credits it.
+        // Gifts scheduled for later delivery likewise stay hidden until
+        // delivery - see services/giftDelivery.service.js
+        const isGiftAwaitingPayment = giftRecord?.status === "payment_pending";
+        const isScheduledDelivery = Boolean(
+          giftRecord?.deliverAt && !giftRecord.deliveredAt
+        );
+        const isHiddenFromReceiver =
+          isGiftAwaitingPayment || isScheduledDelivery;
+
         // --- PREPARE CONVERSATION UPDATE (only if conversation exists) ---
-        if (conversation) {
+        // The preview and unread count of a hidden gift are set when it is
+        // paid or delivered
+        if (conversation && !isHiddenFromReceiver) {
           conversation.lastMessage = {
             text:
               giftRecord || giftId ? "🎁 Gift with message" : encrypt(content),
@@ -1012,6 +390,7 @@ function initChatSocket(io) {
                   type === "text" && content ? encrypt(content) : content,
                 mediaUrl,
                 giftId: giftRecord ? giftRecord._id : giftId || undefined,
+                isScheduled: isScheduledDelivery,
               },
             ],
             { session } // Pass session
@@ -1031,9 +410,6 @@ function initChatSocket(io) {
         // *** COMMIT THE TRANSACTION ***
         await session.commitTransaction();
 
-        // NOTE: Gift is already added to UserHistory inside the transaction (lines 490/515)
-        // No need to add it again here to avoid double-counting
-
         // --- EMIT SOCKET EVENTS (Only if transaction was successful and conversation exists) ---
         if (conversation && newMessage) {
           const unencryptedMessageForSocket = {
@@ -1054,11 +430,13 @@ function initChatSocket(io) {
             conversationForSocket.receiverNumber =
               actualReceiverNumber || conversation.receiverNumber || null;
 
-            io.to(actualReceiverId).emit("receiveGiftWithMessage", {
-              message: unencryptedMessageForSocket,
-              gift: giftRecord,
-              conversation: conversationForSocket,
-            });
+            if (!isHiddenFromReceiver) {
+              io.to(actualReceiverId).emit("receiveGiftWithMessage", {
+                message: unencryptedMessageForSocket,
+                gift: giftRecord,
+                conversation: conversationForSocket,
+              });
+            }
             socket.emit("giftWithMessageSent", {
               message: unencryptedMessageForSocket,
               gift: giftRecord,
@@ -1098,7 +476,10 @@ function initChatSocket(io) {
           };
 
           // Send to receiver (if different from sender)
-          if (String(actualReceiverId) !== String(senderId)) {
+          if (
+            String(actualReceiverId) !== String(senderId) &&
+            !isHiddenFromReceiver
+          ) {
             io.to(actualReceiverId).emit("conversationUpdated", {
               conversation: updatedConversation,
             });
@@ -1113,6 +494,7 @@ function initChatSocket(io) {
         // --- SEND PUSH NOTIFICATIONS ---
         // Always send push notification (even if user is online or not registered)
         // This ensures users get notified even if they're not on the chat screen
+        // Scheduled gifts are tracked and notified when they are delivered
         try {
           const sender = await User.findById(senderId).select("fullName image");
           let receiver = null;
@@ -1133,18 +515,24 @@ function initChatSocket(io) {
             actualReceiverId
           );
 
-          if (isUserWithNoAccount) {
+          if (isScheduledDelivery) {
+            console.log(
+              `⏰ Gift ${
+                giftRecord._id
+              } is scheduled for ${giftRecord.deliverAt.toISOString()}, receiver will be notified on delivery`
+            );
+          } else if (isUserWithNoAccount) {
             // Receiver is a UserWithNoAccount (non-registered user)
             // Update UserWithNoAccount to track gifts/messages
             try {
-              if (giftRecord) {
+              if (giftRecord && !isGiftAwaitingPayment) {
                 isUserWithNoAccount.gifts.push({
                   giftId: giftRecord._id,
                   senderId: senderId,
                   createdAt: new Date(),
                 });
               }
-              if (newMessage) {
+              if (newMessage && !isGiftAwaitingPayment) {
                 isUserWithNoAccount.messages.push({
                   messageId: newMessage._id,
                   senderId: senderId,
@@ -1177,7 +565,7 @@ function initChatSocket(io) {
             );
           } else {
             // Schedule auto-allocation task for registered users when applicable
-            if (giftRecord && !isSelfGift) {
+            if (giftRecord && !isSelfGift && !isGiftAwaitingPayment) {
               try {
                 await scheduleAutoAllocationTask({
                   giftId: giftRecord._id,
@@ -1200,8 +588,8 @@ function initChatSocket(io) {
               // send giftWithMessage notification
               // Otherwise, if gift already existed (giftId was provided), send separate message notification
               // If only message (no gift), send message notification
-              if (giftRecord && newMessage) {
-                // Always send giftWithMessage notification if a gift is attached
+              if (giftRecord && newMessage && !isGiftAwaitingPayment) {
+                // Always send giftWithMessage notification if a paid gift is attached
                 // regardless of whether it was just created or existed before
                 await sendGiftWithMessageNotification(
                   receiver.fcmToken,
@@ -1213,7 +601,7 @@ function initChatSocket(io) {
                 console.log(
                   `📱 Push notification sent for gift with message to ${actualReceiverId}`
                 );
-              } else if (newMessage) {
+              } else if (newMessage && !isGiftAwaitingPayment) {
                 // Only message, no gift - send message notification
                 await sendMessageNotification(
                   receiver.fcmToken,
@@ -1351,7 +739,53 @@ function initChatSocket(io) {
       }
     });
 
-    // 7. Handle user disconnection
+    // 7. Handle switching holdings between gold and stock
+    // Uses the same switch service as REST API for consistency
+    socket.on(
+      "switchHolding",
+      async ({ fromType, units, amount, switchAll } = {}) => {
+        try {
+          const userId = socket.user.id; // Use trusted user ID
+
+          if (!fromType || !["gold", "stock"].includes(fromType)) {
+            return socket.emit("error", {
+              message: "fromType must be either 'gold' or 'stock'",
+            });
+          }
+
+          const result = await switchHolding({
+            userId,
+            fromType,
+            units,
+            amount,
+            switchAll: Boolean(switchAll),
+          });
+
+          socket.emit("holdingSwitched", {
+            switchId: result.switchId,
+            fromType: result.fromType,
+            toType: result.toType,
+            fromUnits: result.fromUnits,
+            toUnits: result.toUnits,
+            value: result.value,
+            conversionRate: result.conversionRate,
+            switchedAt: result.switchedAt,
+            allottedMoney: result.userHistory.allottedMoney,
+            allottedUnits: result.userHistory.allottedUnits,
+          });
+        } catch (err) {
+          console.error("❌ [switchHolding] Error switching:", err.message);
+          socket.emit("error", {
+            message: err.message || "Failed to switch holdings.",
+          });
+        }
+      }
+    );
+
+    // 8. Handle following an event's live guest wall
+    registerEventWallHandlers(socket);
+
+    // 9. Handle user disconnection
     socket.on("disconnect", () => {
       const userId = socket.user.id;
       if (userId) {
@@ -19,7 +19,24 @@ const emitToUser = (userId, event, payload) => {
   }
 };
 
+// Emit to a shared room, e.g. the live guest wall of an event ("event:<id>")
+const emitToRoom = (room, event, payload) => {
+  if (!ioInstance || !room || !event) return;
+  try {
+    ioInstance.to(String(room)).emit(event, payload);
+  } catch (error) {
+    console.error(
+      "❌ Failed to emit socket event:",
+      event,
+      "to room",
+      room,
+      error?.message || error
+    );
+  }
+};
+
 module.exports = {
   setSocketServer,
   emitToUser,
+  emitToRoom,
 };